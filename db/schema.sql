@@ -97,6 +97,102 @@ CREATE TABLE IF NOT EXISTS password_resets (
 );
 CREATE INDEX IF NOT EXISTS idx_password_resets_user ON password_resets(user_id);
 
+-- Email verification tokens (same shape as password_resets)
+CREATE TABLE IF NOT EXISTS email_verifications (
+  token TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  used BOOLEAN NOT NULL DEFAULT FALSE,
+  used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_email_verifications_user ON email_verifications(user_id);
+
+-- One-off data changes, recorded by name so re-running this file never repeats them
+CREATE TABLE IF NOT EXISTS schema_migrations (
+  name TEXT PRIMARY KEY,
+  applied_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Accounts created before email verification existed count as verified. Runs once; accounts
+-- that were ever sent a verification token registered through the flow and are skipped.
+WITH marker AS (
+  INSERT INTO schema_migrations (name) VALUES ('backfill_email_verified')
+  ON CONFLICT (name) DO NOTHING
+  RETURNING name
+)
+UPDATE users SET email_verified = TRUE
+WHERE email_verified = FALSE
+  AND EXISTS (SELECT 1 FROM marker)
+  AND NOT EXISTS (SELECT 1 FROM email_verifications v WHERE v.user_id = users.uid);
+
+-- Login sessions backing rotating refresh tokens (one row per device)
+CREATE TABLE IF NOT EXISTS user_sessions (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  refresh_token_hash TEXT NOT NULL,
+  user_agent TEXT,
+  ip TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_used_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  revoked_reason TEXT,
+  mfa_verified BOOLEAN NOT NULL DEFAULT FALSE
+);
+CREATE INDEX IF NOT EXISTS idx_user_sessions_user ON user_sessions(user_id);
+
+-- Authentication attempts used for throttling (login, forgot/reset password)
+CREATE TABLE IF NOT EXISTS auth_attempts (
+  id BIGSERIAL PRIMARY KEY,
+  scope TEXT NOT NULL,
+  email TEXT,
+  ip TEXT,
+  success BOOLEAN NOT NULL DEFAULT FALSE,
+  cleared BOOLEAN NOT NULL DEFAULT FALSE,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_email ON auth_attempts(scope, email, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_ip ON auth_attempts(scope, ip, created_at DESC);
+
+-- Temporary account lockouts after repeated login failures
+CREATE TABLE IF NOT EXISTS account_lockouts (
+  email TEXT PRIMARY KEY,
+  locked_until TIMESTAMPTZ NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  notified_at TIMESTAMPTZ,
+  unlocked_at TIMESTAMPTZ,
+  unlocked_by TEXT
+);
+
+-- TOTP second factor (one row per enrolled or enrolling user)
+CREATE TABLE IF NOT EXISTS user_mfa (
+  user_id TEXT PRIMARY KEY REFERENCES users(uid) ON DELETE CASCADE,
+  secret TEXT NOT NULL,
+  enabled BOOLEAN NOT NULL DEFAULT FALSE,
+  last_used_step BIGINT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  confirmed_at TIMESTAMPTZ
+);
+
+-- Single-use MFA recovery codes (sha256 hashes only)
+CREATE TABLE IF NOT EXISTS mfa_recovery_codes (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  used_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_mfa_recovery_codes_user ON mfa_recovery_codes(user_id);
+
+-- Failed MFA codes are throttled per user, per IP and per login challenge
+ALTER TABLE auth_attempts ADD COLUMN IF NOT EXISTS user_id TEXT;
+ALTER TABLE auth_attempts ADD COLUMN IF NOT EXISTS challenge_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_user ON auth_attempts(scope, user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_auth_attempts_challenge ON auth_attempts(challenge_id) WHERE challenge_id IS NOT NULL;
+
 -- Conversations (Postgres replacement for Firestore conversations)
 CREATE TABLE IF NOT EXISTS conversations (
   id TEXT PRIMARY KEY,
@@ -182,3 +278,617 @@ CREATE TABLE IF NOT EXISTS youtube_analytics (
   created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
 );
 CREATE INDEX IF NOT EXISTS idx_youtube_analytics_uid ON youtube_analytics(uid);
+
+-- Role → permission grants (see services/permissionService.js for the registry).
+-- Keys not yet listed in permission_seeded_keys (all of them on a fresh database, or
+-- keys added to the registry later) get their built-in default grants instead.
+CREATE TABLE IF NOT EXISTS role_permissions (
+  role TEXT NOT NULL,
+  permission TEXT NOT NULL,
+  PRIMARY KEY (role, permission)
+);
+
+-- Permission keys whose grants role_permissions holds, so a key revoked from every role
+-- stays revoked. Keys stored before this table existed count as seeded.
+CREATE TABLE IF NOT EXISTS permission_seeded_keys (
+  permission TEXT PRIMARY KEY,
+  seeded_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+INSERT INTO permission_seeded_keys (permission)
+SELECT DISTINCT permission FROM role_permissions
+ON CONFLICT DO NOTHING;
+
+-- Brand organizations (agencies and companies with several team members)
+CREATE TABLE IF NOT EXISTS organizations (
+  id TEXT PRIMARY KEY,
+  name TEXT NOT NULL,
+  logo_url TEXT,
+  website TEXT,
+  billing_details JSONB,
+  created_by TEXT REFERENCES users(uid) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- A user belongs to at most one organization
+CREATE TABLE IF NOT EXISTS organization_members (
+  organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'viewer')),
+  joined_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (organization_id, user_id),
+  UNIQUE (user_id)
+);
+
+CREATE TABLE IF NOT EXISTS organization_invitations (
+  token TEXT PRIMARY KEY,
+  organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  email TEXT NOT NULL,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'manager', 'viewer')),
+  invited_by TEXT REFERENCES users(uid) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  accepted_at TIMESTAMPTZ,
+  accepted_by TEXT,
+  revoked_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_org_invitations_org ON organization_invitations(organization_id);
+
+-- Creators an organization is considering
+CREATE TABLE IF NOT EXISTS organization_shortlists (
+  organization_id TEXT NOT NULL REFERENCES organizations(id) ON DELETE CASCADE,
+  creator_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  note TEXT,
+  added_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (organization_id, creator_id)
+);
+
+-- Collaboration requests sent through /api/email/collaboration
+CREATE TABLE IF NOT EXISTS collaboration_requests (
+  id BIGSERIAL PRIMARY KEY,
+  organization_id TEXT REFERENCES organizations(id) ON DELETE SET NULL,
+  sender_id TEXT REFERENCES users(uid) ON DELETE SET NULL,
+  contact_name TEXT,
+  contact_email TEXT,
+  contact_phone TEXT,
+  influencer_name TEXT,
+  influencer_email TEXT,
+  influencer_instagram TEXT,
+  message TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_collaboration_requests_org ON collaboration_requests(organization_id);
+
+-- Conversations opened by a brand team member belong to the organization
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS organization_id TEXT REFERENCES organizations(id) ON DELETE SET NULL;
+CREATE INDEX IF NOT EXISTS idx_conversations_organization ON conversations(organization_id);
+
+-- Append-only audit trail for privileged and account-changing actions
+CREATE TABLE IF NOT EXISTS audit_events (
+  id BIGSERIAL PRIMARY KEY,
+  actor_id TEXT,
+  actor_role TEXT,
+  action TEXT NOT NULL,
+  target_type TEXT NOT NULL DEFAULT 'user',
+  target_id TEXT,
+  before JSONB,
+  after JSONB,
+  diff JSONB,
+  metadata JSONB,
+  ip TEXT,
+  user_agent TEXT,
+  request_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_audit_events_created_at ON audit_events(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_actor ON audit_events(actor_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_target ON audit_events(target_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_audit_events_action ON audit_events(action, created_at DESC);
+
+CREATE OR REPLACE FUNCTION audit_events_append_only() RETURNS trigger AS $$
+BEGIN
+  RAISE EXCEPTION 'audit_events is append-only';
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trg_audit_events_append_only ON audit_events;
+CREATE TRIGGER trg_audit_events_append_only
+  BEFORE UPDATE OR DELETE ON audit_events
+  FOR EACH ROW EXECUTE FUNCTION audit_events_append_only();
+
+-- Self-service data exports (JSON archive, downloadable until expires_at)
+CREATE TABLE IF NOT EXISTS data_exports (
+  id TEXT PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  payload JSONB NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL
+);
+CREATE INDEX IF NOT EXISTS idx_data_exports_user ON data_exports(user_id, created_at DESC);
+
+-- Self-service account deletion. Rows outlive the user so completed purges stay on record.
+CREATE TABLE IF NOT EXISTS account_deletion_requests (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  reason TEXT,
+  requested_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  purge_after TIMESTAMPTZ NOT NULL,
+  cancelled_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_account_deletion_pending
+  ON account_deletion_requests(user_id) WHERE cancelled_at IS NULL AND completed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_account_deletion_due ON account_deletion_requests(purge_after) WHERE cancelled_at IS NULL AND completed_at IS NULL;
+
+-- Read-only "view as user" sessions opened by support staff
+CREATE TABLE IF NOT EXISTS impersonation_sessions (
+  id TEXT PRIMARY KEY,
+  impersonator_id TEXT NOT NULL,
+  impersonator_session_id TEXT,
+  target_id TEXT NOT NULL,
+  reason TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  ended_at TIMESTAMPTZ
+);
+CREATE INDEX IF NOT EXISTS idx_impersonation_sessions_target ON impersonation_sessions(target_id, created_at DESC);
+
+-- Staff member behind an impersonated request (actor_id is then the impersonator too)
+ALTER TABLE audit_events ADD COLUMN IF NOT EXISTS impersonator_id TEXT;
+CREATE INDEX IF NOT EXISTS idx_audit_events_impersonator ON audit_events(impersonator_id, created_at DESC) WHERE impersonator_id IS NOT NULL;
+
+-- Open realtime chat streams, one row per user per server instance (refreshed by heartbeat)
+CREATE TABLE IF NOT EXISTS chat_presence (
+  user_id TEXT NOT NULL,
+  instance_id TEXT NOT NULL,
+  connected_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  last_seen_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, instance_id)
+);
+CREATE INDEX IF NOT EXISTS idx_chat_presence_last_seen ON chat_presence(last_seen_at);
+
+-- Per-user read cursor for each conversation (drives unread counts and "seen" receipts)
+CREATE TABLE IF NOT EXISTS conversation_reads (
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  last_read_at TIMESTAMPTZ NOT NULL,
+  last_read_message_id TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (conversation_id, user_id)
+);
+CREATE INDEX IF NOT EXISTS idx_conversation_reads_user ON conversation_reads(user_id);
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_timestamp ON messages(conversation_id, timestamp DESC);
+
+-- Full-text search over message bodies (see GET /api/chat/search)
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS message_tsv tsvector
+  GENERATED ALWAYS AS (to_tsvector('english', coalesce(message, ''))) STORED;
+CREATE INDEX IF NOT EXISTS idx_messages_tsv ON messages USING gin (message_tsv);
+
+-- Files attached to chat messages (stored in blob storage, served through the API)
+CREATE TABLE IF NOT EXISTS message_attachments (
+  id TEXT PRIMARY KEY,
+  message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  uploader_id TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  blob_key TEXT NOT NULL,
+  blob_url TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_message ON message_attachments(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_attachments_uploader ON message_attachments(uploader_id);
+
+-- Chat contact-info filter rules (see services/contentFilterService.js).
+-- When empty, the built-in defaults apply.
+CREATE TABLE IF NOT EXISTS content_filter_rules (
+  id TEXT PRIMARY KEY,
+  kind TEXT NOT NULL CHECK (kind IN ('block', 'allow')),
+  pattern TEXT NOT NULL,
+  flags TEXT NOT NULL DEFAULT 'gi',
+  replacement TEXT NOT NULL DEFAULT '*****',
+  exempt_roles TEXT[] NOT NULL DEFAULT '{}',
+  enabled BOOLEAN NOT NULL DEFAULT TRUE,
+  description TEXT,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Unfiltered text of filtered messages; only ever returned by admin routes
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS original_message TEXT;
+
+-- Filtered messages awaiting (or after) support review
+CREATE TABLE IF NOT EXISTS moderation_flags (
+  id BIGSERIAL PRIMARY KEY,
+  message_id TEXT REFERENCES messages(id) ON DELETE SET NULL,
+  conversation_id TEXT,
+  sender_id TEXT NOT NULL,
+  rule_ids TEXT[] NOT NULL DEFAULT '{}',
+  matches JSONB,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'dismissed', 'warned', 'suspended')),
+  note TEXT,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_moderation_flags_status ON moderation_flags(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_moderation_flags_sender ON moderation_flags(sender_id, created_at DESC);
+
+-- Warnings issued to users by support
+CREATE TABLE IF NOT EXISTS user_warnings (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  issued_by TEXT,
+  reason TEXT NOT NULL,
+  flag_id BIGINT REFERENCES moderation_flags(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_user_warnings_user ON user_warnings(user_id);
+
+-- User-to-user blocks. conversation_id records where the block was made; an organization
+-- thread with any block on it is closed for every member of that organization.
+CREATE TABLE IF NOT EXISTS user_blocks (
+  blocker_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  blocked_id TEXT NOT NULL,
+  conversation_id TEXT REFERENCES conversations(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (blocker_id, blocked_id)
+);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_blocked ON user_blocks(blocked_id);
+CREATE INDEX IF NOT EXISTS idx_user_blocks_conversation ON user_blocks(conversation_id);
+
+-- Abuse reports raised from conversations; handled by support in the admin console
+CREATE TABLE IF NOT EXISTS user_reports (
+  id BIGSERIAL PRIMARY KEY,
+  reporter_id TEXT,
+  reported_user_id TEXT,
+  conversation_id TEXT REFERENCES conversations(id) ON DELETE SET NULL,
+  reason_code TEXT NOT NULL,
+  details TEXT,
+  message_excerpts JSONB NOT NULL DEFAULT '[]',
+  status TEXT NOT NULL DEFAULT 'open' CHECK (status IN ('open', 'in_review', 'resolved', 'dismissed')),
+  assigned_to TEXT,
+  resolution_note TEXT,
+  resolved_by TEXT,
+  resolved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_user_reports_status ON user_reports(status, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_user_reports_reported ON user_reports(reported_user_id);
+
+-- Structured offers negotiated in chat. Each proposal/counter is a version; the
+-- accepted offer is pinned to its conversation.
+CREATE TABLE IF NOT EXISTS offers (
+  id TEXT PRIMARY KEY,
+  conversation_id TEXT NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  creator_id TEXT NOT NULL,
+  created_by TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined', 'withdrawn')),
+  current_version INTEGER NOT NULL DEFAULT 1,
+  accepted_version INTEGER,
+  responded_by TEXT,
+  responded_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_offers_conversation ON offers(conversation_id, created_at DESC);
+
+CREATE TABLE IF NOT EXISTS offer_versions (
+  offer_id TEXT NOT NULL REFERENCES offers(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+  proposed_by TEXT NOT NULL,
+  proposed_by_party TEXT NOT NULL CHECK (proposed_by_party IN ('brand', 'creator')),
+  deliverables JSONB NOT NULL,
+  price NUMERIC(12, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  due_date DATE NOT NULL,
+  usage_rights JSONB NOT NULL DEFAULT '{}',
+  note TEXT,
+  message_id TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (offer_id, version)
+);
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS message_type TEXT NOT NULL DEFAULT 'text';
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS offer_id TEXT REFERENCES offers(id) ON DELETE SET NULL;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS offer_version INTEGER;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS pinned_offer_id TEXT REFERENCES offers(id) ON DELETE SET NULL;
+
+-- Group conversations: generated ids, a title and N participants. System messages
+-- record membership and title changes.
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS title TEXT;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS is_group BOOLEAN NOT NULL DEFAULT FALSE;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS created_by TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS metadata JSONB;
+CREATE INDEX IF NOT EXISTS idx_conversations_participants ON conversations USING gin (participants);
+
+-- Notification frequency per user and channel; last_sent_at paces email digests
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  channel TEXT NOT NULL CHECK (channel IN ('email', 'in_app')),
+  frequency TEXT NOT NULL CHECK (frequency IN ('instant', 'hourly', 'daily', 'off')),
+  last_sent_at TIMESTAMPTZ,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  PRIMARY KEY (user_id, channel)
+);
+
+-- Message edits and soft deletes. Earlier versions are kept for moderation.
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS edited_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS deleted_by TEXT;
+CREATE TABLE IF NOT EXISTS message_edits (
+  id BIGSERIAL PRIMARY KEY,
+  message_id TEXT NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  conversation_id TEXT NOT NULL,
+  editor_id TEXT NOT NULL,
+  previous_message TEXT NOT NULL,
+  previous_original_message TEXT,
+  edited_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_message_edits_message ON message_edits(message_id);
+
+-- Chat retention policy (single row; see services/retentionService.js for defaults)
+CREATE TABLE IF NOT EXISTS message_retention_policy (
+  id BOOLEAN PRIMARY KEY DEFAULT TRUE CHECK (id),
+  message_days INTEGER,
+  attachment_days INTEGER,
+  deleted_message_days INTEGER,
+  updated_by TEXT,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_messages_deleted_at ON messages(deleted_at) WHERE deleted_at IS NOT NULL;
+
+-- In-app notification feed (types and payloads: services/notificationService.js)
+CREATE TABLE IF NOT EXISTS notifications (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  payload JSONB NOT NULL DEFAULT '{}',
+  read_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+
+-- Campaign briefs and the creators applying to them (see services/campaignService.js)
+CREATE TABLE IF NOT EXISTS campaigns (
+  id TEXT PRIMARY KEY,
+  owner_id TEXT REFERENCES users(uid) ON DELETE SET NULL,
+  organization_id TEXT REFERENCES organizations(id) ON DELETE CASCADE,
+  title TEXT NOT NULL,
+  brief TEXT NOT NULL,
+  budget_min NUMERIC(12, 2),
+  budget_max NUMERIC(12, 2),
+  currency TEXT NOT NULL,
+  target_niches TEXT[] NOT NULL DEFAULT '{}',
+  min_followers INTEGER,
+  max_followers INTEGER,
+  platforms TEXT[] NOT NULL DEFAULT '{}',
+  deliverables JSONB NOT NULL DEFAULT '[]',
+  application_deadline DATE,
+  due_date DATE,
+  status TEXT NOT NULL DEFAULT 'draft' CHECK (status IN ('draft', 'open', 'closed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_campaigns_owner ON campaigns(owner_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_organization ON campaigns(organization_id);
+CREATE INDEX IF NOT EXISTS idx_campaigns_open ON campaigns(application_deadline) WHERE status = 'open';
+CREATE INDEX IF NOT EXISTS idx_campaigns_niches ON campaigns USING gin (target_niches);
+
+CREATE TABLE IF NOT EXISTS campaign_applications (
+  id BIGSERIAL PRIMARY KEY,
+  campaign_id TEXT NOT NULL REFERENCES campaigns(id) ON DELETE CASCADE,
+  creator_id TEXT NOT NULL REFERENCES users(uid) ON DELETE CASCADE,
+  pitch TEXT NOT NULL,
+  quote NUMERIC(12, 2) NOT NULL,
+  currency TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'new' CHECK (status IN ('new', 'shortlisted', 'hired', 'rejected', 'withdrawn')),
+  status_changed_by TEXT,
+  status_changed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (campaign_id, creator_id)
+);
+CREATE INDEX IF NOT EXISTS idx_campaign_applications_creator ON campaign_applications(creator_id, created_at DESC);
+
+-- Collaborations (accepted offers and hired campaign applicants) and the deliverables
+-- the creator owes, with each draft round and its review (see services/collaborationService.js)
+CREATE TABLE IF NOT EXISTS collaborations (
+  id TEXT PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  brand_id TEXT NOT NULL,
+  organization_id TEXT REFERENCES organizations(id) ON DELETE SET NULL,
+  offer_id TEXT UNIQUE REFERENCES offers(id) ON DELETE SET NULL,
+  campaign_id TEXT REFERENCES campaigns(id) ON DELETE SET NULL,
+  campaign_application_id BIGINT UNIQUE REFERENCES campaign_applications(id) ON DELETE SET NULL,
+  conversation_id TEXT REFERENCES conversations(id) ON DELETE SET NULL,
+  title TEXT NOT NULL,
+  price NUMERIC(12, 2),
+  currency TEXT,
+  revision_limit INTEGER,
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'completed')),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_collaborations_creator ON collaborations(creator_id);
+CREATE INDEX IF NOT EXISTS idx_collaborations_brand ON collaborations(brand_id);
+CREATE INDEX IF NOT EXISTS idx_collaborations_organization ON collaborations(organization_id);
+
+CREATE TABLE IF NOT EXISTS collaboration_deliverables (
+  id BIGSERIAL PRIMARY KEY,
+  collaboration_id TEXT NOT NULL REFERENCES collaborations(id) ON DELETE CASCADE,
+  type TEXT NOT NULL,
+  label TEXT NOT NULL,
+  quantity INTEGER NOT NULL DEFAULT 1,
+  description TEXT,
+  due_date DATE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'submitted', 'changes_requested', 'approved')),
+  revisions_used INTEGER NOT NULL DEFAULT 0,
+  overdue_at TIMESTAMPTZ,
+  submitted_at TIMESTAMPTZ,
+  approved_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_collaboration_deliverables_collaboration ON collaboration_deliverables(collaboration_id);
+CREATE INDEX IF NOT EXISTS idx_collaboration_deliverables_due ON collaboration_deliverables(due_date) WHERE status <> 'approved' AND overdue_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS deliverable_submissions (
+  id BIGSERIAL PRIMARY KEY,
+  deliverable_id BIGINT NOT NULL REFERENCES collaboration_deliverables(id) ON DELETE CASCADE,
+  round INTEGER NOT NULL,
+  submitted_by TEXT NOT NULL,
+  note TEXT,
+  review_status TEXT NOT NULL DEFAULT 'pending' CHECK (review_status IN ('pending', 'approved', 'changes_requested')),
+  review_comment TEXT,
+  reviewed_by TEXT,
+  reviewed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  UNIQUE (deliverable_id, round)
+);
+
+CREATE TABLE IF NOT EXISTS deliverable_files (
+  id TEXT PRIMARY KEY,
+  submission_id BIGINT NOT NULL REFERENCES deliverable_submissions(id) ON DELETE CASCADE,
+  deliverable_id BIGINT NOT NULL,
+  collaboration_id TEXT NOT NULL,
+  uploader_id TEXT NOT NULL,
+  file_name TEXT NOT NULL,
+  mime_type TEXT NOT NULL,
+  size_bytes BIGINT NOT NULL,
+  blob_key TEXT NOT NULL,
+  blob_url TEXT NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_deliverable_files_collaboration ON deliverable_files(collaboration_id);
+
+-- Deliverable post requirements, the live posts linked to deliverables and their
+-- metric snapshots over the tracking period (see services/postVerificationService.js)
+ALTER TABLE collaboration_deliverables ADD COLUMN IF NOT EXISTS required_hashtags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE collaboration_deliverables ADD COLUMN IF NOT EXISTS required_mentions TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE collaboration_deliverables ADD COLUMN IF NOT EXISTS require_sponsored_tag BOOLEAN NOT NULL DEFAULT FALSE;
+
+CREATE TABLE IF NOT EXISTS published_posts (
+  id BIGSERIAL PRIMARY KEY,
+  collaboration_id TEXT NOT NULL REFERENCES collaborations(id) ON DELETE CASCADE,
+  deliverable_id BIGINT NOT NULL UNIQUE REFERENCES collaboration_deliverables(id) ON DELETE CASCADE,
+  creator_id TEXT NOT NULL,
+  short_code TEXT NOT NULL,
+  post_url TEXT NOT NULL,
+  linked_by TEXT NOT NULL,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'not_found', 'failed', 'verified')),
+  checks JSONB NOT NULL DEFAULT '[]',
+  posted_at TIMESTAMPTZ,
+  last_checked_at TIMESTAMPTZ,
+  verified_at TIMESTAMPTZ,
+  tracking_until TIMESTAMPTZ,
+  last_snapshot_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_published_posts_collaboration ON published_posts(collaboration_id);
+CREATE INDEX IF NOT EXISTS idx_published_posts_creator ON published_posts(creator_id);
+
+CREATE TABLE IF NOT EXISTS post_metric_snapshots (
+  id BIGSERIAL PRIMARY KEY,
+  post_id BIGINT NOT NULL REFERENCES published_posts(id) ON DELETE CASCADE,
+  views_count BIGINT,
+  likes_count BIGINT,
+  comments_count BIGINT,
+  captured_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_post_metric_snapshots_post ON post_metric_snapshots(post_id, captured_at);
+
+-- Double-blind reviews each side leaves after a completed collaboration, and the
+-- creator aggregates recomputed from them (see services/reviewService.js)
+ALTER TABLE collaborations ADD COLUMN IF NOT EXISTS completed_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS collaboration_reviews (
+  id BIGSERIAL PRIMARY KEY,
+  collaboration_id TEXT NOT NULL REFERENCES collaborations(id) ON DELETE CASCADE,
+  reviewer_id TEXT NOT NULL,
+  reviewer_side TEXT NOT NULL CHECK (reviewer_side IN ('brand', 'creator')),
+  reviewee_id TEXT NOT NULL,
+  communication SMALLINT NOT NULL CHECK (communication BETWEEN 1 AND 5),
+  quality SMALLINT NOT NULL CHECK (quality BETWEEN 1 AND 5),
+  timeliness SMALLINT NOT NULL CHECK (timeliness BETWEEN 1 AND 5),
+  rating NUMERIC(3, 2) NOT NULL,
+  comment TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  revealed_at TIMESTAMPTZ,
+  removed_at TIMESTAMPTZ,
+  removed_by TEXT,
+  removal_reason TEXT,
+  UNIQUE (collaboration_id, reviewer_side)
+);
+CREATE INDEX IF NOT EXISTS idx_collaboration_reviews_reviewee ON collaboration_reviews(reviewee_id, revealed_at DESC) WHERE removed_at IS NULL;
+CREATE INDEX IF NOT EXISTS idx_collaboration_reviews_unrevealed ON collaboration_reviews(collaboration_id) WHERE revealed_at IS NULL;
+
+CREATE TABLE IF NOT EXISTS creator_stats (
+  uid TEXT PRIMARY KEY,
+  average_rating NUMERIC(3, 2),
+  review_count INTEGER NOT NULL DEFAULT 0,
+  average_communication NUMERIC(3, 2),
+  average_quality NUMERIC(3, 2),
+  average_timeliness NUMERIC(3, 2),
+  completed_projects INTEGER NOT NULL DEFAULT 0,
+  total_earnings NUMERIC(14, 2) NOT NULL DEFAULT 0,
+  earnings_by_currency JSONB NOT NULL DEFAULT '{}',
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Double-entry payments ledger: collaboration escrow deposits, milestone releases,
+-- refunds, platform fees and creator payouts (see services/paymentService.js)
+CREATE TABLE IF NOT EXISTS ledger_transactions (
+  id BIGSERIAL PRIMARY KEY,
+  type TEXT NOT NULL CHECK (type IN ('deposit', 'release', 'refund', 'payout')),
+  collaboration_id TEXT,
+  deliverable_id BIGINT,
+  related_transaction_id BIGINT REFERENCES ledger_transactions(id),
+  creator_id TEXT,
+  brand_id TEXT,
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  provider TEXT,
+  provider_reference TEXT,
+  memo TEXT,
+  created_by TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_collaboration ON ledger_transactions(collaboration_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_transactions_creator ON ledger_transactions(creator_id, created_at DESC);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_ledger_transactions_release ON ledger_transactions(deliverable_id) WHERE type = 'release';
+
+CREATE TABLE IF NOT EXISTS ledger_entries (
+  id BIGSERIAL PRIMARY KEY,
+  transaction_id BIGINT NOT NULL REFERENCES ledger_transactions(id),
+  account TEXT NOT NULL,
+  direction TEXT NOT NULL CHECK (direction IN ('debit', 'credit')),
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  currency TEXT NOT NULL,
+  memo TEXT
+);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_transaction ON ledger_entries(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_ledger_entries_account ON ledger_entries(account, currency);
+
+-- Creator payouts. A pending row is written before the provider is called and its id is
+-- the provider idempotency key, so a payout interrupted midway is resumed, never repeated.
+CREATE TABLE IF NOT EXISTS payouts (
+  id BIGSERIAL PRIMARY KEY,
+  creator_id TEXT NOT NULL,
+  currency TEXT NOT NULL,
+  amount NUMERIC(14, 2) NOT NULL CHECK (amount > 0),
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'paid', 'failed')),
+  provider TEXT,
+  provider_reference TEXT,
+  transaction_id BIGINT REFERENCES ledger_transactions(id),
+  error TEXT,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payouts_pending ON payouts(creator_id, currency) WHERE status = 'pending';
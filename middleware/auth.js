@@ -1,9 +1,17 @@
 const jwt = require('jsonwebtoken');
 const db = require('../services/db');
+const { isSessionActive, isImpersonationActive } = require('../services/authService');
+const { isMfaRequiredForRole } = require('../services/mfaService');
+const permissionService = require('../services/permissionService');
+const { recordAuditEvent } = require('../services/auditService');
+
+const READ_ONLY_METHODS = ['GET', 'HEAD', 'OPTIONS'];
 
 const authMiddleware = async (req, res, next) => {
   try {
-    const token = req.header('Authorization')?.replace('Bearer ', '');
+    // The chat stream authenticates with a stream ticket instead (see streamTicketAuth)
+    const expectedPurpose = req.streamTicket ? 'chat_stream' : undefined;
+    const token = req.streamTicket || req.header('Authorization')?.replace('Bearer ', '');
     
     if (!token) {
       return res.status(401).json({ message: 'No token provided' });
@@ -21,10 +29,26 @@ const authMiddleware = async (req, res, next) => {
       return res.status(401).json({ message: 'Invalid token' });
     }
 
+    // MFA challenge tokens only prove the password step and stream tickets only open the
+    // chat stream; neither is ever an access token
+    if (decoded.purpose !== expectedPurpose) {
+      return res.status(401).json({ message: 'Invalid token' });
+    }
+
+    // Tokens issued with a session id are only valid while that session is not revoked
+    if (decoded.sid && !(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ message: 'Session has been revoked' });
+    }
+
+    // Impersonation tokens die with their impersonation session (ended, expired or staff signed out)
+    if (decoded.imp && !(decoded.isid && (await isImpersonationActive(decoded.isid)))) {
+      return res.status(401).json({ message: 'Impersonation session has ended' });
+    }
+
     // Ensure a Postgres user row exists. Create on first login.
     const uid = decoded.uid || decoded.sub;
     const email = decoded.email || null;
-    const result = await db.query('SELECT uid, email, role, display_name FROM users WHERE uid = $1 LIMIT 1', [uid]);
+    const result = await db.query('SELECT uid, email, role, display_name, is_active, email_verified FROM users WHERE uid = $1 LIMIT 1', [uid]);
     let pgUser = result.rows[0];
 
     if (!pgUser) {
@@ -34,16 +58,39 @@ const authMiddleware = async (req, res, next) => {
         'INSERT INTO users (uid, email, role, display_name, created_at, is_active) VALUES ($1, $2, $3, $4, NOW(), TRUE)',
         [uid, email, defaultRole, displayName]
       );
-      const created = await db.query('SELECT uid, email, role, display_name FROM users WHERE uid = $1 LIMIT 1', [uid]);
+      const created = await db.query('SELECT uid, email, role, display_name, is_active, email_verified FROM users WHERE uid = $1 LIMIT 1', [uid]);
       pgUser = created.rows[0];
     }
 
+    if (pgUser.is_active === false) {
+      return res.status(401).json({ message: 'Account is suspended' });
+    }
+
     req.user = {
       uid: pgUser.uid,
       email: pgUser.email,
       role: pgUser.role,
       displayName: pgUser.display_name,
+      emailVerified: !!pgUser.email_verified,
+      sessionId: decoded.sid || null,
+      mfaVerified: !!decoded.mfa,
+      impersonatedBy: decoded.imp || null,
+      impersonationId: decoded.isid || null,
     };
+
+    if (req.user.impersonatedBy) {
+      // Every impersonated request is audited; anything but a read is refused
+      const blocked = !READ_ONLY_METHODS.includes(req.method);
+      res.setHeader('X-Impersonated-By', req.user.impersonatedBy);
+      await recordAuditEvent(req, {
+        action: blocked ? 'impersonation.blocked_write' : 'impersonation.request',
+        targetId: pgUser.uid,
+        metadata: { impersonationId: req.user.impersonationId, method: req.method, path: req.originalUrl }
+      });
+      if (blocked) {
+        return res.status(403).json({ message: 'Impersonation sessions are read-only', code: 'IMPERSONATION_READ_ONLY' });
+      }
+    }
     
     next();
   } catch (error) {
@@ -55,26 +102,69 @@ const authMiddleware = async (req, res, next) => {
 const requireRole = (roles) => {
   return (req, res, next) => {
     const allowedRoles = Array.isArray(roles) ? roles : [roles];
-    
-    // Special handling for content_creator -> influencer/ugc_creator transition
-    // Allow content_creator to access influencer endpoints during role transition
-    if (req.user.role === 'content_creator' && allowedRoles.includes('influencer')) {
-      next();
-      return;
+
+    // content_creator accounts pass as influencer/ugc_creator during the role transition
+    const userRoles = permissionService.effectiveRoles(req.user.role);
+    if (!userRoles.some(role => allowedRoles.includes(role))) {
+      return res.status(403).json({ message: `Access denied. One of these roles required: ${allowedRoles.join(', ')}.` });
+    }
+
+    // Privileged roles must be on an MFA-verified session
+    if (isMfaRequiredForRole(req.user.role) && !req.user.mfaVerified) {
+      return res.status(403).json({ message: 'Multi-factor authentication required', code: 'MFA_REQUIRED' });
     }
     
-    // Allow content_creator to access ugc_creator endpoints during role transition
-    if (req.user.role === 'content_creator' && allowedRoles.includes('ugc_creator')) {
+    next();
+  };
+};
+
+// Require every listed permission (see services/permissionService.js for the registry)
+const requirePermission = (permissions) => {
+  const required = Array.isArray(permissions) ? permissions : [permissions];
+  return async (req, res, next) => {
+    try {
+      const allowed = await permissionService.hasAllPermissions(req.user.role, required);
+      if (!allowed) {
+        return res.status(403).json({ message: 'Access denied. You do not have permission to perform this action.', required });
+      }
+      if (isMfaRequiredForRole(req.user.role) && !req.user.mfaVerified) {
+        return res.status(403).json({ message: 'Multi-factor authentication required', code: 'MFA_REQUIRED' });
+      }
       next();
-      return;
+    } catch (error) {
+      console.error('Permission check error:', error);
+      res.status(500).json({ message: 'Server error while checking permissions' });
     }
-    
-    if (!allowedRoles.includes(req.user.role)) {
-      return res.status(403).json({ message: `Access denied. One of these roles required: ${allowedRoles.join(', ')}.` });
+  };
+};
+
+// Block users of the given roles until they have verified their email address
+const requireVerifiedEmail = (roles) => {
+  return (req, res, next) => {
+    const gatedRoles = Array.isArray(roles) ? roles : [roles];
+    if (gatedRoles.includes(req.user.role) && !req.user.emailVerified) {
+      return res.status(403).json({ message: 'Please verify your email address to continue', code: 'EMAIL_NOT_VERIFIED' });
     }
-    
     next();
   };
 };
 
-module.exports = { authMiddleware, requireRole };
+// EventSource cannot send headers, so the chat stream also accepts ?ticket= (see
+// authService.signStreamTicket). Access tokens are never accepted in the URL.
+const streamTicketAuth = (req, res, next) => {
+  if (!req.header('Authorization') && typeof req.query.ticket === 'string') {
+    req.streamTicket = req.query.ticket;
+  }
+  return authMiddleware(req, res, next);
+};
+
+// Refuse impersonated requests outright, reads included, for routes that expose account
+// secrets or a full copy of the user's data (sessions, MFA, data exports)
+const denyImpersonation = (req, res, next) => {
+  if (req.user?.impersonatedBy) {
+    return res.status(403).json({ message: 'Not available while viewing as another user', code: 'IMPERSONATION_DENIED' });
+  }
+  next();
+};
+
+module.exports = { authMiddleware, streamTicketAuth, requireRole, requirePermission, requireVerifiedEmail, denyImpersonation };
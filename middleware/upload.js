@@ -24,4 +24,46 @@ const upload = multer({
   }
 });
 
+// Chat attachments: media plus the documents brands and creators exchange (briefs, scripts)
+const ATTACHMENT_DOCUMENT_TYPES = [
+  'application/pdf',
+  'text/plain',
+  'text/csv',
+  'application/msword',
+  'application/vnd.openxmlformats-officedocument.wordprocessingml.document',
+  'application/vnd.ms-excel',
+  'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  'application/vnd.ms-powerpoint',
+  'application/vnd.openxmlformats-officedocument.presentationml.presentation',
+];
+
+const attachmentFileFilter = (req, file, cb) => {
+  if (file.mimetype.startsWith('image/') || file.mimetype.startsWith('video/') || ATTACHMENT_DOCUMENT_TYPES.includes(file.mimetype)) {
+    cb(null, true);
+  } else {
+    cb(new Error('Only images, videos, PDFs and office documents can be attached'), false);
+  }
+};
+
+const attachmentUpload = multer({
+  storage,
+  fileFilter: attachmentFileFilter,
+  limits: {
+    fileSize: limitMb * 1024 * 1024,
+    files: parseInt(process.env.MAX_CHAT_ATTACHMENTS || '5', 10),
+  }
+});
+
+// Deliverable drafts: the same file types as chat attachments
+const draftUpload = multer({
+  storage,
+  fileFilter: attachmentFileFilter,
+  limits: {
+    fileSize: limitMb * 1024 * 1024,
+    files: parseInt(process.env.MAX_DRAFT_FILES || '10', 10),
+  }
+});
+
 module.exports = upload;
+module.exports.attachmentUpload = attachmentUpload;
+module.exports.draftUpload = draftUpload;
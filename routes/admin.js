@@ -1,15 +1,30 @@
 const express = require('express');
-const { authMiddleware, requireRole } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const { admin, db, auth } = require('../config/firebase');
+const pg = require('../services/db');
+const authService = require('../services/authService');
+const loginThrottle = require('../services/loginThrottleService');
+const permissionService = require('../services/permissionService');
+const { isMfaRequiredForRole } = require('../services/mfaService');
+const contentFilter = require('../services/contentFilterService');
+const moderationService = require('../services/moderationService');
+const safetyService = require('../services/safetyService');
+const retentionService = require('../services/retentionService');
+const reviewService = require('../services/reviewService');
+const collaborationService = require('../services/collaborationService');
+const paymentService = require('../services/paymentService');
+const { recordAuditEvent, queryAuditEvents, exportAuditEventsCsv } = require('../services/auditService');
+const { notify } = require('../services/notificationService');
 
 const router = express.Router();
 
-// Middleware to ensure only admins and support can access these routes
+// Middleware to ensure only staff with console access can reach these routes;
+// each route additionally checks its own permission
 router.use(authMiddleware);
-router.use(requireRole(['admin', 'support']));
+router.use(requirePermission('admin.access'));
 
 // Get all users with filtering and pagination
-router.get('/users', async (req, res) => {
+router.get('/users', requirePermission('users.read'), async (req, res) => {
   try {
     const {
       page = 1,
@@ -86,7 +101,7 @@ router.get('/users', async (req, res) => {
 });
 
 // Get user statistics
-router.get('/stats', async (req, res) => {
+router.get('/stats', requirePermission('users.read'), async (req, res) => {
   try {
     const usersSnapshot = await db.collection('users').get();
     
@@ -153,7 +168,7 @@ router.get('/stats', async (req, res) => {
 });
 
 // Get detailed user information
-router.get('/users/:userId', async (req, res) => {
+router.get('/users/:userId', requirePermission('users.read'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -193,7 +208,7 @@ router.get('/users/:userId', async (req, res) => {
 });
 
 // Update user status (activate/suspend)
-router.put('/users/:userId/status', async (req, res) => {
+router.put('/users/:userId/status', requirePermission('users.suspend'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isActive } = req.body;
@@ -214,6 +229,19 @@ router.put('/users/:userId/status', async (req, res) => {
       updatedAt: new Date().toISOString()
     });
 
+    // Postgres is the source of truth for authentication; suspension ends every session
+    await pg.query('UPDATE users SET is_active = $1 WHERE uid = $2', [isActive, userId]);
+    if (!isActive) {
+      await authService.revokeAllSessions(userId, 'suspended');
+    }
+
+    await recordAuditEvent(req, {
+      action: isActive ? 'users.activate' : 'users.suspend',
+      targetId: userId,
+      before: { isActive: userDoc.data().isActive ?? null },
+      after: { isActive }
+    });
+
     const action = isActive ? 'activated' : 'suspended';
     res.json({ 
       message: `User ${action} successfully`,
@@ -227,8 +255,147 @@ router.put('/users/:userId/status', async (req, res) => {
   }
 });
 
+// Lift a temporary login lockout
+router.post('/users/:userId/unlock', requirePermission('users.unlock'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const userRes = await pg.query('SELECT uid, email FROM users WHERE uid = $1 LIMIT 1', [userId]);
+    if (userRes.rowCount === 0) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    const { email } = userRes.rows[0];
+    if (!email) {
+      return res.status(400).json({ message: 'User has no email address' });
+    }
+    const unlocked = await loginThrottle.unlockAccount(email, req.user.uid);
+    await recordAuditEvent(req, { action: 'users.unlock', targetId: userId, metadata: { email, unlocked } });
+    res.json({
+      message: unlocked ? 'Account unlocked successfully' : 'Account was not locked; failed attempts cleared',
+      userId,
+      unlocked
+    });
+  } catch (error) {
+    console.error('Unlock account error:', error);
+    res.status(500).json({ message: 'Server error while unlocking account' });
+  }
+});
+
+// List a user's active sessions
+router.get('/users/:userId/sessions', requirePermission('users.read'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const sessions = await authService.listActiveSessions(userId);
+    res.json({ userId, sessions });
+  } catch (error) {
+    console.error('List user sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
+// Revoke a single session
+router.delete('/users/:userId/sessions/:sessionId', requirePermission('users.sessions.revoke'), async (req, res) => {
+  try {
+    const { userId, sessionId } = req.params;
+    const revoked = await authService.revokeSession(userId, sessionId, 'admin_revoked');
+    if (!revoked) {
+      return res.status(404).json({ message: 'Active session not found' });
+    }
+    await recordAuditEvent(req, { action: 'users.sessions.revoke', targetId: userId, metadata: { sessionId } });
+    res.json({ message: 'Session revoked successfully', userId, sessionId });
+  } catch (error) {
+    console.error('Revoke session error:', error);
+    res.status(500).json({ message: 'Server error while revoking session' });
+  }
+});
+
+// Revoke all of a user's sessions
+router.delete('/users/:userId/sessions', requirePermission('users.sessions.revoke'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const revoked = await authService.revokeAllSessions(userId, 'admin_revoked');
+    await recordAuditEvent(req, { action: 'users.sessions.revoke_all', targetId: userId, metadata: { revokedSessions: revoked } });
+    res.json({ message: 'All sessions revoked successfully', userId, revokedSessions: revoked });
+  } catch (error) {
+    console.error('Revoke all sessions error:', error);
+    res.status(500).json({ message: 'Server error while revoking sessions' });
+  }
+});
+
+// Issue a short-lived, read-only token to see the app as this user
+router.post('/users/:userId/impersonate', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const reason = typeof req.body?.reason === 'string' ? req.body.reason.trim() : '';
+    if (!reason) {
+      return res.status(400).json({ message: 'A reason (e.g. the support ticket) is required' });
+    }
+    if (userId === req.user.uid) {
+      return res.status(400).json({ message: 'You cannot impersonate yourself' });
+    }
+    const target = await authService.findUserByUid(userId);
+    if (!target) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    // Staff accounts are never impersonated
+    if (isMfaRequiredForRole(target.role)) {
+      return res.status(403).json({ message: 'Staff accounts cannot be impersonated' });
+    }
+    if (!target.is_active) {
+      return res.status(400).json({ message: 'Cannot impersonate a suspended account' });
+    }
+    const result = await authService.startImpersonation(req.user, target, { reason });
+    await recordAuditEvent(req, {
+      action: 'users.impersonate',
+      targetId: userId,
+      metadata: { impersonationId: result.impersonationId, reason, expiresAt: result.expiresAt }
+    });
+    res.status(201).json({
+      message: 'Impersonation session started',
+      token: result.token,
+      impersonationId: result.impersonationId,
+      expiresAt: result.expiresAt,
+      readOnly: true,
+      user: { uid: target.uid, email: target.email, role: target.role, displayName: target.display_name }
+    });
+  } catch (error) {
+    console.error('Start impersonation error:', error);
+    res.status(500).json({ message: 'Server error while starting impersonation' });
+  }
+});
+
+// Impersonation sessions that are currently open
+router.get('/impersonations', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const impersonations = await authService.listActiveImpersonations();
+    res.json({ impersonations });
+  } catch (error) {
+    console.error('List impersonations error:', error);
+    res.status(500).json({ message: 'Server error while fetching impersonation sessions' });
+  }
+});
+
+// End an impersonation session early
+router.delete('/impersonations/:impersonationId', requirePermission('users.impersonate'), async (req, res) => {
+  try {
+    const { impersonationId } = req.params;
+    const ended = await authService.endImpersonation(impersonationId);
+    if (!ended) {
+      return res.status(404).json({ message: 'Active impersonation session not found' });
+    }
+    await recordAuditEvent(req, {
+      action: 'users.impersonate_end',
+      targetId: ended.target_id,
+      metadata: { impersonationId, impersonatorId: ended.impersonator_id }
+    });
+    res.json({ message: 'Impersonation session ended', impersonationId });
+  } catch (error) {
+    console.error('End impersonation error:', error);
+    res.status(500).json({ message: 'Server error while ending impersonation' });
+  }
+});
+
 // Update user sponsor status
-router.put('/users/:userId/sponsor', async (req, res) => {
+router.put('/users/:userId/sponsor', requirePermission('users.sponsor'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { isSponsored } = req.body;
@@ -258,6 +425,16 @@ router.put('/users/:userId/sponsor', async (req, res) => {
       updatedAt: new Date().toISOString()
     });
 
+    await recordAuditEvent(req, {
+      action: 'users.sponsor',
+      targetId: userId,
+      before: { isSponsored: userData.isSponsored ?? null },
+      after: { isSponsored }
+    });
+    if ((userData.isSponsored ?? false) !== isSponsored) {
+      await notify(userId, 'sponsor.updated', { isSponsored });
+    }
+
     const action = isSponsored ? 'added to' : 'removed from';
     res.json({ 
       message: `User ${action} sponsored list successfully`,
@@ -272,7 +449,7 @@ router.put('/users/:userId/sponsor', async (req, res) => {
 });
 
 // Edit user profile
-router.put('/users/:userId', async (req, res) => {
+router.put('/users/:userId', requirePermission('users.edit'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { fullName, email, role, isActive } = req.body;
@@ -316,6 +493,14 @@ router.put('/users/:userId', async (req, res) => {
 
     await db.collection('users').doc(userId).update(updateData);
 
+    const previous = userDoc.data();
+    await recordAuditEvent(req, {
+      action: 'users.edit',
+      targetId: userId,
+      before: { fullName: previous.fullName ?? null, email: previous.email ?? null, role: previous.role ?? null, isActive: previous.isActive ?? null },
+      after: { fullName, email, role, isActive: typeof isActive === 'boolean' ? isActive : (previous.isActive ?? null) }
+    });
+
     res.json({ 
       message: 'User profile updated successfully',
       userId,
@@ -329,7 +514,7 @@ router.put('/users/:userId', async (req, res) => {
 });
 
 // Change user password
-router.put('/users/:userId/password', async (req, res) => {
+router.put('/users/:userId/password', requirePermission('users.change_password'), async (req, res) => {
   try {
     const { userId } = req.params;
     const { newPassword } = req.body;
@@ -356,6 +541,9 @@ router.put('/users/:userId/password', async (req, res) => {
       updatedAt: new Date().toISOString()
     });
 
+    await recordAuditEvent(req, { action: 'users.change_password', targetId: userId });
+    await notify(userId, 'account.password_changed', { changedAt: new Date().toISOString() });
+
     res.json({ 
       message: 'Password updated successfully',
       userId
@@ -379,7 +567,7 @@ router.put('/users/:userId/password', async (req, res) => {
 });
 
 // Delete user
-router.delete('/users/:userId', async (req, res) => {
+router.delete('/users/:userId', requirePermission('users.delete'), async (req, res) => {
   try {
     const { userId } = req.params;
 
@@ -406,6 +594,12 @@ router.delete('/users/:userId', async (req, res) => {
     // Delete user from Firestore
     await db.collection('users').doc(userId).delete();
 
+    await recordAuditEvent(req, {
+      action: 'users.delete',
+      targetId: userId,
+      before: { fullName: userData.fullName ?? null, email: userData.email ?? null, role: userData.role ?? null }
+    });
+
     // Also delete related data (optional - you might want to keep some data for audit purposes)
     // Delete user's profile data if it exists
     const profileCollections = ['influencerProfiles', 'ugcCreatorProfiles', 'brandProfiles'];
@@ -433,4 +627,481 @@ router.delete('/users/:userId', async (req, res) => {
   }
 });
 
-module.exports = router;
\ No newline at end of file
+// Permission registry and the current role → permission mapping
+router.get('/permissions', requirePermission('users.read'), async (req, res) => {
+  try {
+    const roles = await permissionService.getRolePermissionMap();
+    res.json({ permissions: permissionService.PERMISSIONS, roles });
+  } catch (error) {
+    console.error('Get permissions error:', error);
+    res.status(500).json({ message: 'Server error while fetching permissions' });
+  }
+});
+
+// Replace the permissions granted to a role
+router.put('/roles/:role/permissions', requirePermission('permissions.manage'), async (req, res) => {
+  try {
+    const { role } = req.params;
+    const { permissions } = req.body;
+    if (!Array.isArray(permissions) || permissions.some(p => typeof p !== 'string')) {
+      return res.status(400).json({ message: 'permissions must be an array of permission keys' });
+    }
+    // Guard against an admin locking everyone out of permission management
+    if (role === 'admin' && !permissions.includes('permissions.manage')) {
+      return res.status(400).json({ message: 'The admin role must keep permissions.manage' });
+    }
+    const before = (await permissionService.getRolePermissionMap())[role] || [];
+    const updated = await permissionService.setRolePermissions(role, permissions);
+    await recordAuditEvent(req, {
+      action: 'permissions.update',
+      targetType: 'role',
+      targetId: role,
+      before: { permissions: before },
+      after: { permissions: Array.from(updated).sort() }
+    });
+    res.json({ message: 'Role permissions updated successfully', role, permissions: Array.from(updated).sort() });
+  } catch (error) {
+    if (error.code === 'UNKNOWN_PERMISSION') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update role permissions error:', error);
+    res.status(500).json({ message: 'Server error while updating role permissions' });
+  }
+});
+
+const auditFilters = (query) => ({
+  actorId: query.actor || undefined,
+  impersonatorId: query.impersonator || undefined,
+  targetId: query.target || undefined,
+  targetType: query.targetType || undefined,
+  action: query.action || undefined,
+  from: query.from || undefined,
+  to: query.to || undefined
+});
+
+const invalidDate = (value) => value && Number.isNaN(new Date(value).getTime());
+
+// Search the audit log (?actor, ?impersonator, ?target, ?targetType, ?action, ?from, ?to, ?page, ?limit; ?format=csv to export)
+router.get('/audit', requirePermission('audit.read'), async (req, res) => {
+  try {
+    const { from, to, format } = req.query;
+    if (invalidDate(from) || invalidDate(to)) {
+      return res.status(400).json({ message: 'from and to must be valid dates' });
+    }
+    const filters = auditFilters(req.query);
+
+    if (format === 'csv') {
+      await recordAuditEvent(req, { action: 'audit.export', targetType: 'audit', metadata: { filters } });
+      res.setHeader('Content-Type', 'text/csv; charset=utf-8');
+      res.setHeader('Content-Disposition', `attachment; filename="audit-${new Date().toISOString().slice(0, 10)}.csv"`);
+      await exportAuditEventsCsv(filters, chunk => res.write(chunk));
+      return res.end();
+    }
+
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { events, total } = await queryAuditEvents(filters, { page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      events,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalEvents: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get audit log error:', error);
+    if (res.headersSent) {
+      return res.end();
+    }
+    res.status(500).json({ message: 'Server error while fetching audit log' });
+  }
+});
+
+// Chat contact-info filter rules
+router.get('/moderation/filter-rules', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const result = await contentFilter.listRules();
+    res.json(result);
+  } catch (error) {
+    console.error('List filter rules error:', error);
+    res.status(500).json({ message: 'Server error while fetching filter rules' });
+  }
+});
+
+const filterRuleErrorStatus = (error) => {
+  if (['INVALID_PATTERN', 'INVALID_RULE'].includes(error?.code)) return 400;
+  if (error?.code === 'RULE_EXISTS') return 409;
+  return null;
+};
+
+router.post('/moderation/filter-rules', requirePermission('moderation.rules.manage'), async (req, res) => {
+  try {
+    const { id, kind, pattern, flags, replacement, exemptRoles, enabled, description } = req.body || {};
+    if (typeof id !== 'string' || !/^[a-z0-9_]{2,50}$/.test(id)) {
+      return res.status(400).json({ message: 'id must be 2-50 lowercase letters, digits or underscores' });
+    }
+    if (typeof pattern !== 'string' || !pattern || !kind) {
+      return res.status(400).json({ message: 'kind and pattern are required' });
+    }
+    if (exemptRoles !== undefined && !Array.isArray(exemptRoles)) {
+      return res.status(400).json({ message: 'exemptRoles must be an array of roles' });
+    }
+    const rule = await contentFilter.createRule({ id, kind, pattern, flags, replacement, exemptRoles, enabled, description }, req.user.uid);
+    await recordAuditEvent(req, { action: 'moderation.rule_create', targetType: 'filter_rule', targetId: id, after: rule });
+    res.status(201).json({ message: 'Filter rule created', rule });
+  } catch (error) {
+    const status = filterRuleErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ message: status === 409 ? 'A rule with this id already exists' : error.message });
+    }
+    console.error('Create filter rule error:', error);
+    res.status(500).json({ message: 'Server error while creating filter rule' });
+  }
+});
+
+router.put('/moderation/filter-rules/:ruleId', requirePermission('moderation.rules.manage'), async (req, res) => {
+  try {
+    const { kind, pattern, flags, replacement, exemptRoles, enabled, description } = req.body || {};
+    if (exemptRoles !== undefined && !Array.isArray(exemptRoles)) {
+      return res.status(400).json({ message: 'exemptRoles must be an array of roles' });
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+      return res.status(400).json({ message: 'enabled must be a boolean value' });
+    }
+    const result = await contentFilter.updateRule(req.params.ruleId, { kind, pattern, flags, replacement, exemptRoles, enabled, description }, req.user.uid);
+    if (!result) {
+      return res.status(404).json({ message: 'Filter rule not found' });
+    }
+    await recordAuditEvent(req, {
+      action: 'moderation.rule_update',
+      targetType: 'filter_rule',
+      targetId: req.params.ruleId,
+      before: result.before,
+      after: result.after
+    });
+    res.json({ message: 'Filter rule updated', rule: result.after });
+  } catch (error) {
+    const status = filterRuleErrorStatus(error);
+    if (status) {
+      return res.status(status).json({ message: error.message });
+    }
+    console.error('Update filter rule error:', error);
+    res.status(500).json({ message: 'Server error while updating filter rule' });
+  }
+});
+
+router.delete('/moderation/filter-rules/:ruleId', requirePermission('moderation.rules.manage'), async (req, res) => {
+  try {
+    const removed = await contentFilter.deleteRule(req.params.ruleId);
+    if (!removed) {
+      return res.status(404).json({ message: 'Filter rule not found' });
+    }
+    await recordAuditEvent(req, { action: 'moderation.rule_delete', targetType: 'filter_rule', targetId: req.params.ruleId, before: removed });
+    res.json({ message: 'Filter rule deleted', ruleId: req.params.ruleId });
+  } catch (error) {
+    console.error('Delete filter rule error:', error);
+    res.status(500).json({ message: 'Server error while deleting filter rule' });
+  }
+});
+
+// Moderation queue of filtered messages (?status, ?sender, ?page, ?limit). Includes the original text.
+router.get('/moderation/queue', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!moderationService.FLAG_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${moderationService.FLAG_STATUSES.join(', ')}` });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { flags, total } = await moderationService.listQueue({ status, senderId: req.query.sender, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      flags,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalFlags: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get moderation queue error:', error);
+    res.status(500).json({ message: 'Server error while fetching moderation queue' });
+  }
+});
+
+// Users flagged at least ?minFlags times in the last ?days days
+router.get('/moderation/offenders', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 30, 1), 365);
+    const minFlags = Math.max(parseInt(req.query.minFlags, 10) || 3, 1);
+    const offenders = await moderationService.listRepeatOffenders({ days, minFlags });
+    res.json({ offenders, days, minFlags });
+  } catch (error) {
+    console.error('Get repeat offenders error:', error);
+    res.status(500).json({ message: 'Server error while fetching repeat offenders' });
+  }
+});
+
+// Resolve a flag: dismiss, warn the sender, or suspend them
+router.post('/moderation/flags/:flagId/resolve', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const { action, note } = req.body || {};
+    if (!moderationService.RESOLUTION_ACTIONS[action]) {
+      return res.status(400).json({ message: 'action must be one of: dismiss, warn, suspend' });
+    }
+    if (action === 'suspend' && !(await permissionService.hasPermission(req.user.role, 'users.suspend'))) {
+      return res.status(403).json({ message: 'Access denied. You do not have permission to perform this action.', required: ['users.suspend'] });
+    }
+    const result = await moderationService.resolveFlag(req.params.flagId, { action, note, reviewerId: req.user.uid });
+    if (action === 'suspend') {
+      // Keep the Firestore user list in step with Postgres
+      try {
+        await db.collection('users').doc(result.flag.senderId).update({ isActive: false, updatedAt: new Date().toISOString() });
+      } catch (firestoreError) {
+        console.warn('Firestore status update skipped:', firestoreError.message);
+      }
+    }
+    await recordAuditEvent(req, {
+      action: `moderation.${action}`,
+      targetId: result.flag.senderId,
+      metadata: { flagId: result.flag.id, messageId: result.flag.messageId, note: note || null, resolvedFlags: result.resolvedFlags, warningId: result.warningId }
+    });
+    res.json({ message: 'Flag resolved', flagId: result.flag.id, status: result.status, resolvedFlags: result.resolvedFlags });
+  } catch (error) {
+    const msg = String(error?.message || error);
+    if (msg === 'FLAG_NOT_FOUND') {
+      return res.status(404).json({ message: 'Flag not found' });
+    }
+    if (msg === 'FLAG_ALREADY_RESOLVED') {
+      return res.status(409).json({ message: 'Flag has already been resolved' });
+    }
+    console.error('Resolve moderation flag error:', error);
+    res.status(500).json({ message: 'Server error while resolving flag' });
+  }
+});
+
+// A chat message with its edit history and deletion state
+router.get('/moderation/messages/:messageId', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const message = await moderationService.getMessageHistory(req.params.messageId);
+    if (!message) {
+      return res.status(404).json({ message: 'Message not found' });
+    }
+    res.json({ message });
+  } catch (error) {
+    console.error('Get message history error:', error);
+    res.status(500).json({ message: 'Server error while fetching message history' });
+  }
+});
+
+// How long messages, attachments and deleted messages are kept (days; null = forever)
+router.get('/retention-policy', requirePermission('retention.manage'), async (req, res) => {
+  try {
+    const policy = await retentionService.getPolicy();
+    res.json({ policy });
+  } catch (error) {
+    console.error('Get retention policy error:', error);
+    res.status(500).json({ message: 'Server error while fetching retention policy' });
+  }
+});
+
+router.put('/retention-policy', requirePermission('retention.manage'), async (req, res) => {
+  try {
+    const { messageDays, attachmentDays, deletedMessageDays } = req.body || {};
+    const result = await retentionService.updatePolicy({ messageDays, attachmentDays, deletedMessageDays }, req.user.uid);
+    const fields = ({ messageDays: m, attachmentDays: a, deletedMessageDays: d }) => ({ messageDays: m, attachmentDays: a, deletedMessageDays: d });
+    await recordAuditEvent(req, {
+      action: 'retention.update',
+      targetType: 'retention_policy',
+      before: fields(result.before),
+      after: fields(result.after)
+    });
+    res.json({ message: 'Retention policy updated', policy: result.after });
+  } catch (error) {
+    if (error?.code === 'INVALID_POLICY') {
+      return res.status(400).json({ message: error.message });
+    }
+    console.error('Update retention policy error:', error);
+    res.status(500).json({ message: 'Server error while updating retention policy' });
+  }
+});
+
+// User reports raised from conversations, newest first
+router.get('/reports', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !safetyService.REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${safetyService.REPORT_STATUSES.join(', ')}` });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { reports, total } = await safetyService.listReports({ status, reportedUserId: req.query.reportedUser, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      reports,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReports: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user reports error:', error);
+    res.status(500).json({ message: 'Server error while fetching reports' });
+  }
+});
+
+router.get('/reports/:reportId', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const report = await safetyService.getReport(req.params.reportId);
+    if (!report) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    res.json({ report });
+  } catch (error) {
+    console.error('Get user report error:', error);
+    res.status(500).json({ message: 'Server error while fetching report' });
+  }
+});
+
+// Triage a report: change its status, assign it, or record how it was handled
+router.put('/reports/:reportId', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const { status, assignedTo, resolutionNote } = req.body || {};
+    if (status !== undefined && !safetyService.REPORT_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${safetyService.REPORT_STATUSES.join(', ')}` });
+    }
+    const before = await safetyService.getReport(req.params.reportId);
+    if (!before) {
+      return res.status(404).json({ message: 'Report not found' });
+    }
+    const report = await safetyService.updateReport(req.params.reportId, { status, assignedTo, resolutionNote }, req.user.uid);
+    await recordAuditEvent(req, {
+      action: 'reports.update',
+      targetType: 'report',
+      targetId: String(report.id),
+      before: { status: before.status, assignedTo: before.assignedTo },
+      after: { status: report.status, assignedTo: report.assignedTo },
+      metadata: { reportedUserId: report.reportedUserId, resolutionNote: resolutionNote || null }
+    });
+    res.json({ message: 'Report updated', report });
+  } catch (error) {
+    console.error('Update user report error:', error);
+    res.status(500).json({ message: 'Server error while updating report' });
+  }
+});
+
+// Refund money held in a collaboration's escrow to the brand ({ amount, reason };
+// amount defaults to everything held)
+router.post('/collaborations/:collaborationId/refunds', requirePermission('payments.manage'), async (req, res) => {
+  try {
+    const collaboration = await collaborationService.getCollaboration(req.params.collaborationId);
+    if (!collaboration) {
+      return res.status(404).json({ message: 'Collaboration not found' });
+    }
+    const { amount, reason } = req.body || {};
+    const refunds = await paymentService.refund(collaboration, req.user.uid, { amount, reason });
+    const total = refunds.reduce((sum, r) => sum + r.amount, 0);
+    await recordAuditEvent(req, {
+      action: 'payments.refund',
+      targetType: 'collaboration',
+      targetId: collaboration.id,
+      metadata: { amount: total, currency: collaboration.currency, transactionIds: refunds.map(r => r.id), reason: reason || null }
+    });
+    const brandRecipients = await collaborationService.getBrandRecipients(collaboration);
+    await notify([collaboration.creatorId, ...brandRecipients], 'payment.refunded', {
+      collaborationId: collaboration.id,
+      title: collaboration.title,
+      amount: total,
+      currency: refunds[0]?.currency || collaboration.currency
+    });
+    res.json({ message: 'Refund issued', refunds, payments: await paymentService.getEscrowSummary(collaboration) });
+  } catch (error) {
+    const code = error?.code;
+    if (code === 'INVALID_PAYMENT') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (code === 'NOTHING_HELD') {
+      return res.status(409).json({ message: 'Nothing is held in escrow for this collaboration' });
+    }
+    if (code === 'PAYMENT_DECLINED') {
+      return res.status(502).json({ message: `The payment provider refused the refund: ${error.message}` });
+    }
+    console.error('Escrow refund error:', error);
+    res.status(500).json({ message: 'Server error while issuing refund' });
+  }
+});
+
+// Collaboration reviews for moderation (?status=visible|hidden|removed, ?reviewee)
+router.get('/reviews', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['visible', 'hidden', 'removed'].includes(status)) {
+      return res.status(400).json({ message: 'status must be one of: visible, hidden, removed' });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const { reviews, total } = await reviewService.listReviewsForModeration({ status, revieweeId: req.query.reviewee, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      reviews,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get reviews for moderation error:', error);
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// Take down an abusive review; it is hidden everywhere and leaves the creator's rating
+router.post('/reviews/:reviewId/takedown', requirePermission('moderation.review'), async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.reviewId)) {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    const reason = req.body?.reason;
+    const review = await reviewService.takedownReview(req.params.reviewId, req.user.uid, reason);
+    await recordAuditEvent(req, {
+      action: 'reviews.takedown',
+      targetType: 'review',
+      targetId: String(review.id),
+      before: { comment: review.comment, rating: review.rating },
+      metadata: { collaborationId: review.collaborationId, reviewerId: review.reviewerId, revieweeId: review.revieweeId, reason: review.removalReason }
+    });
+    await notify(review.reviewerId, 'review.removed', { collaborationId: review.collaborationId, reviewId: review.id });
+    res.json({ message: 'Review taken down', review });
+  } catch (error) {
+    const code = error?.code;
+    if (code === 'INVALID_REVIEW') {
+      return res.status(400).json({ message: error.message });
+    }
+    if (code === 'REVIEW_NOT_FOUND') {
+      return res.status(404).json({ message: 'Review not found' });
+    }
+    if (code === 'REVIEW_ALREADY_REMOVED') {
+      return res.status(409).json({ message: 'Review has already been taken down' });
+    }
+    console.error('Take down review error:', error);
+    res.status(500).json({ message: 'Server error while taking down review' });
+  }
+});
+
+module.exports = router;
@@ -4,10 +4,45 @@ const { body, validationResult } = require('express-validator');
 const crypto = require('crypto');
 const nodemailer = require('nodemailer');
 const authService = require('../services/authService');
+const mfaService = require('../services/mfaService');
+const loginThrottle = require('../services/loginThrottleService');
+const { recordAuditEvent } = require('../services/auditService');
+const { notify } = require('../services/notificationService');
+const { authMiddleware, denyImpersonation } = require('../middleware/auth');
 const pg = require('../services/db');
+const { sendMail, frontendUrl } = require('../services/mailService');
 
 const router = express.Router();
 
+const VERIFICATION_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Issue a verification token and email it. Returns the link when it could not be delivered
+// so development environments can still complete the flow.
+async function sendVerificationEmail(uid, email) {
+  const token = await authService.createEmailVerification(uid, email);
+  const verifyLink = frontendUrl(`/verify-email?token=${token}`);
+  const { sent, error } = await sendMail({
+    to: email,
+    subject: 'Verify your Buzzaz email address',
+    html: `
+      <p>Welcome to Buzzaz!</p>
+      <p>Click <a href="${verifyLink}">here</a> to verify your email address. This link expires in 24 hours.</p>
+      <p>If you did not create an account, please ignore this email.</p>
+    `
+  });
+  return { sent, error, verifyLink };
+}
+
+const requestContext = (req) => ({ userAgent: req.header('User-Agent') || null, ip: req.ip || null });
+
+const sendThrottled = (res, gate) => {
+  res.set('Retry-After', String(gate.retryAfterSeconds));
+  const message = gate.reason === 'ACCOUNT_LOCKED'
+    ? 'Account temporarily locked due to too many failed login attempts. Please try again later.'
+    : 'Too many attempts. Please try again later.';
+  return res.status(429).json({ message, code: gate.reason, retryAfterSeconds: gate.retryAfterSeconds });
+};
+
 // Register endpoint
 router.post('/register', [
   body('email').isEmail().normalizeEmail(),
@@ -20,8 +55,19 @@ router.post('/register', [
       return res.status(400).json({ errors: errors.array() });
     }
     const { email, password, role, displayName } = req.body;
-    const result = await authService.register({ email, password, role, displayName });
-    return res.status(201).json({ message: 'User created successfully', ...result });
+    const result = await authService.register({ email, password, role, displayName }, requestContext(req));
+    const payload = { message: 'User created successfully', ...result };
+    try {
+      const verification = await sendVerificationEmail(result.user.uid, result.user.email);
+      if (!verification.sent && process.env.NODE_ENV !== 'production') {
+        payload.devVerificationLink = verification.verifyLink;
+        if (verification.error) payload.emailError = verification.error;
+      }
+    } catch (err) {
+      // Registration succeeded; the user can request a new verification email
+      console.error('Verification email error:', err);
+    }
+    return res.status(201).json(payload);
   } catch (error) {
     console.error('Registration error:', error);
     const raw = String(error?.message || error);
@@ -53,7 +99,24 @@ router.post('/login', [
       return res.status(400).json({ errors: errors.array() });
     }
     const { email, password } = req.body;
-    const result = await authService.login({ email, password });
+    const ip = req.ip || null;
+    const gate = await loginThrottle.checkLogin({ email, ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+    let result;
+    try {
+      result = await authService.login({ email, password }, requestContext(req));
+    } catch (err) {
+      if (err?.message === 'Invalid credentials') {
+        await loginThrottle.recordLoginFailure({ email, ip });
+      }
+      throw err;
+    }
+    await loginThrottle.recordLoginSuccess({ email, ip });
+    if (result.mfaRequired) {
+      return res.json({ message: 'Multi-factor authentication required', ...result });
+    }
     return res.json({ message: 'Login successful', ...result });
   } catch (error) {
     const msg = String(error?.message || error);
@@ -77,14 +140,323 @@ router.post('/verify', async (req, res) => {
       return res.status(401).json({ message: 'No token provided' });
     }
     const payload = authService.verifyToken(token);
+    if (payload.purpose) {
+      return res.status(401).json({ valid: false, message: 'Invalid token' });
+    }
+    if (payload.sid && !(await authService.isSessionActive(payload.sid))) {
+      return res.status(401).json({ valid: false, message: 'Session has been revoked' });
+    }
+    if (payload.imp && !(payload.isid && (await authService.isImpersonationActive(payload.isid)))) {
+      return res.status(401).json({ valid: false, message: 'Impersonation session has ended' });
+    }
     const user = await authService.findUserByUid(payload.uid);
     if (!user) return res.status(401).json({ message: 'User not found' });
-    res.json({ valid: true, user: { uid: user.uid, email: user.email, role: user.role, displayName: user.display_name } });
+    if (!user.is_active) return res.status(401).json({ valid: false, message: 'Account is suspended' });
+    // The client shows an impersonation banner while `impersonatedBy` is set
+    res.json({
+      valid: true,
+      user: { uid: user.uid, email: user.email, role: user.role, displayName: user.display_name, emailVerified: !!user.email_verified },
+      impersonatedBy: payload.imp || null,
+      readOnly: !!payload.imp
+    });
   } catch (error) {
     res.status(401).json({ valid: false, message: 'Invalid token' });
   }
 });
 
+// Complete login with a TOTP code or recovery code after the password step
+router.post('/mfa/verify', [
+  body('mfaToken').isString().notEmpty(),
+  body('code').optional().isString(),
+  body('recoveryCode').optional().isString()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { mfaToken, code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return res.status(400).json({ message: 'A verification code or recovery code is required' });
+    }
+    const { user, challengeId } = await authService.verifyMfaChallenge(mfaToken, ['mfa_challenge']);
+    const attempt = { uid: user.uid, ip: req.ip || null, challengeId };
+    const gate = await loginThrottle.checkMfa(attempt);
+    if (!gate.allowed) {
+      if (gate.reason === 'MFA_CHALLENGE_EXHAUSTED') {
+        return res.status(401).json({ message: 'Too many invalid codes, please log in again', code: gate.reason });
+      }
+      return sendThrottled(res, gate);
+    }
+    let result;
+    try {
+      result = await authService.completeMfaLogin(mfaToken, { code, recoveryCode }, requestContext(req));
+    } catch (err) {
+      if (err?.message === 'INVALID_MFA_CODE') {
+        await loginThrottle.recordMfaFailure(attempt);
+      }
+      throw err;
+    }
+    await loginThrottle.recordMfaSuccess(attempt);
+    res.json({ message: 'Login successful', ...result });
+  } catch (error) {
+    const msg = String(error?.message || error);
+    if (msg === 'Invalid MFA challenge') {
+      return res.status(401).json({ message: 'Invalid or expired MFA challenge, please log in again' });
+    }
+    if (msg === 'INVALID_MFA_CODE') {
+      return res.status(401).json({ message: 'Invalid verification code' });
+    }
+    console.error('MFA verify error:', error);
+    res.status(500).json({ message: 'Server error during MFA verification' });
+  }
+});
+
+// MFA setup accepts either a normal access token (optional enrollment) or the
+// enrollment challenge returned by login for roles where MFA is mandatory
+const mfaSetupAuth = async (req, res, next) => {
+  const mfaToken = req.body?.mfaToken;
+  if (!mfaToken) {
+    return authMiddleware(req, res, next);
+  }
+  try {
+    const { user } = await authService.verifyMfaChallenge(mfaToken, ['mfa_enroll']);
+    req.user = { uid: user.uid, email: user.email, role: user.role, displayName: user.display_name };
+    req.mfaPendingLogin = true;
+    next();
+  } catch (error) {
+    return res.status(401).json({ message: 'Invalid or expired MFA challenge, please log in again' });
+  }
+};
+
+// Start TOTP enrollment: returns the secret and an otpauth:// URI for the QR code
+router.post('/mfa/setup', mfaSetupAuth, denyImpersonation, async (req, res) => {
+  try {
+    if (!mfaService.isMfaEligibleRole(req.user.role)) {
+      return res.status(403).json({ message: 'Multi-factor authentication is not available for this account type' });
+    }
+    const { secret, otpauthUri } = await mfaService.startEnrollment(req.user.uid, req.user.email);
+    res.json({ message: 'Scan the QR code with your authenticator app, then confirm with a code', secret, otpauthUri });
+  } catch (error) {
+    if (error?.message === 'MFA_ALREADY_ENABLED') {
+      return res.status(400).json({ message: 'Multi-factor authentication is already enabled' });
+    }
+    console.error('MFA setup error:', error);
+    res.status(500).json({ message: 'Server error during MFA setup' });
+  }
+});
+
+// Confirm enrollment with a first code; returns one-time recovery codes
+router.post('/mfa/confirm', mfaSetupAuth, denyImpersonation, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const recoveryCodes = await mfaService.confirmEnrollment(req.user.uid, req.body.code);
+    await recordAuditEvent(req, { action: 'account.mfa_enable', targetId: req.user.uid });
+    const payload = { message: 'Multi-factor authentication enabled', recoveryCodes };
+    if (req.mfaPendingLogin) {
+      // Enrollment was the last step of a login; finish it with an MFA-verified session
+      const user = await authService.findUserByUid(req.user.uid);
+      Object.assign(payload, await authService.issueSession(user, requestContext(req), { mfaVerified: true }));
+    }
+    res.json(payload);
+  } catch (error) {
+    const msg = String(error?.message || error);
+    if (msg === 'INVALID_MFA_CODE') {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    if (msg === 'MFA_NOT_STARTED') {
+      return res.status(400).json({ message: 'Start MFA setup first' });
+    }
+    if (msg === 'MFA_ALREADY_ENABLED') {
+      return res.status(400).json({ message: 'Multi-factor authentication is already enabled' });
+    }
+    console.error('MFA confirm error:', error);
+    res.status(500).json({ message: 'Server error during MFA confirmation' });
+  }
+});
+
+// MFA status for the current user
+router.get('/mfa/status', authMiddleware, denyImpersonation, async (req, res) => {
+  try {
+    const enabled = await mfaService.isMfaEnabled(req.user.uid);
+    res.json({
+      enabled,
+      required: mfaService.isMfaRequiredForRole(req.user.role),
+      eligible: mfaService.isMfaEligibleRole(req.user.role),
+      sessionVerified: req.user.mfaVerified,
+      remainingRecoveryCodes: enabled ? await mfaService.countRemainingRecoveryCodes(req.user.uid) : 0
+    });
+  } catch (error) {
+    console.error('MFA status error:', error);
+    res.status(500).json({ message: 'Server error while fetching MFA status' });
+  }
+});
+
+// Replace recovery codes (requires a current TOTP code)
+router.post('/mfa/recovery-codes', authMiddleware, denyImpersonation, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const ok = await mfaService.verifyTotpForUser(req.user.uid, req.body.code);
+    if (!ok) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    const recoveryCodes = await mfaService.generateRecoveryCodes(req.user.uid);
+    await recordAuditEvent(req, { action: 'account.mfa_recovery_codes_regenerate', targetId: req.user.uid });
+    res.json({ message: 'Recovery codes regenerated', recoveryCodes });
+  } catch (error) {
+    console.error('MFA recovery codes error:', error);
+    res.status(500).json({ message: 'Server error while regenerating recovery codes' });
+  }
+});
+
+// Turn off MFA (not allowed for roles where it is mandatory)
+router.post('/mfa/disable', authMiddleware, denyImpersonation, [
+  body('code').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    if (mfaService.isMfaRequiredForRole(req.user.role)) {
+      return res.status(403).json({ message: 'Multi-factor authentication is mandatory for this account type' });
+    }
+    const ok = await mfaService.verifyTotpForUser(req.user.uid, req.body.code);
+    if (!ok) {
+      return res.status(400).json({ message: 'Invalid verification code' });
+    }
+    await mfaService.disableMfa(req.user.uid);
+    await recordAuditEvent(req, { action: 'account.mfa_disable', targetId: req.user.uid });
+    res.json({ message: 'Multi-factor authentication disabled' });
+  } catch (error) {
+    console.error('MFA disable error:', error);
+    res.status(500).json({ message: 'Server error while disabling MFA' });
+  }
+});
+
+// Confirm an email address using the token from the verification email
+router.post('/verify-email', [
+  body('token').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const result = await authService.consumeEmailVerification(req.body.token);
+    res.json({ message: 'Email verified successfully', uid: result.uid, email: result.email, emailVerified: true });
+  } catch (error) {
+    const msg = String(error?.message || error);
+    if (['Invalid or expired token', 'Token has already been used', 'Token has expired'].includes(msg)) {
+      return res.status(400).json({ message: msg });
+    }
+    console.error('Verify email error:', error);
+    res.status(500).json({ message: 'Server error during email verification' });
+  }
+});
+
+// Send a fresh verification email to the logged-in user
+router.post('/resend-verification', authMiddleware, async (req, res) => {
+  try {
+    const user = await authService.findUserByUid(req.user.uid);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+    if (user.email_verified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+    if (!user.email) {
+      return res.status(400).json({ message: 'No email address on this account' });
+    }
+    const lastSentAt = await authService.getLastEmailVerificationSentAt(user.uid);
+    if (lastSentAt) {
+      const retryAfterMs = new Date(lastSentAt).getTime() + VERIFICATION_RESEND_COOLDOWN_MS - Date.now();
+      if (retryAfterMs > 0) {
+        res.set('Retry-After', String(Math.ceil(retryAfterMs / 1000)));
+        return res.status(429).json({
+          message: 'Please wait before requesting another verification email',
+          retryAfterSeconds: Math.ceil(retryAfterMs / 1000)
+        });
+      }
+    }
+    const verification = await sendVerificationEmail(user.uid, user.email);
+    const responsePayload = { message: 'Verification email sent' };
+    if (!verification.sent && process.env.NODE_ENV !== 'production') {
+      responsePayload.devVerificationLink = verification.verifyLink;
+      if (verification.error) responsePayload.emailError = verification.error;
+    }
+    res.json(responsePayload);
+  } catch (error) {
+    console.error('Resend verification error:', error);
+    res.status(500).json({ message: 'Server error while sending verification email' });
+  }
+});
+
+// Exchange a refresh token for a new access token (rotates the refresh token)
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty()
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const result = await authService.refresh(req.body.refreshToken, requestContext(req));
+    res.json({ message: 'Token refreshed', ...result });
+  } catch (error) {
+    const msg = String(error?.message || error);
+    if (msg === 'JWT_SECRET is not configured') {
+      return res.status(500).json({ message: 'Server configuration error' });
+    }
+    if (msg !== 'Invalid refresh token') {
+      console.error('Refresh token error:', error);
+      return res.status(500).json({ message: 'Server error during token refresh' });
+    }
+    res.status(401).json({ message: 'Invalid or expired refresh token' });
+  }
+});
+
+// Logout the current session, or every session with { allDevices: true }
+router.post('/logout', authMiddleware, async (req, res) => {
+  try {
+    const allDevices = req.body?.allDevices === true;
+    let revoked = 0;
+    if (allDevices) {
+      revoked = await authService.revokeAllSessions(req.user.uid);
+      await recordAuditEvent(req, { action: 'account.logout_all', targetId: req.user.uid, metadata: { revokedSessions: revoked } });
+    } else if (req.user.sessionId) {
+      revoked = await authService.revokeSession(req.user.uid, req.user.sessionId);
+    }
+    res.json({ message: allDevices ? 'Logged out from all devices' : 'Logged out successfully', revokedSessions: revoked });
+  } catch (error) {
+    console.error('Logout error:', error);
+    res.status(500).json({ message: 'Server error during logout' });
+  }
+});
+
+// List the current user's active sessions
+router.get('/sessions', authMiddleware, denyImpersonation, async (req, res) => {
+  try {
+    const sessions = await authService.listActiveSessions(req.user.uid);
+    res.json({
+      sessions: sessions.map(s => ({ ...s, current: s.id === req.user.sessionId })),
+    });
+  } catch (error) {
+    console.error('List sessions error:', error);
+    res.status(500).json({ message: 'Server error while fetching sessions' });
+  }
+});
+
 // Forgot password endpoint (Postgres)
 router.post('/forgot-password', [
   body('email').isEmail().normalizeEmail()
@@ -95,6 +467,12 @@ router.post('/forgot-password', [
       return res.status(400).json({ errors: errors.array() });
     }
     const { email } = req.body;
+    const ip = req.ip || null;
+    const gate = await loginThrottle.checkRequestLimit('forgot_password', { email, ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
+    await loginThrottle.recordAttempt({ scope: 'forgot_password', email, ip, success: true });
     const user = await authService.findUserByEmail(email);
     // Always respond success to avoid account enumeration
     if (!user) {
@@ -156,7 +534,13 @@ router.post('/reset-password', [
       return res.status(400).json({ errors: errors.array() });
     }
     const { token, newPassword } = req.body;
+    const ip = req.ip || null;
+    const gate = await loginThrottle.checkRequestLimit('reset_password', { ip });
+    if (!gate.allowed) {
+      return sendThrottled(res, gate);
+    }
     const resetRes = await pg.query('SELECT token, user_id, expires_at, used FROM password_resets WHERE token = $1 LIMIT 1', [token]);
+    await loginThrottle.recordAttempt({ scope: 'reset_password', email: null, ip, success: resetRes.rowCount > 0 });
     if (resetRes.rowCount === 0) {
       return res.status(400).json({ message: 'Invalid or expired token' });
     }
@@ -176,6 +560,10 @@ router.post('/reset-password', [
     }
     await pg.query(`UPDATE users SET ${passwordCol} = $1, last_login_at = NULL WHERE uid = $2`, [hashedPassword, resetRow.user_id]);
     await pg.query('UPDATE password_resets SET used = TRUE, used_at = NOW() WHERE token = $1', [token]);
+    // A password reset signs the user out everywhere
+    await authService.revokeAllSessions(resetRow.user_id, 'password_reset');
+    await recordAuditEvent(req, { action: 'account.password_reset', targetId: resetRow.user_id, actorId: resetRow.user_id });
+    await notify(resetRow.user_id, 'account.password_reset', { resetAt: new Date().toISOString() });
     res.json({ message: 'Password has been reset successfully' });
   } catch (error) {
     console.error('Reset password error:', error);
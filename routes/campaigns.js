@@ -0,0 +1,284 @@
+const express = require('express');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const campaignService = require('../services/campaignService');
+const collaborationService = require('../services/collaborationService');
+const postVerificationService = require('../services/postVerificationService');
+const pg = require('../services/db');
+const permissionService = require('../services/permissionService');
+const organizationService = require('../services/organizationService');
+const { notify } = require('../services/notificationService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const parsePaging = (query, defaultLimit = 20) => ({
+  page: Math.max(parseInt(query.page, 10) || 1, 1),
+  limit: Math.min(Math.max(parseInt(query.limit, 10) || defaultLimit, 1), 100)
+});
+
+const paginationFor = ({ page, limit }, total, key) => {
+  const totalPages = Math.ceil(total / limit);
+  return {
+    currentPage: page,
+    totalPages,
+    [key]: total,
+    limit,
+    hasNext: page < totalPages,
+    hasPrev: page > 1
+  };
+};
+
+const campaignErrorResponse = (res, error) => {
+  const code = error?.code;
+  if (code === 'INVALID_CAMPAIGN') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (code === 'ORGANIZATION_READ_ONLY') {
+    return res.status(403).json({ message: 'Viewers cannot create campaigns for their organization' });
+  }
+  if (code === 'CAMPAIGN_NOT_OPEN') {
+    return res.status(409).json({ message: 'This campaign is not accepting applications', code });
+  }
+  if (code === 'NOT_ELIGIBLE') {
+    return res.status(403).json({ message: 'Your profile does not match this campaign\'s niches or follower range', code });
+  }
+  if (code === 'ALREADY_APPLIED') {
+    return res.status(409).json({ message: 'You have already applied to this campaign', code });
+  }
+  if (code === 'APPLICATION_WITHDRAWN') {
+    return res.status(409).json({ message: 'This application was withdrawn by the creator', code });
+  }
+  return null;
+};
+
+// Loads :campaignId and the caller's access to it. Anyone else may read open
+// campaigns and campaigns they applied to.
+const loadCampaign = ({ manage = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const campaign = await campaignService.getCampaign(req.params.campaignId);
+      if (!campaign) {
+        return res.status(404).json({ message: 'Campaign not found' });
+      }
+      const access = await campaignService.getCampaignAccess(campaign, req.user.uid);
+      if (manage && !access.canManage) {
+        return res.status(403).json({ message: 'You cannot manage this campaign' });
+      }
+      if (!access.canRead) {
+        const application = await campaignService.getApplicationForCreator(campaign.id, req.user.uid);
+        if (campaign.status !== 'open' && !application) {
+          return res.status(404).json({ message: 'Campaign not found' });
+        }
+        req.myApplication = application;
+      }
+      req.campaign = campaign;
+      req.campaignAccess = access;
+      next();
+    } catch (error) {
+      console.error('Campaign access check error:', error);
+      res.status(500).json({ message: 'Server error while loading campaign' });
+    }
+  };
+};
+
+// Brand side: create a campaign (draft by default, or status "open" to publish)
+router.post('/', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const campaign = await campaignService.createCampaign(req.user, req.body || {});
+    res.status(201).json({ message: 'Campaign created successfully', campaign });
+  } catch (error) {
+    if (campaignErrorResponse(res, error)) return;
+    console.error('Create campaign error:', error);
+    res.status(500).json({ message: 'Server error while creating campaign' });
+  }
+});
+
+// Campaigns the caller or their organization runs (?status, ?page, ?limit)
+router.get('/mine', requirePermission('campaigns.manage'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !campaignService.CAMPAIGN_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${campaignService.CAMPAIGN_STATUSES.join(', ')}` });
+    }
+    const paging = parsePaging(req.query);
+    const { campaigns, total } = await campaignService.listManagedCampaigns(req.user.uid, { status, ...paging });
+    res.json({ campaigns, pagination: paginationFor(paging, total, 'totalCampaigns') });
+  } catch (error) {
+    console.error('Get my campaigns error:', error);
+    res.status(500).json({ message: 'Server error while fetching campaigns' });
+  }
+});
+
+// Creator side: open campaigns matching the caller's niches and follower count (?niche, ?platform)
+router.get('/discover', requirePermission('campaigns.apply'), async (req, res) => {
+  try {
+    const { niche, platform } = req.query;
+    if (platform && !campaignService.PLATFORMS.includes(platform)) {
+      return res.status(400).json({ message: `platform must be one of: ${campaignService.PLATFORMS.join(', ')}` });
+    }
+    const paging = parsePaging(req.query);
+    const { campaigns, total, profile } = await campaignService.discoverCampaigns(req.user.uid, { niche, platform, ...paging });
+    res.json({ campaigns, matchedOn: profile, pagination: paginationFor(paging, total, 'totalCampaigns') });
+  } catch (error) {
+    console.error('Discover campaigns error:', error);
+    res.status(500).json({ message: 'Server error while fetching campaigns' });
+  }
+});
+
+router.get('/applications/mine', requirePermission('campaigns.apply'), async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !campaignService.APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${campaignService.APPLICATION_STATUSES.join(', ')}` });
+    }
+    const applications = await campaignService.listApplicationsForCreator(req.user.uid, { status });
+    res.json({ applications });
+  } catch (error) {
+    console.error('Get my applications error:', error);
+    res.status(500).json({ message: 'Server error while fetching applications' });
+  }
+});
+
+router.get('/:campaignId', loadCampaign(), async (req, res) => {
+  try {
+    if (req.campaignAccess.canRead) {
+      return res.json({ campaign: req.campaign, canManage: req.campaignAccess.canManage });
+    }
+    res.json({ campaign: req.campaign, myApplication: req.myApplication || null, canManage: false });
+  } catch (error) {
+    console.error('Get campaign error:', error);
+    res.status(500).json({ message: 'Server error while fetching campaign' });
+  }
+});
+
+// Partial update; omitted fields keep their value. status moves draft → open → closed.
+router.put('/:campaignId', loadCampaign({ manage: true }), async (req, res) => {
+  try {
+    const campaign = await campaignService.updateCampaign(req.campaign, req.body || {});
+    res.json({ message: 'Campaign updated successfully', campaign });
+  } catch (error) {
+    if (campaignErrorResponse(res, error)) return;
+    console.error('Update campaign error:', error);
+    res.status(500).json({ message: 'Server error while updating campaign' });
+  }
+});
+
+router.delete('/:campaignId', loadCampaign({ manage: true }), async (req, res) => {
+  try {
+    await campaignService.deleteCampaign(req.campaign.id);
+    res.json({ message: 'Campaign deleted successfully' });
+  } catch (error) {
+    console.error('Delete campaign error:', error);
+    res.status(500).json({ message: 'Server error while deleting campaign' });
+  }
+});
+
+// Apply with a pitch and a quote in the campaign's currency
+router.post('/:campaignId/applications', requirePermission('campaigns.apply'), loadCampaign(), async (req, res) => {
+  try {
+    if (!permissionService.effectiveRoles(req.user.role).some(r => permissionService.getChatParty(r) === 'creator')) {
+      return res.status(403).json({ message: 'Only creators can apply to campaigns' });
+    }
+    const { pitch, quote } = req.body || {};
+    const application = await campaignService.applyToCampaign(req.campaign, req.user.uid, { pitch, quote });
+
+    const managers = req.campaign.organizationId
+      ? (await organizationService.listMembers(req.campaign.organizationId)).filter(m => organizationService.canWrite(m.role)).map(m => m.userId)
+      : [];
+    await notify([req.campaign.ownerId, ...managers], 'campaign.application_received', {
+      campaignId: req.campaign.id,
+      applicationId: application.id,
+      campaignTitle: req.campaign.title,
+      fromName: req.user.displayName || req.user.email
+    });
+
+    res.status(201).json({ message: 'Application submitted successfully', application });
+  } catch (error) {
+    if (campaignErrorResponse(res, error)) return;
+    console.error('Apply to campaign error:', error);
+    res.status(500).json({ message: 'Server error while submitting application' });
+  }
+});
+
+router.delete('/:campaignId/applications/mine', requirePermission('campaigns.apply'), loadCampaign(), async (req, res) => {
+  try {
+    const application = await campaignService.withdrawApplication(req.campaign.id, req.user.uid);
+    if (!application) {
+      return res.status(404).json({ message: 'No application that can be withdrawn' });
+    }
+    res.json({ message: 'Application withdrawn', application });
+  } catch (error) {
+    console.error('Withdraw application error:', error);
+    res.status(500).json({ message: 'Server error while withdrawing application' });
+  }
+});
+
+// The applicant pipeline with per-status counts (?status, ?page, ?limit)
+router.get('/:campaignId/applications', loadCampaign(), async (req, res) => {
+  try {
+    if (!req.campaignAccess.canRead) {
+      return res.status(403).json({ message: 'You cannot view this campaign\'s applicants' });
+    }
+    const { status } = req.query;
+    if (status && !campaignService.APPLICATION_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `status must be one of: ${campaignService.APPLICATION_STATUSES.join(', ')}` });
+    }
+    const paging = parsePaging(req.query, 50);
+    const { applications, counts, total } = await campaignService.listApplications(req.campaign.id, { status, ...paging });
+    res.json({ applications, counts, pagination: paginationFor(paging, total, 'totalApplications') });
+  } catch (error) {
+    console.error('Get campaign applications error:', error);
+    res.status(500).json({ message: 'Server error while fetching applications' });
+  }
+});
+
+// Performance of the verified posts from every collaboration hired through this campaign
+router.get('/:campaignId/report', loadCampaign(), async (req, res) => {
+  try {
+    if (!req.campaignAccess.canRead) {
+      return res.status(403).json({ message: 'You cannot view this campaign\'s report' });
+    }
+    const collabRes = await pg.query('SELECT id FROM collaborations WHERE campaign_id = $1', [req.campaign.id]);
+    const report = await postVerificationService.getPerformanceReport(collabRes.rows.map(r => r.id));
+    res.json({ campaign: req.campaign, trackingDays: postVerificationService.TRACKING_DAYS, ...report });
+  } catch (error) {
+    console.error('Get campaign report error:', error);
+    res.status(500).json({ message: 'Server error while building report' });
+  }
+});
+
+// Move an applicant through the pipeline: new, shortlisted, hired or rejected
+router.put('/:campaignId/applications/:applicationId', loadCampaign({ manage: true }), async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.applicationId)) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    const result = await campaignService.setApplicationStatus(req.campaign.id, req.params.applicationId, req.body?.status, req.user.uid);
+    if (!result) {
+      return res.status(404).json({ message: 'Application not found' });
+    }
+    if (result.before.status !== result.after.status && result.after.status !== 'new') {
+      await notify(result.after.creatorId, 'campaign.application_updated', {
+        campaignId: req.campaign.id,
+        applicationId: result.after.id,
+        campaignTitle: req.campaign.title,
+        status: result.after.status
+      });
+    }
+    // Hiring starts deliverable tracking
+    const collaboration = result.after.status === 'hired'
+      ? await collaborationService.createFromApplication(req.campaign, result.after, req.user.uid)
+      : null;
+    if (collaboration) {
+      await notify([collaboration.creatorId, collaboration.brandId], 'collaboration.started', { collaborationId: collaboration.id, title: collaboration.title });
+    }
+    res.json({ message: 'Application updated successfully', application: result.after, collaborationId: collaboration?.id || null });
+  } catch (error) {
+    if (campaignErrorResponse(res, error)) return;
+    console.error('Update application error:', error);
+    res.status(500).json({ message: 'Server error while updating application' });
+  }
+});
+
+module.exports = router;
@@ -1,49 +1,340 @@
+const crypto = require('crypto');
 const express = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const jwt = require('jsonwebtoken');
+const { Readable } = require('stream');
+const { authMiddleware, streamTicketAuth, requireVerifiedEmail } = require('../middleware/auth');
 const pg = require('../services/db');
+const authService = require('../services/authService');
+const permissionService = require('../services/permissionService');
+const organizationService = require('../services/organizationService');
+const realtime = require('../services/realtimeService');
+const attachmentService = require('../services/chatAttachmentService');
+const contentFilter = require('../services/contentFilterService');
+const moderationService = require('../services/moderationService');
+const safetyService = require('../services/safetyService');
+const offerService = require('../services/offerService');
+const retentionService = require('../services/retentionService');
+const collaborationService = require('../services/collaborationService');
+const { notify } = require('../services/notificationService');
+const { attachmentUpload } = require('../middleware/upload');
 
 const router = express.Router();
 
+// Server-Sent Events stream: message.created, conversation.updated, conversation.read, presence, presence.snapshot.
+// Browsers authenticate with ?ticket= from GET /stream-ticket. Every heartbeat re-checks the
+// session and organization membership and ends the stream ('reauthenticate') when either changed.
+router.get('/stream', streamTicketAuth, async (req, res) => {
+  try {
+    const membership = await organizationService.getMembershipForUser(req.user.uid);
+    const organizationId = membership?.organizationId || null;
+    const exp = req.streamTicket
+      ? jwt.decode(req.streamTicket)?.aexp
+      : jwt.decode(req.header('Authorization').replace('Bearer ', ''))?.exp;
+    const { uid, sessionId, impersonationId } = req.user;
+    await realtime.openStream(req, res, req.user, {
+      organizationId,
+      expiresAt: exp ? new Date(exp * 1000) : null,
+      revalidate: async () => {
+        if (sessionId && !(await authService.isSessionActive(sessionId))) return 'session_revoked';
+        if (impersonationId && !(await authService.isImpersonationActive(impersonationId))) return 'session_revoked';
+        const userRes = await pg.query('SELECT is_active FROM users WHERE uid = $1 LIMIT 1', [uid]);
+        if (userRes.rows[0]?.is_active !== true) return 'account_inactive';
+        const current = await organizationService.getMembershipForUser(uid);
+        if ((current?.organizationId || null) !== organizationId) return 'membership_changed';
+        return null;
+      }
+    });
+  } catch (error) {
+    console.error('Chat stream error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error while opening chat stream' });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // Middleware to ensure user is authenticated
 router.use(authMiddleware);
 
-// Content filtering function to block email/phone sharing
-const filterSensitiveContent = (message) => {
-  // Email patterns
-  const emailRegex = /\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\.[A-Z|a-z]{2,}\b/g;
-  
-  // Phone number patterns (various formats)
-  const phoneRegex = /(\+?\d{1,4}[-.\s]?)?\(?\d{1,4}\)?[-.\s]?\d{1,4}[-.\s]?\d{1,9}/g;
-  
-  // WhatsApp/Telegram patterns
-  const whatsappRegex = /whatsapp|wa\.me|t\.me|telegram/gi;
-  
-  // Social media handle patterns that might be used for contact
-  const socialRegex = /@[a-zA-Z0-9._]+/g;
-  
-  let filteredMessage = message;
-  
-  // Replace emails with asterisks
-  filteredMessage = filteredMessage.replace(emailRegex, '*****');
-  
-  // Replace phone numbers with asterisks
-  filteredMessage = filteredMessage.replace(phoneRegex, '*****');
-  
-  // Replace WhatsApp/Telegram mentions
-  filteredMessage = filteredMessage.replace(whatsappRegex, '*****');
-  
-  // Replace social media handles that look like contact info
-  filteredMessage = filteredMessage.replace(socialRegex, '*****');
-  
-  return filteredMessage;
+// Short-lived ticket for opening /stream (EventSource cannot send the Authorization header)
+router.get('/stream-ticket', async (req, res) => {
+  try {
+    const exp = jwt.decode(req.header('Authorization').replace('Bearer ', ''))?.exp;
+    const ticket = authService.signStreamTicket(req.user, exp ? new Date(exp * 1000) : null);
+    res.setHeader('Cache-Control', 'no-store');
+    res.json({ ticket, expiresIn: 60 });
+  } catch (error) {
+    console.error('Stream ticket error:', error);
+    res.status(500).json({ message: 'Server error while issuing stream ticket' });
+  }
+});
+
+const CONVERSATION_COLUMNS = 'id, participants, participant_details, last_message, last_message_time, organization_id, title, is_group, created_by, created_at, updated_at';
+const MAX_GROUP_PARTICIPANTS = parseInt(process.env.MAX_GROUP_PARTICIPANTS || '20', 10);
+const MAX_TITLE_LENGTH = 120;
+
+const formatConversation = (row) => ({
+  id: row.id,
+  participants: row.participants,
+  participantDetails: row.participant_details,
+  lastMessage: row.last_message,
+  lastMessageTime: row.last_message_time,
+  organizationId: row.organization_id || null,
+  title: row.title || null,
+  isGroup: !!row.is_group,
+  createdBy: row.created_by || null,
+  createdAt: row.created_at?.toISOString?.() || row.created_at,
+  updatedAt: row.updated_at?.toISOString?.() || row.updated_at
+});
+
+// Participants always have access. Members of the organization that owns the
+// conversation can read it, and owners/managers can continue the thread.
+const getConversationAccess = async (row, user) => {
+  if (row.participants.includes(user.uid)) {
+    return { canRead: true, canWrite: true, isParticipant: true };
+  }
+  if (row.organization_id) {
+    const member = await organizationService.getMembership(row.organization_id, user.uid);
+    if (member) {
+      return { canRead: true, canWrite: organizationService.canWrite(member.role), isParticipant: false };
+    }
+  }
+  return { canRead: false, canWrite: false, isParticipant: false };
+};
+
+// A teammate continuing an organization thread joins it
+const joinAsTeammate = async (conversationId, access, user) => {
+  if (access.isParticipant) return;
+  await pg.query(
+    `UPDATE conversations
+     SET participants = array_append(participants, $2),
+         participant_details = COALESCE(participant_details, '{}'::jsonb) || $3::jsonb
+     WHERE id = $1 AND NOT ($2 = ANY(participants))`,
+    [conversationId, user.uid, JSON.stringify({ [user.uid]: { name: user.displayName || user.email, role: user.role } })]
+  );
+};
+
+const generateConversationId = () => `conv_${crypto.randomBytes(10).toString('hex')}`;
+
+// Returns the trimmed title, null to clear it, or undefined when invalid
+const normalizeTitle = (title) => {
+  if (title === undefined || title === null) return null;
+  if (typeof title !== 'string' || title.trim().length > MAX_TITLE_LENGTH) return undefined;
+  return title.trim() || null;
+};
+
+// Records a membership or title change in the thread as a system message
+const insertSystemMessage = async (client, conversationId, user, text, metadata) => {
+  const messageData = {
+    id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    senderId: user.uid,
+    senderName: user.displayName || user.email,
+    message: text,
+    timestamp: new Date().toISOString(),
+    isFiltered: false,
+    type: 'system',
+    offerId: null,
+    offerVersion: null,
+    metadata,
+    attachments: []
+  };
+  await client.query(
+    `INSERT INTO messages (id, conversation_id, sender_id, sender_name, message, timestamp, message_type, metadata)
+     VALUES ($1, $2, $3, $4, $5, $6, 'system', $7)`,
+    [messageData.id, conversationId, messageData.senderId, messageData.senderName, text, messageData.timestamp, JSON.stringify(metadata)]
+  );
+  const updatedRes = await client.query(
+    `UPDATE conversations SET last_message = $1, last_message_time = $2, last_message_sender = $3, updated_at = $2 WHERE id = $4 RETURNING ${CONVERSATION_COLUMNS}`,
+    [text, messageData.timestamp, user.uid, conversationId]
+  );
+  return { message: messageData, conversation: updatedRes.rows[0] };
+};
+
+// Push a conversation change to its participants and the owning organization
+const publishConversationEvent = (type, row, data) => realtime.publish(type, {
+  recipients: row.participants,
+  organizationId: row.organization_id || null,
+  data
+});
+
+const MESSAGE_COLUMNS = 'id, sender_id as "senderId", sender_name as "senderName", message, timestamp, is_filtered as "isFiltered", message_type as "type", offer_id as "offerId", offer_version as "offerVersion", metadata, edited_at as "editedAt", deleted_at as "deletedAt"';
+const MAX_PAGE_SIZE = 100;
+const EDIT_WINDOW_MINUTES = parseInt(process.env.MESSAGE_EDIT_WINDOW_MINUTES || '15', 10);
+const DELETED_MESSAGE_TEXT = 'This message was deleted';
+
+// Deleted messages keep their row (and content, for moderation) but are shown as a placeholder
+const presentMessage = (m) => (m.deletedAt
+  ? { ...m, message: DELETED_MESSAGE_TEXT, isDeleted: true, attachments: [], offer: undefined }
+  : { ...m, isDeleted: false });
+const SEARCH_CONFIG = 'english';
+
+// A pagination cursor is a message id from the conversation or an ISO timestamp
+const resolveMessageCursor = async (conversationId, value) => {
+  const msgRes = await pg.query('SELECT id, timestamp FROM messages WHERE id = $1 AND conversation_id = $2 LIMIT 1', [value, conversationId]);
+  if (msgRes.rowCount > 0) {
+    return { id: msgRes.rows[0].id, timestamp: msgRes.rows[0].timestamp };
+  }
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : { id: null, timestamp: date };
 };
 
-// Get or create conversation between two users
-router.post('/conversations', async (req, res) => {
+// Conversations the user can see: their own plus threads opened by teammates in their
+// organization, minus threads the user has blocked
+const listVisibleConversations = async (uid) => {
+  const membership = await organizationService.getMembershipForUser(uid);
+  const result = await pg.query(
+    `SELECT ${CONVERSATION_COLUMNS} FROM conversations c
+     WHERE ($1 = ANY(participants) OR ($2::text IS NOT NULL AND organization_id = $2))
+       AND NOT EXISTS (
+         SELECT 1 FROM user_blocks b
+         WHERE b.blocker_id = $1 AND (b.conversation_id = c.id OR b.blocked_id = ANY(c.participants))
+       )
+     ORDER BY updated_at DESC`,
+    [uid, membership?.organizationId || null]
+  );
+  return result.rows;
+};
+
+// The other side of a conversation: participants who are not the user or their teammates
+const getCounterparts = async (row, uid) => {
+  const others = row.participants.filter(p => p !== uid);
+  const membership = await organizationService.getMembershipForUser(uid);
+  if (!membership || membership.organizationId !== row.organization_id) return others;
+  const teammates = new Set((await organizationService.listMembers(membership.organizationId)).map(m => m.userId));
+  return others.filter(p => !teammates.has(p));
+};
+
+// Messages from others newer than the user's read cursor, per conversation id
+const countUnread = async (uid, conversationIds) => {
+  if (conversationIds.length === 0) return {};
+  const result = await pg.query(
+    `SELECT m.conversation_id, COUNT(*)::int AS unread
+     FROM messages m
+     LEFT JOIN conversation_reads r ON r.conversation_id = m.conversation_id AND r.user_id = $1
+     WHERE m.conversation_id = ANY($2) AND m.sender_id <> $1
+       AND m.timestamp > COALESCE(r.last_read_at, '-infinity'::timestamptz)
+     GROUP BY m.conversation_id`,
+    [uid, conversationIds]
+  );
+  return Object.fromEntries(result.rows.map(r => [r.conversation_id, r.unread]));
+};
+
+// Cursors only move forward
+const markRead = async (conversationId, uid, readAt, messageId) => {
+  const result = await pg.query(
+    `INSERT INTO conversation_reads (conversation_id, user_id, last_read_at, last_read_message_id, updated_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (conversation_id, user_id) DO UPDATE SET
+       last_read_at = EXCLUDED.last_read_at,
+       last_read_message_id = EXCLUDED.last_read_message_id,
+       updated_at = NOW()
+     WHERE conversation_reads.last_read_at < EXCLUDED.last_read_at
+     RETURNING last_read_at`,
+    [conversationId, uid, readAt, messageId]
+  );
+  return result.rowCount > 0;
+};
+
+const insertConversation = (data) => pg.query(
+  `INSERT INTO conversations (id, participants, participant_details, last_message, last_message_time, organization_id, title, is_group, created_by, created_at, updated_at)
+   VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+  [
+    data.id,
+    data.participants,
+    data.participantDetails,
+    data.lastMessage,
+    data.lastMessageTime,
+    data.organizationId,
+    data.title,
+    data.isGroup,
+    data.createdBy,
+    data.createdAt,
+    data.updatedAt
+  ]
+);
+
+// Group threads always get a new conversation; the brand↔creator mix is checked over everyone in it
+const createGroupConversation = async (req, res) => {
+  const currentUserId = req.user.uid;
+  const { participantIds = [] } = req.body;
+  if (!Array.isArray(participantIds) || participantIds.some(id => typeof id !== 'string')) {
+    return res.status(400).json({ message: 'participantIds must be an array of user ids' });
+  }
+  const otherIds = Array.from(new Set(participantIds.filter(id => id !== currentUserId)));
+  if (otherIds.length === 0) {
+    return res.status(400).json({ message: 'At least one other participant is required' });
+  }
+  if (otherIds.length + 1 > MAX_GROUP_PARTICIPANTS) {
+    return res.status(400).json({ message: `A conversation can have at most ${MAX_GROUP_PARTICIPANTS} participants` });
+  }
+  const title = normalizeTitle(req.body.title);
+  if (title === undefined) {
+    return res.status(400).json({ message: `Title must be text of at most ${MAX_TITLE_LENGTH} characters` });
+  }
+
+  const usersRes = await pg.query('SELECT uid, email, role, display_name FROM users WHERE uid = ANY($1)', [otherIds]);
+  if (usersRes.rowCount !== otherIds.length) {
+    return res.status(404).json({ message: 'Participant not found' });
+  }
+  const allowed = await permissionService.canStartGroupConversation(req.user.role, usersRes.rows.map(u => u.role));
+  if (!allowed) {
+    return res.status(403).json({ message: 'Conversations need at least one brand and one influencer/UGC creator' });
+  }
+  if (await safetyService.isBlockedBetween(currentUserId, otherIds)) {
+    return res.status(403).json({ message: 'You cannot start a conversation with one of these users', code: 'BLOCKED' });
+  }
+
+  // A brand's group threads belong to its organization, like direct threads
+  const membership = req.user.role === 'brand' ? await organizationService.getMembershipForUser(currentUserId) : null;
+  if (membership && !organizationService.canWrite(membership.role)) {
+    return res.status(403).json({ message: 'Viewers cannot start conversations on behalf of their organization' });
+  }
+
+  const now = new Date().toISOString();
+  const conversationData = {
+    id: generateConversationId(),
+    participants: [currentUserId, ...otherIds],
+    participantDetails: {
+      [currentUserId]: { name: req.user.displayName || req.user.email, role: req.user.role },
+      ...Object.fromEntries(usersRes.rows.map(u => [u.uid, { name: u.display_name || u.email, role: u.role }]))
+    },
+    lastMessage: null,
+    lastMessageTime: null,
+    organizationId: membership?.organizationId || null,
+    title,
+    isGroup: true,
+    createdBy: currentUserId,
+    createdAt: now,
+    updatedAt: now
+  };
+  await insertConversation(conversationData);
+
+  await publishConversationEvent('conversation.updated', {
+    participants: conversationData.participants,
+    organization_id: conversationData.organizationId
+  }, { conversation: conversationData });
+  await notify(otherIds, 'conversation.created', {
+    conversationId: conversationData.id,
+    fromUserId: currentUserId,
+    fromName: req.user.displayName || req.user.email,
+    title
+  });
+
+  return res.status(201).json({ conversationId: conversationData.id, conversation: conversationData });
+};
+
+// Get or create a direct conversation (participantId), or create a group conversation
+// (participantIds and an optional title). Brands must have a verified email.
+router.post('/conversations', requireVerifiedEmail('brand'), async (req, res) => {
   try {
-    const { participantId } = req.body;
+    const { participantId, participantIds } = req.body;
     const currentUserId = req.user.uid;
 
+    if (participantIds !== undefined) {
+      return await createGroupConversation(req, res);
+    }
+
     if (!participantId) {
       return res.status(400).json({ message: 'Participant ID is required' });
     }
@@ -63,42 +354,66 @@ router.post('/conversations', async (req, res) => {
     const participantRole = participantData.role;
 
     // Validate that only brands can chat with influencers/ugc_creators and vice versa
-    const validCombinations = [
-      (currentUserRole === 'brand' && ['influencer', 'ugc_creator'].includes(participantRole)),
-      (['influencer', 'ugc_creator'].includes(currentUserRole) && participantRole === 'brand')
-    ];
-
-    if (!validCombinations.some(combo => combo)) {
+    const allowed = await permissionService.canStartConversation(currentUserRole, participantRole);
+    if (!allowed) {
       return res.status(403).json({ 
         message: 'Chat is only allowed between brands and influencers/UGC creators' 
       });
     }
 
-    // Create conversation ID (sorted to ensure consistency)
-    const conversationId = [currentUserId, participantId].sort().join('_');
+    if (await safetyService.isBlockedBetween(currentUserId, [participantId])) {
+      return res.status(403).json({ message: 'You cannot start a conversation with this user', code: 'BLOCKED' });
+    }
+
+    // Conversations with a brand that belongs to an organization are owned by that organization
+    const brandId = currentUserRole === 'brand' ? currentUserId : (participantRole === 'brand' ? participantId : null);
+    const brandMembership = brandId ? await organizationService.getMembershipForUser(brandId) : null;
+    const organizationId = brandMembership?.organizationId || null;
 
-    // Check if conversation already exists in Postgres
-    const existing = await pg.query('SELECT * FROM conversations WHERE id = $1', [conversationId]);
+    if (brandId === currentUserId && brandMembership && !organizationService.canWrite(brandMembership.role)) {
+      return res.status(403).json({ message: 'Viewers cannot start conversations on behalf of their organization' });
+    }
+
+    // A teammate may already have a thread with this creator; continue it instead of opening a new one
+    if (organizationId) {
+      const creatorId = brandId === currentUserId ? participantId : currentUserId;
+      const orgExisting = await pg.query(
+        `SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE organization_id = $1 AND $2 = ANY(participants) ORDER BY updated_at DESC LIMIT 1`,
+        [organizationId, creatorId]
+      );
+      if (orgExisting.rowCount > 0) {
+        const row = orgExisting.rows[0];
+        if (await safetyService.isConversationBlocked(row, currentUserId)) {
+          return res.status(403).json({ message: 'You cannot start a conversation with this user', code: 'BLOCKED' });
+        }
+        return res.json({ conversationId: row.id, conversation: formatConversation(row) });
+      }
+    }
+
+    // Reuse the direct thread between the two users (older threads use the sorted uids as id)
+    const existing = await pg.query(
+      `SELECT ${CONVERSATION_COLUMNS} FROM conversations
+       WHERE NOT is_group AND (id = $1 OR (participants @> $2 AND cardinality(participants) = 2))
+       ORDER BY updated_at DESC LIMIT 1`,
+      [[currentUserId, participantId].sort().join('_'), [currentUserId, participantId]]
+    );
     if (existing.rowCount > 0) {
       const row = existing.rows[0];
-      return res.json({ conversationId, conversation: {
-        id: row.id,
-        participants: row.participants,
-        participantDetails: row.participant_details,
-        lastMessage: row.last_message,
-        lastMessageTime: row.last_message_time,
-        createdAt: row.created_at?.toISOString?.() || row.created_at,
-        updatedAt: row.updated_at?.toISOString?.() || row.updated_at
-      }});
+      if (await safetyService.isConversationBlocked(row, currentUserId)) {
+        return res.status(403).json({ message: 'You cannot start a conversation with this user', code: 'BLOCKED' });
+      }
+      return res.json({ conversationId: row.id, conversation: formatConversation(row) });
     }
 
+    const conversationId = generateConversationId();
+
     // Create new conversation in Postgres
     const conversationData = {
       id: conversationId,
       participants: [currentUserId, participantId],
       participantDetails: {
         [currentUserId]: {
-          name: req.user.fullName || req.user.email,
+          name: req.user.displayName || req.user.email,
           role: currentUserRole
         },
         [participantId]: {
@@ -108,22 +423,25 @@ router.post('/conversations', async (req, res) => {
       },
       lastMessage: null,
       lastMessageTime: null,
+      organizationId,
+      title: null,
+      isGroup: false,
+      createdBy: currentUserId,
       createdAt: new Date().toISOString(),
       updatedAt: new Date().toISOString()
     };
 
-    await pg.query(
-      'INSERT INTO conversations (id, participants, participant_details, last_message, last_message_time, created_at, updated_at) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-      [
-        conversationData.id,
-        conversationData.participants,
-        conversationData.participantDetails,
-        conversationData.lastMessage,
-        conversationData.lastMessageTime,
-        conversationData.createdAt,
-        conversationData.updatedAt
-      ]
-    );
+    await insertConversation(conversationData);
+
+    await publishConversationEvent('conversation.updated', {
+      participants: conversationData.participants,
+      organization_id: organizationId
+    }, { conversation: conversationData });
+    await notify(participantId, 'conversation.created', {
+      conversationId,
+      fromUserId: currentUserId,
+      fromName: req.user.displayName || req.user.email
+    });
 
     res.status(201).json({ conversationId, conversation: conversationData });
 
@@ -133,25 +451,73 @@ router.post('/conversations', async (req, res) => {
   }
 });
 
-// Get user's conversations
-router.get('/conversations', async (req, res) => {
+// Full-text search over messages in every conversation the user can read.
+// Snippets are plain text with matches wrapped in ** markers.
+router.get('/search', async (req, res) => {
   try {
-    const currentUserId = req.user.uid;
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    if (q.length < 2) {
+      return res.status(400).json({ message: 'Search query must be at least 2 characters' });
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 50);
+    const offset = Math.max(parseInt(req.query.offset, 10) || 0, 0);
+
+    const rows = await listVisibleConversations(req.user.uid);
+    let conversationIds = rows.map(r => r.id);
+    if (req.query.conversationId) {
+      conversationIds = conversationIds.filter(id => id === req.query.conversationId);
+    }
+    if (conversationIds.length === 0) {
+      return res.json({ results: [], hasMore: false });
+    }
 
     const result = await pg.query(
-      'SELECT id, participants, participant_details, last_message, last_message_time, created_at, updated_at FROM conversations WHERE $1 = ANY(participants) ORDER BY updated_at DESC',
-      [currentUserId]
+      `SELECT m.id, m.conversation_id, m.sender_id, m.sender_name, m.timestamp,
+              ts_headline($1::regconfig, m.message, query, 'StartSel=**, StopSel=**, MaxWords=24, MinWords=8, MaxFragments=1') AS snippet,
+              ts_rank(m.message_tsv, query) AS rank
+       FROM messages m, websearch_to_tsquery($1::regconfig, $2) AS query
+       WHERE m.conversation_id = ANY($3) AND m.message_tsv @@ query AND m.deleted_at IS NULL
+       ORDER BY rank DESC, m.timestamp DESC
+       LIMIT $4 OFFSET $5`,
+      [SEARCH_CONFIG, q, conversationIds, limit + 1, offset]
     );
 
-    const conversations = result.rows.map(row => ({
-      id: row.id,
-      participants: row.participants,
-      participantDetails: row.participant_details,
-      lastMessage: row.last_message,
-      lastMessageTime: row.last_message_time,
-      createdAt: row.created_at?.toISOString?.() || row.created_at,
-      updatedAt: row.updated_at?.toISOString?.() || row.updated_at
-    }));
+    const conversationsById = Object.fromEntries(rows.map(r => [r.id, r]));
+    const results = result.rows.slice(0, limit).map(r => {
+      const conversation = conversationsById[r.conversation_id];
+      return {
+        messageId: r.id,
+        conversationId: r.conversation_id,
+        senderId: r.sender_id,
+        senderName: r.sender_name,
+        timestamp: r.timestamp,
+        snippet: r.snippet,
+        rank: Number(r.rank),
+        conversation: {
+          id: conversation.id,
+          participants: conversation.participants,
+          participantDetails: conversation.participant_details,
+          organizationId: conversation.organization_id || null
+        }
+      };
+    });
+
+    res.json({ results, hasMore: result.rows.length > limit });
+
+  } catch (error) {
+    console.error('Search messages error:', error);
+    res.status(500).json({ message: 'Server error while searching messages' });
+  }
+});
+
+// Get user's conversations
+router.get('/conversations', async (req, res) => {
+  try {
+    const currentUserId = req.user.uid;
+    const rows = await listVisibleConversations(currentUserId);
+    const unread = await countUnread(currentUserId, rows.map(r => r.id));
+
+    const conversations = rows.map(row => ({ ...formatConversation(row), unreadCount: unread[row.id] || 0 }));
 
     res.json({ conversations });
 
@@ -161,57 +527,177 @@ router.get('/conversations', async (req, res) => {
   }
 });
 
-// Send message in conversation
-router.post('/conversations/:conversationId/messages', async (req, res) => {
+// Total unread messages for the nav bar badge
+router.get('/unread-count', async (req, res) => {
+  try {
+    const rows = await listVisibleConversations(req.user.uid);
+    const unread = await countUnread(req.user.uid, rows.map(r => r.id));
+    const counts = Object.values(unread);
+    res.json({
+      total: counts.reduce((sum, n) => sum + n, 0),
+      conversations: counts.filter(n => n > 0).length
+    });
+  } catch (error) {
+    console.error('Get unread count error:', error);
+    res.status(500).json({ message: 'Server error while fetching unread count' });
+  }
+});
+
+// Mark a conversation read up to a message (defaults to the latest one)
+router.post('/conversations/:conversationId/read', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { messageId } = req.body || {};
+    const currentUserId = req.user.uid;
+
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+
+    const msgRes = messageId
+      ? await pg.query('SELECT id, timestamp FROM messages WHERE id = $1 AND conversation_id = $2 LIMIT 1', [messageId, conversationId])
+      : await pg.query('SELECT id, timestamp FROM messages WHERE conversation_id = $1 ORDER BY timestamp DESC LIMIT 1', [conversationId]);
+    if (msgRes.rowCount === 0) {
+      if (messageId) {
+        return res.status(404).json({ message: 'Message not found' });
+      }
+      return res.json({ conversationId, lastReadAt: null, unreadCount: 0 });
+    }
+    const lastMessage = msgRes.rows[0];
+
+    const advanced = await markRead(conversationId, currentUserId, lastMessage.timestamp, lastMessage.id);
+    if (advanced) {
+      await publishConversationEvent('conversation.read', row, {
+        conversationId,
+        userId: currentUserId,
+        lastReadAt: lastMessage.timestamp,
+        lastReadMessageId: lastMessage.id
+      });
+    }
+    const unread = await countUnread(currentUserId, [conversationId]);
+
+    res.json({ conversationId, lastReadAt: lastMessage.timestamp, lastReadMessageId: lastMessage.id, unreadCount: unread[conversationId] || 0 });
+
+  } catch (error) {
+    console.error('Mark conversation read error:', error);
+    res.status(500).json({ message: 'Server error while marking conversation as read' });
+  }
+});
+
+// multipart/form-data with up to MAX_CHAT_ATTACHMENTS files in `attachments`; JSON bodies still work
+const receiveAttachments = (req, res, next) => {
+  attachmentUpload.array('attachments')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message || 'Invalid attachment' });
+    }
+    next();
+  });
+};
+
+// Send message in conversation (text, attachments or both)
+router.post('/conversations/:conversationId/messages', receiveAttachments, async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { message } = req.body;
+    const message = typeof req.body?.message === 'string' ? req.body.message : '';
+    const files = req.files || [];
     const currentUserId = req.user.uid;
 
-    if (!message || message.trim().length === 0) {
+    if (message.trim().length === 0 && files.length === 0) {
       return res.status(400).json({ message: 'Message content is required' });
     }
 
-    // Check if conversation exists and user is participant (Postgres)
-    const convRes = await pg.query('SELECT id, participants FROM conversations WHERE id = $1', [conversationId]);
+    // Check if conversation exists and user may write to it (Postgres)
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
     if (convRes.rowCount === 0) {
       return res.status(404).json({ message: 'Conversation not found' });
     }
     const conversationData = convRes.rows[0];
-    if (!conversationData.participants.includes(currentUserId)) {
+    const access = await getConversationAccess(conversationData, req.user);
+    if (!access.canWrite) {
       return res.status(403).json({ message: 'You are not a participant in this conversation' });
     }
+    if (await safetyService.isConversationBlocked(conversationData, currentUserId)) {
+      return res.status(403).json({ message: 'Messaging is blocked in this conversation', code: 'BLOCKED' });
+    }
+
+    await joinAsTeammate(conversationId, access, req.user);
 
-    // Filter sensitive content
-    const filteredMessage = filterSensitiveContent(message.trim());
+    // Mask contact details (rules are admin-editable, see services/contentFilterService.js)
+    const filterResult = await contentFilter.filterMessage(message.trim(), { role: req.user.role });
+    const filteredMessage = filterResult.text;
+
+    // Files go to blob storage first; they are discarded again if the message cannot be saved
+    const uploaded = await attachmentService.uploadAttachments(files, { conversationId, uploaderId: currentUserId });
 
     // Create message
     const messageData = {
       id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
       senderId: currentUserId,
-      senderName: req.user.fullName || req.user.email,
+      senderName: req.user.displayName || req.user.email,
       message: filteredMessage,
       timestamp: new Date().toISOString(),
-      isFiltered: filteredMessage !== message.trim()
+      isFiltered: filterResult.filtered,
+      type: 'text',
+      offerId: null,
+      offerVersion: null,
+      metadata: null,
+      editedAt: null,
+      deletedAt: null,
+      isDeleted: false,
+      attachments: []
     };
+    const preview = attachmentService.previewText(filteredMessage, uploaded);
 
-    await pg.query(
-      'INSERT INTO messages (id, conversation_id, sender_id, sender_name, message, timestamp, is_filtered) VALUES ($1, $2, $3, $4, $5, $6, $7)',
-      [
-        messageData.id,
-        conversationId,
-        messageData.senderId,
-        messageData.senderName,
-        messageData.message,
-        messageData.timestamp,
-        messageData.isFiltered
-      ]
-    );
+    const client = await pg.getClient();
+    let updatedRes;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        'INSERT INTO messages (id, conversation_id, sender_id, sender_name, message, timestamp, is_filtered, original_message) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)',
+        [
+          messageData.id,
+          conversationId,
+          messageData.senderId,
+          messageData.senderName,
+          messageData.message,
+          messageData.timestamp,
+          messageData.isFiltered,
+          filterResult.filtered ? message.trim() : null
+        ]
+      );
+      if (filterResult.filtered) {
+        await moderationService.flagMessage({
+          messageId: messageData.id,
+          conversationId,
+          senderId: currentUserId,
+          matches: filterResult.matches
+        }, client);
+      }
+      messageData.attachments = await attachmentService.saveAttachments(client, messageData.id, uploaded);
+      updatedRes = await client.query(
+        `UPDATE conversations SET last_message = $1, last_message_time = $2, last_message_sender = $3, updated_at = $2 WHERE id = $4 RETURNING ${CONVERSATION_COLUMNS}`,
+        [preview, messageData.timestamp, currentUserId, conversationId]
+      );
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      await attachmentService.discardUploads(uploaded);
+      throw err;
+    } finally {
+      client.release();
+    }
+    const updatedConversation = updatedRes.rows[0];
+    await markRead(conversationId, currentUserId, messageData.timestamp, messageData.id);
 
-    await pg.query(
-      'UPDATE conversations SET last_message = $1, last_message_time = $2, last_message_sender = $3, updated_at = $2 WHERE id = $4',
-      [filteredMessage, messageData.timestamp, currentUserId, conversationId]
-    );
+    // Also sent to the sender's other tabs and devices; clients dedupe by message id
+    await publishConversationEvent('message.created', updatedConversation, { conversationId, message: messageData });
+    await publishConversationEvent('conversation.updated', updatedConversation, { conversation: formatConversation(updatedConversation) });
 
     res.status(201).json({ message: messageData, isFiltered: messageData.isFiltered });
 
@@ -225,35 +711,107 @@ router.post('/conversations/:conversationId/messages', async (req, res) => {
 router.get('/conversations/:conversationId/messages', async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const { page = 1, limit = 50 } = req.query;
-    const currentUserId = req.user.uid;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), MAX_PAGE_SIZE);
+    const { before, after } = req.query;
 
-    // Check if conversation exists and user is participant (Postgres)
-    const convRes = await pg.query('SELECT id, participants, participant_details, last_message, last_message_time, created_at, updated_at FROM conversations WHERE id = $1', [conversationId]);
+    if (before && after) {
+      return res.status(400).json({ message: 'Use either before or after, not both' });
+    }
+
+    // Check if conversation exists and user may read it (Postgres)
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
     if (convRes.rowCount === 0) {
       return res.status(404).json({ message: 'Conversation not found' });
     }
     const conversationRow = convRes.rows[0];
-    if (!conversationRow.participants.includes(currentUserId)) {
+    const access = await getConversationAccess(conversationRow, req.user);
+    if (!access.canRead) {
       return res.status(403).json({ message: 'You are not a participant in this conversation' });
     }
 
+    let cursor = null;
+    if (before || after) {
+      cursor = await resolveMessageCursor(conversationId, before || after);
+      if (!cursor) {
+        return res.status(400).json({ message: 'Cursor must be a message id in this conversation or an ISO timestamp' });
+      }
+    }
+
+    // Pages are ordered by (timestamp, id) so messages sharing a timestamp are never skipped
+    const params = [conversationId];
+    let where = 'conversation_id = $1';
+    if (cursor) {
+      const op = before ? '<' : '>';
+      if (cursor.id) {
+        params.push(cursor.timestamp, cursor.id);
+        where += ` AND (timestamp, id) ${op} ($2, $3)`;
+      } else {
+        params.push(cursor.timestamp);
+        where += ` AND timestamp ${op} $2`;
+      }
+    }
+    const direction = after ? 'ASC' : 'DESC';
+    params.push(limit + 1);
     const msgRes = await pg.query(
-      'SELECT id, sender_id as "senderId", sender_name as "senderName", message, timestamp, is_filtered as "isFiltered" FROM messages WHERE conversation_id = $1 ORDER BY timestamp DESC LIMIT $2',
-      [conversationId, parseInt(limit)]
+      `SELECT ${MESSAGE_COLUMNS} FROM messages WHERE ${where} ORDER BY timestamp ${direction}, id ${direction} LIMIT $${params.length}`,
+      params
     );
 
-    const messages = msgRes.rows.reverse();
+    const hasMore = msgRes.rows.length > limit;
+    const page = msgRes.rows.slice(0, limit);
+    if (!after) page.reverse();
+
+    // The opposite direction only needs to know whether anything exists past the page edge
+    const edge = after ? page[0] : page[page.length - 1];
+    let hasMoreOpposite = false;
+    if (edge) {
+      const existsRes = await pg.query(
+        `SELECT 1 FROM messages WHERE conversation_id = $1 AND (timestamp, id) ${after ? '<' : '>'} ($2, $3) LIMIT 1`,
+        [conversationId, edge.timestamp, edge.id]
+      );
+      hasMoreOpposite = existsRes.rowCount > 0;
+    } else if (cursor) {
+      hasMoreOpposite = true;
+    }
+    const hasMoreBefore = after ? hasMoreOpposite : hasMore;
+    const hasMoreAfter = after ? hasMore : hasMoreOpposite;
+
+    // "Seen" metadata: who else has read up to each message, and when their cursor last moved
+    const readsRes = await pg.query(
+      'SELECT user_id, last_read_at, last_read_message_id, updated_at FROM conversation_reads WHERE conversation_id = $1',
+      [conversationId]
+    );
+    const readCursors = readsRes.rows.map(r => ({
+      userId: r.user_id,
+      lastReadAt: r.last_read_at,
+      lastReadMessageId: r.last_read_message_id,
+      readAt: r.updated_at
+    }));
 
-    res.json({ messages, conversation: {
-      id: conversationRow.id,
-      participants: conversationRow.participants,
-      participantDetails: conversationRow.participant_details,
-      lastMessage: conversationRow.last_message,
-      lastMessageTime: conversationRow.last_message_time,
-      createdAt: conversationRow.created_at?.toISOString?.() || conversationRow.created_at,
-      updatedAt: conversationRow.updated_at?.toISOString?.() || conversationRow.updated_at
-    }});
+    const attachments = await attachmentService.getAttachmentsForMessages(page.map(m => m.id));
+    const offers = await offerService.getOffersByIds(page.map(m => m.offerId));
+
+    const messages = page.map(m => presentMessage({
+      ...m,
+      attachments: attachments[m.id] || [],
+      offer: m.offerId ? offers[m.offerId] || null : undefined,
+      seenBy: readCursors
+        .filter(c => c.userId !== m.senderId && new Date(c.lastReadAt) >= new Date(m.timestamp))
+        .map(c => ({ userId: c.userId, seenAt: c.readAt }))
+    }));
+
+    res.json({
+      messages,
+      hasMore,
+      hasMoreBefore,
+      hasMoreAfter,
+      cursors: {
+        before: page.length > 0 ? page[0].id : null,
+        after: page.length > 0 ? page[page.length - 1].id : null
+      },
+      readCursors,
+      conversation: formatConversation(conversationRow)
+    });
 
   } catch (error) {
     console.error('Get messages error:', error);
@@ -261,29 +819,725 @@ router.get('/conversations/:conversationId/messages', async (req, res) => {
   }
 });
 
+// Loads a message the current user sent, with its conversation, for edit/delete.
+// Sends the error response and returns null when not allowed.
+const loadOwnMessage = async (req, res) => {
+  const { conversationId, messageId } = req.params;
+  const msgRes = await pg.query(
+    'SELECT id, conversation_id, sender_id, message, original_message, is_filtered, message_type, timestamp, deleted_at FROM messages WHERE id = $1 AND conversation_id = $2 LIMIT 1',
+    [messageId, conversationId]
+  );
+  if (msgRes.rowCount === 0) {
+    res.status(404).json({ message: 'Message not found' });
+    return null;
+  }
+  const message = msgRes.rows[0];
+  if (message.sender_id !== req.user.uid) {
+    res.status(403).json({ message: 'You can only change your own messages' });
+    return null;
+  }
+  if (message.deleted_at) {
+    res.status(410).json({ message: 'Message has been deleted' });
+    return null;
+  }
+  if (message.message_type !== 'text') {
+    res.status(400).json({ message: 'Only text messages can be changed' });
+    return null;
+  }
+  const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+  const access = await getConversationAccess(convRes.rows[0], req.user);
+  if (!access.canWrite) {
+    res.status(403).json({ message: 'You are not a participant in this conversation' });
+    return null;
+  }
+  return { message, conversation: convRes.rows[0] };
+};
+
+// Fetches one message in API shape, e.g. for realtime updates
+const getPresentedMessage = async (messageId) => {
+  const msgRes = await pg.query(`SELECT ${MESSAGE_COLUMNS} FROM messages WHERE id = $1`, [messageId]);
+  const attachments = await attachmentService.getAttachmentsForMessages([messageId]);
+  return presentMessage({ ...msgRes.rows[0], attachments: attachments[messageId] || [] });
+};
+
+// Edit a message within MESSAGE_EDIT_WINDOW_MINUTES of sending it. Earlier versions
+// are kept in message_edits for moderation.
+router.put('/conversations/:conversationId/messages/:messageId', async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const text = typeof req.body?.message === 'string' ? req.body.message.trim() : '';
+    if (text.length === 0) {
+      return res.status(400).json({ message: 'Message content is required' });
+    }
+
+    const loaded = await loadOwnMessage(req, res);
+    if (!loaded) return;
+    const { message, conversation } = loaded;
+    if (Date.now() - new Date(message.timestamp).getTime() > EDIT_WINDOW_MINUTES * 60 * 1000) {
+      return res.status(403).json({ message: `Messages can only be edited within ${EDIT_WINDOW_MINUTES} minutes of sending`, code: 'EDIT_WINDOW_PASSED' });
+    }
+    if (await safetyService.isConversationBlocked(conversation, req.user.uid)) {
+      return res.status(403).json({ message: 'Messaging is blocked in this conversation', code: 'BLOCKED' });
+    }
+
+    const filterResult = await contentFilter.filterMessage(text, { role: req.user.role });
+
+    const client = await pg.getClient();
+    let updatedConversation = null;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `INSERT INTO message_edits (message_id, conversation_id, editor_id, previous_message, previous_original_message, edited_at)
+         VALUES ($1, $2, $3, $4, $5, NOW())`,
+        [messageId, conversationId, req.user.uid, message.message, message.original_message]
+      );
+      await client.query(
+        'UPDATE messages SET message = $2, is_filtered = $3, original_message = $4, edited_at = NOW() WHERE id = $1',
+        [messageId, filterResult.text, filterResult.filtered, filterResult.filtered ? text : null]
+      );
+      if (filterResult.filtered) {
+        await moderationService.flagMessage({
+          messageId,
+          conversationId,
+          senderId: req.user.uid,
+          matches: filterResult.matches
+        }, client);
+      }
+      updatedConversation = await retentionService.refreshLastMessage(client, conversationId);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const updated = await getPresentedMessage(messageId);
+    await publishConversationEvent('message.updated', updatedConversation, { conversationId, message: updated });
+    await publishConversationEvent('conversation.updated', updatedConversation, { conversation: formatConversation(updatedConversation) });
+
+    res.json({ message: updated, isFiltered: filterResult.filtered });
+
+  } catch (error) {
+    console.error('Edit message error:', error);
+    res.status(500).json({ message: 'Server error while editing message' });
+  }
+});
+
+// Soft delete: everyone sees a "message deleted" placeholder; the content is kept for
+// moderation until the retention policy purges it
+router.delete('/conversations/:conversationId/messages/:messageId', async (req, res) => {
+  try {
+    const { conversationId, messageId } = req.params;
+    const loaded = await loadOwnMessage(req, res);
+    if (!loaded) return;
+
+    const client = await pg.getClient();
+    let updatedConversation = null;
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE messages SET deleted_at = NOW(), deleted_by = $2 WHERE id = $1', [messageId, req.user.uid]);
+      updatedConversation = await retentionService.refreshLastMessage(client, conversationId);
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    const deleted = await getPresentedMessage(messageId);
+    await publishConversationEvent('message.deleted', updatedConversation, { conversationId, message: deleted });
+    await publishConversationEvent('conversation.updated', updatedConversation, { conversation: formatConversation(updatedConversation) });
+
+    res.json({ message: deleted });
+
+  } catch (error) {
+    console.error('Delete message error:', error);
+    res.status(500).json({ message: 'Server error while deleting message' });
+  }
+});
+
+const participantName = (row, uid) => row.participant_details?.[uid]?.name || 'A participant';
+
+// Add people to a conversation. A direct thread becomes a group thread.
+router.post('/conversations/:conversationId/participants', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const { userIds } = req.body || {};
+    const currentUserId = req.user.uid;
+    if (!Array.isArray(userIds) || userIds.length === 0 || userIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ message: 'userIds must be a non-empty array of user ids' });
+    }
+
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    if (await safetyService.isConversationBlocked(row, currentUserId)) {
+      return res.status(403).json({ message: 'Messaging is blocked in this conversation', code: 'BLOCKED' });
+    }
+
+    const newIds = Array.from(new Set(userIds.filter(id => !row.participants.includes(id) && id !== currentUserId)));
+    if (newIds.length === 0) {
+      return res.status(400).json({ message: 'Those users are already in this conversation' });
+    }
+    const memberCount = row.participants.length + (access.isParticipant ? 0 : 1);
+    if (memberCount + newIds.length > MAX_GROUP_PARTICIPANTS) {
+      return res.status(400).json({ message: `A conversation can have at most ${MAX_GROUP_PARTICIPANTS} participants` });
+    }
+    const usersRes = await pg.query('SELECT uid, email, role, display_name FROM users WHERE uid = ANY($1)', [newIds]);
+    if (usersRes.rowCount !== newIds.length) {
+      return res.status(404).json({ message: 'Participant not found' });
+    }
+
+    const existingRoles = row.participants
+      .filter(p => p !== currentUserId)
+      .map(p => row.participant_details?.[p]?.role);
+    const allowed = await permissionService.canStartGroupConversation(req.user.role, [...existingRoles, ...usersRes.rows.map(u => u.role)]);
+    if (!allowed) {
+      return res.status(403).json({ message: 'Conversations need at least one brand and one influencer/UGC creator' });
+    }
+    for (const uid of newIds) {
+      if (await safetyService.isBlockedBetween(uid, [currentUserId, ...row.participants])) {
+        return res.status(403).json({ message: 'One of these users cannot be added to this conversation', code: 'BLOCKED' });
+      }
+    }
+
+    await joinAsTeammate(conversationId, access, req.user);
+
+    const details = Object.fromEntries(usersRes.rows.map(u => [u.uid, { name: u.display_name || u.email, role: u.role }]));
+    const names = newIds.map(uid => details[uid].name).join(', ');
+    const client = await pg.getClient();
+    let result;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE conversations
+         SET participants = participants || $2::text[],
+             participant_details = COALESCE(participant_details, '{}'::jsonb) || $3::jsonb,
+             is_group = TRUE
+         WHERE id = $1`,
+        [conversationId, newIds, JSON.stringify(details)]
+      );
+      result = await insertSystemMessage(client, conversationId, req.user, `${req.user.displayName || req.user.email} added ${names}`, {
+        event: 'participants.added',
+        userIds: newIds
+      });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await publishConversationEvent('message.created', result.conversation, { conversationId, message: result.message });
+    await publishConversationEvent('conversation.updated', result.conversation, { conversation: formatConversation(result.conversation) });
+    await notify(newIds, 'conversation.participant_added', {
+      conversationId,
+      fromUserId: currentUserId,
+      fromName: req.user.displayName || req.user.email,
+      title: result.conversation.title || null
+    });
+
+    res.json({ conversation: formatConversation(result.conversation), message: result.message });
+
+  } catch (error) {
+    console.error('Add participants error:', error);
+    res.status(500).json({ message: 'Server error while adding participants' });
+  }
+});
+
+// Leave a group conversation, or remove someone from it (its creator and the owning
+// organization's owners/managers only)
+router.delete('/conversations/:conversationId/participants/:userId', async (req, res) => {
+  try {
+    const { conversationId, userId } = req.params;
+    const currentUserId = req.user.uid;
+
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    if (!row.is_group) {
+      return res.status(400).json({ message: 'Participants can only be removed from group conversations' });
+    }
+    if (!row.participants.includes(userId)) {
+      return res.status(404).json({ message: 'User is not in this conversation' });
+    }
+
+    const leaving = userId === currentUserId;
+    if (!leaving) {
+      const membership = row.organization_id ? await organizationService.getMembership(row.organization_id, currentUserId) : null;
+      const canManage = row.created_by === currentUserId || (membership && organizationService.canWrite(membership.role));
+      if (!canManage) {
+        return res.status(403).json({ message: 'Only the conversation creator or organization managers can remove participants' });
+      }
+      const remainingRoles = row.participants.filter(p => p !== userId).map(p => row.participant_details?.[p]?.role);
+      if (!permissionService.isValidConversationMix(remainingRoles)) {
+        return res.status(400).json({ message: 'A conversation needs at least one brand and one influencer/UGC creator' });
+      }
+    }
+
+    const removedName = participantName(row, userId);
+    const text = leaving ? `${removedName} left the conversation` : `${req.user.displayName || req.user.email} removed ${removedName}`;
+    const client = await pg.getClient();
+    let result;
+    try {
+      await client.query('BEGIN');
+      await client.query(
+        `UPDATE conversations
+         SET participants = array_remove(participants, $2),
+             participant_details = COALESCE(participant_details, '{}'::jsonb) - $2
+         WHERE id = $1`,
+        [conversationId, userId]
+      );
+      await client.query('DELETE FROM conversation_reads WHERE conversation_id = $1 AND user_id = $2', [conversationId, userId]);
+      result = await insertSystemMessage(client, conversationId, req.user, text, {
+        event: leaving ? 'participants.left' : 'participants.removed',
+        userIds: [userId]
+      });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await publishConversationEvent('message.created', result.conversation, { conversationId, message: result.message });
+    await publishConversationEvent('conversation.updated', result.conversation, { conversation: formatConversation(result.conversation) });
+    await realtime.publish('conversation.removed', { recipients: [userId], data: { conversationId } });
+
+    res.json({ conversation: formatConversation(result.conversation), message: result.message });
+
+  } catch (error) {
+    console.error('Remove participant error:', error);
+    res.status(500).json({ message: 'Server error while removing participant' });
+  }
+});
+
+// Rename a conversation ({ title: null } clears it)
+router.patch('/conversations/:conversationId', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const title = normalizeTitle(req.body?.title);
+    if (title === undefined) {
+      return res.status(400).json({ message: `Title must be text of at most ${MAX_TITLE_LENGTH} characters` });
+    }
+
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    if ((row.title || null) === title) {
+      return res.json({ conversation: formatConversation(row) });
+    }
+
+    const actor = req.user.displayName || req.user.email;
+    const client = await pg.getClient();
+    let result;
+    try {
+      await client.query('BEGIN');
+      await client.query('UPDATE conversations SET title = $2 WHERE id = $1', [conversationId, title]);
+      result = await insertSystemMessage(client, conversationId, req.user, title ? `${actor} renamed the conversation to "${title}"` : `${actor} removed the conversation title`, {
+        event: 'title.changed',
+        title
+      });
+      await client.query('COMMIT');
+    } catch (err) {
+      await client.query('ROLLBACK');
+      throw err;
+    } finally {
+      client.release();
+    }
+
+    await publishConversationEvent('message.created', result.conversation, { conversationId, message: result.message });
+    await publishConversationEvent('conversation.updated', result.conversation, { conversation: formatConversation(result.conversation) });
+
+    res.json({ conversation: formatConversation(result.conversation), message: result.message });
+
+  } catch (error) {
+    console.error('Rename conversation error:', error);
+    res.status(500).json({ message: 'Server error while renaming conversation' });
+  }
+});
+
+// Block the other side of a conversation: no new messages either way, and the thread is hidden
+router.post('/conversations/:conversationId/block', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const currentUserId = req.user.uid;
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+
+    const blockedIds = await getCounterparts(row, currentUserId);
+    if (blockedIds.length === 0) {
+      return res.status(400).json({ message: 'There is nobody to block in this conversation' });
+    }
+    await safetyService.blockUsers(currentUserId, blockedIds, conversationId);
+
+    res.json({ message: 'Conversation blocked', conversationId, blockedUserIds: blockedIds });
+
+  } catch (error) {
+    console.error('Block conversation error:', error);
+    res.status(500).json({ message: 'Server error while blocking conversation' });
+  }
+});
+
+// Undo a block made from this conversation
+router.delete('/conversations/:conversationId/block', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const access = await getConversationAccess(convRes.rows[0], req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    const removed = await safetyService.unblockConversation(req.user.uid, conversationId);
+    if (removed === 0) {
+      return res.status(404).json({ message: 'You have not blocked anyone in this conversation' });
+    }
+    res.json({ message: 'Conversation unblocked', conversationId });
+
+  } catch (error) {
+    console.error('Unblock conversation error:', error);
+    res.status(500).json({ message: 'Server error while unblocking conversation' });
+  }
+});
+
+// Users the current user has blocked
+router.get('/blocks', async (req, res) => {
+  try {
+    const blocked = await safetyService.listBlockedUsers(req.user.uid);
+    res.json({ blocked });
+  } catch (error) {
+    console.error('List blocks error:', error);
+    res.status(500).json({ message: 'Server error while fetching blocked users' });
+  }
+});
+
+// Report the other side of a conversation to support. Optionally blocks them too.
+router.post('/conversations/:conversationId/report', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const currentUserId = req.user.uid;
+    const { reasonCode, details, messageIds = [], reportedUserId, block = false } = req.body || {};
+
+    if (!safetyService.REPORT_REASONS.includes(reasonCode)) {
+      return res.status(400).json({ message: `reasonCode must be one of: ${safetyService.REPORT_REASONS.join(', ')}` });
+    }
+    if (!Array.isArray(messageIds) || messageIds.length > safetyService.MAX_REPORTED_MESSAGES || messageIds.some(id => typeof id !== 'string')) {
+      return res.status(400).json({ message: `messageIds must be an array of at most ${safetyService.MAX_REPORTED_MESSAGES} message ids` });
+    }
+    if (details !== undefined && (typeof details !== 'string' || details.length > 2000)) {
+      return res.status(400).json({ message: 'details must be text of at most 2000 characters' });
+    }
+
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+
+    const counterparts = await getCounterparts(row, currentUserId);
+    if (reportedUserId && !counterparts.includes(reportedUserId)) {
+      return res.status(400).json({ message: 'reportedUserId must be on the other side of this conversation' });
+    }
+    const target = reportedUserId || counterparts[0];
+    if (!target) {
+      return res.status(400).json({ message: 'There is nobody to report in this conversation' });
+    }
+
+    const report = await safetyService.createReport({
+      reporterId: currentUserId,
+      reportedUserId: target,
+      conversationId,
+      reasonCode,
+      details,
+      messageIds
+    });
+    if (block) {
+      await safetyService.blockUsers(currentUserId, counterparts, conversationId);
+    }
+
+    res.status(201).json({ message: 'Report submitted. Our team will review it.', reportId: report.id, blocked: !!block });
+
+  } catch (error) {
+    if (error?.message === 'MESSAGE_NOT_IN_CONVERSATION') {
+      return res.status(400).json({ message: 'Every reported message must belong to this conversation' });
+    }
+    console.error('Report conversation error:', error);
+    res.status(500).json({ message: 'Server error while submitting report' });
+  }
+});
+
+const offerErrorResponse = (res, error) => {
+  const code = error?.code;
+  if (code === 'INVALID_OFFER' || code === 'INVALID_ACTION') {
+    return res.status(400).json({ message: code === 'INVALID_ACTION' ? `action must be one of: ${offerService.RESPONSE_ACTIONS.join(', ')}` : error.message });
+  }
+  if (code === 'CREATOR_CANNOT_PROPOSE') {
+    return res.status(403).json({ message: 'Creators respond to offers with a counter-offer' });
+  }
+  if (code === 'OFFER_NOT_FOUND') {
+    return res.status(404).json({ message: 'Offer not found' });
+  }
+  if (code === 'OFFER_CLOSED') {
+    return res.status(409).json({ message: 'This offer is no longer open' });
+  }
+  if (code === 'NOT_YOUR_TURN') {
+    return res.status(409).json({ message: 'Waiting for the other side to respond to this offer', code });
+  }
+  return null;
+};
+
+// Deliverable types, usage scopes and (with ?creatorId=) the creator's listed prices
+router.get('/offers/options', async (req, res) => {
+  try {
+    const options = await offerService.listDeliverableOptions(req.query.creatorId || null);
+    res.json(options);
+  } catch (error) {
+    console.error('Get offer options error:', error);
+    res.status(500).json({ message: 'Server error while fetching offer options' });
+  }
+});
+
+// Propose an offer to the creator in this conversation
+router.post('/conversations/:conversationId/offers', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const row = convRes.rows[0];
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canWrite) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    if (await safetyService.isConversationBlocked(row, req.user.uid)) {
+      return res.status(403).json({ message: 'Messaging is blocked in this conversation', code: 'BLOCKED' });
+    }
+    await joinAsTeammate(conversationId, access, req.user);
+
+    const result = await offerService.createOffer(row, req.user, req.body || {});
+    await markRead(conversationId, req.user.uid, result.message.timestamp, result.message.id);
+
+    const message = { ...result.message, offer: result.offer };
+    await publishConversationEvent('message.created', result.conversation, { conversationId, message });
+    await publishConversationEvent('conversation.updated', result.conversation, { conversation: formatConversation(result.conversation) });
+
+    await notify(result.offer.creatorId, 'offer.received', {
+      conversationId,
+      offerId: result.offer.id,
+      fromName: req.user.displayName || req.user.email,
+      price: result.offer.terms.price,
+      currency: result.offer.terms.currency
+    });
+
+    res.status(201).json({ offer: result.offer, message });
+
+  } catch (error) {
+    if (offerErrorResponse(res, error)) return;
+    console.error('Create offer error:', error);
+    res.status(500).json({ message: 'Server error while creating offer' });
+  }
+});
+
+// Every offer in the conversation with its full version history
+router.get('/conversations/:conversationId/offers', async (req, res) => {
+  try {
+    const { conversationId } = req.params;
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Conversation not found' });
+    }
+    const access = await getConversationAccess(convRes.rows[0], req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    const offers = await offerService.listOffersForConversation(conversationId);
+    res.json({ offers });
+
+  } catch (error) {
+    console.error('List offers error:', error);
+    res.status(500).json({ message: 'Server error while fetching offers' });
+  }
+});
+
+// Loads an offer and its conversation, or sends the error response and returns null
+const loadOfferForUser = async (req, res, { write }) => {
+  const offer = await offerService.getOffer(req.params.offerId);
+  if (!offer) {
+    res.status(404).json({ message: 'Offer not found' });
+    return null;
+  }
+  const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [offer.conversationId]);
+  const row = convRes.rows[0];
+  const access = await getConversationAccess(row, req.user);
+  if (!(write ? access.canWrite : access.canRead)) {
+    res.status(403).json({ message: 'You are not a participant in this conversation' });
+    return null;
+  }
+  return { offer, row, access };
+};
+
+router.get('/offers/:offerId', async (req, res) => {
+  try {
+    const loaded = await loadOfferForUser(req, res, { write: false });
+    if (!loaded) return;
+    res.json({ offer: loaded.offer });
+  } catch (error) {
+    console.error('Get offer error:', error);
+    res.status(500).json({ message: 'Server error while fetching offer' });
+  }
+});
+
+// { action: accept | decline | counter | withdraw, note?, ...counter terms }
+router.post('/offers/:offerId/respond', async (req, res) => {
+  try {
+    const loaded = await loadOfferForUser(req, res, { write: true });
+    if (!loaded) return;
+    const { row, access } = loaded;
+    if (await safetyService.isConversationBlocked(row, req.user.uid)) {
+      return res.status(403).json({ message: 'Messaging is blocked in this conversation', code: 'BLOCKED' });
+    }
+    await joinAsTeammate(row.id, access, req.user);
+
+    const result = await offerService.respondToOffer(req.params.offerId, req.user, req.body || {});
+    await markRead(row.id, req.user.uid, result.message.timestamp, result.message.id);
+
+    const message = { ...result.message, offer: result.offer };
+    await publishConversationEvent('message.created', result.conversation, { conversationId: row.id, message });
+    await publishConversationEvent('conversation.updated', result.conversation, { conversation: formatConversation(result.conversation) });
+    if (result.offer.status === 'accepted') {
+      const pinnedOffer = await offerService.getPinnedOffer(row.id);
+      await publishConversationEvent('conversation.pinned_offer', result.conversation, { conversationId: row.id, pinnedOffer });
+      // Accepted terms start deliverable tracking
+      const collaboration = await collaborationService.createFromOffer(result.offer, result.conversation);
+      if (collaboration) {
+        await notify(result.conversation.participants, 'collaboration.started', { collaborationId: collaboration.id, title: collaboration.title });
+      }
+    }
+
+    // Tell the other side: the creator, or whoever last proposed terms for the brand
+    const { offer } = result;
+    const lastBrandVersion = [...offer.versions].reverse().find(v => v.proposedByParty === 'brand');
+    const recipient = req.user.uid === offer.creatorId ? (lastBrandVersion?.proposedBy || offer.createdBy) : offer.creatorId;
+    await notify(recipient, 'offer.updated', {
+      conversationId: row.id,
+      offerId: offer.id,
+      fromName: req.user.displayName || req.user.email,
+      status: offer.status
+    });
+
+    res.json({ offer: result.offer, message });
+
+  } catch (error) {
+    if (offerErrorResponse(res, error)) return;
+    console.error('Respond to offer error:', error);
+    res.status(500).json({ message: 'Server error while responding to offer' });
+  }
+});
+
+// Stream an attachment to a user who can read its conversation (?download=1 forces a download)
+router.get('/attachments/:attachmentId', async (req, res) => {
+  try {
+    const attachment = await attachmentService.getAttachment(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [attachment.conversation_id]);
+    if (convRes.rowCount === 0) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+    const access = await getConversationAccess(convRes.rows[0], req.user);
+    if (!access.canRead) {
+      return res.status(403).json({ message: 'You are not a participant in this conversation' });
+    }
+    if (attachment.message_deleted_at) {
+      return res.status(404).json({ message: 'Attachment not found' });
+    }
+
+    // Pass Range through so videos can be scrubbed
+    const range = req.header('Range');
+    const upstream = await fetch(attachment.blob_url, { headers: range ? { Range: range } : {} });
+    if (!upstream.ok || !upstream.body) {
+      console.error('Attachment fetch failed:', attachment.id, upstream.status);
+      return res.status(502).json({ message: 'Attachment is temporarily unavailable' });
+    }
+
+    const inline = !req.query.download && (attachment.mime_type.startsWith('image/') || attachment.mime_type.startsWith('video/'));
+    const safeName = attachment.file_name.replace(/["\\\r\n]/g, '_');
+    res.status(upstream.status);
+    res.setHeader('Content-Type', attachment.mime_type);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${safeName}"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    for (const header of ['Content-Length', 'Content-Range', 'Accept-Ranges']) {
+      const value = upstream.headers.get(header);
+      if (value) res.setHeader(header, value);
+    }
+    Readable.fromWeb(upstream.body).pipe(res);
+
+  } catch (error) {
+    console.error('Get attachment error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error while fetching attachment' });
+    } else {
+      res.end();
+    }
+  }
+});
+
 // Get conversation details
 router.get('/conversations/:conversationId', async (req, res) => {
   try {
     const { conversationId } = req.params;
-    const currentUserId = req.user.uid;
-    const convRes = await pg.query('SELECT id, participants, participant_details, last_message, last_message_time, created_at, updated_at FROM conversations WHERE id = $1', [conversationId]);
+    const convRes = await pg.query(`SELECT ${CONVERSATION_COLUMNS} FROM conversations WHERE id = $1`, [conversationId]);
     if (convRes.rowCount === 0) {
       return res.status(404).json({ message: 'Conversation not found' });
     }
     const row = convRes.rows[0];
-    if (!row.participants.includes(currentUserId)) {
+    const access = await getConversationAccess(row, req.user);
+    if (!access.canRead) {
       return res.status(403).json({ message: 'You are not a participant in this conversation' });
     }
 
-    res.json({ conversation: {
-      id: row.id,
-      participants: row.participants,
-      participantDetails: row.participant_details,
-      lastMessage: row.last_message,
-      lastMessageTime: row.last_message_time,
-      createdAt: row.created_at?.toISOString?.() || row.created_at,
-      updatedAt: row.updated_at?.toISOString?.() || row.updated_at
-    }});
+    const pinnedOffer = await offerService.getPinnedOffer(conversationId);
+
+    res.json({ conversation: { ...formatConversation(row), pinnedOffer } });
 
   } catch (error) {
     console.error('Get conversation error:', error);
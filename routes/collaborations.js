@@ -0,0 +1,435 @@
+const express = require('express');
+const { Readable } = require('stream');
+const { authMiddleware } = require('../middleware/auth');
+const { draftUpload } = require('../middleware/upload');
+const collaborationService = require('../services/collaborationService');
+const postVerificationService = require('../services/postVerificationService');
+const reviewService = require('../services/reviewService');
+const paymentService = require('../services/paymentService');
+const { notify } = require('../services/notificationService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+const collaborationErrorResponse = (res, error) => {
+  const code = error?.code;
+  if (code === 'INVALID_DELIVERABLE' || code === 'INVALID_ACTION') {
+    return res.status(400).json({ message: code === 'INVALID_ACTION' ? `action must be one of: ${collaborationService.REVIEW_ACTIONS.join(', ')}` : error.message });
+  }
+  if (code === 'DELIVERABLE_APPROVED') {
+    return res.status(409).json({ message: 'Approved deliverables cannot be changed', code });
+  }
+  if (code === 'DELIVERABLE_HAS_SUBMISSIONS') {
+    return res.status(409).json({ message: 'Deliverables with submitted drafts cannot be removed', code });
+  }
+  if (code === 'ESCROW_HELD') {
+    return res.status(409).json({ message: 'Deliverables cannot be added or removed while payment is held in escrow', code });
+  }
+  if (code === 'NOT_AWAITING_DRAFT') {
+    return res.status(409).json({ message: 'This deliverable is not waiting for a draft', code });
+  }
+  if (code === 'NOTHING_TO_REVIEW') {
+    return res.status(409).json({ message: 'There is no draft waiting for review', code });
+  }
+  if (code === 'INVALID_POST_URL') {
+    return res.status(400).json({ message: 'postUrl must be an Instagram post or reel URL, or its shortcode' });
+  }
+  if (code === 'POST_NOT_LINKED') {
+    return res.status(404).json({ message: 'No published post is linked to this deliverable' });
+  }
+  if (code === 'INVALID_REVIEW') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (code === 'COLLABORATION_NOT_COMPLETED') {
+    return res.status(409).json({ message: 'Reviews open once every deliverable is approved', code });
+  }
+  if (code === 'REVIEW_WINDOW_CLOSED') {
+    return res.status(409).json({ message: 'The review window for this collaboration has closed', code });
+  }
+  if (code === 'ALREADY_REVIEWED') {
+    return res.status(409).json({ message: 'Your side has already reviewed this collaboration', code });
+  }
+  if (code === 'INVALID_PAYMENT') {
+    return res.status(400).json({ message: error.message });
+  }
+  if (code === 'PAYMENT_DECLINED') {
+    return res.status(402).json({ message: error.message === 'PAYMENT_DECLINED' ? 'The payment was declined' : error.message, code });
+  }
+  if (code === 'PROVIDER_NOT_CONFIGURED') {
+    return res.status(503).json({ message: 'Payments are not available right now', code });
+  }
+  if (code === 'REVISION_LIMIT_REACHED') {
+    return res.status(409).json({ message: 'All revision rounds the creator offers have been used. Approve this draft or agree extra rounds with the creator.', code });
+  }
+  return null;
+};
+
+const notifyReleases = async (collaboration, releases) => {
+  for (const release of releases) {
+    await notify(collaboration.creatorId, 'payment.released', {
+      collaborationId: collaboration.id,
+      title: collaboration.title,
+      amount: paymentService.creatorAmount(release),
+      currency: release.currency
+    });
+  }
+};
+
+// Loads :collaborationId (and :deliverableId when present) for someone involved in it
+const loadCollaboration = ({ review = false, creator = false } = {}) => {
+  return async (req, res, next) => {
+    try {
+      const collaboration = await collaborationService.getCollaboration(req.params.collaborationId);
+      if (!collaboration) {
+        return res.status(404).json({ message: 'Collaboration not found' });
+      }
+      const access = await collaborationService.getCollaborationAccess(collaboration, req.user.uid);
+      if (!access.canRead) {
+        return res.status(403).json({ message: 'You are not part of this collaboration' });
+      }
+      if (review && !access.canReview) {
+        return res.status(403).json({ message: 'Only the brand team can manage deliverables' });
+      }
+      if (creator && !access.isCreator) {
+        return res.status(403).json({ message: 'Only the creator can submit drafts' });
+      }
+      if (req.params.deliverableId) {
+        const deliverable = /^\d+$/.test(req.params.deliverableId)
+          ? await collaborationService.getDeliverable(collaboration.id, req.params.deliverableId)
+          : null;
+        if (!deliverable) {
+          return res.status(404).json({ message: 'Deliverable not found' });
+        }
+        req.deliverable = deliverable;
+      }
+      req.collaboration = collaboration;
+      req.collaborationAccess = access;
+      next();
+    } catch (error) {
+      console.error('Collaboration access check error:', error);
+      res.status(500).json({ message: 'Server error while loading collaboration' });
+    }
+  };
+};
+
+// multipart/form-data with up to MAX_DRAFT_FILES files in `files` and an optional `note`
+const receiveDrafts = (req, res, next) => {
+  draftUpload.array('files')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({ message: err.message || 'Invalid file' });
+    }
+    next();
+  });
+};
+
+// Collaborations the user is creating content for, or that they or their organization agreed
+router.get('/', async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status && !['active', 'completed'].includes(status)) {
+      return res.status(400).json({ message: 'status must be one of: active, completed' });
+    }
+    const collaborations = await collaborationService.listCollaborations(req.user.uid, { status });
+    res.json({ collaborations });
+  } catch (error) {
+    console.error('Get collaborations error:', error);
+    res.status(500).json({ message: 'Server error while fetching collaborations' });
+  }
+});
+
+// Stream a draft file to someone involved in the collaboration (?download=1 forces a download)
+router.get('/files/:fileId', async (req, res) => {
+  try {
+    const file = await collaborationService.getFile(req.params.fileId);
+    if (!file) {
+      return res.status(404).json({ message: 'File not found' });
+    }
+    const collaboration = await collaborationService.getCollaboration(file.collaboration_id);
+    const access = collaboration ? await collaborationService.getCollaborationAccess(collaboration, req.user.uid) : null;
+    if (!access?.canRead) {
+      return res.status(403).json({ message: 'You are not part of this collaboration' });
+    }
+
+    // Pass Range through so videos can be scrubbed
+    const range = req.header('Range');
+    const upstream = await fetch(file.blob_url, { headers: range ? { Range: range } : {} });
+    if (!upstream.ok || !upstream.body) {
+      console.error('Draft file fetch failed:', file.id, upstream.status);
+      return res.status(502).json({ message: 'File is temporarily unavailable' });
+    }
+
+    const inline = !req.query.download && (file.mime_type.startsWith('image/') || file.mime_type.startsWith('video/'));
+    const safeName = file.file_name.replace(/["\\\r\n]/g, '_');
+    res.status(upstream.status);
+    res.setHeader('Content-Type', file.mime_type);
+    res.setHeader('Content-Disposition', `${inline ? 'inline' : 'attachment'}; filename="${safeName}"`);
+    res.setHeader('Cache-Control', 'private, max-age=300');
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    for (const header of ['Content-Length', 'Content-Range', 'Accept-Ranges']) {
+      const value = upstream.headers.get(header);
+      if (value) res.setHeader(header, value);
+    }
+    Readable.fromWeb(upstream.body).pipe(res);
+
+  } catch (error) {
+    console.error('Get draft file error:', error);
+    if (!res.headersSent) {
+      res.status(500).json({ message: 'Server error while fetching file' });
+    } else {
+      res.end();
+    }
+  }
+});
+
+// The collaboration with its deliverables and every draft round
+router.get('/:collaborationId', loadCollaboration(), async (req, res) => {
+  try {
+    const [deliverables, posts] = await Promise.all([
+      collaborationService.listDeliverables(req.collaboration.id),
+      postVerificationService.getPostsForCollaboration(req.collaboration.id)
+    ]);
+    res.json({
+      collaboration: req.collaboration,
+      deliverables: deliverables.map(d => ({ ...d, publishedPost: posts[d.id] || null })),
+      canReview: req.collaborationAccess.canReview,
+      isCreator: req.collaborationAccess.isCreator
+    });
+  } catch (error) {
+    console.error('Get collaboration error:', error);
+    res.status(500).json({ message: 'Server error while fetching collaboration' });
+  }
+});
+
+router.post('/:collaborationId/deliverables', loadCollaboration({ review: true }), async (req, res) => {
+  try {
+    const deliverable = await collaborationService.addDeliverable(req.collaboration.id, req.body || {});
+    res.status(201).json({ message: 'Deliverable added', deliverable });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Add deliverable error:', error);
+    res.status(500).json({ message: 'Server error while adding deliverable' });
+  }
+});
+
+// Change type, quantity, description or dueDate (YYYY-MM-DD, or null to clear it), and what
+// the published post must carry: requiredHashtags, requiredMentions, requireSponsoredTag
+router.put('/:collaborationId/deliverables/:deliverableId', loadCollaboration({ review: true }), async (req, res) => {
+  try {
+    const deliverable = await collaborationService.updateDeliverable(req.deliverable, req.body || {});
+    res.json({ message: 'Deliverable updated', deliverable });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Update deliverable error:', error);
+    res.status(500).json({ message: 'Server error while updating deliverable' });
+  }
+});
+
+router.delete('/:collaborationId/deliverables/:deliverableId', loadCollaboration({ review: true }), async (req, res) => {
+  try {
+    await collaborationService.removeDeliverable(req.deliverable);
+    res.json({ message: 'Deliverable removed' });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Remove deliverable error:', error);
+    res.status(500).json({ message: 'Server error while removing deliverable' });
+  }
+});
+
+// The creator uploads a draft for review
+router.post('/:collaborationId/deliverables/:deliverableId/submissions', receiveDrafts, loadCollaboration({ creator: true }), async (req, res) => {
+  try {
+    const result = await collaborationService.submitDraft(req.collaboration, req.deliverable, req.user.uid, {
+      note: req.body?.note,
+      files: req.files || []
+    });
+
+    await notify(await collaborationService.getBrandRecipients(req.collaboration), 'deliverable.submitted', {
+      collaborationId: req.collaboration.id,
+      deliverableId: req.deliverable.id,
+      label: req.deliverable.label,
+      fromName: req.user.displayName || req.user.email
+    });
+
+    res.status(201).json({ message: 'Draft submitted for review', ...result });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Submit draft error:', error);
+    res.status(500).json({ message: 'Server error while submitting draft' });
+  }
+});
+
+// The brand approves the latest draft or requests changes with a comment
+router.post('/:collaborationId/deliverables/:deliverableId/review', loadCollaboration({ review: true }), async (req, res) => {
+  try {
+    const { action, comment } = req.body || {};
+    const result = await collaborationService.reviewDraft(req.collaboration, req.deliverable, req.user.uid, { action, comment });
+
+    await notify(req.collaboration.creatorId, 'deliverable.reviewed', {
+      collaborationId: req.collaboration.id,
+      deliverableId: req.deliverable.id,
+      label: req.deliverable.label,
+      status: result.deliverable.status
+    });
+
+    // Approval releases the deliverable's share of the escrow; the payouts job retries failures
+    if (action === 'approve') {
+      try {
+        const release = await paymentService.releaseForDeliverable(req.collaboration, req.deliverable);
+        if (release) await notifyReleases(req.collaboration, [release]);
+      } catch (releaseError) {
+        console.error('Escrow release error:', releaseError);
+      }
+    }
+
+    const { revisionLimit } = req.collaboration;
+    res.json({
+      message: action === 'approve' ? 'Draft approved' : 'Changes requested',
+      ...result,
+      revisionsRemaining: revisionLimit === null ? null : Math.max(revisionLimit - result.deliverable.revisionsUsed, 0)
+    });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Review draft error:', error);
+    res.status(500).json({ message: 'Server error while reviewing draft' });
+  }
+});
+
+// Link the live Instagram post for a deliverable ({ postUrl }: URL or shortcode). It is
+// checked against the creator's scraped reels now and after each refresh.
+router.put('/:collaborationId/deliverables/:deliverableId/post', loadCollaboration(), async (req, res) => {
+  try {
+    if (!req.collaborationAccess.isCreator && !req.collaborationAccess.canReview) {
+      return res.status(403).json({ message: 'Only the creator or the brand team can link the published post' });
+    }
+    const result = await postVerificationService.linkPost(req.collaboration, req.deliverable, req.user.uid, { postUrl: req.body?.postUrl });
+    await postVerificationService.notifyCheckResults([result]);
+    res.json({
+      message: result.post.status === 'not_found' ? 'Post linked. It will be verified after the next Instagram refresh.' : 'Post linked',
+      publishedPost: result.post
+    });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Link published post error:', error);
+    res.status(500).json({ message: 'Server error while linking post' });
+  }
+});
+
+// Re-run the checks against the reels currently stored (no new scrape)
+router.post('/:collaborationId/deliverables/:deliverableId/post/verify', loadCollaboration(), async (req, res) => {
+  try {
+    const result = await postVerificationService.recheckPost(req.deliverable.id);
+    await postVerificationService.notifyCheckResults([result]);
+    res.json({ publishedPost: result.post });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Verify published post error:', error);
+    res.status(500).json({ message: 'Server error while verifying post' });
+  }
+});
+
+// Views, likes and comments of the verified posts over their tracking period
+router.get('/:collaborationId/report', loadCollaboration(), async (req, res) => {
+  try {
+    const report = await postVerificationService.getPerformanceReport([req.collaboration.id]);
+    res.json({ collaboration: req.collaboration, trackingDays: postVerificationService.TRACKING_DAYS, ...report });
+  } catch (error) {
+    console.error('Get collaboration report error:', error);
+    res.status(500).json({ message: 'Server error while building report' });
+  }
+});
+
+// The creator reviews the brand; the brand or an organization owner/manager reviews the creator
+const reviewSide = (access) => {
+  if (access.isCreator) return 'creator';
+  return access.canReview ? 'brand' : null;
+};
+
+// Both sides' reviews as the caller may see them: the other side's stays hidden
+// until both have reviewed or the review window closes
+router.get('/:collaborationId/reviews', loadCollaboration(), async (req, res) => {
+  try {
+    // Read-only organization members see the brand side
+    const side = reviewSide(req.collaborationAccess);
+    const reviews = await reviewService.getReviewsForCollaboration(req.collaboration, side || 'brand');
+    res.json({ side: side || 'brand', ...reviews, canReview: !!side && reviews.canReview });
+  } catch (error) {
+    console.error('Get collaboration reviews error:', error);
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+// { communication, quality, timeliness } each 1-5, and an optional comment
+router.post('/:collaborationId/reviews', loadCollaboration(), async (req, res) => {
+  try {
+    const side = reviewSide(req.collaborationAccess);
+    if (!side) {
+      return res.status(403).json({ message: 'Only the creator or the brand team can leave a review' });
+    }
+    const result = await reviewService.submitReview(req.collaboration, side, req.user.uid, req.body || {});
+
+    const brandRecipients = await collaborationService.getBrandRecipients(req.collaboration);
+    const payload = { collaborationId: req.collaboration.id, title: req.collaboration.title };
+    if (result.revealed) {
+      await notify([req.collaboration.creatorId, ...brandRecipients], 'review.revealed', payload);
+    } else {
+      await notify(side === 'brand' ? req.collaboration.creatorId : brandRecipients, 'review.submitted', payload);
+    }
+
+    res.status(201).json({
+      message: result.revealed ? 'Review submitted. Both reviews are now visible.' : 'Review submitted. It stays hidden until the other side reviews or the window closes.',
+      ...result
+    });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Submit review error:', error);
+    res.status(500).json({ message: 'Server error while submitting review' });
+  }
+});
+
+// Escrow balance and ledger transactions for the collaboration
+router.get('/:collaborationId/payments', loadCollaboration(), async (req, res) => {
+  try {
+    const payments = await paymentService.getEscrowSummary(req.collaboration);
+    res.json({ payments });
+  } catch (error) {
+    console.error('Get collaboration payments error:', error);
+    res.status(500).json({ message: 'Server error while fetching payments' });
+  }
+});
+
+// The brand funds the escrow ({ amount, paymentMethod }; amount defaults to the unfunded
+// price). Money for deliverables approved before the deposit is released right away.
+router.post('/:collaborationId/payments/deposits', loadCollaboration({ review: true }), async (req, res) => {
+  try {
+    const { amount, paymentMethod } = req.body || {};
+    const transaction = await paymentService.deposit(req.collaboration, req.user.uid, { amount, paymentMethod });
+    await notify(req.collaboration.creatorId, 'payment.deposited', {
+      collaborationId: req.collaboration.id,
+      title: req.collaboration.title,
+      amount: transaction.amount,
+      currency: transaction.currency
+    });
+
+    let releases = [];
+    try {
+      releases = await paymentService.releaseApprovedDeliverables(req.collaboration);
+      await notifyReleases(req.collaboration, releases);
+    } catch (releaseError) {
+      console.error('Escrow release after deposit error:', releaseError);
+    }
+
+    res.status(201).json({
+      message: 'Deposit received',
+      transaction,
+      releases,
+      payments: await paymentService.getEscrowSummary(req.collaboration)
+    });
+  } catch (error) {
+    if (collaborationErrorResponse(res, error)) return;
+    console.error('Escrow deposit error:', error);
+    res.status(500).json({ message: 'Server error while taking deposit' });
+  }
+});
+
+module.exports = router;
@@ -1,8 +1,29 @@
 const express = require('express');
+const crypto = require('crypto');
 const syncInfluencerStats = require('../services/cronService');
+const { purgeDueAccounts } = require('../services/accountDataService');
+const { recordAuditEvent } = require('../services/auditService');
+const { sendUnreadDigests, notify } = require('../services/notificationService');
+const collaborationService = require('../services/collaborationService');
+const postVerificationService = require('../services/postVerificationService');
+const reviewService = require('../services/reviewService');
+const paymentService = require('../services/paymentService');
+const { purgeExpiredContent } = require('../services/retentionService');
 
 const router = express.Router();
 
+// Jobs that delete data or move money run only with a configured secret, whatever the
+// environment: a missing CRON_SECRET refuses the request instead of leaving it open
+const requireCronSecret = (req, res, next) => {
+  const expected = Buffer.from(process.env.CRON_SECRET || '');
+  const provided = Buffer.from(req.header('X-Cron-Secret') || '');
+  const matches = expected.length > 0 && provided.length === expected.length && crypto.timingSafeEqual(provided, expected);
+  if (!matches) {
+    return res.status(401).json({ message: 'Unauthorized' });
+  }
+  next();
+};
+
 // Manual trigger for syncing influencer stats (protected endpoint)
 router.post('/sync-influencer-stats', async (req, res) => {
   try {
@@ -33,6 +54,214 @@ router.post('/sync-influencer-stats', async (req, res) => {
   }
 });
 
+// Purge accounts whose deletion grace period has ended (protected endpoint)
+router.post('/purge-deleted-accounts', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '25', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const result = await purgeDueAccounts({ limit, dryRun });
+    if (!dryRun) {
+      for (const purged of result.purged) {
+        await recordAuditEvent(req, {
+          action: 'account.purge',
+          targetId: purged.uid,
+          actorId: null,
+          actorRole: 'system',
+          metadata: { blobsDeleted: purged.blobsDeleted }
+        });
+      }
+    }
+
+    res.json({
+      message: 'Account purge completed',
+      timestamp: new Date().toISOString(),
+      purged: result.purged.map(p => p.uid),
+      failed: result.failed,
+      expiredExports: result.expiredExports,
+      dryRun
+    });
+
+  } catch (error) {
+    console.error('Account purge trigger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Email unread-message digests to users whose digest is due (protected endpoint).
+// Run every few minutes; each user's frequency decides whether they get one.
+router.post('/send-message-digests', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '200', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const result = await sendUnreadDigests({ limit, dryRun });
+
+    res.json({
+      message: 'Message digests sent',
+      timestamp: new Date().toISOString(),
+      sent: result.sent.length,
+      failed: result.failed,
+      dryRun
+    });
+
+  } catch (error) {
+    console.error('Message digest trigger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Delete messages and attachments past the admin-configured retention policy (protected endpoint)
+router.post('/purge-expired-messages', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '1000', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const result = await purgeExpiredContent({ limit, dryRun });
+    if (!dryRun && (result.messages || result.deletedMessages || result.attachments)) {
+      await recordAuditEvent(req, {
+        action: 'retention.purge',
+        targetType: 'retention_policy',
+        actorId: null,
+        actorRole: 'system',
+        metadata: { messages: result.messages, deletedMessages: result.deletedMessages, attachments: result.attachments }
+      });
+    }
+
+    res.json({
+      message: 'Message retention purge completed',
+      timestamp: new Date().toISOString(),
+      ...result
+    });
+
+  } catch (error) {
+    console.error('Message retention purge error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Flag deliverables past their due date and tell both sides (protected endpoint). Run daily.
+router.post('/flag-overdue-deliverables', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '500', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const overdue = await collaborationService.flagOverdueDeliverables({ limit, dryRun });
+    if (!dryRun) {
+      for (const { deliverable, collaboration } of overdue) {
+        const brandRecipients = await collaborationService.getBrandRecipients(collaboration);
+        await notify([collaboration.creatorId, ...brandRecipients], 'deliverable.overdue', {
+          collaborationId: collaboration.id,
+          deliverableId: deliverable.id,
+          label: deliverable.label,
+          dueDate: deliverable.dueDate
+        });
+      }
+    }
+
+    res.json({
+      message: 'Overdue deliverables flagged',
+      timestamp: new Date().toISOString(),
+      flagged: overdue.map(o => o.deliverable.id),
+      dryRun
+    });
+
+  } catch (error) {
+    console.error('Overdue deliverables trigger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Refresh reels for creators with linked posts, verify pending posts and snapshot
+// the metrics of verified ones (?limit caps the creators scraped per run)
+router.post('/track-sponsored-posts', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '20', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const summary = await postVerificationService.trackPublishedPosts({ limit, dryRun });
+    await postVerificationService.notifyCheckResults(summary.checked);
+
+    res.json({
+      message: 'Sponsored posts tracked',
+      timestamp: new Date().toISOString(),
+      creators: summary.creators,
+      refreshFailed: summary.refreshFailed,
+      checked: summary.checked.map(c => ({ postId: c.post.id, status: c.post.status })),
+      snapshots: summary.snapshots,
+      ...(dryRun ? { posts: summary.posts } : {}),
+      dryRun
+    });
+
+  } catch (error) {
+    console.error('Sponsored post tracking trigger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Reveal collaboration reviews whose review window closed before the other side reviewed
+router.post('/reveal-reviews', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '500', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const revealed = await reviewService.revealDueReviews({ limit, dryRun });
+    if (!dryRun) {
+      for (const collaboration of revealed) {
+        const brandRecipients = await collaborationService.getBrandRecipients(collaboration);
+        await notify([collaboration.creatorId, ...brandRecipients], 'review.revealed', {
+          collaborationId: collaboration.id,
+          title: collaboration.title
+        });
+      }
+    }
+
+    res.json({
+      message: 'Due reviews revealed',
+      timestamp: new Date().toISOString(),
+      revealed: revealed.map(c => c.id),
+      dryRun
+    });
+
+  } catch (error) {
+    console.error('Review reveal trigger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Release escrow for approved deliverables that missed their release, then pay out
+// creator balances of at least MIN_PAYOUT_AMOUNT through the payment provider
+router.post('/process-payouts', requireCronSecret, async (req, res) => {
+  try {
+    const limit = parseInt(req.query.limit || '100', 10);
+    const dryRun = String(req.query.dryRun || '').toLowerCase() === 'true';
+
+    const released = dryRun ? [] : await paymentService.releaseDueMilestones({ limit });
+    const result = await paymentService.processPayouts({ limit, dryRun });
+    for (const payout of result.paid) {
+      await notify(payout.creatorId, 'payment.payout_sent', {
+        transactionId: payout.id,
+        amount: payout.amount,
+        currency: payout.currency
+      });
+    }
+
+    res.json({
+      message: 'Payouts processed',
+      timestamp: new Date().toISOString(),
+      released: released.map(r => r.id),
+      paid: result.paid.map(p => ({ transactionId: p.id, creatorId: p.creatorId, amount: p.amount, currency: p.currency })),
+      failed: result.failed,
+      due: dryRun ? result.due : undefined,
+      dryRun
+    });
+
+  } catch (error) {
+    console.error('Payout trigger error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
 // Get sync status and last run information
 router.get('/sync-status', async (req, res) => {
   try {
@@ -1,5 +1,8 @@
 const express = require('express');
 const nodemailer = require('nodemailer');
+const { authMiddleware, requireVerifiedEmail } = require('../middleware/auth');
+const pg = require('../services/db');
+const organizationService = require('../services/organizationService');
 const router = express.Router();
 
 const createTransporter = () => {
@@ -12,8 +15,17 @@ const createTransporter = () => {
   });
 };
 
+// Signing in is optional here: anonymous visitors can still send requests, while signed-in
+// brands must have a verified email and have the request recorded for their organization
+const verifiedBrands = requireVerifiedEmail('brand');
+const optionalAuth = (req, res, next) => {
+  if (!req.header('Authorization')) return next();
+  authMiddleware(req, res, () => verifiedBrands(req, res, next));
+};
+
 // Send collaboration email
-router.post('/collaboration', async (req, res) => {
+router.post('/collaboration', optionalAuth, async (req, res) => {
+  let requestId = null;
   try {
     const {
       name,
@@ -70,12 +82,29 @@ router.post('/collaboration', async (req, res) => {
       `
     };
 
+    // Keep a record so the sender's whole organization can see the request. It is written
+    // before sending, so a request is never mailed without being recorded.
+    const membership = req.user ? await organizationService.getMembershipForUser(req.user.uid) : null;
+    const recorded = await pg.query(
+      `INSERT INTO collaboration_requests (organization_id, sender_id, contact_name, contact_email, contact_phone, influencer_name, influencer_email, influencer_instagram, message, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       RETURNING id`,
+      [membership?.organizationId || null, req.user?.uid || null, name, email, phone, influencerName || null, influencerEmail || null, influencerInstagram || null, message]
+    );
+    requestId = recorded.rows[0].id;
+
     // Send email
     await transporter.sendMail(mailOptions);
 
     res.json({ message: 'Email sent successfully' });
   } catch (error) {
     console.error('Email sending error:', error);
+    // The request never went out; do not show it to the organization
+    if (requestId) {
+      await pg.query('DELETE FROM collaboration_requests WHERE id = $1', [requestId]).catch((err) => {
+        console.error('Failed to remove unsent collaboration request:', err);
+      });
+    }
     res.status(500).json({ message: 'Failed to send email' });
   }
 });
@@ -6,6 +6,8 @@ const { fetchInstagramUserData, categorizeInstagramPosts, getInstagramAnalytics,
 const youtubeService = require('../services/youtubeService');
 const { admin, db } = require('../config/firebase');
 const { saveInstagramReelData, saveInstagramProfileData, updateInstagramConnection } = require('../services/firebaseService');
+const { notify } = require('../services/notificationService');
+const reviewService = require('../services/reviewService');
 
 const router = express.Router();
 
@@ -801,12 +803,20 @@ router.get('/:id', authMiddleware, async (req, res) => {
       console.log('No stats found for influencer:', influencerId);
     }
 
+    const ratingSummary = await reviewService.getCreatorStats(influencerId);
+
     const response = {
       profile: {
         id: influencerId,
         ...influencerData
       },
-      latestStats
+      latestStats,
+      ratingSummary: {
+        averageRating: ratingSummary.averageRating,
+        reviewCount: ratingSummary.reviewCount,
+        ratingBreakdown: ratingSummary.ratingBreakdown,
+        completedProjects: ratingSummary.completedProjects
+      }
     };
     
     console.log('Sending response:', JSON.stringify(response, null, 2));
@@ -1167,6 +1177,11 @@ router.post('/:id/instagram/refresh', authMiddleware, async (req, res) => {
       
     } catch (fetchError) {
       console.error('Error fetching Instagram data:', fetchError);
+      // Influencer documents are keyed by the influencer's uid
+      await notify(influencerId, 'instagram.refresh_failed', {
+        username: data.instagramUsername,
+        reason: fetchError.message
+      });
       return res.status(500).json({ 
         message: 'Failed to fetch Instagram data', 
         error: fetchError.message 
@@ -10,6 +10,7 @@ const {
   getInstagramDashboardData,
 } = require('../services/postgresInstagram');
 const youtubeService = require('../services/youtubeService');
+const postVerificationService = require('../services/postVerificationService');
 
 const router = express.Router();
 
@@ -46,6 +47,13 @@ router.post('/validate-apify', authMiddleware, requireRole('influencer'), [
     }
     if (Array.isArray(data.reels) && data.reels.length > 0) {
       await saveInstagramReelData(req.user.uid, data.username, data.reels);
+      // Fresh reels may match sponsored posts the creator has linked
+      try {
+        const results = await postVerificationService.verifyPendingPostsForCreator(req.user.uid);
+        await postVerificationService.notifyCheckResults(results);
+      } catch (verifyError) {
+        console.warn('Published post verification skipped:', verifyError.message);
+      }
     }
     await updateInstagramConnection(req.user.uid, data.username, true);
 
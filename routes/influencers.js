@@ -1,11 +1,11 @@
 const express = require('express');
-const { authMiddleware, requireRole } = require('../middleware/auth');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
 const pg = require('../services/db');
 
 const router = express.Router();
 
 // Get all influencers and UGC creators for chat (brands only)
-router.get('/all', authMiddleware, requireRole('brand'), async (req, res) => {
+router.get('/all', authMiddleware, requirePermission('influencers.browse'), async (req, res) => {
   try {
     const result = await pg.query(
       `SELECT u.uid AS id,
@@ -34,13 +34,14 @@ router.get('/all', authMiddleware, requireRole('brand'), async (req, res) => {
 });
 
 // Get list of influencers with filters and pagination
-router.get('/', authMiddleware, requireRole('brand'), async (req, res) => {
+router.get('/', authMiddleware, requirePermission('influencers.browse'), async (req, res) => {
   try {
     const {
       page = 1,
       limit = 12,
       minFollowers,
       maxFollowers,
+      minRating,
       sortBy = 'followers',
       sortOrder = 'desc'
     } = req.query;
@@ -60,9 +61,13 @@ router.get('/', authMiddleware, requireRole('brand'), async (req, res) => {
               COALESCE(ip.posts_count, 0) AS posts_count,
               ip.engagement_rate,
               ip.is_verified,
-              ip.last_updated
+              ip.last_updated,
+              COALESCE(cs.average_rating, 0) AS average_rating,
+              COALESCE(cs.review_count, 0) AS review_count,
+              COALESCE(cs.completed_projects, 0) AS completed_projects
        FROM instagram_profiles ip
-       JOIN users u ON u.uid = ip.uid`
+       JOIN users u ON u.uid = ip.uid
+       LEFT JOIN creator_stats cs ON cs.uid = ip.uid`
     );
 
     let influencers = rowsRes.rows.map(r => ({
@@ -77,6 +82,9 @@ router.get('/', authMiddleware, requireRole('brand'), async (req, res) => {
       engagementRate: r.engagement_rate,
       isVerified: r.is_verified,
       lastSyncedAt: r.last_updated,
+      averageRating: parseFloat(r.average_rating),
+      reviewCount: r.review_count,
+      completedProjects: r.completed_projects,
     }));
 
     if (minFollowers) {
@@ -87,8 +95,12 @@ router.get('/', authMiddleware, requireRole('brand'), async (req, res) => {
       const max = parseInt(maxFollowers);
       influencers = influencers.filter(i => (i.followers || 0) <= max);
     }
+    if (minRating) {
+      const min = parseFloat(minRating);
+      influencers = influencers.filter(i => i.averageRating >= min);
+    }
 
-    const validSortFields = ['followers', 'engagementRate', 'lastSyncedAt'];
+    const validSortFields = ['followers', 'engagementRate', 'lastSyncedAt', 'averageRating'];
     const sortField = validSortFields.includes(sortBy) ? sortBy : 'followers';
     const sortDirection = sortOrder === 'asc' ? 'asc' : 'desc';
     influencers.sort((a, b) => {
@@ -115,6 +127,7 @@ router.get('/', authMiddleware, requireRole('brand'), async (req, res) => {
       filters: {
         minFollowers,
         maxFollowers,
+        minRating,
         sortBy: sortField,
         sortOrder: sortDirection
       }
@@ -127,7 +140,7 @@ router.get('/', authMiddleware, requireRole('brand'), async (req, res) => {
 });
 
 // Get filter options for the frontend
-router.get('/filters', authMiddleware, requireRole('brand'), async (req, res) => {
+router.get('/filters', authMiddleware, requirePermission('influencers.browse'), async (req, res) => {
   try {
     const resFollowers = await pg.query('SELECT followers FROM instagram_profiles WHERE followers IS NOT NULL');
     const followersArr = resFollowers.rows.map(r => r.followers);
@@ -150,7 +163,7 @@ router.get('/filters', authMiddleware, requireRole('brand'), async (req, res) =>
 });
 
 // Search influencers by name or username
-router.get('/search', authMiddleware, requireRole('brand'), async (req, res) => {
+router.get('/search', authMiddleware, requirePermission('influencers.browse'), async (req, res) => {
   try {
     const { q, limit = 10 } = req.query;
     
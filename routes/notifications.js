@@ -0,0 +1,76 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const notificationService = require('../services/notificationService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// The current user's notification feed, newest first (?page, ?limit, ?unread=true, ?type)
+router.get('/', async (req, res) => {
+  try {
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const unreadOnly = String(req.query.unread || '').toLowerCase() === 'true';
+    const { type } = req.query;
+    if (type && !notificationService.NOTIFICATION_TYPE_KEYS.includes(type)) {
+      return res.status(400).json({ message: `type must be one of: ${notificationService.NOTIFICATION_TYPE_KEYS.join(', ')}` });
+    }
+
+    const { notifications, total, unread } = await notificationService.listNotifications(req.user.uid, { page, limit, unreadOnly, type });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      notifications,
+      unreadCount: unread,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalNotifications: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ message: 'Server error while fetching notifications' });
+  }
+});
+
+router.get('/unread-count', async (req, res) => {
+  try {
+    const { unread } = await notificationService.listNotifications(req.user.uid, { limit: 1 });
+    res.json({ unreadCount: unread });
+  } catch (error) {
+    console.error('Get notification count error:', error);
+    res.status(500).json({ message: 'Server error while fetching notification count' });
+  }
+});
+
+router.post('/read-all', async (req, res) => {
+  try {
+    const updated = await notificationService.markAllNotificationsRead(req.user.uid);
+    res.json({ message: 'All notifications marked as read', updated });
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ message: 'Server error while updating notifications' });
+  }
+});
+
+router.post('/:notificationId/read', async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.notificationId)) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    const notification = await notificationService.markNotificationRead(req.user.uid, req.params.notificationId);
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+    res.json({ notification });
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ message: 'Server error while updating notification' });
+  }
+});
+
+module.exports = router;
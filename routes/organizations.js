@@ -0,0 +1,319 @@
+const express = require('express');
+const { body, validationResult } = require('express-validator');
+const { authMiddleware, requirePermission } = require('../middleware/auth');
+const organizationService = require('../services/organizationService');
+const { sendMail, frontendUrl, escapeHtml } = require('../services/mailService');
+const pg = require('../services/db');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Load the caller's membership in :orgId, optionally requiring one of the given member roles
+const requireOrgMember = (roles) => {
+  return async (req, res, next) => {
+    try {
+      const member = await organizationService.getMembership(req.params.orgId, req.user.uid);
+      if (!member) {
+        return res.status(403).json({ message: 'You are not a member of this organization' });
+      }
+      if (roles && !roles.includes(member.role)) {
+        return res.status(403).json({ message: `Access denied. One of these organization roles required: ${roles.join(', ')}.` });
+      }
+      req.orgMember = member;
+      next();
+    } catch (error) {
+      console.error('Organization membership check error:', error);
+      res.status(500).json({ message: 'Server error while checking organization membership' });
+    }
+  };
+};
+
+const organizationValidators = [
+  body('name').optional().isString().trim().isLength({ min: 2, max: 120 }),
+  body('logoUrl').optional({ nullable: true }).isURL(),
+  body('website').optional({ nullable: true }).isURL(),
+  body('billingDetails').optional({ nullable: true }).isObject()
+];
+
+// Create an organization; the creator becomes its owner
+router.post('/', requirePermission('organizations.create'), [
+  body('name').isString().trim().isLength({ min: 2, max: 120 }),
+  ...organizationValidators
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { name, logoUrl, website, billingDetails } = req.body;
+    const organization = await organizationService.createOrganization(req.user.uid, { name, logoUrl, website, billingDetails });
+    res.status(201).json({ message: 'Organization created successfully', organization });
+  } catch (error) {
+    if (error?.message === 'ALREADY_IN_ORGANIZATION') {
+      return res.status(400).json({ message: 'You already belong to an organization' });
+    }
+    console.error('Create organization error:', error);
+    res.status(500).json({ message: 'Server error while creating organization' });
+  }
+});
+
+// Current user's organization, membership role and team
+router.get('/me', async (req, res) => {
+  try {
+    const membership = await organizationService.getMembershipForUser(req.user.uid);
+    if (!membership) {
+      return res.json({ organization: null, membership: null, members: [] });
+    }
+    const [organization, members] = await Promise.all([
+      organizationService.getOrganization(membership.organizationId),
+      organizationService.listMembers(membership.organizationId)
+    ]);
+    res.json({ organization, membership: { role: membership.role }, members });
+  } catch (error) {
+    console.error('Get my organization error:', error);
+    res.status(500).json({ message: 'Server error while fetching organization' });
+  }
+});
+
+// Accept an invitation (the invitation email must match the logged-in account)
+router.post('/invitations/:token/accept', async (req, res) => {
+  try {
+    if (req.user.role !== 'brand') {
+      return res.status(403).json({ message: 'Only brand accounts can join an organization' });
+    }
+    const result = await organizationService.acceptInvitation(req.params.token, req.user);
+    const organization = await organizationService.getOrganization(result.organizationId);
+    res.json({ message: 'Invitation accepted', organization, membership: { role: result.role } });
+  } catch (error) {
+    const msg = String(error?.message || error);
+    if (msg === 'INVALID_INVITATION') {
+      return res.status(400).json({ message: 'Invitation is invalid or has expired' });
+    }
+    if (msg === 'INVITATION_EMAIL_MISMATCH') {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+    if (msg === 'ALREADY_IN_ORGANIZATION') {
+      return res.status(400).json({ message: 'You already belong to an organization' });
+    }
+    console.error('Accept invitation error:', error);
+    res.status(500).json({ message: 'Server error while accepting invitation' });
+  }
+});
+
+router.get('/:orgId', requireOrgMember(), async (req, res) => {
+  try {
+    const organization = await organizationService.getOrganization(req.params.orgId);
+    res.json({ organization, membership: { role: req.orgMember.role } });
+  } catch (error) {
+    console.error('Get organization error:', error);
+    res.status(500).json({ message: 'Server error while fetching organization' });
+  }
+});
+
+router.put('/:orgId', requireOrgMember(['owner', 'manager']), organizationValidators, async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { name, logoUrl, website, billingDetails } = req.body;
+    // Billing details are restricted to owners
+    if (billingDetails && req.orgMember.role !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can change billing details' });
+    }
+    const organization = await organizationService.updateOrganization(req.params.orgId, { name, logoUrl, website, billingDetails });
+    res.json({ message: 'Organization updated successfully', organization });
+  } catch (error) {
+    console.error('Update organization error:', error);
+    res.status(500).json({ message: 'Server error while updating organization' });
+  }
+});
+
+router.get('/:orgId/members', requireOrgMember(), async (req, res) => {
+  try {
+    const members = await organizationService.listMembers(req.params.orgId);
+    res.json({ members });
+  } catch (error) {
+    console.error('List organization members error:', error);
+    res.status(500).json({ message: 'Server error while fetching members' });
+  }
+});
+
+// Change a member's role (owners only)
+router.put('/:orgId/members/:userId', requireOrgMember(['owner']), [
+  body('role').isIn(organizationService.MEMBER_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    await organizationService.updateMemberRole(req.params.orgId, req.params.userId, req.body.role);
+    res.json({ message: 'Member role updated successfully', userId: req.params.userId, role: req.body.role });
+  } catch (error) {
+    if (error?.message === 'MEMBER_NOT_FOUND') {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (error?.message === 'LAST_OWNER') {
+      return res.status(400).json({ message: 'An organization must keep at least one owner' });
+    }
+    console.error('Update member role error:', error);
+    res.status(500).json({ message: 'Server error while updating member role' });
+  }
+});
+
+// Remove a member (owners), or leave the organization (any member removing themselves)
+router.delete('/:orgId/members/:userId', requireOrgMember(), async (req, res) => {
+  try {
+    const { orgId, userId } = req.params;
+    if (userId !== req.user.uid && req.orgMember.role !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can remove other members' });
+    }
+    await organizationService.removeMember(orgId, userId);
+    res.json({ message: userId === req.user.uid ? 'You left the organization' : 'Member removed successfully', userId });
+  } catch (error) {
+    if (error?.message === 'MEMBER_NOT_FOUND') {
+      return res.status(404).json({ message: 'Member not found' });
+    }
+    if (error?.message === 'LAST_OWNER') {
+      return res.status(400).json({ message: 'An organization must keep at least one owner' });
+    }
+    console.error('Remove member error:', error);
+    res.status(500).json({ message: 'Server error while removing member' });
+  }
+});
+
+// Invite a teammate by email
+router.post('/:orgId/invitations', requireOrgMember(['owner', 'manager']), [
+  body('email').isEmail().normalizeEmail(),
+  body('role').optional().isIn(organizationService.MEMBER_ROLES)
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { email, role = 'viewer' } = req.body;
+    // Managers cannot hand out ownership
+    if (role === 'owner' && req.orgMember.role !== 'owner') {
+      return res.status(403).json({ message: 'Only owners can invite other owners' });
+    }
+    const organization = await organizationService.getOrganization(req.params.orgId);
+    const { token, expiresAt } = await organizationService.createInvitation(req.params.orgId, { email, role, invitedBy: req.user.uid });
+    const inviteLink = frontendUrl(`/join-organization?token=${token}`);
+    const { sent, error: emailError } = await sendMail({
+      to: email,
+      subject: `You've been invited to join ${organization.name} on Buzzaz`,
+      html: `
+        <p>${escapeHtml(req.user.displayName || req.user.email)} invited you to join <strong>${escapeHtml(organization.name)}</strong> on Buzzaz as a ${escapeHtml(role)}.</p>
+        <p>Click <a href="${inviteLink}">here</a> to accept. This invitation expires in 7 days.</p>
+        <p>If you don't have a Buzzaz brand account yet, sign up with this email address first.</p>
+      `
+    });
+    const payload = { message: 'Invitation sent', invitation: { email, role, expiresAt } };
+    if (!sent && process.env.NODE_ENV !== 'production') {
+      payload.devInviteLink = inviteLink;
+      if (emailError) payload.emailError = emailError;
+    }
+    res.status(201).json(payload);
+  } catch (error) {
+    console.error('Create invitation error:', error);
+    res.status(500).json({ message: 'Server error while creating invitation' });
+  }
+});
+
+router.get('/:orgId/invitations', requireOrgMember(['owner', 'manager']), async (req, res) => {
+  try {
+    const invitations = await organizationService.listPendingInvitations(req.params.orgId);
+    res.json({ invitations });
+  } catch (error) {
+    console.error('List invitations error:', error);
+    res.status(500).json({ message: 'Server error while fetching invitations' });
+  }
+});
+
+router.delete('/:orgId/invitations/:token', requireOrgMember(['owner', 'manager']), async (req, res) => {
+  try {
+    const revoked = await organizationService.revokeInvitation(req.params.orgId, req.params.token);
+    if (!revoked) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+    res.json({ message: 'Invitation revoked' });
+  } catch (error) {
+    console.error('Revoke invitation error:', error);
+    res.status(500).json({ message: 'Server error while revoking invitation' });
+  }
+});
+
+// Shared creator shortlist
+router.get('/:orgId/shortlist', requireOrgMember(), async (req, res) => {
+  try {
+    const creators = await organizationService.listShortlist(req.params.orgId);
+    res.json({ creators });
+  } catch (error) {
+    console.error('Get shortlist error:', error);
+    res.status(500).json({ message: 'Server error while fetching shortlist' });
+  }
+});
+
+router.post('/:orgId/shortlist', requireOrgMember(['owner', 'manager']), [
+  body('creatorId').isString().notEmpty(),
+  body('note').optional({ nullable: true }).isString().isLength({ max: 1000 })
+], async (req, res) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ errors: errors.array() });
+    }
+    const { creatorId, note } = req.body;
+    const creatorRes = await pg.query('SELECT uid, role FROM users WHERE uid = $1 LIMIT 1', [creatorId]);
+    if (creatorRes.rowCount === 0 || !['influencer', 'ugc_creator'].includes(creatorRes.rows[0].role)) {
+      return res.status(404).json({ message: 'Creator not found' });
+    }
+    await organizationService.addToShortlist(req.params.orgId, creatorId, { note, addedBy: req.user.uid });
+    res.status(201).json({ message: 'Creator added to shortlist', creatorId });
+  } catch (error) {
+    console.error('Add to shortlist error:', error);
+    res.status(500).json({ message: 'Server error while updating shortlist' });
+  }
+});
+
+router.delete('/:orgId/shortlist/:creatorId', requireOrgMember(['owner', 'manager']), async (req, res) => {
+  try {
+    const removed = await organizationService.removeFromShortlist(req.params.orgId, req.params.creatorId);
+    if (!removed) {
+      return res.status(404).json({ message: 'Creator is not on the shortlist' });
+    }
+    res.json({ message: 'Creator removed from shortlist', creatorId: req.params.creatorId });
+  } catch (error) {
+    console.error('Remove from shortlist error:', error);
+    res.status(500).json({ message: 'Server error while updating shortlist' });
+  }
+});
+
+// Collaboration requests sent by any member of the organization
+router.get('/:orgId/collaboration-requests', requireOrgMember(), async (req, res) => {
+  try {
+    const result = await pg.query(
+      `SELECT id, sender_id, influencer_name, influencer_email, influencer_instagram, message, created_at
+       FROM collaboration_requests WHERE organization_id = $1 ORDER BY created_at DESC`,
+      [req.params.orgId]
+    );
+    const requests = result.rows.map(r => ({
+      id: r.id,
+      senderId: r.sender_id,
+      influencerName: r.influencer_name,
+      influencerEmail: r.influencer_email,
+      influencerInstagram: r.influencer_instagram,
+      message: r.message,
+      createdAt: r.created_at
+    }));
+    res.json({ requests });
+  } catch (error) {
+    console.error('Get collaboration requests error:', error);
+    res.status(500).json({ message: 'Server error while fetching collaboration requests' });
+  }
+});
+
+module.exports = router;
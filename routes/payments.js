@@ -0,0 +1,84 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const paymentService = require('../services/paymentService');
+const collaborationService = require('../services/collaborationService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// The caller's earnings releases and payouts, newest first, with the balance still
+// waiting to be paid out (?type=release|payout, ?page, ?limit)
+router.get('/payouts', async (req, res) => {
+  try {
+    const { type } = req.query;
+    if (type && !['release', 'payout'].includes(type)) {
+      return res.status(400).json({ message: 'type must be one of: release, payout' });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const { transactions, balances, total } = await paymentService.getPayoutHistory(req.user.uid, { type, page, limit });
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      transactions,
+      balances,
+      minimumPayout: paymentService.MIN_PAYOUT_AMOUNT,
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalTransactions: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get payout history error:', error);
+    res.status(500).json({ message: 'Server error while fetching payouts' });
+  }
+});
+
+// Loads :transactionId for the creator it pays or anyone on the collaboration's brand side
+const loadTransaction = async (req, res, next) => {
+  try {
+    const transaction = /^\d+$/.test(req.params.transactionId)
+      ? await paymentService.getTransaction(req.params.transactionId)
+      : null;
+    if (!transaction) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    let allowed = transaction.creatorId === req.user.uid || transaction.brandId === req.user.uid;
+    if (!allowed && transaction.collaborationId) {
+      const collaboration = await collaborationService.getCollaboration(transaction.collaborationId);
+      allowed = !!collaboration && (await collaborationService.getCollaborationAccess(collaboration, req.user.uid)).canRead;
+    }
+    if (!allowed) {
+      return res.status(404).json({ message: 'Transaction not found' });
+    }
+    req.transaction = transaction;
+    next();
+  } catch (error) {
+    console.error('Transaction access check error:', error);
+    res.status(500).json({ message: 'Server error while loading transaction' });
+  }
+};
+
+router.get('/transactions/:transactionId', loadTransaction, async (req, res) => {
+  res.json({ transaction: req.transaction });
+});
+
+// PDF invoice (releases) or receipt (deposits, refunds, payouts), generated on request
+router.get('/transactions/:transactionId/document', loadTransaction, async (req, res) => {
+  try {
+    const { number, pdf } = await paymentService.renderTransactionDocument(req.transaction);
+    res.setHeader('Content-Type', 'application/pdf');
+    res.setHeader('Content-Length', pdf.length);
+    res.setHeader('Content-Disposition', `attachment; filename="${number}.pdf"`);
+    res.send(pdf);
+  } catch (error) {
+    console.error('Render payment document error:', error);
+    res.status(500).json({ message: 'Server error while generating document' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,47 @@
+const express = require('express');
+const { authMiddleware } = require('../middleware/auth');
+const reviewService = require('../services/reviewService');
+
+const router = express.Router();
+
+router.use(authMiddleware);
+
+// Revealed reviews someone received, newest first, with their rating summary
+// (?side=brand|creator for reviews written by that side, ?page, ?limit)
+router.get('/users/:userId', async (req, res) => {
+  try {
+    const { side } = req.query;
+    if (side && !reviewService.REVIEW_SIDES.includes(side)) {
+      return res.status(400).json({ message: `side must be one of: ${reviewService.REVIEW_SIDES.join(', ')}` });
+    }
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 20, 1), 100);
+    const [{ reviews, total }, stats] = await Promise.all([
+      reviewService.listReviewsForUser(req.params.userId, { side, page, limit }),
+      reviewService.getCreatorStats(req.params.userId)
+    ]);
+    const totalPages = Math.ceil(total / limit);
+    res.json({
+      reviews,
+      summary: {
+        averageRating: stats.averageRating,
+        reviewCount: stats.reviewCount,
+        ratingBreakdown: stats.ratingBreakdown,
+        completedProjects: stats.completedProjects
+      },
+      pagination: {
+        currentPage: page,
+        totalPages,
+        totalReviews: total,
+        limit,
+        hasNext: page < totalPages,
+        hasPrev: page > 1
+      }
+    });
+  } catch (error) {
+    console.error('Get user reviews error:', error);
+    res.status(500).json({ message: 'Server error while fetching reviews' });
+  }
+});
+
+module.exports = router;
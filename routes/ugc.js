@@ -185,6 +185,8 @@ router.get('/profile/:userId', authMiddleware, async (req, res) => {
       completedProjects: profileData.completedProjects || 0,
       activeProjects: profileData.activeProjects || 0,
       averageRating: profileData.averageRating || 0,
+      reviewCount: profileData.reviewCount || 0,
+      ratingBreakdown: profileData.ratingBreakdown || { communication: 0, quality: 0, timeliness: 0 },
       totalEarnings: profileData.totalEarnings || 0
     };
 
@@ -398,6 +400,7 @@ router.get('/browse', authMiddleware, async (req, res) => {
       minPrice,
       maxPrice,
       location,
+      minRating,
       page = 1,
       limit = 10
     } = req.query;
@@ -452,6 +455,11 @@ router.get('/browse', authMiddleware, async (req, res) => {
         }
       }
 
+      // Ratings come from revealed brand reviews (see services/reviewService.js)
+      if (minRating && (data.averageRating || 0) < parseFloat(minRating)) {
+        return;
+      }
+
       creators.push({
         id: doc.id,
         ...data
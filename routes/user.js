@@ -1,30 +1,35 @@
 const express = require('express');
-const { authMiddleware } = require('../middleware/auth');
+const { authMiddleware, requirePermission, denyImpersonation } = require('../middleware/auth');
 const pg = require('../services/db');
 const { getInstagramDashboardData } = require('../services/postgresInstagram');
+const { recordAuditEvent } = require('../services/auditService');
+const authService = require('../services/authService');
+const accountDataService = require('../services/accountDataService');
+const organizationService = require('../services/organizationService');
+const notificationService = require('../services/notificationService');
+const { sendMail, frontendUrl, escapeHtml } = require('../services/mailService');
 
 const router = express.Router();
 
 // Get all brands for chat (influencers and UGC creators only)
-router.get('/brands', authMiddleware, async (req, res) => {
+router.get('/brands', authMiddleware, requirePermission('brands.browse'), async (req, res) => {
   try {
-    // Check if user is influencer or UGC creator
-    const userRole = req.user.role;
-    if (!['influencer', 'ugc_creator'].includes(userRole)) {
-      return res.status(403).json({ message: 'Access denied. Only influencers and UGC creators can access this endpoint.' });
-    }
-
     const result = await pg.query(
-      'SELECT uid, email, display_name FROM users WHERE role = $1',
+      `SELECT u.uid, u.email, u.display_name, o.id AS organization_id, o.name AS organization_name, o.logo_url
+       FROM users u
+       LEFT JOIN organization_members om ON om.user_id = u.uid
+       LEFT JOIN organizations o ON o.id = om.organization_id
+       WHERE u.role = $1`,
       ['brand']
     );
     const users = result.rows.map(r => ({
       id: r.uid,
       name: r.display_name || r.email || 'Unknown Brand',
       role: 'brand',
-      avatar: null,
+      avatar: r.logo_url || null,
       email: r.email || null,
-      companyName: null,
+      companyName: r.organization_name || null,
+      organizationId: r.organization_id || null,
     }));
 
     res.json({ users });
@@ -95,6 +100,8 @@ router.put('/me', authMiddleware, async (req, res) => {
     if (typeof email !== 'undefined' && typeof email !== 'string') {
       return res.status(400).json({ message: 'email must be string' });
     }
+    const beforeRes = await pg.query('SELECT email, is_active FROM users WHERE uid = $1 LIMIT 1', [userId]);
+    const before = beforeRes.rows[0] || {};
     if (typeof email !== 'undefined' && typeof isActive !== 'undefined') {
       await pg.query('UPDATE users SET email = $1, is_active = $2 WHERE uid = $3', [email, isActive, userId]);
     } else if (typeof email !== 'undefined') {
@@ -102,6 +109,15 @@ router.put('/me', authMiddleware, async (req, res) => {
     } else if (typeof isActive !== 'undefined') {
       await pg.query('UPDATE users SET is_active = $1 WHERE uid = $2', [isActive, userId]);
     }
+    await recordAuditEvent(req, {
+      action: 'account.update',
+      targetId: userId,
+      before: { email: before.email ?? null, isActive: before.is_active ?? null },
+      after: {
+        email: typeof email !== 'undefined' ? email : (before.email ?? null),
+        isActive: typeof isActive !== 'undefined' ? isActive : (before.is_active ?? null)
+      }
+    });
     res.json({ message: 'Profile updated successfully' });
   } catch (error) {
     console.error('Update user profile error:', error);
@@ -109,6 +125,218 @@ router.put('/me', authMiddleware, async (req, res) => {
   }
 });
 
+// Build a downloadable archive of everything stored about the current user
+router.post('/me/export', authMiddleware, denyImpersonation, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const result = await accountDataService.createExport(userId);
+    if (!result.reused) {
+      await recordAuditEvent(req, { action: 'account.export', targetId: userId, metadata: { exportId: result.id } });
+    }
+    res.status(result.reused ? 200 : 201).json({
+      exportId: result.id,
+      createdAt: result.createdAt,
+      expiresAt: result.expiresAt,
+      downloadUrl: `/api/user/me/export/${result.id}`
+    });
+  } catch (error) {
+    console.error('Create data export error:', error);
+    res.status(500).json({ message: 'Server error while preparing data export' });
+  }
+});
+
+// Download a previously built export as a ZIP of data.json and the user's uploaded files
+router.get('/me/export/:exportId', authMiddleware, denyImpersonation, async (req, res) => {
+  try {
+    const record = await accountDataService.getExport(req.user.uid, req.params.exportId);
+    if (!record) {
+      return res.status(404).json({ message: 'Export not found or expired' });
+    }
+    const archive = await accountDataService.buildExportArchive(record);
+    const date = new Date(record.created_at).toISOString().slice(0, 10);
+    res.setHeader('Content-Type', 'application/zip');
+    res.setHeader('Content-Length', archive.length);
+    res.setHeader('Content-Disposition', `attachment; filename="buzzaz-data-${date}.zip"`);
+    res.send(archive);
+  } catch (error) {
+    console.error('Download data export error:', error);
+    res.status(500).json({ message: 'Server error while downloading data export' });
+  }
+});
+
+// Current account deletion request, if any
+router.get('/me/deletion', authMiddleware, async (req, res) => {
+  try {
+    const deletion = await accountDataService.getPendingDeletion(req.user.uid);
+    res.json({ pending: !!deletion, deletion });
+  } catch (error) {
+    console.error('Get deletion status error:', error);
+    res.status(500).json({ message: 'Server error' });
+  }
+});
+
+// Schedule deletion of the current account. Data is purged once the grace period ends;
+// signing back in and cancelling before then keeps the account.
+router.delete('/me', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const { password, reason } = req.body || {};
+
+    if (req.user.role === 'admin') {
+      return res.status(403).json({ message: 'Admin accounts cannot be deleted from self-service' });
+    }
+    const passwordOk = await authService.verifyPassword(userId, password);
+    if (passwordOk === false) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    const membership = await organizationService.getMembershipForUser(userId);
+    if (membership && membership.role === 'owner') {
+      const members = await organizationService.listMembers(membership.organizationId);
+      const otherOwners = members.filter(m => m.role === 'owner' && m.userId !== userId);
+      if (members.length > 1 && otherOwners.length === 0) {
+        return res.status(409).json({
+          message: 'Transfer ownership of your organization before deleting your account',
+          code: 'LAST_OWNER'
+        });
+      }
+    }
+
+    const existing = await accountDataService.getPendingDeletion(userId);
+    const deletion = existing || await accountDataService.requestDeletion(userId, { reason });
+    if (!existing) {
+      await recordAuditEvent(req, {
+        action: 'account.deletion_request',
+        targetId: userId,
+        metadata: { purgeAfter: deletion.purgeAfter }
+      });
+      await authService.revokeAllSessions(userId, 'account_deletion');
+      const purgeDate = new Date(deletion.purgeAfter).toDateString();
+      await sendMail({
+        to: req.user.email,
+        subject: 'Your Buzzaz account is scheduled for deletion',
+        html: `
+          <p>We received a request to delete your Buzzaz account. Your account and data will be permanently deleted on ${purgeDate}.</p>
+          <p>Changed your mind? <a href="${frontendUrl('/login')}">Sign in</a> before then and cancel the deletion from your account settings.</p>
+        `
+      });
+    }
+
+    res.status(202).json({
+      message: 'Account deletion scheduled. Sign in before the purge date to cancel.',
+      deletion
+    });
+  } catch (error) {
+    console.error('Delete account error:', error);
+    res.status(500).json({ message: 'Server error while deleting account' });
+  }
+});
+
+// Cancel a pending account deletion
+router.delete('/me/deletion', authMiddleware, async (req, res) => {
+  try {
+    const userId = req.user.uid;
+    const cancelled = await accountDataService.cancelDeletion(userId);
+    if (!cancelled) {
+      return res.status(404).json({ message: 'No pending account deletion' });
+    }
+    await recordAuditEvent(req, { action: 'account.deletion_cancel', targetId: userId });
+    res.json({ message: 'Account deletion cancelled' });
+  } catch (error) {
+    console.error('Cancel account deletion error:', error);
+    res.status(500).json({ message: 'Server error while cancelling account deletion' });
+  }
+});
+
+// Notification frequency per channel (instant, hourly, daily or off)
+router.get('/me/notifications', authMiddleware, async (req, res) => {
+  try {
+    const preferences = await notificationService.getPreferences(req.user.uid);
+    res.json({
+      preferences,
+      channels: notificationService.CHANNELS,
+      frequencies: notificationService.FREQUENCIES
+    });
+  } catch (error) {
+    console.error('Get notification preferences error:', error);
+    res.status(500).json({ message: 'Server error while fetching notification preferences' });
+  }
+});
+
+// Body: { email: 'hourly', in_app: 'instant' }; channels left out are unchanged
+router.put('/me/notifications', authMiddleware, async (req, res) => {
+  try {
+    const updates = Object.entries(req.body || {});
+    if (updates.length === 0) {
+      return res.status(400).json({ message: 'No preferences provided' });
+    }
+    for (const [channel, frequency] of updates) {
+      if (!notificationService.CHANNELS.includes(channel)) {
+        return res.status(400).json({ message: `Unknown channel: ${channel}` });
+      }
+      if (!notificationService.FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ message: `frequency must be one of: ${notificationService.FREQUENCIES.join(', ')}` });
+      }
+    }
+    for (const [channel, frequency] of updates) {
+      await notificationService.setPreference(req.user.uid, channel, frequency);
+    }
+    const preferences = await notificationService.getPreferences(req.user.uid);
+    res.json({ message: 'Notification preferences updated', preferences });
+  } catch (error) {
+    console.error('Update notification preferences error:', error);
+    res.status(500).json({ message: 'Server error while updating notification preferences' });
+  }
+});
+
+// Unsubscribe from email links. No login: the signed token identifies the user.
+// GET (the link in the email body) only asks for confirmation, so mail scanners and link
+// prefetchers cannot unsubscribe anyone; POST unsubscribes, from the confirmation form
+// or from mail clients implementing List-Unsubscribe-Post (RFC 8058).
+const INVALID_UNSUBSCRIBE_LINK = '<p>This unsubscribe link is invalid or has expired.</p>';
+
+router.get('/notifications/unsubscribe', async (req, res) => {
+  try {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    if (!token) {
+      return res.status(400).type('html').send(INVALID_UNSUBSCRIBE_LINK);
+    }
+    notificationService.verifyUnsubscribeToken(token);
+    res.type('html').send(`
+      <p>Stop receiving message emails from Buzzaz?</p>
+      <form method="POST" action="?token=${escapeHtml(encodeURIComponent(token))}">
+        <button type="submit">Unsubscribe</button>
+      </form>
+    `);
+  } catch (error) {
+    if (error?.message === 'INVALID_TOKEN') {
+      return res.status(400).type('html').send(INVALID_UNSUBSCRIBE_LINK);
+    }
+    console.error('Unsubscribe page error:', error);
+    res.status(500).json({ message: 'Server error while unsubscribing' });
+  }
+});
+
+router.post('/notifications/unsubscribe', async (req, res) => {
+  try {
+    const token = typeof req.query.token === 'string' ? req.query.token : '';
+    const result = token ? await notificationService.unsubscribe(token) : null;
+    if (!result) {
+      return res.status(400).type('html').send(INVALID_UNSUBSCRIBE_LINK);
+    }
+    res.type('html').send(`
+      <p>You will no longer receive message emails from Buzzaz.</p>
+      <p>You can turn them back on any time in your <a href="${frontendUrl('/settings/notifications')}">notification settings</a>.</p>
+    `);
+  } catch (error) {
+    if (error?.message === 'INVALID_TOKEN') {
+      return res.status(400).type('html').send(INVALID_UNSUBSCRIBE_LINK);
+    }
+    console.error('Unsubscribe error:', error);
+    res.status(500).json({ message: 'Server error while unsubscribing' });
+  }
+});
+
 // Check if user has completed profile setup
 router.get('/profile-status', authMiddleware, async (req, res) => {
   try {
@@ -176,6 +404,13 @@ router.put('/role', authMiddleware, async (req, res) => {
       [mappedRole, userId]
     );
 
+    await recordAuditEvent(req, {
+      action: 'account.role_change',
+      targetId: userId,
+      before: { role: currentRole },
+      after: { role: mappedRole }
+    });
+
     res.json({
       message: 'Role updated successfully',
       uid: userId,
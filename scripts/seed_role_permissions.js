@@ -0,0 +1,37 @@
+require('dotenv').config();
+const db = require('../services/db');
+const { PERMISSIONS, DEFAULT_ROLE_PERMISSIONS } = require('../services/permissionService');
+
+// Seeds role_permissions with the built-in defaults of keys not seeded yet, so existing
+// grants and revocations are kept; pass --reset to replace everything with the defaults.
+(async () => {
+  try {
+    const reset = process.argv.includes('--reset');
+    if (reset) {
+      console.log('Clearing existing role permissions...');
+      await db.query('DELETE FROM role_permissions');
+      await db.query('DELETE FROM permission_seeded_keys');
+    }
+    const seededRes = await db.query('SELECT permission FROM permission_seeded_keys');
+    const seeded = new Set(seededRes.rows.map(r => r.permission));
+    let inserted = 0;
+    for (const [role, permissions] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+      for (const permission of permissions) {
+        if (seeded.has(permission)) continue;
+        const res = await db.query(
+          'INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING',
+          [role, permission]
+        );
+        inserted += res.rowCount;
+      }
+    }
+    for (const permission of Object.keys(PERMISSIONS)) {
+      await db.query('INSERT INTO permission_seeded_keys (permission) VALUES ($1) ON CONFLICT DO NOTHING', [permission]);
+    }
+    console.log(`Role permissions seeded (${inserted} new grants).`);
+    process.exit(0);
+  } catch (err) {
+    console.error('Seed role permissions error:', err);
+    process.exit(1);
+  }
+})();
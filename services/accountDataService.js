@@ -0,0 +1,397 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { deleteBlobs, isBlobUrl } = require('./blob');
+const { createZip } = require('./zipService');
+
+const EXPORT_TTL_DAYS = 7;
+// A fresh export is only built once per hour; repeated requests get the latest one
+const EXPORT_REUSE_MINUTES = 60;
+const DELETION_GRACE_DAYS = parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || '30', 10);
+const DELETED_USER_NAME = 'Deleted user';
+// Uploaded files larger than this are listed in the archive but not copied into it
+const MAX_EXPORT_FILE_BYTES = parseInt(process.env.EXPORT_MAX_FILE_BYTES || String(50 * 1024 * 1024), 10);
+
+// Columns that are never included in an export
+const SECRET_COLUMNS = ['password', 'password_hash', 'refresh_token_hash'];
+
+function stripSecrets(row) {
+  if (!row) return null;
+  const copy = { ...row };
+  for (const col of SECRET_COLUMNS) delete copy[col];
+  return copy;
+}
+
+// URLs in the UGC sample content: files the user uploaded to our blob store, and links
+// to other sites they typed in (never fetched or deleted by us)
+function collectSampleUrls(ugcRow) {
+  const urls = new Set();
+  const walk = (value) => {
+    if (!value) return;
+    if (typeof value === 'string') {
+      if (/^https?:\/\//.test(value)) urls.add(value);
+    } else if (Array.isArray(value)) {
+      value.forEach(walk);
+    } else if (typeof value === 'object') {
+      Object.values(value).forEach(walk);
+    }
+  };
+  walk(ugcRow?.sample_content);
+  const all = Array.from(urls);
+  return { blobUrls: all.filter(isBlobUrl), links: all.filter(url => !isBlobUrl(url)) };
+}
+
+async function buildExport(uid) {
+  const one = async (sql) => (await db.query(sql, [uid])).rows[0] || null;
+  const many = async (sql) => (await db.query(sql, [uid])).rows;
+
+  const user = await one('SELECT * FROM users WHERE uid = $1 LIMIT 1');
+  if (!user) throw new Error('USER_NOT_FOUND');
+
+  const ugcCreator = await one('SELECT * FROM ugc_creators WHERE uid = $1 LIMIT 1');
+  const samples = collectSampleUrls(ugcCreator);
+  const conversations = await many('SELECT * FROM conversations WHERE $1 = ANY(participants) ORDER BY created_at ASC');
+  const conversationIds = conversations.map(c => c.id);
+  const messages = conversationIds.length > 0
+    ? (await db.query(
+      'SELECT id, conversation_id, sender_id, sender_name, message, timestamp, is_filtered, edited_at, deleted_at FROM messages WHERE conversation_id = ANY($1) AND (deleted_at IS NULL OR sender_id = $2) ORDER BY timestamp ASC',
+      [conversationIds, uid]
+    )).rows
+    : [];
+  const draftFiles = await many('SELECT id, collaboration_id, file_name, blob_url FROM deliverable_files WHERE uploader_id = $1 ORDER BY created_at ASC');
+  const attachments = await many('SELECT id, message_id, conversation_id, file_name, mime_type, size_bytes, width, height, blob_url, created_at FROM message_attachments WHERE uploader_id = $1 ORDER BY created_at ASC');
+
+  return {
+    generatedAt: new Date().toISOString(),
+    user: stripSecrets(user),
+    instagramProfiles: await many('SELECT * FROM instagram_profiles WHERE uid = $1'),
+    instagramReels: await many('SELECT * FROM instagram_reels WHERE uid = $1'),
+    instagramDetailedData: await one('SELECT * FROM instagram_detailed_data WHERE uid = $1 LIMIT 1'),
+    youtubeAnalytics: await many('SELECT * FROM youtube_analytics WHERE uid = $1 ORDER BY created_at ASC'),
+    influencer: await one('SELECT * FROM influencers WHERE uid = $1 LIMIT 1'),
+    ugcCreator,
+    conversations,
+    messages,
+    offers: await many(
+      `SELECT o.id, o.conversation_id, o.status, o.accepted_version, o.created_at,
+              (SELECT json_agg(v ORDER BY v.version) FROM offer_versions v WHERE v.offer_id = o.id) AS versions
+       FROM offers o WHERE $1 IN (o.creator_id, o.created_by) ORDER BY o.created_at ASC`
+    ),
+    organizationMembership: await one(
+      `SELECT om.organization_id, om.role, om.joined_at, o.name AS organization_name
+       FROM organization_members om JOIN organizations o ON o.id = om.organization_id
+       WHERE om.user_id = $1 LIMIT 1`
+    ),
+    notifications: await many('SELECT type, payload, read_at, created_at FROM notifications WHERE user_id = $1 ORDER BY created_at ASC'),
+    notificationPreferences: await many('SELECT channel, frequency, updated_at FROM notification_preferences WHERE user_id = $1'),
+    blockedUsers: await many('SELECT blocked_id, conversation_id, created_at FROM user_blocks WHERE blocker_id = $1 ORDER BY created_at ASC'),
+    reportsFiled: await many('SELECT id, reported_user_id, conversation_id, reason_code, details, status, created_at FROM user_reports WHERE reporter_id = $1 ORDER BY created_at ASC'),
+    campaigns: await many('SELECT * FROM campaigns WHERE owner_id = $1 ORDER BY created_at ASC'),
+    campaignApplications: await many('SELECT campaign_id, pitch, quote, currency, status, created_at, updated_at FROM campaign_applications WHERE creator_id = $1 ORDER BY created_at ASC'),
+    collaborations: await many(
+      `SELECT c.id, c.title, c.price, c.currency, c.status, c.created_at,
+              (SELECT json_agg(d ORDER BY d.id) FROM collaboration_deliverables d WHERE d.collaboration_id = c.id) AS deliverables
+       FROM collaborations c WHERE $1 IN (c.creator_id, c.brand_id) ORDER BY c.created_at ASC`
+    ),
+    reviewsWritten: await many(
+      `SELECT collaboration_id, reviewer_side, communication, quality, timeliness, rating, comment, created_at, revealed_at, removed_at
+       FROM collaboration_reviews WHERE reviewer_id = $1 ORDER BY created_at ASC`
+    ),
+    reviewsReceived: await many(
+      `SELECT collaboration_id, reviewer_side, communication, quality, timeliness, rating, comment, created_at, revealed_at
+       FROM collaboration_reviews WHERE reviewee_id = $1 AND revealed_at IS NOT NULL AND removed_at IS NULL ORDER BY created_at ASC`
+    ),
+    payments: await many(
+      `SELECT id, type, collaboration_id, amount, currency, memo, created_at
+       FROM ledger_transactions WHERE $1 IN (creator_id, brand_id) ORDER BY created_at ASC`
+    ),
+    collaborationRequests: await many('SELECT * FROM collaboration_requests WHERE sender_id = $1 ORDER BY created_at ASC'),
+    sessions: (await many('SELECT * FROM user_sessions WHERE user_id = $1 ORDER BY created_at ASC')).map(stripSecrets),
+    uploads: [
+      ...samples.blobUrls.map(url => ({ url, source: 'ugc_creators.sample_content' })),
+      ...attachments.map(a => ({ url: a.blob_url, source: 'message_attachments', fileName: a.file_name, conversationId: a.conversation_id })),
+      ...draftFiles.map(f => ({ url: f.blob_url, source: 'deliverable_files', fileName: f.file_name, collaborationId: f.collaboration_id })),
+    ],
+    externalLinks: samples.links.map(url => ({ url, source: 'ugc_creators.sample_content' })),
+  };
+}
+
+// Builds (or reuses a recent) export for the user and stores it until it expires
+async function createExport(uid) {
+  const recent = await db.query(
+    `SELECT id, created_at, expires_at FROM data_exports
+     WHERE user_id = $1 AND created_at > NOW() - ($2 || ' minutes')::interval AND expires_at > NOW()
+     ORDER BY created_at DESC LIMIT 1`,
+    [uid, String(EXPORT_REUSE_MINUTES)]
+  );
+  if (recent.rowCount > 0) {
+    const row = recent.rows[0];
+    return { id: row.id, createdAt: row.created_at, expiresAt: row.expires_at, reused: true };
+  }
+  const payload = await buildExport(uid);
+  const id = crypto.randomUUID();
+  const expiresAt = new Date(Date.now() + EXPORT_TTL_DAYS * 24 * 60 * 60 * 1000);
+  const res = await db.query(
+    'INSERT INTO data_exports (id, user_id, payload, created_at, expires_at) VALUES ($1, $2, $3, NOW(), $4) RETURNING created_at',
+    [id, uid, JSON.stringify(payload), expiresAt]
+  );
+  return { id, createdAt: res.rows[0].created_at, expiresAt, reused: false };
+}
+
+async function getExport(uid, exportId) {
+  const res = await db.query(
+    'SELECT id, payload, created_at FROM data_exports WHERE id = $1 AND user_id = $2 AND expires_at > NOW() LIMIT 1',
+    [exportId, uid]
+  );
+  return res.rows[0] || null;
+}
+
+// Only our own blob store is ever fetched, without following redirects
+async function fetchUpload(url) {
+  if (!isBlobUrl(url)) return { error: 'NOT_AN_UPLOAD' };
+  const upstream = await fetch(url, { redirect: 'error' });
+  if (!upstream.ok) return { error: `HTTP ${upstream.status}` };
+  if (Number(upstream.headers.get('Content-Length')) > MAX_EXPORT_FILE_BYTES) return { error: 'TOO_LARGE' };
+  const data = Buffer.from(await upstream.arrayBuffer());
+  if (data.length > MAX_EXPORT_FILE_BYTES) return { error: 'TOO_LARGE' };
+  return { data };
+}
+
+// ZIP of a stored export: data.json plus a copy of every uploaded file under files/, so
+// the download stays complete after the blobs are deleted (e.g. by the account purge).
+// Each uploads[] entry records its archivePath, or why the file could not be copied.
+async function buildExportArchive(record) {
+  const payload = record.payload;
+  const files = [];
+  const uploads = [];
+  for (const [index, upload] of (payload.uploads || []).entries()) {
+    const baseName = upload.fileName || upload.url.split('?')[0].split('/').pop() || 'file';
+    const archivePath = `files/${index + 1}-${baseName.replace(/[^a-zA-Z0-9._-]/g, '_')}`;
+    let result;
+    try {
+      result = await fetchUpload(upload.url);
+    } catch (err) {
+      result = { error: err.message };
+    }
+    if (result.data) {
+      files.push({ name: archivePath, data: result.data });
+      uploads.push({ ...upload, archivePath });
+    } else {
+      console.error('Export upload fetch failed:', upload.url, result.error);
+      uploads.push({ ...upload, archivePath: null, copyError: result.error });
+    }
+  }
+  const data = JSON.stringify({ ...payload, uploads }, null, 2);
+  return createZip([{ name: 'data.json', data }, ...files], { modifiedAt: new Date(record.created_at) });
+}
+
+function mapDeletionRequest(row) {
+  if (!row) return null;
+  return {
+    requestedAt: row.requested_at,
+    purgeAfter: row.purge_after,
+    cancelledAt: row.cancelled_at,
+    completedAt: row.completed_at,
+  };
+}
+
+async function getPendingDeletion(uid) {
+  const res = await db.query(
+    'SELECT * FROM account_deletion_requests WHERE user_id = $1 AND cancelled_at IS NULL AND completed_at IS NULL LIMIT 1',
+    [uid]
+  );
+  return mapDeletionRequest(res.rows[0]);
+}
+
+async function requestDeletion(uid, { reason } = {}) {
+  const existing = await getPendingDeletion(uid);
+  if (existing) return existing;
+  const purgeAfter = new Date(Date.now() + DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000);
+  const res = await db.query(
+    `INSERT INTO account_deletion_requests (user_id, reason, requested_at, purge_after)
+     VALUES ($1, $2, NOW(), $3)
+     RETURNING *`,
+    [uid, reason || null, purgeAfter]
+  );
+  return mapDeletionRequest(res.rows[0]);
+}
+
+async function cancelDeletion(uid) {
+  const res = await db.query(
+    `UPDATE account_deletion_requests SET cancelled_at = NOW()
+     WHERE user_id = $1 AND cancelled_at IS NULL AND completed_at IS NULL`,
+    [uid]
+  );
+  return res.rowCount > 0;
+}
+
+// Removes everything tied to one account. Data other people still need (messages in
+// their conversations) is kept but re-attributed to an anonymous tombstone id.
+async function purgeAccount(uid) {
+  const userRes = await db.query('SELECT uid, email FROM users WHERE uid = $1 LIMIT 1', [uid]);
+  const user = userRes.rows[0];
+  const ugcRes = await db.query('SELECT sample_content FROM ugc_creators WHERE uid = $1 LIMIT 1', [uid]);
+  const { blobUrls } = collectSampleUrls(ugcRes.rows[0]);
+  const tombstoneId = `deleted_${crypto.randomBytes(8).toString('hex')}`;
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'UPDATE messages SET sender_id = $2, sender_name = $3, original_message = NULL WHERE sender_id = $1',
+      [uid, tombstoneId, DELETED_USER_NAME]
+    );
+    // Attachments stay with the conversation they were shared in
+    await client.query(
+      'UPDATE message_edits SET editor_id = $2, previous_original_message = NULL WHERE editor_id = $1',
+      [uid, tombstoneId]
+    );
+    await client.query('UPDATE messages SET deleted_by = $2 WHERE deleted_by = $1', [uid, tombstoneId]);
+    await client.query('UPDATE message_attachments SET uploader_id = $2 WHERE uploader_id = $1', [uid, tombstoneId]);
+    await client.query('UPDATE moderation_flags SET sender_id = $2 WHERE sender_id = $1', [uid, tombstoneId]);
+    await client.query('UPDATE user_reports SET reporter_id = $2 WHERE reporter_id = $1', [uid, tombstoneId]);
+    await client.query('UPDATE user_reports SET reported_user_id = $2 WHERE reported_user_id = $1', [uid, tombstoneId]);
+    await client.query('DELETE FROM user_blocks WHERE blocked_id = $1', [uid]);
+    await client.query(
+      `UPDATE offers SET
+         creator_id = CASE WHEN creator_id = $1 THEN $2 ELSE creator_id END,
+         created_by = CASE WHEN created_by = $1 THEN $2 ELSE created_by END,
+         responded_by = CASE WHEN responded_by = $1 THEN $2 ELSE responded_by END
+       WHERE $1 IN (creator_id, created_by, responded_by)`,
+      [uid, tombstoneId]
+    );
+    await client.query('UPDATE offer_versions SET proposed_by = $2 WHERE proposed_by = $1', [uid, tombstoneId]);
+    await client.query(
+      `UPDATE conversations SET
+         participants = array_replace(participants, $1, $2),
+         participant_details = CASE
+           WHEN participant_details ? $1 THEN (participant_details - $1)
+             || jsonb_build_object($2::text, jsonb_build_object('name', $3::text, 'role', participant_details->$1->'role'))
+           ELSE participant_details
+         END,
+         last_message_sender = CASE WHEN last_message_sender = $1 THEN $2 ELSE last_message_sender END,
+         created_by = CASE WHEN created_by = $1 THEN $2 ELSE created_by END
+       WHERE $1 = ANY(participants) OR created_by = $1`,
+      [uid, tombstoneId, DELETED_USER_NAME]
+    );
+    // Organizations the user was the only member of go with them
+    await client.query(
+      `DELETE FROM organizations o
+       WHERE EXISTS (SELECT 1 FROM organization_members m WHERE m.organization_id = o.id AND m.user_id = $1)
+         AND NOT EXISTS (SELECT 1 FROM organization_members m WHERE m.organization_id = o.id AND m.user_id <> $1)`,
+      [uid]
+    );
+    await client.query(
+      'UPDATE collaboration_requests SET contact_name = NULL, contact_email = NULL, contact_phone = NULL WHERE sender_id = $1',
+      [uid]
+    );
+    await client.query('UPDATE organization_invitations SET accepted_by = NULL WHERE accepted_by = $1', [uid]);
+    await client.query('UPDATE organization_shortlists SET added_by = NULL WHERE added_by = $1', [uid]);
+    // The other side keeps its collaborations and the drafts it received
+    await client.query(
+      `UPDATE collaborations SET
+         creator_id = CASE WHEN creator_id = $1 THEN $2 ELSE creator_id END,
+         brand_id = CASE WHEN brand_id = $1 THEN $2 ELSE brand_id END
+       WHERE $1 IN (creator_id, brand_id)`,
+      [uid, tombstoneId]
+    );
+    await client.query('UPDATE deliverable_submissions SET submitted_by = $2 WHERE submitted_by = $1', [uid, tombstoneId]);
+    await client.query('UPDATE deliverable_submissions SET reviewed_by = $2 WHERE reviewed_by = $1', [uid, tombstoneId]);
+    await client.query('UPDATE deliverable_files SET uploader_id = $2 WHERE uploader_id = $1', [uid, tombstoneId]);
+    await client.query('UPDATE published_posts SET creator_id = $2 WHERE creator_id = $1', [uid, tombstoneId]);
+    await client.query('UPDATE published_posts SET linked_by = $2 WHERE linked_by = $1', [uid, tombstoneId]);
+    await client.query(
+      `UPDATE collaboration_reviews SET
+         reviewer_id = CASE WHEN reviewer_id = $1 THEN $2 ELSE reviewer_id END,
+         reviewee_id = CASE WHEN reviewee_id = $1 THEN $2 ELSE reviewee_id END
+       WHERE $1 IN (reviewer_id, reviewee_id)`,
+      [uid, tombstoneId]
+    );
+    await client.query('DELETE FROM creator_stats WHERE uid = $1', [uid]);
+    // The ledger is kept for accounting; only who it points at changes
+    await client.query(
+      `UPDATE ledger_transactions SET
+         creator_id = CASE WHEN creator_id = $1 THEN $2 ELSE creator_id END,
+         brand_id = CASE WHEN brand_id = $1 THEN $2 ELSE brand_id END,
+         created_by = CASE WHEN created_by = $1 THEN $2 ELSE created_by END
+       WHERE $1 IN (creator_id, brand_id, created_by)`,
+      [uid, tombstoneId]
+    );
+    await client.query('UPDATE ledger_entries SET account = $2 WHERE account = $1', [`creator_payable:${uid}`, `creator_payable:${tombstoneId}`]);
+    await client.query('UPDATE payouts SET creator_id = $2 WHERE creator_id = $1', [uid, tombstoneId]);
+    // Organization campaigns stay with the team; personal ones and their applications go
+    await client.query('DELETE FROM campaigns WHERE owner_id = $1 AND organization_id IS NULL', [uid]);
+    await client.query('UPDATE campaign_applications SET status_changed_by = NULL WHERE status_changed_by = $1', [uid]);
+    if (user?.email) {
+      const email = String(user.email).toLowerCase();
+      await client.query('DELETE FROM auth_attempts WHERE email = $1', [email]);
+      await client.query('DELETE FROM account_lockouts WHERE email = $1', [email]);
+      await client.query('DELETE FROM organization_invitations WHERE email = $1 AND accepted_at IS NULL', [email]);
+    }
+    // Profiles, sessions, MFA, exports, memberships etc. cascade from users
+    await client.query('DELETE FROM users WHERE uid = $1', [uid]);
+    await client.query(
+      'UPDATE account_deletion_requests SET completed_at = NOW(), reason = NULL WHERE user_id = $1 AND cancelled_at IS NULL AND completed_at IS NULL',
+      [uid]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  let blobsDeleted = 0;
+  if (blobUrls.length > 0) {
+    try {
+      await deleteBlobs(blobUrls);
+      blobsDeleted = blobUrls.length;
+    } catch (err) {
+      console.error('Blob deletion error during account purge:', uid, err);
+    }
+  }
+  return { uid, blobsDeleted, tombstoneId };
+}
+
+// Purges every account whose grace period has ended, plus expired exports
+async function purgeDueAccounts({ limit = 25, dryRun = false } = {}) {
+  const due = await db.query(
+    `SELECT user_id FROM account_deletion_requests
+     WHERE cancelled_at IS NULL AND completed_at IS NULL AND purge_after <= NOW()
+     ORDER BY purge_after ASC LIMIT $1`,
+    [limit]
+  );
+  const purged = [];
+  const failed = [];
+  for (const { user_id: uid } of due.rows) {
+    if (dryRun) {
+      purged.push({ uid });
+      continue;
+    }
+    try {
+      purged.push(await purgeAccount(uid));
+    } catch (err) {
+      console.error('Account purge error:', uid, err);
+      failed.push(uid);
+    }
+  }
+  let expiredExports = 0;
+  if (!dryRun) {
+    const res = await db.query('DELETE FROM data_exports WHERE expires_at <= NOW()');
+    expiredExports = res.rowCount;
+  }
+  return { purged, failed, expiredExports };
+}
+
+module.exports = {
+  DELETION_GRACE_DAYS,
+  buildExport,
+  createExport,
+  getExport,
+  buildExportArchive,
+  getPendingDeletion,
+  requestDeletion,
+  cancelDeletion,
+  purgeAccount,
+  purgeDueAccounts,
+};
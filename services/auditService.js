@@ -0,0 +1,154 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Fields that must never be copied into the audit trail
+const REDACTED_FIELDS = ['password', 'password_hash', 'passwordHash', 'newPassword', 'secret', 'token', 'refreshToken'];
+
+function redact(value) {
+  if (!value || typeof value !== 'object' || Array.isArray(value)) return value ?? null;
+  const copy = {};
+  for (const [key, v] of Object.entries(value)) {
+    copy[key] = REDACTED_FIELDS.includes(key) ? '[REDACTED]' : v;
+  }
+  return copy;
+}
+
+// Shallow diff of two snapshots: { field: { from, to } } for every changed field
+function diffSnapshots(before, after) {
+  if (!before && !after) return null;
+  const keys = new Set([...Object.keys(before || {}), ...Object.keys(after || {})]);
+  const diff = {};
+  for (const key of keys) {
+    const from = before ? before[key] : undefined;
+    const to = after ? after[key] : undefined;
+    if (JSON.stringify(from) !== JSON.stringify(to)) {
+      diff[key] = { from: from === undefined ? null : from, to: to === undefined ? null : to };
+    }
+  }
+  return Object.keys(diff).length > 0 ? diff : null;
+}
+
+// Reuse an incoming X-Request-Id so entries can be correlated with upstream logs
+function getRequestId(req) {
+  if (!req) return null;
+  if (!req.requestId) {
+    req.requestId = req.header?.('X-Request-Id') || crypto.randomUUID();
+  }
+  return req.requestId;
+}
+
+// Append an audit event. Failures are logged but never break the calling request.
+// During impersonation the staff member is recorded as the actor.
+async function recordAuditEvent(req, { action, targetType = 'user', targetId = null, before = null, after = null, metadata = null, actorId, actorRole }) {
+  try {
+    const safeBefore = redact(before);
+    const safeAfter = redact(after);
+    const impersonatorId = req?.user?.impersonatedBy || null;
+    await db.query(
+      `INSERT INTO audit_events (actor_id, actor_role, impersonator_id, action, target_type, target_id, before, after, diff, metadata, ip, user_agent, request_id, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, NOW())`,
+      [
+        actorId !== undefined ? actorId : (impersonatorId || req?.user?.uid || null),
+        actorRole !== undefined ? actorRole : (impersonatorId ? null : (req?.user?.role || null)),
+        impersonatorId,
+        action,
+        targetType,
+        targetId,
+        safeBefore ? JSON.stringify(safeBefore) : null,
+        safeAfter ? JSON.stringify(safeAfter) : null,
+        JSON.stringify(diffSnapshots(safeBefore, safeAfter)),
+        metadata ? JSON.stringify(metadata) : null,
+        req?.ip || null,
+        req?.header?.('User-Agent') || null,
+        getRequestId(req)
+      ]
+    );
+  } catch (err) {
+    console.error('Audit log write error:', action, err);
+  }
+}
+
+function buildFilters({ actorId, impersonatorId, targetId, targetType, action, from, to }) {
+  const clauses = [];
+  const params = [];
+  const add = (sql, value) => {
+    params.push(value);
+    clauses.push(sql.replace('?', `$${params.length}`));
+  };
+  if (actorId) add('actor_id = ?', actorId);
+  if (impersonatorId) add('impersonator_id = ?', impersonatorId);
+  if (targetId) add('target_id = ?', targetId);
+  if (targetType) add('target_type = ?', targetType);
+  if (action) {
+    // "users.*" style prefixes match a whole family of actions
+    if (action.endsWith('*')) add('action LIKE ?', `${action.slice(0, -1)}%`);
+    else add('action = ?', action);
+  }
+  if (from) add('created_at >= ?', new Date(from));
+  if (to) add('created_at <= ?', new Date(to));
+  return { where: clauses.length ? `WHERE ${clauses.join(' AND ')}` : '', params };
+}
+
+function mapEvent(r) {
+  return {
+    id: r.id,
+    actorId: r.actor_id,
+    actorRole: r.actor_role,
+    impersonatorId: r.impersonator_id,
+    action: r.action,
+    targetType: r.target_type,
+    targetId: r.target_id,
+    before: r.before,
+    after: r.after,
+    diff: r.diff,
+    metadata: r.metadata,
+    ip: r.ip,
+    userAgent: r.user_agent,
+    requestId: r.request_id,
+    createdAt: r.created_at,
+  };
+}
+
+async function queryAuditEvents(filters = {}, { page = 1, limit = 50 } = {}) {
+  const { where, params } = buildFilters(filters);
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(`SELECT * FROM audit_events ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`, [...params, limit, offset]),
+    db.query(`SELECT COUNT(*)::int AS total FROM audit_events ${where}`, params)
+  ]);
+  return { events: rowsRes.rows.map(mapEvent), total: countRes.rows[0].total };
+}
+
+// Writes matching events as CSV rows through `write`, oldest first, in id-keyed batches
+async function exportAuditEventsCsv(filters, write) {
+  const columns = ['id', 'createdAt', 'actorId', 'actorRole', 'impersonatorId', 'action', 'targetType', 'targetId', 'diff', 'metadata', 'ip', 'userAgent', 'requestId'];
+  const escape = (value) => {
+    if (value === null || value === undefined) return '';
+    let str;
+    if (value instanceof Date) str = value.toISOString();
+    else if (typeof value === 'object') str = JSON.stringify(value);
+    else str = String(value);
+    // Keep spreadsheet apps from evaluating user-controlled values as formulas
+    if (/^[=+\-@\t\r]/.test(str)) str = `'${str}`;
+    return /[",\n\r]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+  write(`${columns.join(',')}\n`);
+  const { where, params } = buildFilters(filters);
+  const batchSize = 1000;
+  let lastId = 0;
+  for (;;) {
+    const idClause = `${where ? `${where} AND` : 'WHERE'} id > $${params.length + 1}`;
+    const res = await db.query(
+      `SELECT * FROM audit_events ${idClause} ORDER BY id ASC LIMIT $${params.length + 2}`,
+      [...params, lastId, batchSize]
+    );
+    for (const row of res.rows) {
+      const event = mapEvent(row);
+      write(`${columns.map(c => escape(event[c])).join(',')}\n`);
+    }
+    if (res.rows.length < batchSize) break;
+    lastId = res.rows[res.rows.length - 1].id;
+  }
+}
+
+module.exports = { recordAuditEvent, queryAuditEvents, exportAuditEventsCsv, diffSnapshots, getRequestId };
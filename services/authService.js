@@ -1,8 +1,16 @@
 const bcrypt = require('bcryptjs');
 const jwt = require('jsonwebtoken');
+const crypto = require('crypto');
 const db = require('./db');
+const mfaService = require('./mfaService');
 
-const JWT_EXPIRY = '7d';
+// Access tokens are short-lived; sessions are kept alive through rotating refresh tokens
+const JWT_EXPIRY = process.env.JWT_ACCESS_EXPIRY || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.REFRESH_TOKEN_TTL_DAYS || '30', 10);
+const EMAIL_VERIFICATION_TTL_HOURS = 24;
+const MFA_CHALLENGE_EXPIRY = '5m';
+const STREAM_TICKET_EXPIRY = '60s';
+const IMPERSONATION_TTL_MINUTES = parseInt(process.env.IMPERSONATION_TTL_MINUTES || '15', 10);
 
 function ensureJwtSecret() {
   const secret = process.env.JWT_SECRET;
@@ -15,17 +23,27 @@ function ensureJwtSecret() {
 async function findUserByEmail(email) {
   const passwordCol = await resolvePasswordColumn();
   const res = await db.query(
-    `SELECT uid, email, role, display_name, ${passwordCol} AS password_hash, is_active FROM users WHERE email = $1 LIMIT 1`,
+    `SELECT uid, email, role, display_name, ${passwordCol} AS password_hash, is_active, email_verified FROM users WHERE email = $1 LIMIT 1`,
     [email]
   );
   return res.rows[0] || null;
 }
 
 async function findUserByUid(uid) {
-  const res = await db.query('SELECT uid, email, role, display_name, is_active FROM users WHERE uid = $1 LIMIT 1', [uid]);
+  const res = await db.query('SELECT uid, email, role, display_name, is_active, email_verified FROM users WHERE uid = $1 LIMIT 1', [uid]);
   return res.rows[0] || null;
 }
 
+// Re-checks the password of an already authenticated user before sensitive actions.
+// Returns null when the account has no password (migrated Firebase users).
+async function verifyPassword(uid, password) {
+  const passwordCol = await resolvePasswordColumn();
+  const res = await db.query(`SELECT ${passwordCol} AS password_hash FROM users WHERE uid = $1 LIMIT 1`, [uid]);
+  const hash = res.rows[0]?.password_hash;
+  if (!hash) return null;
+  return bcrypt.compare(String(password || ''), hash);
+}
+
 let passwordColumnCache = null;
 
 async function resolvePasswordColumn() {
@@ -44,7 +62,102 @@ async function resolvePasswordColumn() {
   return passwordColumnCache;
 }
 
-async function register({ email, password, role = 'content_creator', displayName }) {
+function hashRefreshSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+function signAccessToken(user, sessionId, mfaVerified = false) {
+  const secret = ensureJwtSecret();
+  const payload = { uid: user.uid, email: user.email, role: user.role, sid: sessionId };
+  if (mfaVerified) payload.mfa = true;
+  return jwt.sign(payload, secret, { expiresIn: JWT_EXPIRY });
+}
+
+// Refresh tokens have the form `<sessionId>.<secret>`; only a hash of the secret is stored
+async function createSession(user, { userAgent, ip } = {}, { mfaVerified = false } = {}) {
+  const sessionId = `s_${crypto.randomBytes(12).toString('hex')}`;
+  const refreshSecret = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await db.query(
+    `INSERT INTO user_sessions (id, user_id, refresh_token_hash, user_agent, ip, created_at, last_used_at, expires_at, mfa_verified)
+     VALUES ($1, $2, $3, $4, $5, NOW(), NOW(), $6, $7)`,
+    [sessionId, user.uid, hashRefreshSecret(refreshSecret), userAgent || null, ip || null, expiresAt, !!mfaVerified]
+  );
+  return {
+    token: signAccessToken(user, sessionId, mfaVerified),
+    refreshToken: `${sessionId}.${refreshSecret}`,
+    sessionId,
+    expiresIn: JWT_EXPIRY,
+  };
+}
+
+function toPublicUser(user) {
+  return {
+    uid: user.uid,
+    email: user.email,
+    role: user.role,
+    displayName: user.display_name ?? user.displayName ?? null,
+    emailVerified: !!user.email_verified,
+  };
+}
+
+// Short-lived token proving the password step succeeded. `purpose` is either
+// 'mfa_challenge' (enter a code) or 'mfa_enroll' (set up MFA first). It is never
+// accepted as an access token.
+function signMfaChallenge(user, purpose) {
+  const secret = ensureJwtSecret();
+  const cid = crypto.randomBytes(16).toString('hex');
+  return jwt.sign({ uid: user.uid, purpose, cid }, secret, { expiresIn: MFA_CHALLENGE_EXPIRY });
+}
+
+async function verifyMfaChallenge(mfaToken, purposes = ['mfa_challenge', 'mfa_enroll']) {
+  const secret = ensureJwtSecret();
+  let payload;
+  try {
+    payload = jwt.verify(mfaToken, secret);
+  } catch (e) {
+    throw new Error('Invalid MFA challenge');
+  }
+  if (!payload.purpose || !purposes.includes(payload.purpose)) {
+    throw new Error('Invalid MFA challenge');
+  }
+  const user = await findUserByUid(payload.uid);
+  if (!user || !user.is_active) {
+    throw new Error('Invalid MFA challenge');
+  }
+  return { user, purpose: payload.purpose, challengeId: payload.cid || null };
+}
+
+// Returns a pending-MFA response when the user cannot get a session from the password alone
+async function pendingMfaFor(user) {
+  if (await mfaService.isMfaEnabled(user.uid)) {
+    return { mfaRequired: true, enrollmentRequired: false, mfaToken: signMfaChallenge(user, 'mfa_challenge'), user: toPublicUser(user) };
+  }
+  if (mfaService.isMfaRequiredForRole(user.role)) {
+    return { mfaRequired: true, enrollmentRequired: true, mfaToken: signMfaChallenge(user, 'mfa_enroll'), user: toPublicUser(user) };
+  }
+  return null;
+}
+
+// Issue a full session for an already-authenticated user (e.g. after MFA)
+async function issueSession(user, context = {}, { mfaVerified = false } = {}) {
+  await db.query('UPDATE users SET last_login_at = NOW() WHERE uid = $1', [user.uid]);
+  const session = await createSession(user, context, { mfaVerified });
+  return { ...session, user: toPublicUser(user) };
+}
+
+// Second login step: exchange an MFA challenge plus a TOTP or recovery code for a session.
+// Callers throttle failures (see loginThrottleService.checkMfa) before calling this.
+async function completeMfaLogin(mfaToken, { code, recoveryCode }, context = {}) {
+  const { user } = await verifyMfaChallenge(mfaToken, ['mfa_challenge']);
+  const ok = await mfaService.verifyChallenge(user.uid, { code, recoveryCode });
+  if (!ok) {
+    throw new Error('INVALID_MFA_CODE');
+  }
+  return issueSession(user, context, { mfaVerified: true });
+}
+
+async function register({ email, password, role = 'content_creator', displayName }, context = {}) {
   const existing = await findUserByEmail(email);
   if (existing) {
     throw new Error('User already exists');
@@ -56,12 +169,16 @@ async function register({ email, password, role = 'content_creator', displayName
     `INSERT INTO users (uid, email, role, display_name, ${passwordCol}, created_at, is_active) VALUES ($1, $2, $3, $4, $5, NOW(), TRUE)`,
     [uid, email, role, displayName || null, passwordHash]
   );
-  const secret = ensureJwtSecret();
-  const token = jwt.sign({ uid, email, role }, secret, { expiresIn: JWT_EXPIRY });
-  return { token, user: { uid, email, role, displayName: displayName || null } };
+  ensureJwtSecret();
+  const user = { uid, email, role, display_name: displayName || null, email_verified: false };
+  if (mfaService.isMfaRequiredForRole(role)) {
+    return pendingMfaFor(user);
+  }
+  const session = await createSession(user, context);
+  return { ...session, user: toPublicUser(user) };
 }
 
-async function login({ email, password }) {
+async function login({ email, password }, context = {}) {
   const user = await findUserByEmail(email);
   if (!user || !user.is_active) {
     throw new Error('Invalid credentials');
@@ -76,10 +193,211 @@ async function login({ email, password }) {
   if (!ok) {
     throw new Error('Invalid credentials');
   }
-  await db.query('UPDATE users SET last_login_at = NOW() WHERE uid = $1', [user.uid]);
+  ensureJwtSecret();
+  const pending = await pendingMfaFor(user);
+  if (pending) {
+    return pending;
+  }
+  return issueSession(user, context);
+}
+
+// Exchange a refresh token for a new access token, rotating the refresh secret.
+// Presenting an already-rotated secret revokes the whole session (token reuse).
+async function refresh(refreshToken, { userAgent, ip } = {}) {
+  const [sessionId, refreshSecret] = String(refreshToken || '').split('.');
+  if (!sessionId || !refreshSecret) {
+    throw new Error('Invalid refresh token');
+  }
+  const res = await db.query(
+    'SELECT id, user_id, refresh_token_hash, expires_at, revoked_at, mfa_verified FROM user_sessions WHERE id = $1 LIMIT 1',
+    [sessionId]
+  );
+  const session = res.rows[0];
+  if (!session || session.revoked_at || new Date(session.expires_at).getTime() < Date.now()) {
+    throw new Error('Invalid refresh token');
+  }
+  const presented = Buffer.from(hashRefreshSecret(refreshSecret));
+  const stored = Buffer.from(session.refresh_token_hash);
+  if (presented.length !== stored.length || !crypto.timingSafeEqual(presented, stored)) {
+    await revokeSession(session.user_id, session.id, 'refresh_token_reuse');
+    throw new Error('Invalid refresh token');
+  }
+  const user = await findUserByUid(session.user_id);
+  if (!user || !user.is_active) {
+    await revokeSession(session.user_id, session.id, 'user_inactive');
+    throw new Error('Invalid refresh token');
+  }
+  // Rotate only if the presented secret is still current: a concurrent refresh with the
+  // same token loses the race and is treated as reuse
+  const nextSecret = crypto.randomBytes(32).toString('hex');
+  const rotated = await db.query(
+    `UPDATE user_sessions SET refresh_token_hash = $1, last_used_at = NOW(), user_agent = COALESCE($2, user_agent), ip = COALESCE($3, ip)
+     WHERE id = $4 AND refresh_token_hash = $5 AND revoked_at IS NULL`,
+    [hashRefreshSecret(nextSecret), userAgent || null, ip || null, session.id, session.refresh_token_hash]
+  );
+  if (rotated.rowCount === 0) {
+    await revokeSession(session.user_id, session.id, 'refresh_token_reuse');
+    throw new Error('Invalid refresh token');
+  }
+  return {
+    token: signAccessToken(user, session.id, session.mfa_verified),
+    refreshToken: `${session.id}.${nextSecret}`,
+    sessionId: session.id,
+    expiresIn: JWT_EXPIRY,
+    user: toPublicUser(user),
+  };
+}
+
+async function isSessionActive(sessionId) {
+  const res = await db.query(
+    'SELECT 1 FROM user_sessions WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW() LIMIT 1',
+    [sessionId]
+  );
+  return res.rowCount > 0;
+}
+
+// Single-purpose token for opening the chat event stream, where EventSource cannot send
+// an Authorization header. It carries the access token's claims (session, MFA,
+// impersonation) plus its expiry as `aexp`, and lives only long enough to connect.
+function signStreamTicket(user, accessExpiresAt) {
   const secret = ensureJwtSecret();
-  const token = jwt.sign({ uid: user.uid, email: user.email, role: user.role }, secret, { expiresIn: JWT_EXPIRY });
-  return { token, user: { uid: user.uid, email: user.email, role: user.role, displayName: user.display_name } };
+  const payload = { uid: user.uid, email: user.email, role: user.role, purpose: 'chat_stream' };
+  if (user.sessionId) payload.sid = user.sessionId;
+  if (user.mfaVerified) payload.mfa = true;
+  if (user.impersonatedBy) {
+    payload.imp = user.impersonatedBy;
+    payload.isid = user.impersonationId;
+  }
+  if (accessExpiresAt) payload.aexp = Math.floor(accessExpiresAt.getTime() / 1000);
+  return jwt.sign(payload, secret, { expiresIn: STREAM_TICKET_EXPIRY });
+}
+
+// Read-only access token that lets staff see the app as `target`. It is tied to an
+// impersonation_sessions row and to the staff member's own session, so ending either
+// invalidates it before it expires.
+async function startImpersonation(staff, target, { reason } = {}) {
+  const secret = ensureJwtSecret();
+  const id = `imp_${crypto.randomBytes(12).toString('hex')}`;
+  const expiresAt = new Date(Date.now() + IMPERSONATION_TTL_MINUTES * 60 * 1000);
+  await db.query(
+    `INSERT INTO impersonation_sessions (id, impersonator_id, impersonator_session_id, target_id, reason, created_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), $6)`,
+    [id, staff.uid, staff.sessionId || null, target.uid, reason || null, expiresAt]
+  );
+  const token = jwt.sign(
+    { uid: target.uid, email: target.email, role: target.role, isid: id, imp: staff.uid },
+    secret,
+    { expiresIn: IMPERSONATION_TTL_MINUTES * 60 }
+  );
+  return { token, impersonationId: id, expiresAt };
+}
+
+async function isImpersonationActive(impersonationId) {
+  const res = await db.query(
+    `SELECT 1 FROM impersonation_sessions i
+     LEFT JOIN user_sessions s ON s.id = i.impersonator_session_id
+     WHERE i.id = $1 AND i.ended_at IS NULL AND i.expires_at > NOW()
+       AND (i.impersonator_session_id IS NULL OR (s.revoked_at IS NULL AND s.expires_at > NOW()))
+     LIMIT 1`,
+    [impersonationId]
+  );
+  return res.rowCount > 0;
+}
+
+async function endImpersonation(impersonationId) {
+  const res = await db.query(
+    'UPDATE impersonation_sessions SET ended_at = NOW() WHERE id = $1 AND ended_at IS NULL RETURNING impersonator_id, target_id',
+    [impersonationId]
+  );
+  return res.rows[0] || null;
+}
+
+async function listActiveImpersonations() {
+  const res = await db.query(
+    `SELECT id, impersonator_id, target_id, reason, created_at, expires_at
+     FROM impersonation_sessions
+     WHERE ended_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC`
+  );
+  return res.rows.map(r => ({
+    id: r.id,
+    impersonatorId: r.impersonator_id,
+    targetId: r.target_id,
+    reason: r.reason,
+    createdAt: r.created_at,
+    expiresAt: r.expires_at,
+  }));
+}
+
+async function revokeSession(uid, sessionId, reason = 'logout') {
+  const res = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $3 WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL',
+    [sessionId, uid, reason]
+  );
+  return res.rowCount;
+}
+
+async function revokeAllSessions(uid, reason = 'logout_all') {
+  const res = await db.query(
+    'UPDATE user_sessions SET revoked_at = NOW(), revoked_reason = $2 WHERE user_id = $1 AND revoked_at IS NULL',
+    [uid, reason]
+  );
+  return res.rowCount;
+}
+
+async function listActiveSessions(uid) {
+  const res = await db.query(
+    `SELECT id, user_agent, ip, created_at, last_used_at, expires_at
+     FROM user_sessions
+     WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY last_used_at DESC`,
+    [uid]
+  );
+  return res.rows.map(r => ({
+    id: r.id,
+    userAgent: r.user_agent,
+    ip: r.ip,
+    createdAt: r.created_at,
+    lastUsedAt: r.last_used_at,
+    expiresAt: r.expires_at,
+  }));
+}
+
+async function createEmailVerification(uid, email) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + EMAIL_VERIFICATION_TTL_HOURS * 60 * 60 * 1000);
+  await db.query(
+    'INSERT INTO email_verifications (token, user_id, email, created_at, expires_at, used) VALUES ($1, $2, $3, NOW(), $4, FALSE)',
+    [token, uid, email, expiresAt]
+  );
+  return token;
+}
+
+async function getLastEmailVerificationSentAt(uid) {
+  const res = await db.query('SELECT MAX(created_at) AS last_sent FROM email_verifications WHERE user_id = $1', [uid]);
+  return res.rows[0]?.last_sent || null;
+}
+
+// Marks the user's email as verified. Throws with a user-facing message on bad tokens.
+async function consumeEmailVerification(token) {
+  const res = await db.query('SELECT token, user_id, email, expires_at, used FROM email_verifications WHERE token = $1 LIMIT 1', [token]);
+  const row = res.rows[0];
+  if (!row) {
+    throw new Error('Invalid or expired token');
+  }
+  if (row.used) {
+    throw new Error('Token has already been used');
+  }
+  if (new Date(row.expires_at).getTime() < Date.now()) {
+    throw new Error('Token has expired');
+  }
+  // Only verify the address the token was issued for, in case the email changed since
+  const updated = await db.query('UPDATE users SET email_verified = TRUE WHERE uid = $1 AND email = $2', [row.user_id, row.email]);
+  if (updated.rowCount === 0) {
+    throw new Error('Invalid or expired token');
+  }
+  await db.query('UPDATE email_verifications SET used = TRUE, used_at = NOW() WHERE token = $1', [token]);
+  return { uid: row.user_id, email: row.email };
 }
 
 function verifyToken(token) {
@@ -87,4 +405,27 @@ function verifyToken(token) {
   return jwt.verify(token, secret);
 }
 
-module.exports = { register, login, verifyToken, findUserByEmail, findUserByUid };
+module.exports = {
+  register,
+  login,
+  refresh,
+  completeMfaLogin,
+  verifyMfaChallenge,
+  issueSession,
+  verifyToken,
+  findUserByEmail,
+  findUserByUid,
+  verifyPassword,
+  isSessionActive,
+  signStreamTicket,
+  startImpersonation,
+  isImpersonationActive,
+  endImpersonation,
+  listActiveImpersonations,
+  revokeSession,
+  revokeAllSessions,
+  listActiveSessions,
+  createEmailVerification,
+  getLastEmailVerificationSentAt,
+  consumeEmailVerification,
+};
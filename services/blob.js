@@ -1,22 +1,32 @@
 let putFn;
+let delFn;
 
-async function getPut() {
-  if (putFn) return putFn;
+async function loadBlobModule() {
   try {
     // Prefer CommonJS require when available
-    ({ put: putFn } = require('@vercel/blob'));
+    return require('@vercel/blob');
   } catch (err) {
     // Fallback to ESM dynamic import (Node 20+/Vercel functions)
-    const mod = await import('@vercel/blob');
-    putFn = mod.put;
+    return import('@vercel/blob');
   }
+}
+
+async function getPut() {
+  if (putFn) return putFn;
+  ({ put: putFn } = await loadBlobModule());
   return putFn;
 }
 
+async function getDel() {
+  if (delFn) return delFn;
+  ({ del: delFn } = await loadBlobModule());
+  return delFn;
+}
+
 // Upload a buffer to Vercel Blob storage and return the public URL
-async function uploadBufferToBlob(buffer, contentType, suggestedName = 'upload') {
+async function uploadBufferToBlob(buffer, contentType, suggestedName = 'upload', { folder = 'uploads' } = {}) {
   const safeName = suggestedName.replace(/[^a-zA-Z0-9._-]/g, '_');
-  const key = `uploads/${Date.now()}-${Math.round(Math.random() * 1e9)}-${safeName}`;
+  const key = `${folder}/${Date.now()}-${Math.round(Math.random() * 1e9)}-${safeName}`;
   const put = await getPut();
   const result = await put(key, buffer, {
     access: 'public',
@@ -26,4 +36,22 @@ async function uploadBufferToBlob(buffer, contentType, suggestedName = 'upload')
   return { url: result.url, key: result.pathname || key };
 }
 
-module.exports = { uploadBufferToBlob };
+// Public URLs handed out by Vercel Blob: https://<store>.public.blob.vercel-storage.com/...
+function isBlobUrl(value) {
+  try {
+    const url = new URL(value);
+    return url.protocol === 'https:' && url.hostname.endsWith('.public.blob.vercel-storage.com');
+  } catch (err) {
+    return false;
+  }
+}
+
+// Delete one or more blobs by URL
+async function deleteBlobs(urls) {
+  const list = (Array.isArray(urls) ? urls : [urls]).filter(Boolean);
+  if (list.length === 0) return;
+  const del = await getDel();
+  await del(list);
+}
+
+module.exports = { uploadBufferToBlob, deleteBlobs, isBlobUrl };
@@ -0,0 +1,501 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { db: firestore } = require('../config/firebase');
+const organizationService = require('./organizationService');
+const { DELIVERABLE_TYPES } = require('./offerService');
+
+// Campaign briefs brands publish for creators to apply to. A campaign belongs to its
+// author and, when they are in one, to their organization.
+const CAMPAIGN_STATUSES = ['draft', 'open', 'closed'];
+// Where the content is published; informational, not part of profile matching
+const PLATFORMS = ['instagram', 'youtube', 'tiktok', 'ugc'];
+// new → shortlisted → hired / rejected is the brand's pipeline; creators can withdraw
+const APPLICATION_STATUSES = ['new', 'shortlisted', 'hired', 'rejected', 'withdrawn'];
+const PIPELINE_STATUSES = ['new', 'shortlisted', 'hired', 'rejected'];
+const DEFAULT_CURRENCY = process.env.DEFAULT_OFFER_CURRENCY || 'USD';
+const MAX_TITLE_LENGTH = 120;
+const MAX_BRIEF_LENGTH = 10000;
+const MAX_PITCH_LENGTH = 2000;
+const MAX_NICHES = 20;
+const MAX_DELIVERABLES = 20;
+
+function invalid(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_CAMPAIGN';
+  return e;
+}
+
+function failure(code) {
+  const e = new Error(code);
+  e.code = code;
+  return e;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+// Niches are matched case-insensitively against profile niche/categories
+function normalizeNiches(values) {
+  return Array.from(new Set((values || []).filter(v => typeof v === 'string').map(v => v.trim().toLowerCase()).filter(Boolean)));
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+function mapCampaign(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    ownerId: row.owner_id,
+    organizationId: row.organization_id,
+    title: row.title,
+    brief: row.brief,
+    budgetMin: row.budget_min === null ? null : parseFloat(row.budget_min),
+    budgetMax: row.budget_max === null ? null : parseFloat(row.budget_max),
+    currency: row.currency,
+    targetNiches: row.target_niches || [],
+    minFollowers: row.min_followers,
+    maxFollowers: row.max_followers,
+    platforms: row.platforms || [],
+    deliverables: row.deliverables || [],
+    applicationDeadline: toDateString(row.application_deadline),
+    dueDate: toDateString(row.due_date),
+    status: row.status,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapApplication(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    campaignId: row.campaign_id,
+    creatorId: row.creator_id,
+    creatorName: row.creator_name || null,
+    pitch: row.pitch,
+    quote: parseFloat(row.quote),
+    currency: row.currency,
+    status: row.status,
+    statusChangedBy: row.status_changed_by,
+    statusChangedAt: row.status_changed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Validates a full campaign (create) or the fields being changed on top of `current` (update)
+function normalizeCampaign(input, current = null) {
+  const source = { ...(current || {}), ...Object.fromEntries(Object.entries(input || {}).filter(([, v]) => v !== undefined)) };
+  const { title, brief, budgetMin = null, budgetMax = null, currency = DEFAULT_CURRENCY, targetNiches = [], minFollowers = null, maxFollowers = null, platforms = [], deliverables = [], applicationDeadline = null, dueDate = null } = source;
+
+  if (typeof title !== 'string' || title.trim().length < 3 || title.trim().length > MAX_TITLE_LENGTH) {
+    throw invalid(`title must be between 3 and ${MAX_TITLE_LENGTH} characters`);
+  }
+  if (typeof brief !== 'string' || brief.trim().length === 0 || brief.length > MAX_BRIEF_LENGTH) {
+    throw invalid(`brief must be text of at most ${MAX_BRIEF_LENGTH} characters`);
+  }
+
+  const budget = [budgetMin, budgetMax].map(v => (v === null ? null : Number(v)));
+  if (budget.some(v => v !== null && (!Number.isFinite(v) || v < 0))) {
+    throw invalid('budgetMin and budgetMax must be positive numbers');
+  }
+  if (budget[0] !== null && budget[1] !== null && budget[0] > budget[1]) {
+    throw invalid('budgetMin cannot be greater than budgetMax');
+  }
+  const code = String(currency).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw invalid('currency must be a three-letter ISO code');
+  }
+
+  if (!Array.isArray(targetNiches) || targetNiches.length > MAX_NICHES) {
+    throw invalid(`targetNiches must list at most ${MAX_NICHES} niches`);
+  }
+  const followers = [minFollowers, maxFollowers].map(v => (v === null ? null : Number(v)));
+  if (followers.some(v => v !== null && (!Number.isInteger(v) || v < 0))) {
+    throw invalid('minFollowers and maxFollowers must be whole numbers');
+  }
+  if (followers[0] !== null && followers[1] !== null && followers[0] > followers[1]) {
+    throw invalid('minFollowers cannot be greater than maxFollowers');
+  }
+
+  if (!Array.isArray(platforms) || platforms.some(p => !PLATFORMS.includes(p))) {
+    throw invalid(`platforms must be a list of: ${PLATFORMS.join(', ')}`);
+  }
+
+  if (!Array.isArray(deliverables) || deliverables.length > MAX_DELIVERABLES) {
+    throw invalid(`deliverables must list at most ${MAX_DELIVERABLES} items`);
+  }
+  const items = deliverables.map((d) => {
+    if (!d || !DELIVERABLE_TYPES[d.type]) {
+      throw invalid(`deliverable type must be one of: ${Object.keys(DELIVERABLE_TYPES).join(', ')}`);
+    }
+    if (d.type === 'custom' && (typeof d.description !== 'string' || d.description.trim().length === 0)) {
+      throw invalid('custom deliverables need a description');
+    }
+    const quantity = d.quantity === undefined ? 1 : Number(d.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+      throw invalid('deliverable quantity must be a whole number between 1 and 100');
+    }
+    return {
+      type: d.type,
+      label: DELIVERABLE_TYPES[d.type].label,
+      quantity,
+      description: typeof d.description === 'string' ? d.description.trim().slice(0, 500) : null,
+    };
+  });
+
+  for (const [field, value] of [['applicationDeadline', applicationDeadline], ['dueDate', dueDate]]) {
+    if (value !== null && !isDate(value)) {
+      throw invalid(`${field} must be a date (YYYY-MM-DD)`);
+    }
+  }
+  if (applicationDeadline && dueDate && applicationDeadline > dueDate) {
+    throw invalid('applicationDeadline cannot be after dueDate');
+  }
+
+  return {
+    title: title.trim(),
+    brief: brief.trim(),
+    budgetMin: budget[0] === null ? null : roundMoney(budget[0]),
+    budgetMax: budget[1] === null ? null : roundMoney(budget[1]),
+    currency: code,
+    targetNiches: normalizeNiches(targetNiches),
+    minFollowers: followers[0],
+    maxFollowers: followers[1],
+    platforms: Array.from(new Set(platforms)),
+    deliverables: items,
+    applicationDeadline,
+    dueDate,
+  };
+}
+
+function generateCampaignId() {
+  return `cmp_${crypto.randomBytes(10).toString('hex')}`;
+}
+
+async function getCampaign(campaignId) {
+  const res = await db.query('SELECT * FROM campaigns WHERE id = $1 LIMIT 1', [campaignId]);
+  return mapCampaign(res.rows[0]);
+}
+
+// The author can always manage a campaign. Organization members can view it and
+// owners/managers can manage it.
+async function getCampaignAccess(campaign, uid) {
+  if (campaign.ownerId === uid) return { canRead: true, canManage: true };
+  if (campaign.organizationId) {
+    const member = await organizationService.getMembership(campaign.organizationId, uid);
+    if (member) return { canRead: true, canManage: organizationService.canWrite(member.role) };
+  }
+  return { canRead: false, canManage: false };
+}
+
+async function createCampaign(user, input) {
+  const terms = normalizeCampaign(input);
+  const status = input.status || 'draft';
+  if (!['draft', 'open'].includes(status)) {
+    throw invalid('status must be draft or open for a new campaign');
+  }
+  const membership = await organizationService.getMembershipForUser(user.uid);
+  if (membership && !organizationService.canWrite(membership.role)) {
+    throw failure('ORGANIZATION_READ_ONLY');
+  }
+  const res = await db.query(
+    `INSERT INTO campaigns (id, owner_id, organization_id, title, brief, budget_min, budget_max, currency, target_niches,
+       min_followers, max_followers, platforms, deliverables, application_deadline, due_date, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, NOW(), NOW())
+     RETURNING *`,
+    [generateCampaignId(), user.uid, membership?.organizationId || null, terms.title, terms.brief, terms.budgetMin, terms.budgetMax,
+      terms.currency, terms.targetNiches, terms.minFollowers, terms.maxFollowers, terms.platforms, JSON.stringify(terms.deliverables),
+      terms.applicationDeadline, terms.dueDate, status]
+  );
+  return mapCampaign(res.rows[0]);
+}
+
+async function updateCampaign(campaign, input) {
+  const terms = normalizeCampaign(input, campaign);
+  const status = input.status === undefined ? campaign.status : input.status;
+  if (!CAMPAIGN_STATUSES.includes(status)) {
+    throw invalid(`status must be one of: ${CAMPAIGN_STATUSES.join(', ')}`);
+  }
+  if (status === 'draft' && campaign.status !== 'draft') {
+    throw invalid('a published campaign cannot go back to draft');
+  }
+  const res = await db.query(
+    `UPDATE campaigns SET
+       title = $2, brief = $3, budget_min = $4, budget_max = $5, currency = $6, target_niches = $7,
+       min_followers = $8, max_followers = $9, platforms = $10, deliverables = $11,
+       application_deadline = $12, due_date = $13, status = $14, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [campaign.id, terms.title, terms.brief, terms.budgetMin, terms.budgetMax, terms.currency, terms.targetNiches,
+      terms.minFollowers, terms.maxFollowers, terms.platforms, JSON.stringify(terms.deliverables),
+      terms.applicationDeadline, terms.dueDate, status]
+  );
+  return mapCampaign(res.rows[0]);
+}
+
+// Applications go with the campaign
+async function deleteCampaign(campaignId) {
+  const res = await db.query('DELETE FROM campaigns WHERE id = $1', [campaignId]);
+  return res.rowCount > 0;
+}
+
+// Campaigns the user wrote plus those of their organization
+async function listManagedCampaigns(uid, { status, page = 1, limit = 20 } = {}) {
+  const membership = await organizationService.getMembershipForUser(uid);
+  const params = [uid, membership?.organizationId || null];
+  let where = 'WHERE (c.owner_id = $1 OR c.organization_id = $2)';
+  if (status) {
+    params.push(status);
+    where += ` AND c.status = $${params.length}`;
+  }
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(
+      `SELECT c.*,
+              (SELECT json_object_agg(s.status, s.count) FROM (
+                 SELECT status, COUNT(*)::int AS count FROM campaign_applications a WHERE a.campaign_id = c.id GROUP BY status
+               ) s) AS application_counts
+       FROM campaigns c ${where}
+       ORDER BY c.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM campaigns c ${where}`, params)
+  ]);
+  return {
+    campaigns: rowsRes.rows.map(r => ({ ...mapCampaign(r), applicationCounts: r.application_counts || {} })),
+    total: countRes.rows[0].total,
+  };
+}
+
+// Niches and audience size the creator is matched on. UGC profiles live in
+// Firestore; the Postgres mirror is used when Firestore is unavailable.
+async function getCreatorProfile(uid) {
+  let ugcNiches = null;
+  try {
+    const doc = await firestore.collection('ugc_creators').doc(uid).get();
+    if (doc.exists) ugcNiches = doc.data().niche || [];
+  } catch (err) {
+    console.warn('Firestore profile lookup skipped:', err.message);
+  }
+  const res = await db.query(
+    `SELECT
+       (SELECT niche FROM influencers WHERE uid = $1) AS influencer_niche,
+       (SELECT categories FROM ugc_creators WHERE uid = $1) AS ugc_categories,
+       GREATEST(
+         (SELECT followers FROM influencers WHERE uid = $1),
+         (SELECT MAX(followers) FROM instagram_profiles WHERE uid = $1),
+         (SELECT subscriber_count FROM youtube_analytics WHERE uid = $1 ORDER BY created_at DESC LIMIT 1)
+       ) AS followers`,
+    [uid]
+  );
+  const row = res.rows[0] || {};
+  return {
+    niches: normalizeNiches([...(row.influencer_niche || []), ...(ugcNiches || row.ugc_categories || [])]),
+    followers: row.followers === null || row.followers === undefined ? null : Number(row.followers),
+  };
+}
+
+// A campaign without target niches or a follower range is open to everyone; a
+// creator with no known follower count does not match a follower range.
+const MATCHES_PROFILE = `
+  (cardinality(c.target_niches) = 0 OR c.target_niches && $1::text[])
+  AND (c.min_followers IS NULL OR $2::int >= c.min_followers)
+  AND (c.max_followers IS NULL OR $2::int <= c.max_followers)`;
+const ACCEPTING_APPLICATIONS = `c.status = 'open' AND (c.application_deadline IS NULL OR c.application_deadline >= CURRENT_DATE)`;
+
+// Open campaigns matching the creator's profile, with their own application if any
+async function discoverCampaigns(uid, { niche, platform, page = 1, limit = 20 } = {}) {
+  const profile = await getCreatorProfile(uid);
+  const params = [profile.niches, profile.followers];
+  let where = `WHERE ${ACCEPTING_APPLICATIONS} AND ${MATCHES_PROFILE}`;
+  if (niche) {
+    params.push(niche.toLowerCase());
+    where += ` AND $${params.length} = ANY(c.target_niches)`;
+  }
+  if (platform) {
+    params.push(platform);
+    where += ` AND $${params.length} = ANY(c.platforms)`;
+  }
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(
+      `SELECT c.*, o.name AS organization_name, a.id AS application_id, a.status AS application_status
+       FROM campaigns c
+       LEFT JOIN organizations o ON o.id = c.organization_id
+       LEFT JOIN campaign_applications a ON a.campaign_id = c.id AND a.creator_id = $${params.length + 1}
+       ${where}
+       ORDER BY c.application_deadline ASC NULLS LAST, c.created_at DESC
+       LIMIT $${params.length + 2} OFFSET $${params.length + 3}`,
+      [...params, uid, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM campaigns c ${where}`, params)
+  ]);
+  return {
+    profile,
+    campaigns: rowsRes.rows.map(r => ({
+      ...mapCampaign(r),
+      organizationName: r.organization_name || null,
+      myApplication: r.application_id ? { id: r.application_id, status: r.application_status } : null,
+    })),
+    total: countRes.rows[0].total,
+  };
+}
+
+async function getApplication(campaignId, applicationId) {
+  const res = await db.query(
+    `SELECT a.*, u.display_name AS creator_name FROM campaign_applications a
+     LEFT JOIN users u ON u.uid = a.creator_id
+     WHERE a.campaign_id = $1 AND a.id = $2 LIMIT 1`,
+    [campaignId, applicationId]
+  );
+  return mapApplication(res.rows[0]);
+}
+
+async function getApplicationForCreator(campaignId, creatorId) {
+  const res = await db.query('SELECT * FROM campaign_applications WHERE campaign_id = $1 AND creator_id = $2 LIMIT 1', [campaignId, creatorId]);
+  return mapApplication(res.rows[0]);
+}
+
+// A creator applies once per campaign; a withdrawn application can be sent again
+async function applyToCampaign(campaign, creatorId, { pitch, quote }) {
+  if (typeof pitch !== 'string' || pitch.trim().length === 0 || pitch.length > MAX_PITCH_LENGTH) {
+    throw invalid(`pitch must be text of at most ${MAX_PITCH_LENGTH} characters`);
+  }
+  const amount = Number(quote);
+  if (!Number.isFinite(amount) || amount <= 0) {
+    throw invalid('quote must be greater than 0');
+  }
+
+  const profile = await getCreatorProfile(creatorId);
+  const eligible = await db.query(
+    `SELECT ${ACCEPTING_APPLICATIONS} AS accepting, ${MATCHES_PROFILE} AS matches FROM campaigns c WHERE c.id = $3`,
+    [profile.niches, profile.followers, campaign.id]
+  );
+  if (!eligible.rows[0]?.accepting) throw failure('CAMPAIGN_NOT_OPEN');
+  if (!eligible.rows[0].matches) throw failure('NOT_ELIGIBLE');
+
+  const existing = await getApplicationForCreator(campaign.id, creatorId);
+  if (existing && existing.status !== 'withdrawn') throw failure('ALREADY_APPLIED');
+
+  const res = await db.query(
+    `INSERT INTO campaign_applications (campaign_id, creator_id, pitch, quote, currency, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, 'new', NOW(), NOW())
+     ON CONFLICT (campaign_id, creator_id) DO UPDATE SET
+       pitch = EXCLUDED.pitch, quote = EXCLUDED.quote, currency = EXCLUDED.currency, status = 'new',
+       status_changed_by = NULL, status_changed_at = NULL, updated_at = NOW()
+     RETURNING *`,
+    [campaign.id, creatorId, pitch.trim(), roundMoney(amount), campaign.currency]
+  );
+  return mapApplication(res.rows[0]);
+}
+
+async function withdrawApplication(campaignId, creatorId) {
+  const res = await db.query(
+    `UPDATE campaign_applications SET status = 'withdrawn', status_changed_by = $2, status_changed_at = NOW(), updated_at = NOW()
+     WHERE campaign_id = $1 AND creator_id = $2 AND status IN ('new', 'shortlisted')
+     RETURNING *`,
+    [campaignId, creatorId]
+  );
+  return mapApplication(res.rows[0]);
+}
+
+// The brand's applicant pipeline, with a count per status
+async function listApplications(campaignId, { status, page = 1, limit = 50 } = {}) {
+  const params = [campaignId];
+  let where = 'WHERE a.campaign_id = $1';
+  if (status) {
+    params.push(status);
+    where += ` AND a.status = $${params.length}`;
+  }
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(
+      `SELECT a.*, u.display_name AS creator_name FROM campaign_applications a
+       LEFT JOIN users u ON u.uid = a.creator_id
+       ${where}
+       ORDER BY a.created_at ASC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    db.query('SELECT status, COUNT(*)::int AS count FROM campaign_applications WHERE campaign_id = $1 GROUP BY status', [campaignId])
+  ]);
+  const counts = Object.fromEntries(APPLICATION_STATUSES.map(s => [s, 0]));
+  countRes.rows.forEach(r => { counts[r.status] = r.count; });
+  return {
+    applications: rowsRes.rows.map(mapApplication),
+    counts,
+    total: status ? counts[status] || 0 : Object.values(counts).reduce((sum, n) => sum + n, 0),
+  };
+}
+
+// Moves an application through the pipeline; withdrawn applications are left alone
+async function setApplicationStatus(campaignId, applicationId, status, changedBy) {
+  if (!PIPELINE_STATUSES.includes(status)) {
+    throw invalid(`status must be one of: ${PIPELINE_STATUSES.join(', ')}`);
+  }
+  const current = await getApplication(campaignId, applicationId);
+  if (!current) return null;
+  if (current.status === 'withdrawn') throw failure('APPLICATION_WITHDRAWN');
+  const res = await db.query(
+    `UPDATE campaign_applications SET status = $3, status_changed_by = $4, status_changed_at = NOW(), updated_at = NOW()
+     WHERE campaign_id = $1 AND id = $2
+     RETURNING *`,
+    [campaignId, applicationId, status, changedBy]
+  );
+  return { before: current, after: mapApplication(res.rows[0]) };
+}
+
+async function listApplicationsForCreator(creatorId, { status } = {}) {
+  const params = [creatorId];
+  let where = 'WHERE a.creator_id = $1';
+  if (status) {
+    params.push(status);
+    where += ` AND a.status = $${params.length}`;
+  }
+  const res = await db.query(
+    `SELECT a.*, c.title AS campaign_title, c.status AS campaign_status, c.due_date AS campaign_due_date, o.name AS organization_name
+     FROM campaign_applications a
+     JOIN campaigns c ON c.id = a.campaign_id
+     LEFT JOIN organizations o ON o.id = c.organization_id
+     ${where}
+     ORDER BY a.created_at DESC`,
+    params
+  );
+  return res.rows.map(r => ({
+    ...mapApplication(r),
+    campaign: { id: r.campaign_id, title: r.campaign_title, status: r.campaign_status, dueDate: toDateString(r.campaign_due_date), organizationName: r.organization_name || null },
+  }));
+}
+
+module.exports = {
+  CAMPAIGN_STATUSES,
+  PLATFORMS,
+  APPLICATION_STATUSES,
+  PIPELINE_STATUSES,
+  normalizeCampaign,
+  getCampaign,
+  getCampaignAccess,
+  createCampaign,
+  updateCampaign,
+  deleteCampaign,
+  listManagedCampaigns,
+  getCreatorProfile,
+  discoverCampaigns,
+  getApplication,
+  getApplicationForCreator,
+  applyToCampaign,
+  withdrawApplication,
+  listApplications,
+  setApplicationStatus,
+  listApplicationsForCreator,
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { uploadBufferToBlob, deleteBlobs } = require('./blob');
+const { getMediaDimensions } = require('./mediaInfo');
+
+// Blob URLs are never sent to clients; files are served through
+// GET /api/chat/attachments/:attachmentId after an access check.
+function formatAttachment(row) {
+  return {
+    id: row.id,
+    messageId: row.message_id,
+    fileName: row.file_name,
+    mimeType: row.mime_type,
+    size: Number(row.size_bytes),
+    width: row.width,
+    height: row.height,
+    url: `/api/chat/attachments/${row.id}`,
+  };
+}
+
+// Uploads multer files to blob storage. Returns rows ready for saveAttachments.
+async function uploadAttachments(files, { conversationId, uploaderId }) {
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      const fileName = file.originalname || 'attachment';
+      const { url, key } = await uploadBufferToBlob(file.buffer, file.mimetype, fileName, { folder: `chat/${conversationId}` });
+      const dimensions = getMediaDimensions(file.buffer, file.mimetype);
+      uploaded.push({
+        id: `att_${crypto.randomBytes(12).toString('hex')}`,
+        conversation_id: conversationId,
+        uploader_id: uploaderId,
+        file_name: fileName,
+        mime_type: file.mimetype,
+        size_bytes: file.size,
+        width: dimensions?.width || null,
+        height: dimensions?.height || null,
+        blob_key: key,
+        blob_url: url,
+      });
+    }
+  } catch (err) {
+    await discardUploads(uploaded);
+    throw err;
+  }
+  return uploaded;
+}
+
+// Best-effort cleanup when the message could not be saved
+async function discardUploads(uploaded) {
+  if (uploaded.length === 0) return;
+  try {
+    await deleteBlobs(uploaded.map(a => a.blob_url));
+  } catch (err) {
+    console.error('Attachment cleanup error:', err);
+  }
+}
+
+async function saveAttachments(client, messageId, uploaded) {
+  const rows = [];
+  for (const a of uploaded) {
+    const res = await client.query(
+      `INSERT INTO message_attachments (id, message_id, conversation_id, uploader_id, file_name, mime_type, size_bytes, width, height, blob_key, blob_url, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())
+       RETURNING *`,
+      [a.id, messageId, a.conversation_id, a.uploader_id, a.file_name, a.mime_type, a.size_bytes, a.width, a.height, a.blob_key, a.blob_url]
+    );
+    rows.push(res.rows[0]);
+  }
+  return rows.map(formatAttachment);
+}
+
+// message id -> formatted attachments
+async function getAttachmentsForMessages(messageIds) {
+  if (messageIds.length === 0) return {};
+  const res = await db.query(
+    'SELECT * FROM message_attachments WHERE message_id = ANY($1) ORDER BY created_at ASC, id ASC',
+    [messageIds]
+  );
+  const byMessage = {};
+  for (const row of res.rows) {
+    if (!byMessage[row.message_id]) byMessage[row.message_id] = [];
+    byMessage[row.message_id].push(formatAttachment(row));
+  }
+  return byMessage;
+}
+
+async function getAttachment(attachmentId) {
+  const res = await db.query(
+    `SELECT a.*, m.deleted_at AS message_deleted_at
+     FROM message_attachments a JOIN messages m ON m.id = a.message_id
+     WHERE a.id = $1 LIMIT 1`,
+    [attachmentId]
+  );
+  return res.rows[0] || null;
+}
+
+// Conversation list preview for a message, e.g. "📎 draft_v2.mp4"
+function previewText(text, attachments) {
+  if (text) return text;
+  if (attachments.length === 0) return '';
+  const extra = attachments.length > 1 ? ` (+${attachments.length - 1})` : '';
+  return `📎 ${attachments[0].fileName || attachments[0].file_name}${extra}`;
+}
+
+module.exports = {
+  formatAttachment,
+  uploadAttachments,
+  discardUploads,
+  saveAttachments,
+  getAttachmentsForMessages,
+  getAttachment,
+  previewText,
+};
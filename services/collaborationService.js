@@ -0,0 +1,597 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { db: firestore } = require('../config/firebase');
+const { uploadBufferToBlob, deleteBlobs } = require('./blob');
+const organizationService = require('./organizationService');
+const { DELIVERABLE_TYPES } = require('./offerService');
+const { refreshCreatorStats } = require('./reviewService');
+const { heldInEscrow } = require('./paymentService');
+
+// A collaboration is what a brand and a creator agreed on: an accepted offer or a
+// hired campaign application. It tracks each deliverable from draft to approval.
+const DELIVERABLE_STATUSES = ['pending', 'submitted', 'changes_requested', 'approved'];
+const REVIEW_ACTIONS = ['approve', 'request_changes'];
+// Used when the creator's profile does not state how many revision rounds they offer
+const DEFAULT_REVISION_ROUNDS = parseInt(process.env.DEFAULT_REVISION_ROUNDS || '2', 10);
+const MAX_NOTE_LENGTH = 2000;
+const MAX_POST_REQUIREMENTS = 30;
+
+function invalid(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_DELIVERABLE';
+  return e;
+}
+
+function failure(code) {
+  const e = new Error(code);
+  e.code = code;
+  return e;
+}
+
+function isDate(value) {
+  return typeof value === 'string' && /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(new Date(`${value}T00:00:00Z`).getTime());
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  return value instanceof Date ? value.toISOString().slice(0, 10) : String(value).slice(0, 10);
+}
+
+// deliveryRevisions is a free-text quiz answer ("2", "3 rounds", "Unlimited").
+// Returns the number of rounds, or null when unlimited.
+function parseRevisionRounds(value) {
+  if (typeof value === 'number' && Number.isInteger(value) && value >= 0) return value;
+  const text = String(value || '').trim();
+  if (/unlimited/i.test(text)) return null;
+  const match = text.match(/\d+/);
+  return match ? parseInt(match[0], 10) : DEFAULT_REVISION_ROUNDS;
+}
+
+// Captured from the creator's influencer profile (POST /api/influencer) when the
+// collaboration starts, so later profile edits do not change agreed terms
+async function getRevisionLimit(creatorId) {
+  let value;
+  try {
+    const doc = await firestore.collection('influencers').doc(creatorId).get();
+    if (doc.exists) value = doc.data().deliveryRevisions;
+  } catch (err) {
+    console.warn('Firestore revision lookup skipped:', err.message);
+  }
+  if (value === undefined) {
+    const res = await db.query("SELECT original_json->>'deliveryRevisions' AS delivery_revisions FROM influencers WHERE uid = $1 LIMIT 1", [creatorId]);
+    value = res.rows[0]?.delivery_revisions;
+  }
+  return parseRevisionRounds(value);
+}
+
+function mapCollaboration(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    creatorId: row.creator_id,
+    brandId: row.brand_id,
+    organizationId: row.organization_id,
+    offerId: row.offer_id,
+    campaignId: row.campaign_id,
+    campaignApplicationId: row.campaign_application_id,
+    conversationId: row.conversation_id,
+    title: row.title,
+    price: row.price === null ? null : parseFloat(row.price),
+    currency: row.currency,
+    revisionLimit: row.revision_limit,
+    status: row.status,
+    completedAt: row.completed_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function mapDeliverable(row) {
+  const dueDate = toDateString(row.due_date);
+  return {
+    id: row.id,
+    collaborationId: row.collaboration_id,
+    type: row.type,
+    label: row.label,
+    quantity: row.quantity,
+    description: row.description,
+    dueDate,
+    status: row.status,
+    revisionsUsed: row.revisions_used,
+    requiredHashtags: row.required_hashtags || [],
+    requiredMentions: row.required_mentions || [],
+    requireSponsoredTag: !!row.require_sponsored_tag,
+    isOverdue: !!dueDate && row.status !== 'approved' && dueDate < new Date().toISOString().slice(0, 10),
+    overdueFlaggedAt: row.overdue_at,
+    submittedAt: row.submitted_at,
+    approvedAt: row.approved_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+// Blob URLs are never sent to clients; files are served through
+// GET /api/collaborations/files/:fileId after an access check.
+function formatFile(row) {
+  return {
+    id: row.id,
+    fileName: row.file_name,
+    mimeType: row.mime_type,
+    size: Number(row.size_bytes),
+    url: `/api/collaborations/files/${row.id}`,
+  };
+}
+
+function mapSubmission(row, files = []) {
+  return {
+    id: row.id,
+    deliverableId: row.deliverable_id,
+    round: row.round,
+    submittedBy: row.submitted_by,
+    note: row.note,
+    files: files.map(formatFile),
+    reviewStatus: row.review_status,
+    reviewComment: row.review_comment,
+    reviewedBy: row.reviewed_by,
+    reviewedAt: row.reviewed_at,
+    createdAt: row.created_at,
+  };
+}
+
+function generateCollaborationId() {
+  return `col_${crypto.randomBytes(10).toString('hex')}`;
+}
+
+async function insertCollaboration(client, data, deliverables) {
+  const res = await client.query(
+    `INSERT INTO collaborations (id, creator_id, brand_id, organization_id, offer_id, campaign_id, campaign_application_id, conversation_id,
+       title, price, currency, revision_limit, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, 'active', NOW(), NOW())
+     ON CONFLICT DO NOTHING
+     RETURNING *`,
+    [generateCollaborationId(), data.creatorId, data.brandId, data.organizationId || null, data.offerId || null, data.campaignId || null,
+      data.campaignApplicationId || null, data.conversationId || null, data.title, data.price, data.currency, data.revisionLimit]
+  );
+  const row = res.rows[0];
+  if (!row) return null;
+  for (const d of deliverables) {
+    await client.query(
+      `INSERT INTO collaboration_deliverables (collaboration_id, type, label, quantity, description, due_date, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', NOW(), NOW())`,
+      [row.id, d.type, d.label || DELIVERABLE_TYPES[d.type]?.label || d.type, d.quantity || 1, d.description || null, data.dueDate || null]
+    );
+  }
+  return row;
+}
+
+// An offer or application only ever starts one collaboration; returns null when it already has
+async function createCollaboration(data, deliverables) {
+  const revisionLimit = await getRevisionLimit(data.creatorId);
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const row = await insertCollaboration(client, { ...data, revisionLimit }, deliverables);
+    await client.query('COMMIT');
+    return mapCollaboration(row);
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// From the accepted version of an offer negotiated in chat
+async function createFromOffer(offer, conversation) {
+  const terms = offer.versions.find(v => v.version === offer.acceptedVersion);
+  if (!terms) return null;
+  return createCollaboration({
+    creatorId: offer.creatorId,
+    brandId: offer.createdBy,
+    organizationId: conversation.organization_id,
+    offerId: offer.id,
+    conversationId: offer.conversationId,
+    title: conversation.title || terms.deliverables.map(d => d.label).join(', '),
+    price: terms.price,
+    currency: terms.currency,
+    dueDate: terms.dueDate,
+  }, terms.deliverables);
+}
+
+// From a campaign applicant the brand hired
+async function createFromApplication(campaign, application, hiredBy) {
+  return createCollaboration({
+    creatorId: application.creatorId,
+    brandId: hiredBy,
+    organizationId: campaign.organizationId,
+    campaignId: campaign.id,
+    campaignApplicationId: application.id,
+    title: campaign.title,
+    price: application.quote,
+    currency: application.currency,
+    dueDate: campaign.dueDate,
+  }, campaign.deliverables);
+}
+
+async function getCollaboration(collaborationId) {
+  const res = await db.query('SELECT * FROM collaborations WHERE id = $1 LIMIT 1', [collaborationId]);
+  return mapCollaboration(res.rows[0]);
+}
+
+// The creator submits drafts. The brand who agreed it, and organization members, can
+// follow it; the brand and owners/managers review.
+async function getCollaborationAccess(collaboration, uid) {
+  if (collaboration.creatorId === uid) return { canRead: true, isCreator: true, canReview: false };
+  if (collaboration.brandId === uid) return { canRead: true, isCreator: false, canReview: true };
+  if (collaboration.organizationId) {
+    const member = await organizationService.getMembership(collaboration.organizationId, uid);
+    if (member) return { canRead: true, isCreator: false, canReview: organizationService.canWrite(member.role) };
+  }
+  return { canRead: false, isCreator: false, canReview: false };
+}
+
+// The brand who agreed the collaboration and their organization's owners/managers
+async function getBrandRecipients(collaboration) {
+  const managers = collaboration.organizationId
+    ? (await organizationService.listMembers(collaboration.organizationId)).filter(m => organizationService.canWrite(m.role)).map(m => m.userId)
+    : [];
+  return [collaboration.brandId, ...managers];
+}
+
+async function listCollaborations(uid, { status } = {}) {
+  const membership = await organizationService.getMembershipForUser(uid);
+  const params = [uid, membership?.organizationId || null];
+  let where = 'WHERE (c.creator_id = $1 OR c.brand_id = $1 OR c.organization_id = $2)';
+  if (status) {
+    params.push(status);
+    where += ` AND c.status = $${params.length}`;
+  }
+  const res = await db.query(
+    `SELECT c.*,
+            (SELECT json_object_agg(s.status, s.count) FROM (
+               SELECT status, COUNT(*)::int AS count FROM collaboration_deliverables d WHERE d.collaboration_id = c.id GROUP BY status
+             ) s) AS deliverable_counts,
+            (SELECT MIN(d.due_date) FROM collaboration_deliverables d WHERE d.collaboration_id = c.id AND d.status <> 'approved') AS next_due_date
+     FROM collaborations c ${where}
+     ORDER BY c.created_at DESC`,
+    params
+  );
+  return res.rows.map(r => ({
+    ...mapCollaboration(r),
+    deliverableCounts: r.deliverable_counts || {},
+    nextDueDate: toDateString(r.next_due_date),
+  }));
+}
+
+// Deliverables with every submission round and its files
+async function listDeliverables(collaborationId) {
+  const [deliverablesRes, submissionsRes, filesRes] = await Promise.all([
+    db.query('SELECT * FROM collaboration_deliverables WHERE collaboration_id = $1 ORDER BY due_date ASC NULLS LAST, id ASC', [collaborationId]),
+    db.query(
+      `SELECT s.* FROM deliverable_submissions s
+       JOIN collaboration_deliverables d ON d.id = s.deliverable_id
+       WHERE d.collaboration_id = $1 ORDER BY s.round ASC`,
+      [collaborationId]
+    ),
+    db.query('SELECT * FROM deliverable_files WHERE collaboration_id = $1 ORDER BY created_at ASC', [collaborationId])
+  ]);
+  return deliverablesRes.rows.map(d => ({
+    ...mapDeliverable(d),
+    submissions: submissionsRes.rows
+      .filter(s => s.deliverable_id === d.id)
+      .map(s => mapSubmission(s, filesRes.rows.filter(f => f.submission_id === s.id))),
+  }));
+}
+
+async function getDeliverable(collaborationId, deliverableId) {
+  const res = await db.query('SELECT * FROM collaboration_deliverables WHERE collaboration_id = $1 AND id = $2 LIMIT 1', [collaborationId, deliverableId]);
+  return res.rows[0] ? mapDeliverable(res.rows[0]) : null;
+}
+
+// Hashtags and @handles the published post must carry, stored without # / @ and lowercased
+function normalizeTags(value, field, prefix) {
+  if (!Array.isArray(value) || value.length > MAX_POST_REQUIREMENTS || value.some(t => typeof t !== 'string')) {
+    throw invalid(`${field} must be a list of at most ${MAX_POST_REQUIREMENTS} values`);
+  }
+  return Array.from(new Set(value.map(t => t.trim().replace(prefix, '').toLowerCase()).filter(Boolean)));
+}
+
+function normalizeDeliverable(input, { partial = false } = {}) {
+  const { type, quantity, description, dueDate, requiredHashtags, requiredMentions, requireSponsoredTag } = input || {};
+  const result = {};
+  if (!partial || type !== undefined) {
+    if (!DELIVERABLE_TYPES[type]) {
+      throw invalid(`type must be one of: ${Object.keys(DELIVERABLE_TYPES).join(', ')}`);
+    }
+    result.type = type;
+    result.label = DELIVERABLE_TYPES[type].label;
+  }
+  if (quantity !== undefined) {
+    const value = Number(quantity);
+    if (!Number.isInteger(value) || value < 1 || value > 100) {
+      throw invalid('quantity must be a whole number between 1 and 100');
+    }
+    result.quantity = value;
+  }
+  if (description !== undefined) {
+    if (description !== null && typeof description !== 'string') {
+      throw invalid('description must be text');
+    }
+    result.description = description ? description.trim().slice(0, 500) : null;
+  }
+  if (result.type === 'custom' && !result.description) {
+    throw invalid('custom deliverables need a description');
+  }
+  if (dueDate !== undefined) {
+    if (dueDate !== null && !isDate(dueDate)) {
+      throw invalid('dueDate must be a date (YYYY-MM-DD)');
+    }
+    result.dueDate = dueDate;
+  }
+  if (requiredHashtags !== undefined) result.requiredHashtags = normalizeTags(requiredHashtags, 'requiredHashtags', /^#+/);
+  if (requiredMentions !== undefined) result.requiredMentions = normalizeTags(requiredMentions, 'requiredMentions', /^@+/);
+  if (requireSponsoredTag !== undefined) {
+    if (typeof requireSponsoredTag !== 'boolean') {
+      throw invalid('requireSponsoredTag must be true or false');
+    }
+    result.requireSponsoredTag = requireSponsoredTag;
+  }
+  return result;
+}
+
+// Runs change(client) with the collaboration locked. Releases split held money by the
+// number of deliverables, so the set is frozen while anything is held in escrow.
+async function changeDeliverables(collaborationId, change) {
+  const client = await db.getClient();
+  let result;
+  try {
+    await client.query('BEGIN');
+    const collabRes = await client.query('SELECT id, currency FROM collaborations WHERE id = $1 FOR UPDATE', [collaborationId]);
+    if (collabRes.rows[0] && await heldInEscrow(client, collabRes.rows[0]) > 0) throw failure('ESCROW_HELD');
+    result = await change(client);
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  await refreshCollaborationStatus(collaborationId);
+  return result;
+}
+
+async function addDeliverable(collaborationId, input) {
+  const d = normalizeDeliverable(input);
+  const row = await changeDeliverables(collaborationId, async (client) => {
+    const res = await client.query(
+      `INSERT INTO collaboration_deliverables (collaboration_id, type, label, quantity, description, due_date,
+         required_hashtags, required_mentions, require_sponsored_tag, status, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, 'pending', NOW(), NOW())
+       RETURNING *`,
+      [collaborationId, d.type, d.label, d.quantity || 1, d.description || null, d.dueDate || null,
+        d.requiredHashtags || [], d.requiredMentions || [], d.requireSponsoredTag || false]
+    );
+    return res.rows[0];
+  });
+  return mapDeliverable(row);
+}
+
+// Approved deliverables are final apart from what the published post must carry.
+// Moving the due date clears the overdue flag.
+async function updateDeliverable(deliverable, input) {
+  const changesContent = ['type', 'quantity', 'description', 'dueDate'].some(f => input[f] !== undefined);
+  if (deliverable.status === 'approved' && changesContent) throw failure('DELIVERABLE_APPROVED');
+  const d = normalizeDeliverable(input, { partial: true });
+  const res = await db.query(
+    `UPDATE collaboration_deliverables SET
+       type = COALESCE($2, type),
+       label = COALESCE($3, label),
+       quantity = COALESCE($4, quantity),
+       description = CASE WHEN $5 THEN $6 ELSE description END,
+       due_date = CASE WHEN $7 THEN $8::date ELSE due_date END,
+       overdue_at = CASE WHEN $7 THEN NULL ELSE overdue_at END,
+       required_hashtags = COALESCE($9, required_hashtags),
+       required_mentions = COALESCE($10, required_mentions),
+       require_sponsored_tag = COALESCE($11, require_sponsored_tag),
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [deliverable.id, d.type || null, d.label || null, d.quantity || null, d.description !== undefined, d.description ?? null,
+      d.dueDate !== undefined, d.dueDate ?? null, d.requiredHashtags || null, d.requiredMentions || null, d.requireSponsoredTag ?? null]
+  );
+  return mapDeliverable(res.rows[0]);
+}
+
+// Only deliverables nothing has been submitted for can be removed, and none while money is held
+async function removeDeliverable(deliverable) {
+  if (deliverable.status !== 'pending' || deliverable.revisionsUsed > 0) throw failure('DELIVERABLE_HAS_SUBMISSIONS');
+  await changeDeliverables(deliverable.collaborationId, client =>
+    client.query('DELETE FROM collaboration_deliverables WHERE id = $1', [deliverable.id]));
+}
+
+// A collaboration is completed once every deliverable is approved. Completing (or
+// reopening) it updates the creator's completed projects and earnings.
+async function refreshCollaborationStatus(collaborationId) {
+  const res = await db.query(
+    `WITH next AS (
+       SELECT CASE WHEN EXISTS (SELECT 1 FROM collaboration_deliverables d WHERE d.collaboration_id = $1)
+                    AND NOT EXISTS (SELECT 1 FROM collaboration_deliverables d WHERE d.collaboration_id = $1 AND d.status <> 'approved')
+                   THEN 'completed' ELSE 'active' END AS status
+     ), prev AS (
+       SELECT status FROM collaborations WHERE id = $1
+     )
+     UPDATE collaborations c SET
+       status = next.status,
+       completed_at = CASE WHEN next.status = 'completed' THEN COALESCE(c.completed_at, NOW()) ELSE NULL END,
+       updated_at = NOW()
+     FROM next, prev
+     WHERE c.id = $1
+     RETURNING c.creator_id, c.status, prev.status AS previous_status`,
+    [collaborationId]
+  );
+  const row = res.rows[0];
+  if (row && row.status !== row.previous_status) await refreshCreatorStats(row.creator_id);
+}
+
+// Uploads multer files to blob storage and records a new draft round
+async function submitDraft(collaboration, deliverable, submittedBy, { note, files = [] }) {
+  if (!['pending', 'changes_requested'].includes(deliverable.status)) throw failure('NOT_AWAITING_DRAFT');
+  if (files.length === 0) throw invalid('at least one file is required');
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw invalid(`note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  const uploaded = [];
+  try {
+    for (const file of files) {
+      const fileName = file.originalname || 'draft';
+      const { url, key } = await uploadBufferToBlob(file.buffer, file.mimetype, fileName, { folder: `collaborations/${collaboration.id}` });
+      uploaded.push({ id: `dlf_${crypto.randomBytes(12).toString('hex')}`, fileName, mimeType: file.mimetype, size: file.size, key, url });
+    }
+  } catch (err) {
+    await discardUploads(uploaded);
+    throw err;
+  }
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const roundRes = await client.query(
+      'SELECT COALESCE(MAX(round), 0) + 1 AS round FROM deliverable_submissions WHERE deliverable_id = $1',
+      [deliverable.id]
+    );
+    const submissionRes = await client.query(
+      `INSERT INTO deliverable_submissions (deliverable_id, round, submitted_by, note, review_status, created_at)
+       VALUES ($1, $2, $3, $4, 'pending', NOW())
+       RETURNING *`,
+      [deliverable.id, roundRes.rows[0].round, submittedBy, note ? note.trim() : null]
+    );
+    const submission = submissionRes.rows[0];
+    const fileRows = [];
+    for (const f of uploaded) {
+      const fileRes = await client.query(
+        `INSERT INTO deliverable_files (id, submission_id, deliverable_id, collaboration_id, uploader_id, file_name, mime_type, size_bytes, blob_key, blob_url, created_at)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, NOW())
+         RETURNING *`,
+        [f.id, submission.id, deliverable.id, collaboration.id, submittedBy, f.fileName, f.mimeType, f.size, f.key, f.url]
+      );
+      fileRows.push(fileRes.rows[0]);
+    }
+    const deliverableRes = await client.query(
+      `UPDATE collaboration_deliverables SET status = 'submitted', submitted_at = NOW(), updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [deliverable.id]
+    );
+    await client.query('COMMIT');
+    return { deliverable: mapDeliverable(deliverableRes.rows[0]), submission: mapSubmission(submission, fileRows) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    await discardUploads(uploaded);
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function discardUploads(uploaded) {
+  if (uploaded.length === 0) return;
+  try {
+    await deleteBlobs(uploaded.map(f => f.url));
+  } catch (err) {
+    console.error('Draft upload cleanup error:', err);
+  }
+}
+
+// Approve the latest draft, or send it back. Each request for changes uses one of
+// the revision rounds the creator offers; once they are used up only approval is left.
+async function reviewDraft(collaboration, deliverable, reviewerId, { action, comment }) {
+  if (!REVIEW_ACTIONS.includes(action)) throw failure('INVALID_ACTION');
+  if (deliverable.status !== 'submitted') throw failure('NOTHING_TO_REVIEW');
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_NOTE_LENGTH)) {
+    throw invalid(`comment must be text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+  const text = typeof comment === 'string' ? comment.trim() : '';
+  if (action === 'request_changes') {
+    if (!text) throw invalid('comment is required when requesting changes');
+    if (collaboration.revisionLimit !== null && deliverable.revisionsUsed >= collaboration.revisionLimit) {
+      throw failure('REVISION_LIMIT_REACHED');
+    }
+  }
+
+  const approved = action === 'approve';
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const submissionRes = await client.query(
+      `UPDATE deliverable_submissions SET review_status = $2, review_comment = $3, reviewed_by = $4, reviewed_at = NOW()
+       WHERE id = (SELECT id FROM deliverable_submissions WHERE deliverable_id = $1 ORDER BY round DESC LIMIT 1)
+       RETURNING *`,
+      [deliverable.id, approved ? 'approved' : 'changes_requested', text || null, reviewerId]
+    );
+    const deliverableRes = await client.query(
+      `UPDATE collaboration_deliverables SET
+         status = $2,
+         revisions_used = revisions_used + CASE WHEN $3 THEN 0 ELSE 1 END,
+         approved_at = CASE WHEN $3 THEN NOW() ELSE approved_at END,
+         updated_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [deliverable.id, approved ? 'approved' : 'changes_requested', approved]
+    );
+    await client.query('COMMIT');
+    await refreshCollaborationStatus(collaboration.id);
+    return { deliverable: mapDeliverable(deliverableRes.rows[0]), submission: mapSubmission(submissionRes.rows[0]) };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+async function getFile(fileId) {
+  const res = await db.query('SELECT * FROM deliverable_files WHERE id = $1 LIMIT 1', [fileId]);
+  return res.rows[0] || null;
+}
+
+// Flags deliverables past their due date that are still not approved. Each one is
+// flagged once; moving the due date lets it be flagged again.
+async function flagOverdueDeliverables({ limit = 500, dryRun = false } = {}) {
+  const res = await db.query(
+    `SELECT d.* FROM collaboration_deliverables d
+     WHERE d.due_date < CURRENT_DATE AND d.status <> 'approved' AND d.overdue_at IS NULL
+     ORDER BY d.due_date ASC
+     LIMIT $1`,
+    [limit]
+  );
+  if (!dryRun && res.rowCount > 0) {
+    await db.query('UPDATE collaboration_deliverables SET overdue_at = NOW() WHERE id = ANY($1)', [res.rows.map(r => r.id)]);
+  }
+  const collaborationIds = Array.from(new Set(res.rows.map(r => r.collaboration_id)));
+  const collaborationsRes = collaborationIds.length > 0
+    ? await db.query('SELECT * FROM collaborations WHERE id = ANY($1)', [collaborationIds])
+    : { rows: [] };
+  const collaborations = Object.fromEntries(collaborationsRes.rows.map(r => [r.id, mapCollaboration(r)]));
+  return res.rows.map(r => ({ deliverable: mapDeliverable(r), collaboration: collaborations[r.collaboration_id] }));
+}
+
+module.exports = {
+  DELIVERABLE_STATUSES,
+  REVIEW_ACTIONS,
+  parseRevisionRounds,
+  getRevisionLimit,
+  createFromOffer,
+  createFromApplication,
+  getCollaboration,
+  getCollaborationAccess,
+  getBrandRecipients,
+  listCollaborations,
+  listDeliverables,
+  getDeliverable,
+  addDeliverable,
+  updateDeliverable,
+  removeDeliverable,
+  submitDraft,
+  reviewDraft,
+  getFile,
+  flagOverdueDeliverables,
+};
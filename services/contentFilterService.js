@@ -0,0 +1,244 @@
+const db = require('./db');
+const { effectiveRoles } = require('./permissionService');
+
+// Chat contact-info filter. `block` rules mask what they match; `allow` rules
+// protect text (prices, order numbers...) from being masked. Stored in
+// content_filter_rules; the defaults below apply until an admin edits a rule.
+const RULE_KINDS = ['block', 'allow'];
+const DEFAULT_REPLACEMENT = '*****';
+
+const DEFAULT_RULES = [
+  {
+    id: 'email',
+    kind: 'block',
+    pattern: '\\b[A-Za-z0-9._%+-]+@[A-Za-z0-9.-]+\\.[A-Za-z]{2,}\\b',
+    description: 'Email addresses',
+  },
+  {
+    // 10-15 digits with optional separators, so prices, dates and quantities pass
+    id: 'phone',
+    kind: 'block',
+    pattern: '(?<![\\w/(])[+(]?\\d(?:[\\s().-]{0,2}\\d){9,14}(?![\\w/])',
+    description: 'Phone numbers',
+  },
+  {
+    id: 'messaging_apps',
+    kind: 'block',
+    pattern: 'whatsapp|wa\\.me|t\\.me|telegram',
+    description: 'Messaging app mentions and links',
+  },
+  {
+    // Off by default: creators' public handles are already visible on their profiles
+    id: 'social_handle',
+    kind: 'block',
+    pattern: '(?<![\\w.])@[A-Za-z0-9._]{3,}',
+    description: '@handles',
+    enabled: false,
+  },
+];
+
+const CACHE_TTL_MS = parseInt(process.env.CONTENT_FILTER_CACHE_TTL_MS || '60000', 10);
+let cache = null;
+let cacheLoadedAt = 0;
+
+function normalizeRule(rule) {
+  return {
+    id: rule.id,
+    kind: rule.kind,
+    pattern: rule.pattern,
+    flags: rule.flags || 'gi',
+    replacement: rule.replacement ?? DEFAULT_REPLACEMENT,
+    exemptRoles: rule.exempt_roles || rule.exemptRoles || [],
+    enabled: rule.enabled !== false,
+    description: rule.description || null,
+    updatedBy: rule.updated_by || null,
+    updatedAt: rule.updated_at || null,
+  };
+}
+
+// Global flag is always added so every occurrence is handled
+function compile(rule) {
+  const flags = Array.from(new Set(`${rule.flags.replace(/[^imsu]/g, '')}g`)).join('');
+  return new RegExp(rule.pattern, flags);
+}
+
+function validatePattern(pattern, flags = 'gi') {
+  try {
+    compile({ pattern, flags });
+  } catch (err) {
+    const e = new Error(`Invalid pattern: ${err.message}`);
+    e.code = 'INVALID_PATTERN';
+    throw e;
+  }
+}
+
+async function loadRules() {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+  const res = await db.query('SELECT * FROM content_filter_rules ORDER BY kind, id');
+  const rules = res.rowCount === 0 ? DEFAULT_RULES.map(normalizeRule) : res.rows.map(normalizeRule);
+  cache = rules.map(rule => {
+    try {
+      return { ...rule, regex: compile(rule) };
+    } catch (err) {
+      console.error('Skipping invalid content filter rule:', rule.id, err.message);
+      return null;
+    }
+  }).filter(Boolean);
+  cacheLoadedAt = Date.now();
+  return cache;
+}
+
+function clearCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+// Returns the filtered text and the block rules that fired
+async function filterMessage(text, { role } = {}) {
+  const rules = await loadRules();
+  const roles = role ? effectiveRoles(role) : [];
+  const applies = (rule) => rule.enabled && !rule.exemptRoles.some(r => roles.includes(r));
+
+  const protectedRanges = [];
+  for (const rule of rules.filter(r => r.kind === 'allow' && applies(r))) {
+    for (const m of text.matchAll(rule.regex)) {
+      protectedRanges.push([m.index, m.index + m[0].length]);
+    }
+  }
+  const isProtected = (start, end) => protectedRanges.some(([s, e]) => start >= s && end <= e);
+
+  // Collect every masked span against the original text, then rebuild it once
+  const spans = [];
+  const matches = [];
+  for (const rule of rules.filter(r => r.kind === 'block' && applies(r))) {
+    for (const m of text.matchAll(rule.regex)) {
+      const start = m.index;
+      const end = start + m[0].length;
+      if (m[0].length === 0 || isProtected(start, end)) continue;
+      if (spans.some(s => start < s.end && end > s.start)) continue;
+      spans.push({ start, end, replacement: rule.replacement });
+      matches.push({ ruleId: rule.id, match: m[0] });
+    }
+  }
+  if (spans.length === 0) {
+    return { text, filtered: false, matches };
+  }
+  spans.sort((a, b) => a.start - b.start);
+  let output = '';
+  let cursor = 0;
+  for (const span of spans) {
+    output += text.slice(cursor, span.start) + span.replacement;
+    cursor = span.end;
+  }
+  output += text.slice(cursor);
+  return { text: output, filtered: true, matches };
+}
+
+async function listRules() {
+  const rules = await loadRules();
+  const res = await db.query('SELECT 1 FROM content_filter_rules LIMIT 1');
+  return { rules: rules.map(({ regex, ...rule }) => rule), usingDefaults: res.rowCount === 0 };
+}
+
+// The first write copies the defaults into the table so they stay editable
+async function seedDefaults(client) {
+  const seeded = await client.query('SELECT 1 FROM content_filter_rules LIMIT 1');
+  if (seeded.rowCount > 0) return;
+  for (const rule of DEFAULT_RULES.map(normalizeRule)) {
+    await client.query(
+      `INSERT INTO content_filter_rules (id, kind, pattern, flags, replacement, exempt_roles, enabled, description, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       ON CONFLICT (id) DO NOTHING`,
+      [rule.id, rule.kind, rule.pattern, rule.flags, rule.replacement, rule.exemptRoles, rule.enabled, rule.description]
+    );
+  }
+}
+
+async function withSeededTable(fn) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await seedDefaults(client);
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+    clearCache();
+  }
+}
+
+function checkRuleInput({ kind, pattern, flags }) {
+  if (kind !== undefined && !RULE_KINDS.includes(kind)) {
+    const e = new Error(`kind must be one of: ${RULE_KINDS.join(', ')}`);
+    e.code = 'INVALID_RULE';
+    throw e;
+  }
+  if (pattern !== undefined) validatePattern(pattern, flags);
+}
+
+async function createRule({ id, kind, pattern, flags = 'gi', replacement = DEFAULT_REPLACEMENT, exemptRoles = [], enabled = true, description }, updatedBy) {
+  checkRuleInput({ kind, pattern, flags });
+  return withSeededTable(async (client) => {
+    const res = await client.query(
+      `INSERT INTO content_filter_rules (id, kind, pattern, flags, replacement, exempt_roles, enabled, description, updated_by, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       ON CONFLICT (id) DO NOTHING
+       RETURNING *`,
+      [id, kind, pattern, flags, replacement, exemptRoles, enabled, description || null, updatedBy]
+    );
+    if (res.rowCount === 0) {
+      const e = new Error('RULE_EXISTS');
+      e.code = 'RULE_EXISTS';
+      throw e;
+    }
+    return normalizeRule(res.rows[0]);
+  });
+}
+
+async function updateRule(id, updates, updatedBy) {
+  return withSeededTable(async (client) => {
+    const current = await client.query('SELECT * FROM content_filter_rules WHERE id = $1 FOR UPDATE', [id]);
+    if (current.rowCount === 0) return null;
+    const before = normalizeRule(current.rows[0]);
+    const next = {
+      kind: updates.kind ?? before.kind,
+      pattern: updates.pattern ?? before.pattern,
+      flags: updates.flags ?? before.flags,
+      replacement: updates.replacement ?? before.replacement,
+      exemptRoles: updates.exemptRoles ?? before.exemptRoles,
+      enabled: updates.enabled ?? before.enabled,
+      description: updates.description ?? before.description,
+    };
+    checkRuleInput(next);
+    const res = await client.query(
+      `UPDATE content_filter_rules SET kind = $2, pattern = $3, flags = $4, replacement = $5, exempt_roles = $6,
+         enabled = $7, description = $8, updated_by = $9, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, next.kind, next.pattern, next.flags, next.replacement, next.exemptRoles, next.enabled, next.description, updatedBy]
+    );
+    return { before, after: normalizeRule(res.rows[0]) };
+  });
+}
+
+async function deleteRule(id) {
+  return withSeededTable(async (client) => {
+    const res = await client.query('DELETE FROM content_filter_rules WHERE id = $1 RETURNING *', [id]);
+    return res.rowCount > 0 ? normalizeRule(res.rows[0]) : null;
+  });
+}
+
+module.exports = {
+  RULE_KINDS,
+  DEFAULT_RULES,
+  filterMessage,
+  listRules,
+  createRule,
+  updateRule,
+  deleteRule,
+  clearCache,
+};
@@ -1,11 +1,12 @@
-const { Pool } = require('pg');
+const { Pool, Client } = require('pg');
 
 // Use DATABASE_URL env var. Enable SSL in production/serverless if provided.
 const connectionString = process.env.DATABASE_URL;
+const ssl = process.env.PGSSL === 'true' || process.env.VERCEL ? { rejectUnauthorized: false } : false;
 
 const pool = new Pool({
   connectionString,
-  ssl: process.env.PGSSL === 'true' || process.env.VERCEL ? { rejectUnauthorized: false } : false,
+  ssl,
   max: parseInt(process.env.PG_POOL_MAX || '10', 10),
   idleTimeoutMillis: parseInt(process.env.PG_IDLE_TIMEOUT_MS || '30000', 10)
 });
@@ -13,5 +14,6 @@ const pool = new Pool({
 module.exports = {
   query: (text, params) => pool.query(text, params),
   getClient: () => pool.connect(),
+  // Dedicated connection outside the pool, for long-lived LISTEN sessions
+  createClient: () => new Client({ connectionString, ssl }),
 };
-
@@ -0,0 +1,215 @@
+const db = require('./db');
+const { sendMail, frontendUrl } = require('./mailService');
+
+// All counters live in Postgres so limits hold across serverless instances
+const MAX_FAILURES = parseInt(process.env.LOGIN_MAX_FAILURES || '5', 10);
+const FAILURE_WINDOW_MINUTES = parseInt(process.env.LOGIN_FAILURE_WINDOW_MINUTES || '15', 10);
+const LOCKOUT_MINUTES = parseInt(process.env.LOGIN_LOCKOUT_MINUTES || '15', 10);
+const IP_MAX_FAILURES = parseInt(process.env.LOGIN_IP_MAX_FAILURES || '25', 10);
+const MAX_DELAY_SECONDS = 30;
+// Wrong codes accepted per MFA challenge before the user has to sign in again
+const MFA_CHALLENGE_MAX_FAILURES = parseInt(process.env.MFA_CHALLENGE_MAX_FAILURES || '5', 10);
+
+// Per-hour request caps for the password reset endpoints
+const REQUEST_LIMITS = {
+  forgot_password: { perEmail: 3, perIp: 10 },
+  reset_password: { perEmail: null, perIp: 10 },
+};
+
+function normalizeEmail(email) {
+  return email ? String(email).trim().toLowerCase() : null;
+}
+
+function throttled(reason, retryAfterSeconds) {
+  return { allowed: false, reason, retryAfterSeconds: Math.max(1, Math.ceil(retryAfterSeconds)) };
+}
+
+async function recordAttempt({ scope, email, ip, success, userId, challengeId }) {
+  await db.query(
+    'INSERT INTO auth_attempts (scope, email, ip, success, user_id, challenge_id, created_at) VALUES ($1, $2, $3, $4, $5, $6, NOW())',
+    [scope, normalizeEmail(email), ip || null, !!success, userId || null, challengeId || null]
+  );
+}
+
+async function getActiveLockout(email) {
+  const res = await db.query(
+    'SELECT email, locked_until, failed_attempts FROM account_lockouts WHERE email = $1 AND locked_until > NOW() AND unlocked_at IS NULL LIMIT 1',
+    [normalizeEmail(email)]
+  );
+  return res.rows[0] || null;
+}
+
+// Failures within the window, plus the latest failure time. Per email only failures since
+// the last success/unlock count; per IP every failure does, so an attacker cannot reset
+// the IP ceiling by signing in to an account of their own in between guesses.
+async function getFailureStats(column, value) {
+  const sinceCleared = column === 'email' ? 'AND cleared = FALSE' : '';
+  const res = await db.query(
+    `SELECT COUNT(*)::int AS failures, MAX(created_at) AS last_failure
+     FROM auth_attempts
+     WHERE scope = 'login' AND ${column} = $1 AND success = FALSE ${sinceCleared}
+       AND created_at > NOW() - ($2 || ' minutes')::interval`,
+    [value, String(FAILURE_WINDOW_MINUTES)]
+  );
+  return res.rows[0];
+}
+
+// Decide whether a login attempt may proceed. Enforces account lockout, a per-IP
+// ceiling and an exponential delay between consecutive failures.
+async function checkLogin({ email, ip }) {
+  const normalized = normalizeEmail(email);
+  const lockout = await getActiveLockout(normalized);
+  if (lockout) {
+    return throttled('ACCOUNT_LOCKED', (new Date(lockout.locked_until).getTime() - Date.now()) / 1000);
+  }
+  if (ip) {
+    const ipStats = await getFailureStats('ip', ip);
+    if (ipStats.failures >= IP_MAX_FAILURES) {
+      return throttled('TOO_MANY_ATTEMPTS', FAILURE_WINDOW_MINUTES * 60);
+    }
+  }
+  const emailStats = await getFailureStats('email', normalized);
+  if (emailStats.failures >= 2 && emailStats.last_failure) {
+    const delaySeconds = Math.min(2 ** (emailStats.failures - 2), MAX_DELAY_SECONDS);
+    const waitMs = new Date(emailStats.last_failure).getTime() + delaySeconds * 1000 - Date.now();
+    if (waitMs > 0) {
+      return throttled('TOO_MANY_ATTEMPTS', waitMs / 1000);
+    }
+  }
+  return { allowed: true };
+}
+
+async function sendLockoutEmail(email, failedAttempts) {
+  const userRes = await db.query('SELECT uid FROM users WHERE LOWER(email) = $1 LIMIT 1', [email]);
+  if (userRes.rowCount === 0) return;
+  const { sent } = await sendMail({
+    to: email,
+    subject: 'Your Buzzaz account has been temporarily locked',
+    html: `
+      <p>We noticed ${failedAttempts} unsuccessful sign-in attempts on your account, so we have locked it for ${LOCKOUT_MINUTES} minutes.</p>
+      <p>If this was you, you can try again later or <a href="${frontendUrl('/forgot-password')}">reset your password</a>.</p>
+      <p>If this was not you, we recommend resetting your password and contacting support.</p>
+    `
+  });
+  if (sent) {
+    await db.query('UPDATE account_lockouts SET notified_at = NOW() WHERE email = $1', [email]);
+  }
+}
+
+async function recordLoginFailure({ email, ip }) {
+  const normalized = normalizeEmail(email);
+  await recordAttempt({ scope: 'login', email: normalized, ip, success: false });
+  const { failures } = await getFailureStats('email', normalized);
+  if (failures < MAX_FAILURES) {
+    return { locked: false, failures };
+  }
+  const lockedUntil = new Date(Date.now() + LOCKOUT_MINUTES * 60 * 1000);
+  await db.query(
+    `INSERT INTO account_lockouts (email, locked_until, failed_attempts, locked_at, notified_at, unlocked_at, unlocked_by)
+     VALUES ($1, $2, $3, NOW(), NULL, NULL, NULL)
+     ON CONFLICT (email) DO UPDATE SET
+       locked_until = EXCLUDED.locked_until,
+       failed_attempts = EXCLUDED.failed_attempts,
+       locked_at = EXCLUDED.locked_at,
+       notified_at = NULL,
+       unlocked_at = NULL,
+       unlocked_by = NULL`,
+    [normalized, lockedUntil, failures]
+  );
+  // The failures that caused the lockout should not count again once it expires
+  await db.query("UPDATE auth_attempts SET cleared = TRUE WHERE scope = 'login' AND email = $1 AND cleared = FALSE", [normalized]);
+  try {
+    await sendLockoutEmail(normalized, failures);
+  } catch (err) {
+    console.error('Lockout notification error:', err);
+  }
+  return { locked: true, failures, lockedUntil };
+}
+
+async function recordLoginSuccess({ email, ip }) {
+  const normalized = normalizeEmail(email);
+  await recordAttempt({ scope: 'login', email: normalized, ip, success: true });
+  await db.query("UPDATE auth_attempts SET cleared = TRUE WHERE scope = 'login' AND email = $1 AND cleared = FALSE", [normalized]);
+}
+
+// Same rules as getFailureStats: only the per-user count restarts after a success
+async function getMfaFailureCount(column, value) {
+  const sinceCleared = column === 'user_id' ? 'AND cleared = FALSE' : '';
+  const res = await db.query(
+    `SELECT COUNT(*)::int AS failures
+     FROM auth_attempts
+     WHERE scope = 'mfa' AND ${column} = $1 AND success = FALSE ${sinceCleared}
+       AND created_at > NOW() - ($2 || ' minutes')::interval`,
+    [value, String(FAILURE_WINDOW_MINUTES)]
+  );
+  return res.rows[0].failures;
+}
+
+// Decide whether an MFA code may be tried. A challenge that has seen too many wrong
+// codes is spent (MFA_CHALLENGE_EXHAUSTED: sign in again); the user and the IP share
+// the login failure limits.
+async function checkMfa({ uid, ip, challengeId }) {
+  if (challengeId && (await getMfaFailureCount('challenge_id', challengeId)) >= MFA_CHALLENGE_MAX_FAILURES) {
+    return { allowed: false, reason: 'MFA_CHALLENGE_EXHAUSTED' };
+  }
+  if ((await getMfaFailureCount('user_id', uid)) >= MAX_FAILURES) {
+    return throttled('TOO_MANY_ATTEMPTS', FAILURE_WINDOW_MINUTES * 60);
+  }
+  if (ip && (await getMfaFailureCount('ip', ip)) >= IP_MAX_FAILURES) {
+    return throttled('TOO_MANY_ATTEMPTS', FAILURE_WINDOW_MINUTES * 60);
+  }
+  return { allowed: true };
+}
+
+async function recordMfaFailure({ uid, ip, challengeId }) {
+  await recordAttempt({ scope: 'mfa', ip, success: false, userId: uid, challengeId });
+}
+
+async function recordMfaSuccess({ uid, ip, challengeId }) {
+  await recordAttempt({ scope: 'mfa', ip, success: true, userId: uid, challengeId });
+  await db.query("UPDATE auth_attempts SET cleared = TRUE WHERE scope = 'mfa' AND user_id = $1 AND cleared = FALSE", [uid]);
+}
+
+// Cap the number of requests (successful or not) to the password reset endpoints
+async function checkRequestLimit(scope, { email, ip }) {
+  const limits = REQUEST_LIMITS[scope];
+  const checks = [];
+  if (limits.perEmail && email) checks.push(['email', normalizeEmail(email), limits.perEmail]);
+  if (limits.perIp && ip) checks.push(['ip', ip, limits.perIp]);
+  for (const [column, value, max] of checks) {
+    const res = await db.query(
+      `SELECT COUNT(*)::int AS total, MIN(created_at) AS oldest
+       FROM auth_attempts
+       WHERE scope = $1 AND ${column} = $2 AND created_at > NOW() - INTERVAL '1 hour'`,
+      [scope, value]
+    );
+    const { total, oldest } = res.rows[0];
+    if (total >= max) {
+      return throttled('TOO_MANY_REQUESTS', (new Date(oldest).getTime() + 60 * 60 * 1000 - Date.now()) / 1000);
+    }
+  }
+  return { allowed: true };
+}
+
+async function unlockAccount(email, unlockedBy) {
+  const normalized = normalizeEmail(email);
+  const res = await db.query(
+    'UPDATE account_lockouts SET unlocked_at = NOW(), unlocked_by = $2 WHERE email = $1 AND unlocked_at IS NULL AND locked_until > NOW()',
+    [normalized, unlockedBy || null]
+  );
+  await db.query("UPDATE auth_attempts SET cleared = TRUE WHERE scope = 'login' AND email = $1 AND cleared = FALSE", [normalized]);
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  checkLogin,
+  recordLoginFailure,
+  recordLoginSuccess,
+  checkMfa,
+  recordMfaFailure,
+  recordMfaSuccess,
+  checkRequestLimit,
+  recordAttempt,
+  getActiveLockout,
+  unlockAccount,
+};
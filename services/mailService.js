@@ -0,0 +1,47 @@
+const nodemailer = require('nodemailer');
+
+function isEmailConfigured() {
+  return !!process.env.EMAIL_USER && !!process.env.EMAIL_PASS;
+}
+
+function createTransporter() {
+  return nodemailer.createTransport({
+    service: process.env.EMAIL_SERVICE || 'gmail',
+    auth: { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+  });
+}
+
+// Send an email if credentials are configured. Never throws; callers decide
+// how to surface a failed or skipped send (e.g. dev links in responses).
+async function sendMail({ to, subject, html, headers }) {
+  if (!isEmailConfigured()) {
+    return { sent: false, error: null };
+  }
+  try {
+    await createTransporter().sendMail({ from: process.env.EMAIL_USER, to, subject, html, headers });
+    return { sent: true, error: null };
+  } catch (err) {
+    console.error(`Error sending "${subject}" email:`, err);
+    return { sent: false, error: err.message };
+  }
+}
+
+function frontendUrl(path) {
+  return `${process.env.FRONTEND_BASE_URL || 'http://localhost:3000'}${path}`;
+}
+
+// For user-supplied text (names, titles) interpolated into email HTML
+function escapeHtml(value) {
+  return String(value ?? '')
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+// Links that must hit the API directly (e.g. one-click unsubscribe)
+function apiUrl(path) {
+  return `${process.env.API_BASE_URL || 'http://localhost:5000'}${path}`;
+}
+
+module.exports = { isEmailConfigured, createTransporter, sendMail, frontendUrl, apiUrl, escapeHtml };
@@ -0,0 +1,79 @@
+// Reads pixel dimensions from image/video headers without decoding the file.
+// Returns { width, height } or null when the format is not recognised.
+
+function pngSize(buf) {
+  if (buf.length < 24 || buf.readUInt32BE(0) !== 0x89504e47) return null;
+  return { width: buf.readUInt32BE(16), height: buf.readUInt32BE(20) };
+}
+
+function gifSize(buf) {
+  if (buf.length < 10 || buf.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { width: buf.readUInt16LE(6), height: buf.readUInt16LE(8) };
+}
+
+function jpegSize(buf) {
+  if (buf.length < 4 || buf[0] !== 0xff || buf[1] !== 0xd8) return null;
+  let offset = 2;
+  while (offset + 9 < buf.length) {
+    if (buf[offset] !== 0xff) return null;
+    const marker = buf[offset + 1];
+    const length = buf.readUInt16BE(offset + 2);
+    // SOF0..SOF15, excluding DHT (C4), JPG (C8) and DAC (CC)
+    if (marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker)) {
+      return { width: buf.readUInt16BE(offset + 7), height: buf.readUInt16BE(offset + 5) };
+    }
+    offset += 2 + length;
+  }
+  return null;
+}
+
+function webpSize(buf) {
+  if (buf.length < 30 || buf.toString('ascii', 0, 4) !== 'RIFF' || buf.toString('ascii', 8, 12) !== 'WEBP') return null;
+  const chunk = buf.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    return { width: buf.readUInt16LE(26) & 0x3fff, height: buf.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    const bits = buf.readUInt32LE(21);
+    return { width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    return { width: buf.readUIntLE(24, 3) + 1, height: buf.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+}
+
+// MP4/MOV: the first track header (tkhd) with a non-zero size is the video track.
+// Width and height are 16.16 fixed point in the last 8 bytes of the box.
+function mp4Size(buf) {
+  if (buf.length < 12 || buf.toString('ascii', 4, 8) !== 'ftyp') return null;
+  let from = 0;
+  for (;;) {
+    const idx = buf.indexOf('tkhd', from, 'ascii');
+    if (idx < 4) return null;
+    const boxSize = buf.readUInt32BE(idx - 4);
+    const end = idx - 4 + boxSize;
+    if (boxSize >= 84 && end <= buf.length) {
+      const width = buf.readUInt32BE(end - 8) >>> 16;
+      const height = buf.readUInt32BE(end - 4) >>> 16;
+      if (width > 0 && height > 0) return { width, height };
+    }
+    from = idx + 4;
+  }
+}
+
+function getMediaDimensions(buffer, mimetype = '') {
+  try {
+    if (mimetype.startsWith('image/')) {
+      return pngSize(buffer) || gifSize(buffer) || jpegSize(buffer) || webpSize(buffer);
+    }
+    if (mimetype === 'video/mp4' || mimetype === 'video/quicktime') {
+      return mp4Size(buffer);
+    }
+  } catch (err) {
+    // Truncated or malformed headers: dimensions are optional metadata
+  }
+  return null;
+}
+
+module.exports = { getMediaDimensions };
@@ -0,0 +1,212 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Roles that must complete MFA before using privileged routes, and roles allowed to opt in
+const MFA_REQUIRED_ROLES = ['admin', 'support'];
+const MFA_ELIGIBLE_ROLES = ['admin', 'support', 'brand'];
+
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_DIGITS = 6;
+const TOTP_WINDOW = 1; // accept one step of clock drift either side
+const RECOVERY_CODE_COUNT = 10;
+const ISSUER = process.env.MFA_ISSUER || 'Buzzaz';
+
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+}
+
+function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/=+$/, '').replace(/\s+/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+// RFC 4226 HOTP value for a counter
+function hotp(secret, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', base32Decode(secret)).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = ((hmac[offset] & 0x7f) << 24) | (hmac[offset + 1] << 16) | (hmac[offset + 2] << 8) | hmac[offset + 3];
+  return String(code % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, '0');
+}
+
+function currentStep() {
+  return Math.floor(Date.now() / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+// Returns the matching time step, or null when the code is wrong
+function matchTotp(secret, code) {
+  const normalized = String(code || '').replace(/\s+/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const step = currentStep();
+  for (let drift = -TOTP_WINDOW; drift <= TOTP_WINDOW; drift++) {
+    const candidate = Buffer.from(hotp(secret, step + drift));
+    if (crypto.timingSafeEqual(candidate, Buffer.from(normalized))) {
+      return step + drift;
+    }
+  }
+  return null;
+}
+
+function hashRecoveryCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toLowerCase()).digest('hex');
+}
+
+function buildProvisioningUri(secret, accountName) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  return `otpauth://totp/${label}?secret=${secret}&issuer=${encodeURIComponent(ISSUER)}&algorithm=SHA1&digits=${TOTP_DIGITS}&period=${TOTP_PERIOD_SECONDS}`;
+}
+
+function isMfaRequiredForRole(role) {
+  return MFA_REQUIRED_ROLES.includes(role);
+}
+
+function isMfaEligibleRole(role) {
+  return MFA_ELIGIBLE_ROLES.includes(role);
+}
+
+async function getMfaState(uid) {
+  const res = await db.query('SELECT user_id, secret, enabled, last_used_step FROM user_mfa WHERE user_id = $1 LIMIT 1', [uid]);
+  return res.rows[0] || null;
+}
+
+async function isMfaEnabled(uid) {
+  const state = await getMfaState(uid);
+  return !!state?.enabled;
+}
+
+// Start (or restart) enrollment with a fresh, unconfirmed secret
+async function startEnrollment(uid, accountName) {
+  const existing = await getMfaState(uid);
+  if (existing?.enabled) {
+    throw new Error('MFA_ALREADY_ENABLED');
+  }
+  const secret = base32Encode(crypto.randomBytes(20));
+  await db.query(
+    `INSERT INTO user_mfa (user_id, secret, enabled, created_at)
+     VALUES ($1, $2, FALSE, NOW())
+     ON CONFLICT (user_id) DO UPDATE SET secret = EXCLUDED.secret, enabled = FALSE, confirmed_at = NULL, last_used_step = NULL, created_at = NOW()`,
+    [uid, secret]
+  );
+  return { secret, otpauthUri: buildProvisioningUri(secret, accountName || uid) };
+}
+
+async function generateRecoveryCodes(uid) {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString('hex');
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [uid]);
+    for (const code of codes) {
+      await client.query('INSERT INTO mfa_recovery_codes (user_id, code_hash, created_at) VALUES ($1, $2, NOW())', [uid, hashRecoveryCode(code)]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return codes;
+}
+
+// Check a TOTP code and record its step so the same code cannot be replayed
+async function verifyTotpForUser(uid, code, { requireEnabled = true } = {}) {
+  const state = await getMfaState(uid);
+  if (!state || (requireEnabled && !state.enabled)) return false;
+  const step = matchTotp(state.secret, code);
+  if (step === null) return false;
+  const res = await db.query(
+    'UPDATE user_mfa SET last_used_step = $2 WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)',
+    [uid, step]
+  );
+  return res.rowCount > 0;
+}
+
+async function confirmEnrollment(uid, code) {
+  const state = await getMfaState(uid);
+  if (!state) {
+    throw new Error('MFA_NOT_STARTED');
+  }
+  if (state.enabled) {
+    throw new Error('MFA_ALREADY_ENABLED');
+  }
+  const ok = await verifyTotpForUser(uid, code, { requireEnabled: false });
+  if (!ok) {
+    throw new Error('INVALID_MFA_CODE');
+  }
+  await db.query('UPDATE user_mfa SET enabled = TRUE, confirmed_at = NOW() WHERE user_id = $1', [uid]);
+  return generateRecoveryCodes(uid);
+}
+
+async function consumeRecoveryCode(uid, code) {
+  const res = await db.query(
+    'UPDATE mfa_recovery_codes SET used_at = NOW() WHERE user_id = $1 AND code_hash = $2 AND used_at IS NULL',
+    [uid, hashRecoveryCode(code)]
+  );
+  return res.rowCount > 0;
+}
+
+// Verify either a TOTP code or a single-use recovery code
+async function verifyChallenge(uid, { code, recoveryCode }) {
+  if (code) return verifyTotpForUser(uid, code);
+  if (recoveryCode) return consumeRecoveryCode(uid, recoveryCode);
+  return false;
+}
+
+async function countRemainingRecoveryCodes(uid) {
+  const res = await db.query('SELECT COUNT(*)::int AS remaining FROM mfa_recovery_codes WHERE user_id = $1 AND used_at IS NULL', [uid]);
+  return res.rows[0]?.remaining || 0;
+}
+
+async function disableMfa(uid) {
+  await db.query('DELETE FROM mfa_recovery_codes WHERE user_id = $1', [uid]);
+  await db.query('DELETE FROM user_mfa WHERE user_id = $1', [uid]);
+}
+
+module.exports = {
+  MFA_REQUIRED_ROLES,
+  MFA_ELIGIBLE_ROLES,
+  isMfaRequiredForRole,
+  isMfaEligibleRole,
+  isMfaEnabled,
+  startEnrollment,
+  confirmEnrollment,
+  verifyChallenge,
+  verifyTotpForUser,
+  generateRecoveryCodes,
+  countRemainingRecoveryCodes,
+  disableMfa,
+};
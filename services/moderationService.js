@@ -0,0 +1,195 @@
+const db = require('./db');
+const authService = require('./authService');
+const { sendMail } = require('./mailService');
+
+const FLAG_STATUSES = ['pending', 'dismissed', 'warned', 'suspended'];
+const RESOLUTION_ACTIONS = { dismiss: 'dismissed', warn: 'warned', suspend: 'suspended' };
+
+function mapFlag(r) {
+  return {
+    id: r.id,
+    messageId: r.message_id,
+    conversationId: r.conversation_id,
+    senderId: r.sender_id,
+    senderEmail: r.sender_email ?? undefined,
+    senderName: r.sender_name ?? undefined,
+    ruleIds: r.rule_ids,
+    matches: r.matches,
+    filteredMessage: r.filtered_message ?? undefined,
+    originalMessage: r.original_message ?? undefined,
+    status: r.status,
+    reviewedBy: r.reviewed_by,
+    reviewedAt: r.reviewed_at,
+    note: r.note,
+    senderFlagCount: r.sender_flag_count ?? undefined,
+    senderWarningCount: r.sender_warning_count ?? undefined,
+    createdAt: r.created_at,
+  };
+}
+
+// Queue a filtered message for review. `client` lets callers insert inside their transaction.
+async function flagMessage({ messageId, conversationId, senderId, matches }, client = db) {
+  await client.query(
+    `INSERT INTO moderation_flags (message_id, conversation_id, sender_id, rule_ids, matches, status, created_at)
+     VALUES ($1, $2, $3, $4, $5, 'pending', NOW())`,
+    [messageId, conversationId, senderId, Array.from(new Set(matches.map(m => m.ruleId))), JSON.stringify(matches)]
+  );
+}
+
+async function listQueue({ status = 'pending', senderId, page = 1, limit = 50 } = {}) {
+  const params = [status];
+  let where = 'f.status = $1';
+  if (senderId) {
+    params.push(senderId);
+    where += ` AND f.sender_id = $${params.length}`;
+  }
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(
+      `SELECT f.*, m.message AS filtered_message, m.original_message, u.email AS sender_email, u.display_name AS sender_name,
+              (SELECT COUNT(*)::int FROM moderation_flags f2 WHERE f2.sender_id = f.sender_id) AS sender_flag_count,
+              (SELECT COUNT(*)::int FROM user_warnings w WHERE w.user_id = f.sender_id) AS sender_warning_count
+       FROM moderation_flags f
+       LEFT JOIN messages m ON m.id = f.message_id
+       LEFT JOIN users u ON u.uid = f.sender_id
+       WHERE ${where}
+       ORDER BY f.created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM moderation_flags f WHERE ${where}`, params)
+  ]);
+  return { flags: rowsRes.rows.map(mapFlag), total: countRes.rows[0].total };
+}
+
+// Senders with the most flags in the window, most frequent first
+async function listRepeatOffenders({ days = 30, minFlags = 3, limit = 50 } = {}) {
+  const res = await db.query(
+    `SELECT f.sender_id, u.email, u.display_name, u.role, u.is_active,
+            COUNT(*)::int AS flag_count,
+            COUNT(*) FILTER (WHERE f.status = 'pending')::int AS pending_count,
+            MAX(f.created_at) AS last_flagged_at,
+            (SELECT COUNT(*)::int FROM user_warnings w WHERE w.user_id = f.sender_id) AS warning_count
+     FROM moderation_flags f
+     LEFT JOIN users u ON u.uid = f.sender_id
+     WHERE f.created_at > NOW() - ($1 || ' days')::interval
+     GROUP BY f.sender_id, u.email, u.display_name, u.role, u.is_active
+     HAVING COUNT(*) >= $2
+     ORDER BY flag_count DESC, last_flagged_at DESC
+     LIMIT $3`,
+    [String(days), minFlags, limit]
+  );
+  return res.rows.map(r => ({
+    userId: r.sender_id,
+    email: r.email,
+    displayName: r.display_name,
+    role: r.role,
+    isActive: r.is_active,
+    flagCount: r.flag_count,
+    pendingCount: r.pending_count,
+    warningCount: r.warning_count,
+    lastFlaggedAt: r.last_flagged_at,
+  }));
+}
+
+async function getFlag(flagId) {
+  const res = await db.query('SELECT * FROM moderation_flags WHERE id = $1 LIMIT 1', [flagId]);
+  return res.rows[0] ? mapFlag(res.rows[0]) : null;
+}
+
+// A message as stored now plus every earlier version, oldest first
+async function getMessageHistory(messageId) {
+  const msgRes = await db.query(
+    `SELECT id, conversation_id, sender_id, sender_name, message, original_message, timestamp, edited_at, deleted_at, deleted_by
+     FROM messages WHERE id = $1 LIMIT 1`,
+    [messageId]
+  );
+  const m = msgRes.rows[0];
+  if (!m) return null;
+  const editsRes = await db.query(
+    'SELECT editor_id, previous_message, previous_original_message, edited_at FROM message_edits WHERE message_id = $1 ORDER BY edited_at ASC, id ASC',
+    [messageId]
+  );
+  return {
+    id: m.id,
+    conversationId: m.conversation_id,
+    senderId: m.sender_id,
+    senderName: m.sender_name,
+    message: m.message,
+    originalMessage: m.original_message,
+    timestamp: m.timestamp,
+    editedAt: m.edited_at,
+    deletedAt: m.deleted_at,
+    deletedBy: m.deleted_by,
+    edits: editsRes.rows.map(e => ({
+      editorId: e.editor_id,
+      previousMessage: e.previous_message,
+      previousOriginalMessage: e.previous_original_message,
+      editedAt: e.edited_at,
+    })),
+  };
+}
+
+async function warnUser(uid, { reason, issuedBy, flagId = null }) {
+  const res = await db.query(
+    'INSERT INTO user_warnings (user_id, issued_by, reason, flag_id, created_at) VALUES ($1, $2, $3, $4, NOW()) RETURNING id',
+    [uid, issuedBy, reason, flagId]
+  );
+  const userRes = await db.query('SELECT email FROM users WHERE uid = $1 LIMIT 1', [uid]);
+  const email = userRes.rows[0]?.email;
+  if (email) {
+    await sendMail({
+      to: email,
+      subject: 'A warning about your Buzzaz messages',
+      html: `
+        <p>One of your recent messages broke our community guidelines: ${reason}</p>
+        <p>Sharing personal contact details in chat is not allowed. Repeated violations can lead to your account being suspended.</p>
+      `
+    });
+  }
+  return res.rows[0].id;
+}
+
+async function suspendUser(uid) {
+  await db.query('UPDATE users SET is_active = FALSE WHERE uid = $1', [uid]);
+  await authService.revokeAllSessions(uid, 'suspended');
+}
+
+// Close a flag. Warning or suspending also applies to the sender's other pending flags.
+async function resolveFlag(flagId, { action, note, reviewerId }) {
+  const status = RESOLUTION_ACTIONS[action];
+  if (!status) throw new Error('INVALID_ACTION');
+  const flag = await getFlag(flagId);
+  if (!flag) throw new Error('FLAG_NOT_FOUND');
+  if (flag.status !== 'pending') throw new Error('FLAG_ALREADY_RESOLVED');
+
+  let warningId = null;
+  if (action === 'warn') {
+    warningId = await warnUser(flag.senderId, {
+      reason: note || 'Sharing contact information in chat',
+      issuedBy: reviewerId,
+      flagId
+    });
+  } else if (action === 'suspend') {
+    await suspendUser(flag.senderId);
+  }
+
+  const res = await db.query(
+    `UPDATE moderation_flags SET status = $2, note = $3, reviewed_by = $4, reviewed_at = NOW()
+     WHERE (id = $1 OR ($5 AND sender_id = $6)) AND status = 'pending'`,
+    [flagId, status, note || null, reviewerId, action !== 'dismiss', flag.senderId]
+  );
+  return { flag, status, warningId, resolvedFlags: res.rowCount };
+}
+
+module.exports = {
+  FLAG_STATUSES,
+  RESOLUTION_ACTIONS,
+  flagMessage,
+  listQueue,
+  listRepeatOffenders,
+  getFlag,
+  getMessageHistory,
+  warnUser,
+  resolveFlag,
+};
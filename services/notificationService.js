@@ -0,0 +1,420 @@
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const db = require('./db');
+const { sendMail, frontendUrl, apiUrl, escapeHtml } = require('./mailService');
+const realtime = require('./realtimeService');
+
+// Per-channel notification preferences. Users without a row get the defaults.
+const CHANNELS = ['email', 'in_app'];
+const FREQUENCIES = ['instant', 'hourly', 'daily', 'off'];
+const DEFAULT_FREQUENCIES = { email: 'daily', in_app: 'instant' };
+
+// Minimum gap between two digests. "instant" still waits a few minutes so a
+// message read in the app right away never triggers an email.
+const DIGEST_INTERVALS = {
+  instant: `${parseInt(process.env.INSTANT_DIGEST_DELAY_MINUTES || '5', 10)} minutes`,
+  hourly: '1 hour',
+  daily: '1 day',
+};
+const MAX_CONVERSATIONS_PER_DIGEST = 10;
+
+const UNSUBSCRIBE_TOKEN_TTL_DAYS = parseInt(process.env.UNSUBSCRIBE_TOKEN_TTL_DAYS || '90', 10);
+
+// UNSUBSCRIBE_SECRET, or a key derived from JWT_SECRET, so unsubscribe tokens are never
+// signed with the same key as access tokens
+function unsubscribeSecret() {
+  if (process.env.UNSUBSCRIBE_SECRET && process.env.UNSUBSCRIBE_SECRET.trim()) return process.env.UNSUBSCRIBE_SECRET;
+  const secret = process.env.JWT_SECRET;
+  if (!secret || !secret.trim()) {
+    throw new Error('JWT_SECRET is not configured');
+  }
+  return crypto.createHmac('sha256', secret).update('unsubscribe').digest('hex');
+}
+
+// Links in old emails stop working after UNSUBSCRIBE_TOKEN_TTL_DAYS; the notification
+// settings page still works
+function signUnsubscribeToken(uid, channel = 'email') {
+  return jwt.sign({ uid, channel, purpose: 'unsubscribe' }, unsubscribeSecret(), { expiresIn: `${UNSUBSCRIBE_TOKEN_TTL_DAYS}d` });
+}
+
+function verifyUnsubscribeToken(token) {
+  let payload;
+  try {
+    payload = jwt.verify(token, unsubscribeSecret());
+  } catch (e) {
+    throw new Error('INVALID_TOKEN');
+  }
+  if (payload.purpose !== 'unsubscribe' || !payload.uid || !CHANNELS.includes(payload.channel)) {
+    throw new Error('INVALID_TOKEN');
+  }
+  return { uid: payload.uid, channel: payload.channel };
+}
+
+function unsubscribeUrl(uid, channel = 'email') {
+  return apiUrl(`/api/user/notifications/unsubscribe?token=${encodeURIComponent(signUnsubscribeToken(uid, channel))}`);
+}
+
+async function getPreferences(uid) {
+  const res = await db.query('SELECT channel, frequency, updated_at FROM notification_preferences WHERE user_id = $1', [uid]);
+  const stored = Object.fromEntries(res.rows.map(r => [r.channel, r]));
+  return Object.fromEntries(CHANNELS.map(channel => [channel, stored[channel]?.frequency || DEFAULT_FREQUENCIES[channel]]));
+}
+
+async function getFrequency(uid, channel) {
+  const res = await db.query('SELECT frequency FROM notification_preferences WHERE user_id = $1 AND channel = $2 LIMIT 1', [uid, channel]);
+  return res.rows[0]?.frequency || DEFAULT_FREQUENCIES[channel];
+}
+
+async function setPreference(uid, channel, frequency) {
+  if (!CHANNELS.includes(channel) || !FREQUENCIES.includes(frequency)) {
+    throw new Error('INVALID_PREFERENCE');
+  }
+  await db.query(
+    `INSERT INTO notification_preferences (user_id, channel, frequency, updated_at)
+     VALUES ($1, $2, $3, NOW())
+     ON CONFLICT (user_id, channel) DO UPDATE SET frequency = EXCLUDED.frequency, updated_at = NOW()`,
+    [uid, channel, frequency]
+  );
+}
+
+// Returns null when the token's user no longer exists
+async function unsubscribe(token) {
+  const { uid, channel } = verifyUnsubscribeToken(token);
+  const userRes = await db.query('SELECT 1 FROM users WHERE uid = $1', [uid]);
+  if (userRes.rowCount === 0) return null;
+  await setPreference(uid, channel, 'off');
+  return { uid, channel };
+}
+
+// Unread messages from others, per user and conversation, for users whose email
+// digest is due. Blocked threads and system messages are left out.
+async function findDueDigests(limit) {
+  const res = await db.query(
+    `WITH recipients AS (
+       SELECT u.uid, u.email, u.display_name,
+              COALESCE(np.frequency, $1) AS frequency,
+              np.last_sent_at
+       FROM users u
+       LEFT JOIN notification_preferences np ON np.user_id = u.uid AND np.channel = 'email'
+       WHERE u.is_active IS NOT FALSE AND u.email IS NOT NULL
+     ),
+     due AS (
+       SELECT * FROM recipients
+       WHERE frequency <> 'off'
+         AND (last_sent_at IS NULL OR last_sent_at <= NOW() - (CASE frequency
+               WHEN 'instant' THEN $2 WHEN 'hourly' THEN $3 ELSE $4 END)::interval)
+     )
+     SELECT d.uid, d.email, d.display_name, d.frequency,
+            c.id AS conversation_id, c.title, c.participant_details,
+            COUNT(*)::int AS unread_count,
+            MAX(m.timestamp) AS latest_at,
+            (array_agg(m.message ORDER BY m.timestamp DESC))[1] AS latest_message,
+            (array_agg(m.sender_name ORDER BY m.timestamp DESC))[1] AS latest_sender
+     FROM due d
+     JOIN conversations c ON d.uid = ANY(c.participants)
+     JOIN messages m ON m.conversation_id = c.id AND m.sender_id <> d.uid AND m.message_type <> 'system' AND m.deleted_at IS NULL
+     LEFT JOIN conversation_reads r ON r.conversation_id = c.id AND r.user_id = d.uid
+     WHERE m.timestamp > COALESCE(r.last_read_at, 'epoch'::timestamptz)
+       AND m.timestamp > COALESCE(d.last_sent_at, 'epoch'::timestamptz)
+       AND m.timestamp <= NOW() - $2::interval
+       AND NOT EXISTS (
+         SELECT 1 FROM user_blocks b
+         WHERE b.blocker_id = d.uid AND (b.conversation_id = c.id OR b.blocked_id = ANY(c.participants))
+       )
+     GROUP BY d.uid, d.email, d.display_name, d.frequency, c.id, c.title, c.participant_details
+     ORDER BY d.uid, latest_at DESC`,
+    [DEFAULT_FREQUENCIES.email, DIGEST_INTERVALS.instant, DIGEST_INTERVALS.hourly, DIGEST_INTERVALS.daily]
+  );
+
+  const byUser = new Map();
+  for (const row of res.rows) {
+    if (!byUser.has(row.uid)) {
+      if (byUser.size >= limit) break;
+      byUser.set(row.uid, { uid: row.uid, email: row.email, name: row.display_name, frequency: row.frequency, conversations: [] });
+    }
+    byUser.get(row.uid).conversations.push(row);
+  }
+  return Array.from(byUser.values());
+}
+
+function conversationLabel(row, uid) {
+  if (row.title) return row.title;
+  const names = Object.entries(row.participant_details || {})
+    .filter(([id]) => id !== uid)
+    .map(([, d]) => d?.name)
+    .filter(Boolean);
+  return names.length > 0 ? names.join(', ') : 'a conversation';
+}
+
+function renderDigest(digest) {
+  const total = digest.conversations.reduce((sum, c) => sum + c.unread_count, 0);
+  const shown = digest.conversations.slice(0, MAX_CONVERSATIONS_PER_DIGEST);
+  const more = digest.conversations.length - shown.length;
+  const items = shown.map((c) => {
+    const preview = c.latest_message.length > 140 ? `${c.latest_message.slice(0, 140)}…` : c.latest_message;
+    return `
+      <li>
+        <a href="${frontendUrl(`/chat?conversation=${encodeURIComponent(c.conversation_id)}`)}">${escapeHtml(conversationLabel(c, digest.uid))}</a>
+        (${c.unread_count} unread)<br>
+        <strong>${escapeHtml(c.latest_sender)}:</strong> ${escapeHtml(preview)}
+      </li>`;
+  }).join('');
+  const unsubscribe = unsubscribeUrl(digest.uid, 'email');
+  return {
+    subject: total === 1 ? 'You have 1 unread message on Buzzaz' : `You have ${total} unread messages on Buzzaz`,
+    html: `
+      <p>Hi ${escapeHtml(digest.name || 'there')}, you have unread messages:</p>
+      <ul>${items}</ul>
+      ${more > 0 ? `<p>…and ${more} more conversation${more === 1 ? '' : 's'}.</p>` : ''}
+      <p><a href="${frontendUrl('/chat')}">Open your inbox</a></p>
+      <p style="font-size:12px;color:#888">You get these emails ${digest.frequency === 'daily' ? 'once a day' : digest.frequency === 'hourly' ? 'at most once an hour' : 'shortly after new messages arrive'}.
+        <a href="${unsubscribe}">Unsubscribe</a> or change this in your notification settings.</p>
+    `,
+    headers: {
+      'List-Unsubscribe': `<${unsubscribe}>`,
+      'List-Unsubscribe-Post': 'List-Unsubscribe=One-Click',
+    },
+    total,
+  };
+}
+
+// Emails every user whose digest is due a summary of their unread messages
+async function sendUnreadDigests({ limit = 200, dryRun = false } = {}) {
+  const digests = await findDueDigests(limit);
+  const sent = [];
+  const failed = [];
+  for (const digest of digests) {
+    const email = renderDigest(digest);
+    if (dryRun) {
+      sent.push({ uid: digest.uid, unread: email.total });
+      continue;
+    }
+    const result = await sendMail({ to: digest.email, subject: email.subject, html: email.html, headers: email.headers });
+    if (!result.sent) {
+      failed.push(digest.uid);
+      continue;
+    }
+    await db.query(
+      `INSERT INTO notification_preferences (user_id, channel, frequency, last_sent_at, updated_at)
+       VALUES ($1, 'email', $2, NOW(), NOW())
+       ON CONFLICT (user_id, channel) DO UPDATE SET last_sent_at = NOW()`,
+      [digest.uid, digest.frequency]
+    );
+    sent.push({ uid: digest.uid, unread: email.total });
+  }
+  return { sent, failed };
+}
+
+// In-app notification feed. Each type lists the payload fields it must carry and
+// how its title reads, so clients can render any notification without special cases.
+const NOTIFICATION_TYPES = {
+  'conversation.created': {
+    fields: ['conversationId', 'fromUserId', 'fromName'],
+    title: p => `${p.fromName} started a conversation with you`,
+  },
+  'conversation.participant_added': {
+    fields: ['conversationId', 'fromUserId', 'fromName'],
+    title: p => `${p.fromName} added you to ${p.title ? `"${p.title}"` : 'a conversation'}`,
+  },
+  'offer.received': {
+    fields: ['conversationId', 'offerId', 'fromName', 'price', 'currency'],
+    title: p => `${p.fromName} sent you an offer (${Number(p.price).toFixed(2)} ${p.currency})`,
+  },
+  'offer.updated': {
+    fields: ['conversationId', 'offerId', 'fromName', 'status'],
+    title: p => ({
+      pending: `${p.fromName} sent a counter-offer`,
+      accepted: `${p.fromName} accepted the offer`,
+      declined: `${p.fromName} declined the offer`,
+      withdrawn: `${p.fromName} withdrew the offer`,
+    }[p.status] || `${p.fromName} updated the offer`),
+  },
+  'campaign.application_received': {
+    fields: ['campaignId', 'applicationId', 'campaignTitle', 'fromName'],
+    title: p => `${p.fromName} applied to "${p.campaignTitle}"`,
+  },
+  'campaign.application_updated': {
+    fields: ['campaignId', 'applicationId', 'campaignTitle', 'status'],
+    title: p => ({
+      shortlisted: `You were shortlisted for "${p.campaignTitle}"`,
+      hired: `You were hired for "${p.campaignTitle}"`,
+      rejected: `Your application to "${p.campaignTitle}" was not selected`,
+    }[p.status] || `Your application to "${p.campaignTitle}" was updated`),
+  },
+  'collaboration.started': {
+    fields: ['collaborationId', 'title'],
+    title: p => `Your collaboration "${p.title}" has started`,
+  },
+  'deliverable.submitted': {
+    fields: ['collaborationId', 'deliverableId', 'label', 'fromName'],
+    title: p => `${p.fromName} submitted a draft for ${p.label}`,
+  },
+  'deliverable.reviewed': {
+    fields: ['collaborationId', 'deliverableId', 'label', 'status'],
+    title: p => (p.status === 'approved' ? `Your draft for ${p.label} was approved` : `Changes were requested on your draft for ${p.label}`),
+  },
+  'deliverable.overdue': {
+    fields: ['collaborationId', 'deliverableId', 'label', 'dueDate'],
+    title: p => `${p.label} was due on ${p.dueDate} and is overdue`,
+  },
+  'review.submitted': {
+    fields: ['collaborationId', 'title'],
+    title: p => `You have been reviewed for "${p.title}". Leave your review to see it.`,
+  },
+  'review.revealed': {
+    fields: ['collaborationId', 'title'],
+    title: p => `Reviews for "${p.title}" are now visible`,
+  },
+  'review.removed': {
+    fields: ['collaborationId', 'reviewId'],
+    title: () => 'A review you wrote was removed for breaking the community guidelines',
+  },
+  'payment.deposited': {
+    fields: ['collaborationId', 'title', 'amount', 'currency'],
+    title: p => `${Number(p.amount).toFixed(2)} ${p.currency} was deposited in escrow for "${p.title}"`,
+  },
+  'payment.released': {
+    fields: ['collaborationId', 'title', 'amount', 'currency'],
+    title: p => `${Number(p.amount).toFixed(2)} ${p.currency} was released to you for "${p.title}"`,
+  },
+  'payment.refunded': {
+    fields: ['collaborationId', 'title', 'amount', 'currency'],
+    title: p => `${Number(p.amount).toFixed(2)} ${p.currency} held for "${p.title}" was refunded to the brand`,
+  },
+  'payment.payout_sent': {
+    fields: ['transactionId', 'amount', 'currency'],
+    title: p => `A payout of ${Number(p.amount).toFixed(2)} ${p.currency} is on its way`,
+  },
+  'post.checked': {
+    fields: ['collaborationId', 'deliverableId', 'label', 'status'],
+    title: p => (p.status === 'verified' ? `The published post for ${p.label} was verified` : `The published post for ${p.label} does not meet the brief`),
+  },
+  'sponsor.updated': {
+    fields: ['isSponsored'],
+    title: p => (p.isSponsored ? 'Your profile is now featured as sponsored' : 'Your profile is no longer featured as sponsored'),
+  },
+  'instagram.refresh_failed': {
+    fields: ['username', 'reason'],
+    title: p => `We couldn't refresh your Instagram data for @${p.username}`,
+  },
+  'account.password_reset': {
+    fields: ['resetAt'],
+    title: () => 'Your password was reset and you were signed out everywhere',
+  },
+  'account.password_changed': {
+    fields: ['changedAt'],
+    title: () => 'Your password was changed by Buzzaz support',
+  },
+};
+const NOTIFICATION_TYPE_KEYS = Object.keys(NOTIFICATION_TYPES);
+
+function mapNotification(row) {
+  const type = NOTIFICATION_TYPES[row.type];
+  return {
+    id: row.id,
+    type: row.type,
+    title: type ? type.title(row.payload || {}) : row.type,
+    payload: row.payload || {},
+    readAt: row.read_at,
+    isRead: !!row.read_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Records a notification for each recipient and pushes it to their open streams.
+// Never throws: a failed notification must not fail the request that caused it.
+async function notify(recipients, type, payload = {}) {
+  try {
+    const definition = NOTIFICATION_TYPES[type];
+    if (!definition) throw new Error(`Unknown notification type: ${type}`);
+    const missing = definition.fields.filter(f => payload[f] === undefined);
+    if (missing.length > 0) throw new Error(`Notification ${type} is missing ${missing.join(', ')}`);
+
+    const ids = Array.from(new Set((Array.isArray(recipients) ? recipients : [recipients]).filter(Boolean)));
+    if (ids.length === 0) return [];
+    const prefsRes = await db.query(
+      "SELECT user_id, frequency FROM notification_preferences WHERE channel = 'in_app' AND user_id = ANY($1)",
+      [ids]
+    );
+    const frequencies = Object.fromEntries(prefsRes.rows.map(r => [r.user_id, r.frequency]));
+    const targets = ids.filter(uid => (frequencies[uid] || DEFAULT_FREQUENCIES.in_app) !== 'off');
+    if (targets.length === 0) return [];
+
+    const res = await db.query(
+      `INSERT INTO notifications (user_id, type, payload, created_at)
+       SELECT uid, $2, $3, NOW() FROM unnest($1::text[]) AS uid
+       RETURNING *`,
+      [targets, type, JSON.stringify(payload)]
+    );
+    const created = res.rows.map(r => ({ userId: r.user_id, notification: mapNotification(r) }));
+    for (const { userId, notification } of created) {
+      if ((frequencies[userId] || DEFAULT_FREQUENCIES.in_app) === 'instant') {
+        await realtime.publish('notification.created', { recipients: [userId], data: { notification } });
+      }
+    }
+    return created;
+  } catch (err) {
+    console.error('Notification error:', type, err);
+    return [];
+  }
+}
+
+async function listNotifications(uid, { page = 1, limit = 20, unreadOnly = false, type } = {}) {
+  const params = [uid];
+  let where = 'user_id = $1';
+  if (unreadOnly) where += ' AND read_at IS NULL';
+  if (type) {
+    params.push(type);
+    where += ` AND type = $${params.length}`;
+  }
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes, unreadRes] = await Promise.all([
+    db.query(
+      `SELECT * FROM notifications WHERE ${where} ORDER BY created_at DESC, id DESC LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM notifications WHERE ${where}`, params),
+    db.query('SELECT COUNT(*)::int AS unread FROM notifications WHERE user_id = $1 AND read_at IS NULL', [uid])
+  ]);
+  return {
+    notifications: rowsRes.rows.map(mapNotification),
+    total: countRes.rows[0].total,
+    unread: unreadRes.rows[0].unread,
+  };
+}
+
+// Returns the updated notification, or null if it does not belong to uid
+async function markNotificationRead(uid, notificationId) {
+  const res = await db.query(
+    `UPDATE notifications SET read_at = COALESCE(read_at, NOW())
+     WHERE id = $1 AND user_id = $2
+     RETURNING *`,
+    [notificationId, uid]
+  );
+  return res.rows[0] ? mapNotification(res.rows[0]) : null;
+}
+
+async function markAllNotificationsRead(uid) {
+  const res = await db.query('UPDATE notifications SET read_at = NOW() WHERE user_id = $1 AND read_at IS NULL', [uid]);
+  return res.rowCount;
+}
+
+module.exports = {
+  CHANNELS,
+  FREQUENCIES,
+  DEFAULT_FREQUENCIES,
+  getPreferences,
+  getFrequency,
+  setPreference,
+  signUnsubscribeToken,
+  verifyUnsubscribeToken,
+  unsubscribeUrl,
+  unsubscribe,
+  sendUnreadDigests,
+  NOTIFICATION_TYPES,
+  NOTIFICATION_TYPE_KEYS,
+  notify,
+  listNotifications,
+  markNotificationRead,
+  markAllNotificationsRead,
+};
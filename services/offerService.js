@@ -0,0 +1,444 @@
+const crypto = require('crypto');
+const db = require('./db');
+const { db: firestore } = require('../config/firebase');
+const contentFilter = require('./contentFilterService');
+const moderationService = require('./moderationService');
+
+// Structured offers negotiated inside a chat thread. Every proposal or counter is a
+// new row in offer_versions; the offer itself only tracks whose turn it is.
+// Deliverable types mirror the rate card UGC creators fill in (routes/ugc.js).
+const DELIVERABLE_TYPES = {
+  reel_post: { label: 'Reel post', pricingField: 'reelPostPrice' },
+  static_post: { label: 'Static post', pricingField: 'staticPostPrice' },
+  reel_static_combo: { label: 'Reel + static combo', pricingField: 'reelStaticComboPrice' },
+  story_video: { label: 'Story video', pricingField: 'storyVideoPrice' },
+  story_shoutout: { label: 'Story shoutout', pricingField: 'storyShoutoutPrice' },
+  story_unboxing: { label: 'Story unboxing', pricingField: 'storyUnboxingPrice' },
+  event_attendance: { label: 'Event attendance', pricingField: 'eventAttendancePrice' },
+  outdoor_shoot: { label: 'Outdoor shoot', pricingField: 'outdoorShootPrice' },
+  custom: { label: 'Custom deliverable', pricingField: null },
+};
+const USAGE_SCOPES = ['organic_only', 'paid_ads', 'whitelisting', 'full_buyout'];
+const OFFER_STATUSES = ['pending', 'accepted', 'declined', 'withdrawn'];
+const RESPONSE_ACTIONS = ['accept', 'decline', 'counter', 'withdraw'];
+const CREATOR_ROLES = ['influencer', 'ugc_creator', 'content_creator'];
+const DEFAULT_CURRENCY = process.env.DEFAULT_OFFER_CURRENCY || 'USD';
+const MAX_DELIVERABLES = 20;
+const MAX_NOTE_LENGTH = 1000;
+
+function invalid(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_OFFER';
+  return e;
+}
+
+function roundMoney(value) {
+  return Math.round(value * 100) / 100;
+}
+
+// The creator's listed prices keyed by deliverable type. Profiles live in Firestore;
+// the Postgres mirror is used when Firestore is unavailable.
+async function getCreatorRates(creatorId) {
+  let profile = null;
+  try {
+    const doc = await firestore.collection('ugc_creators').doc(creatorId).get();
+    if (doc.exists) profile = doc.data();
+  } catch (err) {
+    console.warn('Firestore rate lookup skipped:', err.message);
+  }
+  if (!profile) {
+    const res = await db.query('SELECT original_json FROM ugc_creators WHERE uid = $1 LIMIT 1', [creatorId]);
+    profile = res.rows[0]?.original_json || null;
+  }
+  const rates = {};
+  for (const [type, { pricingField }] of Object.entries(DELIVERABLE_TYPES)) {
+    const price = pricingField && profile ? parseFloat(profile[pricingField]) : NaN;
+    if (Number.isFinite(price) && price > 0) rates[type] = price;
+  }
+  return { rates, expressDeliveryCharge: parseFloat(profile?.expressDeliveryCharge) || null };
+}
+
+async function listDeliverableOptions(creatorId) {
+  const { rates, expressDeliveryCharge } = creatorId ? await getCreatorRates(creatorId) : { rates: {}, expressDeliveryCharge: null };
+  return {
+    deliverables: Object.entries(DELIVERABLE_TYPES).map(([type, { label }]) => ({ type, label, listedPrice: rates[type] ?? null })),
+    usageScopes: USAGE_SCOPES,
+    expressDeliveryCharge,
+    defaultCurrency: DEFAULT_CURRENCY,
+  };
+}
+
+// Validates offer terms; missing unit prices come from the creator's rate card and a
+// missing total is the sum of the deliverables
+function normalizeTerms(input, rates) {
+  const { deliverables, price, currency = DEFAULT_CURRENCY, dueDate, usageRights = {}, note } = input || {};
+
+  if (!Array.isArray(deliverables) || deliverables.length === 0 || deliverables.length > MAX_DELIVERABLES) {
+    throw invalid(`deliverables must list between 1 and ${MAX_DELIVERABLES} items`);
+  }
+  const items = deliverables.map((d) => {
+    if (!d || !DELIVERABLE_TYPES[d.type]) {
+      throw invalid(`deliverable type must be one of: ${Object.keys(DELIVERABLE_TYPES).join(', ')}`);
+    }
+    if (d.type === 'custom' && (typeof d.description !== 'string' || d.description.trim().length === 0)) {
+      throw invalid('custom deliverables need a description');
+    }
+    const quantity = d.quantity === undefined ? 1 : Number(d.quantity);
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 100) {
+      throw invalid('deliverable quantity must be a whole number between 1 and 100');
+    }
+    const unitPrice = d.unitPrice === undefined || d.unitPrice === null ? rates[d.type] ?? null : Number(d.unitPrice);
+    if (unitPrice !== null && (!Number.isFinite(unitPrice) || unitPrice < 0)) {
+      throw invalid('deliverable unitPrice must be a positive number');
+    }
+    return {
+      type: d.type,
+      label: DELIVERABLE_TYPES[d.type].label,
+      quantity,
+      unitPrice: unitPrice === null ? null : roundMoney(unitPrice),
+      description: typeof d.description === 'string' ? d.description.trim().slice(0, 500) : null,
+    };
+  });
+
+  let total = price === undefined || price === null ? null : Number(price);
+  if (total === null) {
+    if (items.some(i => i.unitPrice === null)) {
+      throw invalid('price is required when a deliverable has no listed price');
+    }
+    total = items.reduce((sum, i) => sum + i.unitPrice * i.quantity, 0);
+  }
+  if (!Number.isFinite(total) || total <= 0) {
+    throw invalid('price must be greater than 0');
+  }
+
+  const code = String(currency).toUpperCase();
+  if (!/^[A-Z]{3}$/.test(code)) {
+    throw invalid('currency must be a three-letter ISO code');
+  }
+
+  if (typeof dueDate !== 'string' || !/^\d{4}-\d{2}-\d{2}$/.test(dueDate) || Number.isNaN(new Date(`${dueDate}T00:00:00Z`).getTime())) {
+    throw invalid('dueDate must be a date (YYYY-MM-DD)');
+  }
+  if (dueDate < new Date().toISOString().slice(0, 10)) {
+    throw invalid('dueDate cannot be in the past');
+  }
+
+  const scope = usageRights.scope || 'organic_only';
+  if (!USAGE_SCOPES.includes(scope)) {
+    throw invalid(`usageRights.scope must be one of: ${USAGE_SCOPES.join(', ')}`);
+  }
+  const durationDays = usageRights.durationDays === undefined || usageRights.durationDays === null ? null : Number(usageRights.durationDays);
+  if (durationDays !== null && (!Number.isInteger(durationDays) || durationDays < 1)) {
+    throw invalid('usageRights.durationDays must be a whole number of days');
+  }
+
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw invalid(`note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  return {
+    deliverables: items,
+    price: roundMoney(total),
+    currency: code,
+    dueDate,
+    usageRights: {
+      scope,
+      durationDays,
+      notes: typeof usageRights.notes === 'string' ? usageRights.notes.trim().slice(0, 500) : null,
+    },
+    note: note ? note.trim() : null,
+  };
+}
+
+function mapVersion(v) {
+  return {
+    version: v.version,
+    proposedBy: v.proposed_by,
+    proposedByParty: v.proposed_by_party,
+    deliverables: v.deliverables,
+    price: Number(v.price),
+    currency: v.currency,
+    dueDate: v.due_date instanceof Date ? v.due_date.toISOString().slice(0, 10) : v.due_date,
+    usageRights: v.usage_rights,
+    note: v.note,
+    messageId: v.message_id,
+    createdAt: v.created_at,
+  };
+}
+
+function mapOffer(row, versions = []) {
+  const mapped = versions.map(mapVersion);
+  const current = mapped.find(v => v.version === row.current_version) || null;
+  return {
+    id: row.id,
+    conversationId: row.conversation_id,
+    creatorId: row.creator_id,
+    createdBy: row.created_by,
+    status: row.status,
+    currentVersion: row.current_version,
+    acceptedVersion: row.accepted_version,
+    awaitingParty: row.status === 'pending' && current ? (current.proposedByParty === 'brand' ? 'creator' : 'brand') : null,
+    terms: current,
+    respondedBy: row.responded_by,
+    respondedAt: row.responded_at,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+    versions: mapped,
+  };
+}
+
+async function loadOffers(where, params) {
+  const offersRes = await db.query(`SELECT * FROM offers WHERE ${where} ORDER BY created_at DESC`, params);
+  if (offersRes.rowCount === 0) return [];
+  const versionsRes = await db.query(
+    'SELECT * FROM offer_versions WHERE offer_id = ANY($1) ORDER BY version ASC',
+    [offersRes.rows.map(o => o.id)]
+  );
+  return offersRes.rows.map(o => mapOffer(o, versionsRes.rows.filter(v => v.offer_id === o.id)));
+}
+
+async function getOffer(offerId) {
+  const offers = await loadOffers('id = $1', [offerId]);
+  return offers[0] || null;
+}
+
+async function listOffersForConversation(conversationId) {
+  return loadOffers('conversation_id = $1', [conversationId]);
+}
+
+// offer id -> offer, for decorating message lists
+async function getOffersByIds(offerIds) {
+  const ids = Array.from(new Set(offerIds.filter(Boolean)));
+  if (ids.length === 0) return {};
+  const offers = await loadOffers('id = ANY($1)', [ids]);
+  return Object.fromEntries(offers.map(o => [o.id, o]));
+}
+
+// Summary of the accepted terms pinned to the conversation
+async function getPinnedOffer(conversationId) {
+  const res = await db.query('SELECT pinned_offer_id FROM conversations WHERE id = $1', [conversationId]);
+  const offerId = res.rows[0]?.pinned_offer_id;
+  if (!offerId) return null;
+  const offer = await getOffer(offerId);
+  if (!offer || offer.status !== 'accepted') return null;
+  const accepted = offer.versions.find(v => v.version === offer.acceptedVersion);
+  return {
+    offerId: offer.id,
+    version: offer.acceptedVersion,
+    creatorId: offer.creatorId,
+    acceptedBy: offer.respondedBy,
+    acceptedAt: offer.respondedAt,
+    deliverables: accepted.deliverables,
+    price: accepted.price,
+    currency: accepted.currency,
+    dueDate: accepted.dueDate,
+    usageRights: accepted.usageRights,
+  };
+}
+
+// The participant the offer is made to: explicit, or the only creator in the thread
+function resolveCreator(conversation, creatorId) {
+  const details = conversation.participant_details || {};
+  const creators = conversation.participants.filter(p => CREATOR_ROLES.includes(details[p]?.role));
+  if (creatorId) {
+    if (!creators.includes(creatorId)) throw invalid('creatorId must be a creator in this conversation');
+    return creatorId;
+  }
+  if (creators.length !== 1) throw invalid('creatorId is required');
+  return creators[0];
+}
+
+function describeTerms(terms) {
+  const items = terms.deliverables.map(d => `${d.quantity}× ${d.type === 'custom' ? d.description : d.label}`).join(', ');
+  return `${items} for ${terms.price.toFixed(2)} ${terms.currency}, due ${terms.dueDate}`;
+}
+
+const SUMMARIES = {
+  created: (terms) => `Offer: ${describeTerms(terms)}`,
+  countered: (terms) => `Counter-offer: ${describeTerms(terms)}`,
+  accepted: (terms) => `Offer accepted: ${describeTerms(terms)}`,
+  declined: () => 'Offer declined',
+  withdrawn: () => 'Offer withdrawn',
+};
+
+// Inserts the chat message that records an offer event, inside the caller's transaction
+async function insertOfferMessage(client, { conversationId, offerId, version, user, event, terms, note }) {
+  let text = SUMMARIES[event](terms);
+  let originalText = null;
+  let filter = { filtered: false, matches: [] };
+  if (note) {
+    filter = await contentFilter.filterMessage(note, { role: user.role });
+    text += `\n${filter.text}`;
+    if (filter.filtered) originalText = `${SUMMARIES[event](terms)}\n${note}`;
+  }
+  const message = {
+    id: `msg_${Date.now()}_${Math.random().toString(36).substr(2, 9)}`,
+    senderId: user.uid,
+    senderName: user.displayName || user.email,
+    message: text,
+    timestamp: new Date().toISOString(),
+    isFiltered: filter.filtered,
+    type: 'offer',
+    offerId,
+    offerVersion: version,
+    metadata: null,
+    attachments: [],
+  };
+  await client.query(
+    `INSERT INTO messages (id, conversation_id, sender_id, sender_name, message, timestamp, is_filtered, original_message, message_type, offer_id, offer_version)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, 'offer', $9, $10)`,
+    [message.id, conversationId, message.senderId, message.senderName, message.message, message.timestamp, message.isFiltered, originalText, offerId, version]
+  );
+  if (filter.filtered) {
+    await moderationService.flagMessage({ messageId: message.id, conversationId, senderId: user.uid, matches: filter.matches }, client);
+  }
+  const conv = await client.query(
+    `UPDATE conversations SET last_message = $1, last_message_time = $2, last_message_sender = $3, updated_at = $2
+     WHERE id = $4
+     RETURNING *`,
+    [SUMMARIES[event](terms), message.timestamp, user.uid, conversationId]
+  );
+  return { message, conversation: conv.rows[0], filteredNote: note ? filter.text : null };
+}
+
+async function insertVersion(client, offerId, version, user, party, terms, note, messageId) {
+  await client.query(
+    `INSERT INTO offer_versions (offer_id, version, proposed_by, proposed_by_party, deliverables, price, currency, due_date, usage_rights, note, message_id, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, NOW())`,
+    [offerId, version, user.uid, party, JSON.stringify(terms.deliverables), terms.price, terms.currency, terms.dueDate, JSON.stringify(terms.usageRights), note, messageId]
+  );
+}
+
+async function withTransaction(fn) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Brand side proposes terms to the creator in the conversation
+async function createOffer(conversation, user, input) {
+  const creatorId = resolveCreator(conversation, input?.creatorId);
+  if (creatorId === user.uid) {
+    const e = new Error('CREATOR_CANNOT_PROPOSE');
+    e.code = 'CREATOR_CANNOT_PROPOSE';
+    throw e;
+  }
+  const { rates } = await getCreatorRates(creatorId);
+  const terms = normalizeTerms(input, rates);
+  const offerId = `off_${crypto.randomBytes(10).toString('hex')}`;
+
+  const result = await withTransaction(async (client) => {
+    await client.query(
+      `INSERT INTO offers (id, conversation_id, creator_id, created_by, status, current_version, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, 'pending', 1, NOW(), NOW())`,
+      [offerId, conversation.id, creatorId, user.uid]
+    );
+    const inserted = await insertOfferMessage(client, { conversationId: conversation.id, offerId, version: 1, user, event: 'created', terms, note: terms.note });
+    await insertVersion(client, offerId, 1, user, 'brand', terms, inserted.filteredNote, inserted.message.id);
+    return inserted;
+  });
+  return { ...result, offer: await getOffer(offerId) };
+}
+
+// Accept, decline or counter the current version (the party that did not propose it),
+// or withdraw it (the party that did)
+async function respondToOffer(offerId, user, { action, note, ...counterTerms } = {}) {
+  if (!RESPONSE_ACTIONS.includes(action)) {
+    const e = new Error('INVALID_ACTION');
+    e.code = 'INVALID_ACTION';
+    throw e;
+  }
+  const offer = await getOffer(offerId);
+  if (!offer) {
+    const e = new Error('OFFER_NOT_FOUND');
+    e.code = 'OFFER_NOT_FOUND';
+    throw e;
+  }
+  if (offer.status !== 'pending') {
+    const e = new Error('OFFER_CLOSED');
+    e.code = 'OFFER_CLOSED';
+    throw e;
+  }
+  const party = user.uid === offer.creatorId ? 'creator' : 'brand';
+  const isProposer = offer.terms.proposedByParty === party;
+  if ((action === 'withdraw') !== isProposer) {
+    const e = new Error('NOT_YOUR_TURN');
+    e.code = 'NOT_YOUR_TURN';
+    throw e;
+  }
+  if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+    throw invalid(`note must be text of at most ${MAX_NOTE_LENGTH} characters`);
+  }
+
+  let terms = offer.terms;
+  if (action === 'counter') {
+    // Unspecified terms carry over from the version being countered
+    const { rates } = await getCreatorRates(offer.creatorId);
+    terms = normalizeTerms({
+      deliverables: counterTerms.deliverables ?? offer.terms.deliverables,
+      price: counterTerms.price ?? (counterTerms.deliverables ? undefined : offer.terms.price),
+      currency: counterTerms.currency ?? offer.terms.currency,
+      dueDate: counterTerms.dueDate ?? offer.terms.dueDate,
+      usageRights: counterTerms.usageRights ?? offer.terms.usageRights,
+      note,
+    }, rates);
+  }
+
+  const event = { accept: 'accepted', decline: 'declined', counter: 'countered', withdraw: 'withdrawn' }[action];
+  const result = await withTransaction(async (client) => {
+    // Lock the offer so two responses cannot both apply to the same version
+    const locked = await client.query('SELECT status, current_version FROM offers WHERE id = $1 FOR UPDATE', [offerId]);
+    if (locked.rows[0].status !== 'pending' || locked.rows[0].current_version !== offer.currentVersion) {
+      const e = new Error('OFFER_CLOSED');
+      e.code = 'OFFER_CLOSED';
+      throw e;
+    }
+    const version = action === 'counter' ? offer.currentVersion + 1 : offer.currentVersion;
+    const inserted = await insertOfferMessage(client, {
+      conversationId: offer.conversationId, offerId, version, user, event, terms, note: action === 'counter' ? terms.note : note
+    });
+    if (action === 'counter') {
+      await insertVersion(client, offerId, version, user, party, terms, inserted.filteredNote, inserted.message.id);
+      await client.query('UPDATE offers SET current_version = $2, updated_at = NOW() WHERE id = $1', [offerId, version]);
+    } else {
+      await client.query(
+        `UPDATE offers SET status = $2, accepted_version = $3, responded_by = $4, responded_at = NOW(), updated_at = NOW()
+         WHERE id = $1`,
+        [offerId, event, action === 'accept' ? version : null, user.uid]
+      );
+    }
+    if (action === 'accept') {
+      inserted.conversation = (await client.query(
+        'UPDATE conversations SET pinned_offer_id = $2 WHERE id = $1 RETURNING *',
+        [offer.conversationId, offerId]
+      )).rows[0];
+    }
+    return inserted;
+  });
+  return { ...result, offer: await getOffer(offerId) };
+}
+
+module.exports = {
+  DELIVERABLE_TYPES,
+  USAGE_SCOPES,
+  OFFER_STATUSES,
+  RESPONSE_ACTIONS,
+  getCreatorRates,
+  listDeliverableOptions,
+  normalizeTerms,
+  getOffer,
+  getOffersByIds,
+  listOffersForConversation,
+  getPinnedOffer,
+  createOffer,
+  respondToOffer,
+};
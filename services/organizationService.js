@@ -0,0 +1,273 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+const MEMBER_ROLES = ['owner', 'manager', 'viewer'];
+const INVITATION_TTL_DAYS = 7;
+
+// Member roles that can act on the organization's behalf (message creators, edit shortlists)
+const WRITE_ROLES = ['owner', 'manager'];
+
+function mapOrganization(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    name: row.name,
+    logoUrl: row.logo_url,
+    website: row.website,
+    billingDetails: row.billing_details || null,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+function canWrite(memberRole) {
+  return WRITE_ROLES.includes(memberRole);
+}
+
+// A user belongs to at most one organization
+async function getMembershipForUser(uid) {
+  const res = await db.query(
+    `SELECT om.organization_id, om.role, o.name
+     FROM organization_members om
+     JOIN organizations o ON o.id = om.organization_id
+     WHERE om.user_id = $1
+     LIMIT 1`,
+    [uid]
+  );
+  const row = res.rows[0];
+  return row ? { organizationId: row.organization_id, role: row.role, organizationName: row.name } : null;
+}
+
+async function getMembership(organizationId, uid) {
+  const res = await db.query(
+    'SELECT organization_id, user_id, role, joined_at FROM organization_members WHERE organization_id = $1 AND user_id = $2 LIMIT 1',
+    [organizationId, uid]
+  );
+  return res.rows[0] || null;
+}
+
+async function getOrganization(organizationId) {
+  const res = await db.query('SELECT * FROM organizations WHERE id = $1 LIMIT 1', [organizationId]);
+  return mapOrganization(res.rows[0]);
+}
+
+async function createOrganization(ownerUid, { name, logoUrl, website, billingDetails }) {
+  if (await getMembershipForUser(ownerUid)) {
+    throw new Error('ALREADY_IN_ORGANIZATION');
+  }
+  const id = `org_${crypto.randomBytes(8).toString('hex')}`;
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      `INSERT INTO organizations (id, name, logo_url, website, billing_details, created_by, created_at, updated_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW(), NOW())`,
+      [id, name, logoUrl || null, website || null, billingDetails || null, ownerUid]
+    );
+    await client.query(
+      "INSERT INTO organization_members (organization_id, user_id, role, joined_at) VALUES ($1, $2, 'owner', NOW())",
+      [id, ownerUid]
+    );
+    // Threads the owner already opened now belong to the organization
+    await client.query(
+      'UPDATE conversations SET organization_id = $1 WHERE $2 = ANY(participants) AND organization_id IS NULL',
+      [id, ownerUid]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return getOrganization(id);
+}
+
+async function updateOrganization(organizationId, { name, logoUrl, website, billingDetails }) {
+  await db.query(
+    `UPDATE organizations SET
+       name = COALESCE($2, name),
+       logo_url = COALESCE($3, logo_url),
+       website = COALESCE($4, website),
+       billing_details = COALESCE($5, billing_details),
+       updated_at = NOW()
+     WHERE id = $1`,
+    [organizationId, name || null, logoUrl || null, website || null, billingDetails || null]
+  );
+  return getOrganization(organizationId);
+}
+
+async function listMembers(organizationId) {
+  const res = await db.query(
+    `SELECT om.user_id, om.role, om.joined_at, u.email, u.display_name
+     FROM organization_members om
+     JOIN users u ON u.uid = om.user_id
+     WHERE om.organization_id = $1
+     ORDER BY om.joined_at ASC`,
+    [organizationId]
+  );
+  return res.rows.map(r => ({
+    userId: r.user_id,
+    email: r.email,
+    displayName: r.display_name,
+    role: r.role,
+    joinedAt: r.joined_at,
+  }));
+}
+
+async function countOwners(organizationId) {
+  const res = await db.query(
+    "SELECT COUNT(*)::int AS owners FROM organization_members WHERE organization_id = $1 AND role = 'owner'",
+    [organizationId]
+  );
+  return res.rows[0].owners;
+}
+
+async function updateMemberRole(organizationId, uid, role) {
+  const member = await getMembership(organizationId, uid);
+  if (!member) throw new Error('MEMBER_NOT_FOUND');
+  if (member.role === 'owner' && role !== 'owner' && (await countOwners(organizationId)) <= 1) {
+    throw new Error('LAST_OWNER');
+  }
+  await db.query('UPDATE organization_members SET role = $3 WHERE organization_id = $1 AND user_id = $2', [organizationId, uid, role]);
+}
+
+async function removeMember(organizationId, uid) {
+  const member = await getMembership(organizationId, uid);
+  if (!member) throw new Error('MEMBER_NOT_FOUND');
+  if (member.role === 'owner' && (await countOwners(organizationId)) <= 1) {
+    throw new Error('LAST_OWNER');
+  }
+  await db.query('DELETE FROM organization_members WHERE organization_id = $1 AND user_id = $2', [organizationId, uid]);
+}
+
+async function createInvitation(organizationId, { email, role, invitedBy }) {
+  const token = crypto.randomBytes(32).toString('hex');
+  const expiresAt = new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+  await db.query(
+    `INSERT INTO organization_invitations (token, organization_id, email, role, invited_by, created_at, expires_at)
+     VALUES ($1, $2, $3, $4, $5, NOW(), $6)`,
+    [token, organizationId, String(email).toLowerCase(), role, invitedBy]
+  );
+  return { token, expiresAt };
+}
+
+async function listPendingInvitations(organizationId) {
+  const res = await db.query(
+    `SELECT token, email, role, invited_by, created_at, expires_at
+     FROM organization_invitations
+     WHERE organization_id = $1 AND accepted_at IS NULL AND revoked_at IS NULL AND expires_at > NOW()
+     ORDER BY created_at DESC`,
+    [organizationId]
+  );
+  return res.rows.map(r => ({
+    token: r.token,
+    email: r.email,
+    role: r.role,
+    invitedBy: r.invited_by,
+    createdAt: r.created_at,
+    expiresAt: r.expires_at,
+  }));
+}
+
+async function revokeInvitation(organizationId, token) {
+  const res = await db.query(
+    'UPDATE organization_invitations SET revoked_at = NOW() WHERE token = $1 AND organization_id = $2 AND accepted_at IS NULL AND revoked_at IS NULL',
+    [token, organizationId]
+  );
+  return res.rowCount > 0;
+}
+
+async function acceptInvitation(token, user) {
+  const res = await db.query(
+    'SELECT token, organization_id, email, role, expires_at, accepted_at, revoked_at FROM organization_invitations WHERE token = $1 LIMIT 1',
+    [token]
+  );
+  const invitation = res.rows[0];
+  if (!invitation || invitation.revoked_at || invitation.accepted_at || new Date(invitation.expires_at).getTime() < Date.now()) {
+    throw new Error('INVALID_INVITATION');
+  }
+  if (!user.email || invitation.email !== String(user.email).toLowerCase()) {
+    throw new Error('INVITATION_EMAIL_MISMATCH');
+  }
+  if (await getMembershipForUser(user.uid)) {
+    throw new Error('ALREADY_IN_ORGANIZATION');
+  }
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query(
+      'INSERT INTO organization_members (organization_id, user_id, role, joined_at) VALUES ($1, $2, $3, NOW())',
+      [invitation.organization_id, user.uid, invitation.role]
+    );
+    await client.query(
+      'UPDATE organization_invitations SET accepted_at = NOW(), accepted_by = $2 WHERE token = $1',
+      [token, user.uid]
+    );
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return { organizationId: invitation.organization_id, role: invitation.role };
+}
+
+async function listShortlist(organizationId) {
+  const res = await db.query(
+    `SELECT s.creator_id, s.note, s.added_by, s.created_at,
+            COALESCE(ip.full_name, u.display_name, u.email) AS name, u.role, ip.avatar_url, ip.username
+     FROM organization_shortlists s
+     JOIN users u ON u.uid = s.creator_id
+     LEFT JOIN instagram_profiles ip ON ip.uid = s.creator_id
+     WHERE s.organization_id = $1
+     ORDER BY s.created_at DESC`,
+    [organizationId]
+  );
+  return res.rows.map(r => ({
+    creatorId: r.creator_id,
+    name: r.name,
+    role: r.role,
+    avatar: r.avatar_url,
+    instagramUsername: r.username,
+    note: r.note,
+    addedBy: r.added_by,
+    createdAt: r.created_at,
+  }));
+}
+
+async function addToShortlist(organizationId, creatorId, { note, addedBy }) {
+  await db.query(
+    `INSERT INTO organization_shortlists (organization_id, creator_id, note, added_by, created_at)
+     VALUES ($1, $2, $3, $4, NOW())
+     ON CONFLICT (organization_id, creator_id) DO UPDATE SET note = COALESCE(EXCLUDED.note, organization_shortlists.note)`,
+    [organizationId, creatorId, note || null, addedBy]
+  );
+}
+
+async function removeFromShortlist(organizationId, creatorId) {
+  const res = await db.query('DELETE FROM organization_shortlists WHERE organization_id = $1 AND creator_id = $2', [organizationId, creatorId]);
+  return res.rowCount > 0;
+}
+
+module.exports = {
+  MEMBER_ROLES,
+  canWrite,
+  getMembershipForUser,
+  getMembership,
+  getOrganization,
+  createOrganization,
+  updateOrganization,
+  listMembers,
+  updateMemberRole,
+  removeMember,
+  createInvitation,
+  listPendingInvitations,
+  revokeInvitation,
+  acceptInvitation,
+  listShortlist,
+  addToShortlist,
+  removeFromShortlist,
+};
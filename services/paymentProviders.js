@@ -0,0 +1,75 @@
+const crypto = require('crypto');
+
+// Payment providers move the real money; services/paymentService.js records it in the
+// ledger. Amounts are in minor units (cents). A provider implements:
+//
+//   createCharge({ amount, currency, paymentMethod, description, metadata }) -> { reference }
+//   refundCharge({ chargeReference, amount, currency }) -> { reference }
+//   createPayout({ recipientId, amount, currency, metadata, idempotencyKey }) -> { reference }
+//
+// and throws an error with code PAYMENT_DECLINED when the provider refuses the request.
+// A payout repeated with the same idempotencyKey must return the first payout instead of
+// sending the money again.
+// PAYMENT_PROVIDER picks one; the fake provider is the default outside production.
+
+function declined(reason) {
+  const e = new Error(reason || 'PAYMENT_DECLINED');
+  e.code = 'PAYMENT_DECLINED';
+  return e;
+}
+
+function fakeReference(prefix) {
+  return `${prefix}_${crypto.randomBytes(12).toString('hex')}`;
+}
+
+// Accepts everything except the test payment method "fake_declined", so flows can be
+// exercised locally and in tests without a provider account
+function createFakeProvider() {
+  const payoutsByKey = new Map();
+  return {
+    name: 'fake',
+    async createCharge({ amount, paymentMethod }) {
+      if (paymentMethod === 'fake_declined') throw declined('Card declined (fake provider)');
+      if (!Number.isInteger(amount) || amount <= 0) throw declined('Invalid amount');
+      return { reference: fakeReference('fake_ch') };
+    },
+    async refundCharge({ chargeReference, amount }) {
+      if (!String(chargeReference || '').startsWith('fake_ch_')) throw declined('Unknown charge');
+      if (!Number.isInteger(amount) || amount <= 0) throw declined('Invalid amount');
+      return { reference: fakeReference('fake_re') };
+    },
+    async createPayout({ recipientId, amount, idempotencyKey }) {
+      if (idempotencyKey && payoutsByKey.has(idempotencyKey)) return payoutsByKey.get(idempotencyKey);
+      if (!recipientId) throw declined('Missing recipient');
+      if (!Number.isInteger(amount) || amount <= 0) throw declined('Invalid amount');
+      const result = { reference: fakeReference('fake_po') };
+      if (idempotencyKey) payoutsByKey.set(idempotencyKey, result);
+      return result;
+    },
+  };
+}
+
+const PROVIDERS = {
+  fake: createFakeProvider,
+};
+
+let provider = null;
+
+function getPaymentProvider() {
+  if (provider) return provider;
+  const name = process.env.PAYMENT_PROVIDER || (process.env.NODE_ENV === 'production' ? '' : 'fake');
+  if (!PROVIDERS[name]) {
+    const e = new Error(name ? `Unknown payment provider: ${name}` : 'PAYMENT_PROVIDER is not configured');
+    e.code = 'PROVIDER_NOT_CONFIGURED';
+    throw e;
+  }
+  provider = PROVIDERS[name]();
+  return provider;
+}
+
+// Lets tests swap in their own provider; pass null to go back to PAYMENT_PROVIDER
+function setPaymentProvider(custom) {
+  provider = custom;
+}
+
+module.exports = { PROVIDERS, createFakeProvider, getPaymentProvider, setPaymentProvider };
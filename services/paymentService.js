@@ -0,0 +1,690 @@
+const db = require('./db');
+const { getPaymentProvider } = require('./paymentProviders');
+const { renderPdf } = require('./pdfService');
+
+// Double-entry ledger for collaboration payments. Each transaction is a set of entries
+// whose debits and credits balance:
+//   deposit  the brand pays in            debit provider_cash, credit escrow:<collaboration>
+//   release  a deliverable is approved    debit escrow:<collaboration>, credit creator_payable:<creator>
+//                                         (net) and platform_revenue (fee)
+//   refund   held money goes back         debit escrow:<collaboration>, credit provider_cash
+//   payout   the creator is paid          debit creator_payable:<creator>, credit provider_cash
+// Each deliverable is a milestone: approving it releases an equal share of what is
+// still held (the last one releases the rest); money deposited after every deliverable
+// was released goes to the creator as a release without a deliverable. Deliverables cannot be added or removed
+// while money is held, so the shares are fixed once the collaboration is funded.
+// Deposits, releases and refunds of a collaboration lock its row (lockCollaboration)
+// and read the balances under that lock.
+const TRANSACTION_TYPES = ['deposit', 'release', 'refund', 'payout'];
+const PROVIDER_CASH = 'provider_cash';
+const PLATFORM_REVENUE = 'platform_revenue';
+const PLATFORM_FEE_PERCENT = parseFloat(process.env.PLATFORM_FEE_PERCENT || '10');
+const MIN_PAYOUT_AMOUNT = parseFloat(process.env.MIN_PAYOUT_AMOUNT || '10');
+
+function invalid(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_PAYMENT';
+  return e;
+}
+
+function failure(code) {
+  const e = new Error(code);
+  e.code = code;
+  return e;
+}
+
+const escrowAccount = collaborationId => `escrow:${collaborationId}`;
+const payableAccount = creatorId => `creator_payable:${creatorId}`;
+
+// Money is handled in cents to keep the entries exact
+const toCents = value => Math.round(parseFloat(value || 0) * 100);
+const fromCents = cents => cents / 100;
+
+function mapTransaction(row, entries = []) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    type: row.type,
+    collaborationId: row.collaboration_id,
+    deliverableId: row.deliverable_id,
+    relatedTransactionId: row.related_transaction_id,
+    creatorId: row.creator_id,
+    brandId: row.brand_id,
+    amount: parseFloat(row.amount),
+    currency: row.currency,
+    provider: row.provider,
+    providerReference: row.provider_reference,
+    memo: row.memo,
+    createdBy: row.created_by,
+    createdAt: row.created_at,
+    entries: entries.map(e => ({
+      account: e.account,
+      direction: e.direction,
+      amount: parseFloat(e.amount),
+      memo: e.memo,
+    })),
+  };
+}
+
+// What a release or payout moves into or out of the creator's balance
+function creatorAmount(transaction) {
+  const entry = transaction.entries.find(e => e.account === payableAccount(transaction.creatorId));
+  return entry ? entry.amount : null;
+}
+
+// Writes a transaction and its entries; entries are { account, direction, cents, memo }
+async function postTransaction(client, transaction, entries) {
+  const debits = entries.filter(e => e.direction === 'debit').reduce((sum, e) => sum + e.cents, 0);
+  const credits = entries.filter(e => e.direction === 'credit').reduce((sum, e) => sum + e.cents, 0);
+  if (debits !== credits || entries.some(e => !Number.isInteger(e.cents) || e.cents <= 0)) {
+    throw new Error(`Unbalanced ${transaction.type} transaction`);
+  }
+  const res = await client.query(
+    `INSERT INTO ledger_transactions (type, collaboration_id, deliverable_id, related_transaction_id, creator_id, brand_id,
+       amount, currency, provider, provider_reference, memo, created_by, created_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW())
+     RETURNING *`,
+    [transaction.type, transaction.collaborationId || null, transaction.deliverableId || null, transaction.relatedTransactionId || null,
+      transaction.creatorId || null, transaction.brandId || null, fromCents(debits), transaction.currency,
+      transaction.provider || null, transaction.providerReference || null, transaction.memo || null, transaction.createdBy || null]
+  );
+  const row = res.rows[0];
+  const entryRows = [];
+  for (const entry of entries) {
+    const entryRes = await client.query(
+      `INSERT INTO ledger_entries (transaction_id, account, direction, amount, currency, memo)
+       VALUES ($1, $2, $3, $4, $5, $6) RETURNING *`,
+      [row.id, entry.account, entry.direction, fromCents(entry.cents), transaction.currency, entry.memo || null]
+    );
+    entryRows.push(entryRes.rows[0]);
+  }
+  return mapTransaction(row, entryRows);
+}
+
+// Credit balance in cents (escrow and creator payables are liabilities)
+async function creditBalance(client, account, currency) {
+  const res = await client.query(
+    `SELECT COALESCE(SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END), 0) AS balance
+     FROM ledger_entries WHERE account = $1 AND currency = $2`,
+    [account, currency]
+  );
+  return toCents(res.rows[0].balance);
+}
+
+function collaborationCurrency(collaboration) {
+  return collaboration.currency || process.env.DEFAULT_OFFER_CURRENCY || 'USD';
+}
+
+// Serializes money movements of one collaboration until the client's transaction ends
+async function lockCollaboration(client, collaborationId) {
+  await client.query('SELECT id FROM collaborations WHERE id = $1 FOR UPDATE', [collaborationId]);
+}
+
+// Cents held in escrow for the collaboration, read on `client`
+async function heldInEscrow(client, collaboration) {
+  return creditBalance(client, escrowAccount(collaboration.id), collaborationCurrency(collaboration));
+}
+
+// Part of the agreed price not covered by deposits net of refunds, in cents (null without a price)
+async function unfundedCents(client, collaboration) {
+  if (collaboration.price === null || collaboration.price === undefined) return null;
+  const res = await client.query(
+    `SELECT COALESCE(SUM(CASE WHEN type = 'deposit' THEN amount ELSE -amount END), 0) AS funded
+     FROM ledger_transactions WHERE collaboration_id = $1 AND type IN ('deposit', 'refund')`,
+    [collaboration.id]
+  );
+  return Math.max(toCents(collaboration.price) - toCents(res.rows[0].funded), 0);
+}
+
+// What the brand funded, what was released, refunded and taken as fees, and what is held
+async function getEscrowSummary(collaboration) {
+  const currency = collaborationCurrency(collaboration);
+  const [totalsRes, feesRes, transactionsRes] = await Promise.all([
+    db.query(
+      `SELECT type, COALESCE(SUM(amount), 0) AS total FROM ledger_transactions
+       WHERE collaboration_id = $1 GROUP BY type`,
+      [collaboration.id]
+    ),
+    db.query(
+      `SELECT COALESCE(SUM(e.amount), 0) AS total FROM ledger_entries e
+       JOIN ledger_transactions t ON t.id = e.transaction_id
+       WHERE t.collaboration_id = $1 AND e.account = $2 AND e.direction = 'credit'`,
+      [collaboration.id, PLATFORM_REVENUE]
+    ),
+    db.query('SELECT * FROM ledger_transactions WHERE collaboration_id = $1 ORDER BY created_at ASC, id ASC', [collaboration.id])
+  ]);
+  const totals = Object.fromEntries(totalsRes.rows.map(r => [r.type, toCents(r.total)]));
+  const held = await creditBalance(db, escrowAccount(collaboration.id), currency);
+  const priceCents = collaboration.price === null ? null : toCents(collaboration.price);
+  const fundedCents = (totals.deposit || 0) - (totals.refund || 0);
+  return {
+    currency,
+    price: collaboration.price,
+    deposited: fromCents(totals.deposit || 0),
+    released: fromCents(totals.release || 0),
+    refunded: fromCents(totals.refund || 0),
+    fees: parseFloat(feesRes.rows[0].total),
+    held: fromCents(held),
+    unfunded: priceCents === null ? null : fromCents(Math.max(priceCents - fundedCents, 0)),
+    platformFeePercent: PLATFORM_FEE_PERCENT,
+    transactions: transactionsRes.rows.map(r => mapTransaction(r)),
+  };
+}
+
+// The brand funds the collaboration through the payment provider. amount defaults to
+// the part of the agreed price not yet funded; it cannot exceed it. The collaboration
+// stays locked while the provider charges, so concurrent deposits cannot overcharge.
+// Deposits for already approved deliverables are released by releaseApprovedDeliverables.
+async function deposit(collaboration, brandUserId, { amount, paymentMethod } = {}) {
+  const currency = collaborationCurrency(collaboration);
+  let requested = null;
+  if (amount !== undefined && amount !== null) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) throw invalid('amount must be greater than 0');
+    requested = toCents(value);
+  }
+
+  const provider = getPaymentProvider();
+  const client = await db.getClient();
+  let charge = null;
+  let cents;
+  try {
+    await client.query('BEGIN');
+    await lockCollaboration(client, collaboration.id);
+    const unfunded = await unfundedCents(client, collaboration);
+    if (requested === null) {
+      if (!unfunded) throw invalid(unfunded === null ? 'amount is required when the collaboration has no agreed price' : 'the agreed price is already funded');
+      cents = unfunded;
+    } else {
+      cents = requested;
+      if (unfunded !== null && cents > unfunded) {
+        throw invalid(`amount cannot exceed the unfunded price (${fromCents(unfunded).toFixed(2)} ${currency})`);
+      }
+    }
+
+    charge = await provider.createCharge({
+      amount: cents,
+      currency,
+      paymentMethod,
+      description: `Escrow for "${collaboration.title}"`,
+      metadata: { collaborationId: collaboration.id, brandUserId },
+    });
+    const transaction = await postTransaction(client, {
+      type: 'deposit',
+      collaborationId: collaboration.id,
+      creatorId: collaboration.creatorId,
+      brandId: collaboration.brandId,
+      currency,
+      provider: provider.name,
+      providerReference: charge.reference,
+      memo: `Escrow deposit for "${collaboration.title}"`,
+      createdBy: brandUserId,
+    }, [
+      { account: PROVIDER_CASH, direction: 'debit', cents, memo: 'Charge captured' },
+      { account: escrowAccount(collaboration.id), direction: 'credit', cents, memo: 'Held against the collaboration' },
+    ]);
+    await client.query('COMMIT');
+    return transaction;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    if (charge) {
+      // The charge went through but was not recorded; hand it back rather than keep unledgered money
+      console.error('Deposit ledger write failed, refunding charge:', charge.reference, err);
+      await provider.refundCharge({ chargeReference: charge.reference, amount: cents, currency }).catch((refundErr) => {
+        console.error('Refund of unrecorded charge failed:', charge.reference, refundErr);
+      });
+    }
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Moves cents from the collaboration's escrow to the creator, less the platform fee
+async function postRelease(client, collaboration, { deliverable, cents }) {
+  const label = deliverable ? deliverable.label : 'Remaining escrow';
+  const feeCents = Math.round(cents * PLATFORM_FEE_PERCENT / 100);
+  const entries = [
+    { account: escrowAccount(collaboration.id), direction: 'debit', cents, memo: `Milestone: ${label}` },
+    { account: payableAccount(collaboration.creatorId), direction: 'credit', cents: cents - feeCents, memo: `Earnings for ${label}` },
+  ];
+  if (feeCents > 0) {
+    entries.push({ account: PLATFORM_REVENUE, direction: 'credit', cents: feeCents, memo: `Platform fee (${PLATFORM_FEE_PERCENT}%)` });
+  }
+  return postTransaction(client, {
+    type: 'release',
+    collaborationId: collaboration.id,
+    deliverableId: deliverable ? deliverable.id : null,
+    creatorId: collaboration.creatorId,
+    brandId: collaboration.brandId,
+    currency: collaborationCurrency(collaboration),
+    memo: `Release for ${label} in "${collaboration.title}"`,
+  }, entries);
+}
+
+// Runs release(client) with the collaboration locked, so the shares add up. release
+// returns the posted transaction, or null to leave everything as it was.
+async function withLockedCollaboration(collaboration, release) {
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await lockCollaboration(client, collaboration.id);
+    const transaction = await release(client);
+    await client.query(transaction ? 'COMMIT' : 'ROLLBACK');
+    return transaction;
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+const UNRELEASED_DELIVERABLES_SQL = `SELECT COUNT(*)::int AS count FROM collaboration_deliverables d
+  WHERE d.collaboration_id = $1
+    AND NOT EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.type = 'release' AND t.deliverable_id = d.id)`;
+
+// Releases the deliverable's share of the escrow to the creator, less the platform
+// fee. Returns null when it was already released or nothing is held.
+async function releaseForDeliverable(collaboration, deliverable) {
+  return withLockedCollaboration(collaboration, async (client) => {
+    const existing = await client.query("SELECT 1 FROM ledger_transactions WHERE type = 'release' AND deliverable_id = $1", [deliverable.id]);
+    const held = await heldInEscrow(client, collaboration);
+    if (existing.rowCount > 0 || held <= 0) return null;
+    const unreleasedRes = await client.query(UNRELEASED_DELIVERABLES_SQL, [collaboration.id]);
+    const unreleased = Math.max(unreleasedRes.rows[0].count, 1);
+    const cents = unreleased === 1 ? held : Math.floor(held / unreleased);
+    return postRelease(client, collaboration, { deliverable, cents });
+  });
+}
+
+// Money deposited after every deliverable was released (e.g. the rest of the price paid
+// once the work was approved) goes to the creator too. Returns null when nothing is left.
+async function releaseRemainder(collaboration) {
+  return withLockedCollaboration(collaboration, async (client) => {
+    const unreleasedRes = await client.query(UNRELEASED_DELIVERABLES_SQL, [collaboration.id]);
+    const releasedRes = await client.query(
+      "SELECT 1 FROM ledger_transactions WHERE type = 'release' AND collaboration_id = $1 AND deliverable_id IS NOT NULL LIMIT 1",
+      [collaboration.id]
+    );
+    const held = await heldInEscrow(client, collaboration);
+    if (unreleasedRes.rows[0].count > 0 || releasedRes.rowCount === 0 || held <= 0) return null;
+    return postRelease(client, collaboration, { deliverable: null, cents: held });
+  });
+}
+
+// Releases every approved deliverable that has not been paid for yet, e.g. after a
+// deposit arrives for work that was already approved, then whatever is still held once
+// every deliverable has been released
+async function releaseApprovedDeliverables(collaboration) {
+  const res = await db.query(
+    `SELECT d.id, d.label FROM collaboration_deliverables d
+     WHERE d.collaboration_id = $1 AND d.status = 'approved'
+       AND NOT EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.type = 'release' AND t.deliverable_id = d.id)
+     ORDER BY d.approved_at ASC, d.id ASC`,
+    [collaboration.id]
+  );
+  const released = [];
+  for (const deliverable of res.rows) {
+    const transaction = await releaseForDeliverable(collaboration, deliverable);
+    if (transaction) released.push(transaction);
+  }
+  const remainder = await releaseRemainder(collaboration);
+  if (remainder) released.push(remainder);
+  return released;
+}
+
+// Scheduled sweep for releases that did not happen when the deliverable was approved or
+// the last deposit arrived
+async function releaseDueMilestones({ limit = 100 } = {}) {
+  const res = await db.query(
+    `SELECT c.* FROM collaborations c
+     WHERE EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.type = 'deposit' AND t.collaboration_id = c.id)
+       AND (
+         EXISTS (SELECT 1 FROM collaboration_deliverables d
+                 WHERE d.collaboration_id = c.id AND d.status = 'approved'
+                   AND NOT EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.type = 'release' AND t.deliverable_id = d.id))
+         OR (
+           NOT EXISTS (SELECT 1 FROM collaboration_deliverables d
+                       WHERE d.collaboration_id = c.id
+                         AND NOT EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.type = 'release' AND t.deliverable_id = d.id))
+           AND EXISTS (SELECT 1 FROM ledger_transactions t WHERE t.type = 'release' AND t.collaboration_id = c.id AND t.deliverable_id IS NOT NULL)
+           AND (SELECT COALESCE(SUM(CASE WHEN e.direction = 'credit' THEN e.amount ELSE -e.amount END), 0)
+                FROM ledger_entries e WHERE e.account = 'escrow:' || c.id) > 0
+         )
+       )
+     LIMIT $1`,
+    [limit]
+  );
+  const released = [];
+  for (const row of res.rows) {
+    const collaboration = { id: row.id, creatorId: row.creator_id, brandId: row.brand_id, title: row.title, currency: row.currency };
+    released.push(...await releaseApprovedDeliverables(collaboration));
+  }
+  return released;
+}
+
+// Refunds one part: the newest deposit with something left to refund, up to `remaining`
+// cents (everything held when null). The part is committed right after the provider call,
+// so parts already refunded stay recorded whatever happens to later ones. Returns null
+// when nothing is left to refund.
+async function refundPart(provider, collaboration, refundedBy, reason, remaining) {
+  const currency = collaborationCurrency(collaboration);
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await lockCollaboration(client, collaboration.id);
+    const held = await heldInEscrow(client, collaboration);
+    const depositsRes = await client.query(
+      `SELECT t.*, COALESCE((SELECT SUM(r.amount) FROM ledger_transactions r WHERE r.type = 'refund' AND r.related_transaction_id = t.id), 0) AS refunded
+       FROM ledger_transactions t
+       WHERE t.type = 'deposit' AND t.collaboration_id = $1
+       ORDER BY t.created_at DESC, t.id DESC`,
+      [collaboration.id]
+    );
+    const depositRow = depositsRes.rows.find(d => toCents(d.amount) > toCents(d.refunded));
+    const target = remaining === null ? held : remaining;
+    if (!depositRow || held <= 0 || target <= 0) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const cents = Math.min(toCents(depositRow.amount) - toCents(depositRow.refunded), target, held);
+    const result = await provider.refundCharge({ chargeReference: depositRow.provider_reference, amount: cents, currency });
+    try {
+      const transaction = await postTransaction(client, {
+        type: 'refund',
+        collaborationId: collaboration.id,
+        relatedTransactionId: depositRow.id,
+        creatorId: collaboration.creatorId,
+        brandId: collaboration.brandId,
+        currency,
+        provider: provider.name,
+        providerReference: result.reference,
+        memo: typeof reason === 'string' && reason.trim() ? reason.trim() : `Refund for "${collaboration.title}"`,
+        createdBy: refundedBy,
+      }, [
+        { account: escrowAccount(collaboration.id), direction: 'debit', cents, memo: 'Returned to the brand' },
+        { account: PROVIDER_CASH, direction: 'credit', cents, memo: 'Refund issued' },
+      ]);
+      await client.query('COMMIT');
+      return { transaction, remaining: target - cents };
+    } catch (err) {
+      console.error('Refund ledger write failed after the provider refunded:', collaboration.id, result.reference, err);
+      throw err;
+    }
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Returns held money to the brand, newest deposits first. amount defaults to everything
+// held and cannot exceed it. Each part is refunded and recorded on its own, so if a later
+// part fails the parts already refunded are kept and returned.
+async function refund(collaboration, refundedBy, { amount, reason } = {}) {
+  let requested = null;
+  if (amount !== undefined && amount !== null) {
+    const value = Number(amount);
+    if (!Number.isFinite(value) || value <= 0) throw invalid('amount must be greater than 0');
+    requested = toCents(value);
+  }
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > 500)) {
+    throw invalid('reason must be text of at most 500 characters');
+  }
+  const held = await heldInEscrow(db, collaboration);
+  if (held <= 0) throw failure('NOTHING_HELD');
+  if (requested !== null && requested > held) {
+    throw invalid(`amount cannot exceed what is held (${fromCents(held).toFixed(2)} ${collaborationCurrency(collaboration)})`);
+  }
+
+  const provider = getPaymentProvider();
+  const transactions = [];
+  let remaining = requested;
+  while (remaining === null || remaining > 0) {
+    let part;
+    try {
+      part = await refundPart(provider, collaboration, refundedBy, reason, remaining);
+    } catch (err) {
+      if (transactions.length === 0) throw err;
+      console.error('Refund stopped after a failed part:', collaboration.id, err.message);
+      break;
+    }
+    if (!part) break;
+    transactions.push(part.transaction);
+    remaining = part.remaining;
+  }
+  if (transactions.length === 0) throw failure('NOTHING_HELD');
+  return transactions;
+}
+
+// Writes a pending payout of the creator's whole balance. A per-account advisory lock
+// makes the pending check and the balance read atomic, so two runs cannot pay the same
+// balance. Returns null when the balance is below the minimum or a payout is pending.
+async function reservePayout(creatorId, currency, providerName) {
+  const account = payableAccount(creatorId);
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`${account}:${currency}`]);
+    const pending = await client.query("SELECT 1 FROM payouts WHERE creator_id = $1 AND currency = $2 AND status = 'pending'", [creatorId, currency]);
+    const balance = await creditBalance(client, account, currency);
+    if (pending.rowCount > 0 || balance < toCents(MIN_PAYOUT_AMOUNT)) {
+      await client.query('ROLLBACK');
+      return null;
+    }
+    const res = await client.query(
+      `INSERT INTO payouts (creator_id, currency, amount, status, provider, created_at, updated_at)
+       VALUES ($1, $2, $3, 'pending', $4, NOW(), NOW()) RETURNING *`,
+      [creatorId, currency, fromCents(balance), providerName]
+    );
+    await client.query('COMMIT');
+    return res.rows[0];
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+// Sends a pending payout and records it in the ledger. The payout id is the provider's
+// idempotency key, so retrying one that was interrupted never pays twice. Declined
+// payouts are marked failed; other errors leave it pending for the next run.
+async function settlePayout(provider, payout) {
+  const cents = toCents(payout.amount);
+  const item = { payoutId: payout.id, creatorId: payout.creator_id, currency: payout.currency, amount: parseFloat(payout.amount) };
+  let result;
+  try {
+    result = await provider.createPayout({
+      recipientId: payout.creator_id,
+      amount: cents,
+      currency: payout.currency,
+      metadata: { creatorId: payout.creator_id, payoutId: payout.id },
+      idempotencyKey: `payout_${payout.id}`,
+    });
+  } catch (err) {
+    console.error('Payout failed:', payout.id, payout.creator_id, err.message);
+    if (err.code === 'PAYMENT_DECLINED') {
+      await db.query("UPDATE payouts SET status = 'failed', error = $2, updated_at = NOW() WHERE id = $1", [payout.id, err.message]);
+    }
+    return { failed: { ...item, error: err.code || err.message } };
+  }
+  await db.query('UPDATE payouts SET provider_reference = $2, updated_at = NOW() WHERE id = $1', [payout.id, result.reference]);
+
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    const transaction = await postTransaction(client, {
+      type: 'payout',
+      creatorId: payout.creator_id,
+      currency: payout.currency,
+      provider: provider.name,
+      providerReference: result.reference,
+      memo: 'Payout of released earnings',
+    }, [
+      { account: payableAccount(payout.creator_id), direction: 'debit', cents, memo: 'Paid out' },
+      { account: PROVIDER_CASH, direction: 'credit', cents, memo: 'Payout sent' },
+    ]);
+    await client.query("UPDATE payouts SET status = 'paid', transaction_id = $2, updated_at = NOW() WHERE id = $1", [payout.id, transaction.id]);
+    await client.query('COMMIT');
+    return { transaction };
+  } catch (err) {
+    await client.query('ROLLBACK');
+    console.error('Payout ledger write failed after the provider paid:', result.reference, err);
+    return { failed: { ...item, error: 'LEDGER_WRITE_FAILED', providerReference: result.reference } };
+  } finally {
+    client.release();
+  }
+}
+
+// Scheduled job: finishes payouts left pending by an earlier run, then pays out creator
+// balances of at least MIN_PAYOUT_AMOUNT per currency
+async function processPayouts({ limit = 100, dryRun = false } = {}) {
+  const prefix = payableAccount('');
+  const res = await db.query(
+    `SELECT account, currency, SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) AS balance
+     FROM ledger_entries
+     WHERE account LIKE $1 || '%'
+     GROUP BY account, currency
+     HAVING SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) >= $2
+     ORDER BY account ASC
+     LIMIT $3`,
+    [prefix, MIN_PAYOUT_AMOUNT, limit]
+  );
+  const due = res.rows.map(r => ({ creatorId: r.account.slice(prefix.length), currency: r.currency, amount: parseFloat(r.balance) }));
+  if (dryRun) return { paid: [], failed: [], due };
+
+  const provider = getPaymentProvider();
+  const paid = [];
+  const failed = [];
+  const settle = async (payout) => {
+    const outcome = await settlePayout(provider, payout);
+    if (outcome.transaction) paid.push(outcome.transaction);
+    else failed.push(outcome.failed);
+  };
+  const pendingRes = await db.query("SELECT * FROM payouts WHERE status = 'pending' ORDER BY id ASC LIMIT $1", [limit]);
+  for (const payout of pendingRes.rows) {
+    await settle(payout);
+  }
+  for (const item of due) {
+    const payout = await reservePayout(item.creatorId, item.currency, provider.name);
+    if (payout) await settle(payout);
+  }
+  return { paid, failed, due };
+}
+
+// A creator's releases (earnings) and payouts with their current balance per currency
+async function getPayoutHistory(creatorId, { type, page = 1, limit = 20 } = {}) {
+  const types = type ? [type] : ['release', 'payout'];
+  const account = payableAccount(creatorId);
+  const [countRes, rowsRes, balanceRes] = await Promise.all([
+    db.query('SELECT COUNT(*)::int AS total FROM ledger_transactions WHERE creator_id = $1 AND type = ANY($2)', [creatorId, types]),
+    db.query(
+      `SELECT t.*, c.title AS collaboration_title,
+              (SELECT e.amount FROM ledger_entries e WHERE e.transaction_id = t.id AND e.account = $3 LIMIT 1) AS creator_amount
+       FROM ledger_transactions t
+       LEFT JOIN collaborations c ON c.id = t.collaboration_id
+       WHERE t.creator_id = $1 AND t.type = ANY($2)
+       ORDER BY t.created_at DESC, t.id DESC
+       LIMIT $4 OFFSET $5`,
+      [creatorId, types, account, limit, (page - 1) * limit]
+    ),
+    db.query(
+      `SELECT currency, SUM(CASE WHEN direction = 'credit' THEN amount ELSE -amount END) AS balance
+       FROM ledger_entries WHERE account = $1 GROUP BY currency`,
+      [account]
+    )
+  ]);
+  return {
+    transactions: rowsRes.rows.map(r => ({
+      ...mapTransaction(r),
+      collaborationTitle: r.collaboration_title || null,
+      // What the creator receives: net of fees for releases, the amount sent for payouts
+      creatorAmount: r.creator_amount === null ? null : parseFloat(r.creator_amount),
+    })),
+    balances: Object.fromEntries(balanceRes.rows.map(r => [r.currency, parseFloat(r.balance)])),
+    total: countRes.rows[0].total,
+  };
+}
+
+async function getTransaction(transactionId) {
+  const [res, entriesRes] = await Promise.all([
+    db.query('SELECT * FROM ledger_transactions WHERE id = $1 LIMIT 1', [transactionId]),
+    db.query('SELECT * FROM ledger_entries WHERE transaction_id = $1 ORDER BY id ASC', [transactionId])
+  ]);
+  return res.rows[0] ? mapTransaction(res.rows[0], entriesRes.rows) : null;
+}
+
+// Releases are invoiced by the creator to the brand; deposits, refunds and payouts get receipts
+function documentFor(transaction) {
+  const kind = transaction.type === 'release' ? 'invoice' : 'receipt';
+  return { kind, number: `${kind === 'invoice' ? 'INV' : 'RCT'}-${String(transaction.id).padStart(6, '0')}` };
+}
+
+const money = (amount, currency) => `${Number(amount).toFixed(2)} ${currency}`;
+
+async function renderTransactionDocument(transaction) {
+  const { kind, number } = documentFor(transaction);
+  const [usersRes, collaborationRes] = await Promise.all([
+    db.query('SELECT uid, display_name, email FROM users WHERE uid = ANY($1)', [[transaction.creatorId, transaction.brandId].filter(Boolean)]),
+    db.query('SELECT title FROM collaborations WHERE id = $1', [transaction.collaborationId])
+  ]);
+  const nameOf = (uid) => {
+    const user = usersRes.rows.find(u => u.uid === uid);
+    return user ? user.display_name || user.email : uid;
+  };
+  const creatorName = nameOf(transaction.creatorId);
+  const brandName = transaction.brandId ? nameOf(transaction.brandId) : null;
+  const collaborationTitle = collaborationRes.rows[0]?.title || null;
+  const titles = {
+    release: 'Invoice',
+    deposit: 'Payment receipt',
+    refund: 'Refund receipt',
+    payout: 'Payout receipt',
+  };
+  const blocks = [
+    { text: 'Buzzaz', size: 20, bold: true },
+    { text: `${titles[transaction.type]} ${number}`, size: 14, bold: true, gap: 12 },
+    { columns: [[0, 'Date'], [140, new Date(transaction.createdAt).toISOString().slice(0, 10)]], gap: 8 },
+  ];
+  if (collaborationTitle) blocks.push({ columns: [[0, 'Collaboration'], [140, collaborationTitle]] });
+  if (transaction.type === 'release' || transaction.type === 'payout') blocks.push({ columns: [[0, 'Creator'], [140, creatorName || transaction.creatorId]] });
+  if (transaction.type !== 'payout') blocks.push({ columns: [[0, 'Brand'], [140, brandName || transaction.brandId || '-']] });
+  if (transaction.providerReference) blocks.push({ columns: [[0, 'Reference'], [140, transaction.providerReference]] });
+
+  blocks.push({ columns: [[0, 'Description'], [380, 'Amount']], bold: true, gap: 16 });
+  if (transaction.type === 'release') {
+    const net = creatorAmount(transaction) || 0;
+    const fee = transaction.entries.find(e => e.account === PLATFORM_REVENUE)?.amount || 0;
+    blocks.push({ columns: [[0, transaction.memo], [380, money(transaction.amount, transaction.currency)]] });
+    blocks.push({ columns: [[0, `Platform fee (${PLATFORM_FEE_PERCENT}%)`], [380, `-${money(fee, transaction.currency)}`]] });
+    blocks.push({ columns: [[0, 'Paid to creator'], [380, money(net, transaction.currency)]], bold: true, gap: 4 });
+  } else {
+    blocks.push({ columns: [[0, transaction.memo || titles[transaction.type]], [380, money(transaction.amount, transaction.currency)]] });
+    blocks.push({ columns: [[0, 'Total'], [380, money(transaction.amount, transaction.currency)]], bold: true, gap: 4 });
+  }
+  blocks.push({ text: kind === 'invoice'
+    ? 'Paid from funds the brand deposited in escrow for this collaboration.'
+    : 'This receipt was generated from the Buzzaz payments ledger.', size: 8, gap: 24 });
+  return { kind, number, pdf: renderPdf(blocks) };
+}
+
+module.exports = {
+  TRANSACTION_TYPES,
+  PLATFORM_FEE_PERCENT,
+  MIN_PAYOUT_AMOUNT,
+  getEscrowSummary,
+  deposit,
+  releaseForDeliverable,
+  releaseApprovedDeliverables,
+  releaseDueMilestones,
+  refund,
+  heldInEscrow,
+  processPayouts,
+  getPayoutHistory,
+  getTransaction,
+  creatorAmount,
+  renderTransactionDocument,
+};
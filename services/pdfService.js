@@ -0,0 +1,70 @@
+// Minimal PDF writer for generated documents (invoices, receipts): A4 pages of
+// Helvetica text, no images. Characters outside Latin-1 are replaced with "?".
+const PAGE_WIDTH = 595;
+const PAGE_HEIGHT = 842;
+const MARGIN = 56;
+
+function escapeText(text) {
+  return String(text ?? '')
+    .replace(/[^\x20-\xff]/g, '?')
+    .replace(/\\/g, '\\\\')
+    .replace(/\(/g, '\\(')
+    .replace(/\)/g, '\\)');
+}
+
+// blocks: { text, size, bold, gap } lines, or { columns: [[x, text], ...], size, bold }
+// rows, laid out top to bottom with a new page when the current one is full
+function layoutPages(blocks) {
+  const pages = [[]];
+  let y = PAGE_HEIGHT - MARGIN;
+  for (const block of blocks) {
+    const size = block.size || 10;
+    y -= (block.gap || 0) + size * 1.5;
+    if (y < MARGIN) {
+      pages.push([]);
+      y = PAGE_HEIGHT - MARGIN - size * 1.5;
+    }
+    const font = block.bold ? 'F2' : 'F1';
+    const columns = block.columns || [[0, block.text]];
+    for (const [x, text] of columns) {
+      pages[pages.length - 1].push(`BT /${font} ${size} Tf ${MARGIN + x} ${y.toFixed(2)} Td (${escapeText(text)}) Tj ET`);
+    }
+  }
+  return pages.map(ops => ops.join('\n'));
+}
+
+function renderPdf(blocks) {
+  const pages = layoutPages(blocks);
+  const objects = [];
+  const add = (body) => {
+    objects.push(body);
+    return objects.length;
+  };
+
+  const catalogId = add(null);
+  const pagesId = add(null);
+  const regularId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica /Encoding /WinAnsiEncoding >>');
+  const boldId = add('<< /Type /Font /Subtype /Type1 /BaseFont /Helvetica-Bold /Encoding /WinAnsiEncoding >>');
+  const pageIds = pages.map((content) => {
+    const stream = Buffer.from(content, 'latin1');
+    const contentId = add(`<< /Length ${stream.length} >>\nstream\n${content}\nendstream`);
+    return add(`<< /Type /Page /Parent ${pagesId} 0 R /MediaBox [0 0 ${PAGE_WIDTH} ${PAGE_HEIGHT}] `
+      + `/Resources << /Font << /F1 ${regularId} 0 R /F2 ${boldId} 0 R >> >> /Contents ${contentId} 0 R >>`);
+  });
+  objects[catalogId - 1] = `<< /Type /Catalog /Pages ${pagesId} 0 R >>`;
+  objects[pagesId - 1] = `<< /Type /Pages /Kids [${pageIds.map(id => `${id} 0 R`).join(' ')}] /Count ${pageIds.length} >>`;
+
+  let pdf = '%PDF-1.4\n';
+  const offsets = [];
+  objects.forEach((body, i) => {
+    offsets.push(Buffer.byteLength(pdf, 'latin1'));
+    pdf += `${i + 1} 0 obj\n${body}\nendobj\n`;
+  });
+  const xrefOffset = Buffer.byteLength(pdf, 'latin1');
+  pdf += `xref\n0 ${objects.length + 1}\n0000000000 65535 f \n`;
+  pdf += offsets.map(o => `${String(o).padStart(10, '0')} 00000 n \n`).join('');
+  pdf += `trailer\n<< /Size ${objects.length + 1} /Root ${catalogId} 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`;
+  return Buffer.from(pdf, 'latin1');
+}
+
+module.exports = { renderPdf };
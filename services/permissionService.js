@@ -0,0 +1,209 @@
+const db = require('./db');
+
+// Every permission the backend checks. Keys are stored in role_permissions.
+const PERMISSIONS = {
+  'admin.access': 'Open the admin console',
+  'users.read': 'View users, their profiles, statistics and sessions',
+  'users.suspend': 'Activate or suspend accounts',
+  'users.unlock': 'Lift login lockouts',
+  'users.sessions.revoke': 'Sign users out of their sessions',
+  'users.sponsor': 'Add or remove users from the sponsored list',
+  'users.edit': 'Edit user profiles, emails and roles',
+  'users.change_password': 'Set another user\'s password',
+  'users.delete': 'Delete user accounts',
+  'users.impersonate': 'View the app as another user (read-only)',
+  'permissions.manage': 'Change which permissions each role has',
+  'audit.read': 'Search and export the audit log',
+  'moderation.review': 'Review flagged chat messages and warn or suspend senders',
+  'moderation.rules.manage': 'Edit the chat contact-info filter rules',
+  'retention.manage': 'Change how long chat messages and attachments are kept',
+  'payments.manage': 'Refund money held in collaboration escrow',
+  'chat.start': 'Start conversations',
+  'chat.contact_creators': 'Start conversations with influencers and UGC creators',
+  'chat.contact_brands': 'Start conversations with brands',
+  'influencers.browse': 'Browse and search influencers',
+  'brands.browse': 'List brands available to chat with',
+  'organizations.create': 'Create a brand organization',
+  'campaigns.manage': 'Publish campaigns and review their applicants',
+  'campaigns.apply': 'Discover and apply to campaigns',
+};
+
+const ALL_PERMISSIONS = Object.keys(PERMISSIONS);
+
+// Grants of each key until it is seeded into role_permissions
+const DEFAULT_ROLE_PERMISSIONS = {
+  admin: ALL_PERMISSIONS,
+  support: ['admin.access', 'users.read', 'users.suspend', 'users.unlock', 'users.sessions.revoke', 'users.impersonate', 'moderation.review'],
+  brand: ['chat.start', 'chat.contact_creators', 'influencers.browse', 'organizations.create', 'campaigns.manage'],
+  influencer: ['chat.start', 'chat.contact_brands', 'brands.browse', 'campaigns.apply'],
+  ugc_creator: ['chat.start', 'chat.contact_brands', 'brands.browse', 'campaigns.apply'],
+  content_creator: [],
+};
+
+// content_creator accounts that have not picked a final role yet act as both creator roles
+const ROLE_ALIASES = {
+  content_creator: ['influencer', 'ugc_creator'],
+};
+
+// Which side of a brand↔creator conversation each role is on
+const CHAT_PARTIES = {
+  brand: 'brand',
+  influencer: 'creator',
+  ugc_creator: 'creator',
+};
+
+const CACHE_TTL_MS = parseInt(process.env.PERMISSIONS_CACHE_TTL_MS || '60000', 10);
+let cache = null;
+let cacheLoadedAt = 0;
+
+function effectiveRoles(role) {
+  return [role, ...(ROLE_ALIASES[role] || [])];
+}
+
+// Stored grants win for keys that have been seeded (recorded in permission_seeded_keys);
+// keys added to the registry since fall back to their default grants. Revoking a key from
+// every role therefore sticks.
+function mergeRolePermissions(rows, seededKeys) {
+  const map = {};
+  const seeded = new Set(seededKeys);
+  for (const row of rows) {
+    if (!map[row.role]) map[row.role] = new Set();
+    map[row.role].add(row.permission);
+  }
+  for (const [role, perms] of Object.entries(DEFAULT_ROLE_PERMISSIONS)) {
+    for (const p of perms) {
+      if (seeded.has(p)) continue;
+      if (!map[role]) map[role] = new Set();
+      map[role].add(p);
+    }
+  }
+  return map;
+}
+
+async function readRolePermissions(client) {
+  const [grants, seeded] = await Promise.all([
+    client.query('SELECT role, permission FROM role_permissions'),
+    client.query('SELECT permission FROM permission_seeded_keys'),
+  ]);
+  return mergeRolePermissions(grants.rows, seeded.rows.map(r => r.permission));
+}
+
+async function loadRolePermissions() {
+  if (cache && Date.now() - cacheLoadedAt < CACHE_TTL_MS) return cache;
+  cache = await readRolePermissions(db);
+  cacheLoadedAt = Date.now();
+  return cache;
+}
+
+function clearCache() {
+  cache = null;
+  cacheLoadedAt = 0;
+}
+
+async function getPermissionsForRole(role) {
+  const map = await loadRolePermissions();
+  const perms = new Set();
+  for (const r of effectiveRoles(role)) {
+    for (const p of map[r] || []) perms.add(p);
+  }
+  return perms;
+}
+
+async function hasPermission(role, permission) {
+  const perms = await getPermissionsForRole(role);
+  return perms.has(permission);
+}
+
+async function hasAllPermissions(role, permissions) {
+  const perms = await getPermissionsForRole(role);
+  return permissions.every(p => perms.has(p));
+}
+
+// Brand↔creator pairing rule for starting conversations
+async function canStartConversation(initiatorRole, participantRole) {
+  const perms = await getPermissionsForRole(initiatorRole);
+  if (!perms.has('chat.start')) return false;
+  const party = CHAT_PARTIES[participantRole];
+  if (party === 'creator') return perms.has('chat.contact_creators');
+  if (party === 'brand') return perms.has('chat.contact_brands');
+  return false;
+}
+
+function getChatParty(role) {
+  return CHAT_PARTIES[role] || null;
+}
+
+// A conversation needs both a brand and a creator, so creators are never alone
+// together and brands only talk among themselves with a creator in the thread
+function isValidConversationMix(roles) {
+  const parties = roles.map(getChatParty);
+  if (parties.some(p => p === null)) return false;
+  return parties.includes('brand') && parties.includes('creator');
+}
+
+// Starting or growing a group: the initiator must be allowed to reach the other side
+async function canStartGroupConversation(initiatorRole, participantRoles) {
+  if (!isValidConversationMix([initiatorRole, ...participantRoles])) return false;
+  const perms = await getPermissionsForRole(initiatorRole);
+  if (!perms.has('chat.start')) return false;
+  const initiatorParty = getChatParty(initiatorRole);
+  return perms.has(initiatorParty === 'brand' ? 'chat.contact_creators' : 'chat.contact_brands');
+}
+
+async function getRolePermissionMap() {
+  const map = await loadRolePermissions();
+  return Object.fromEntries(Object.entries(map).map(([role, perms]) => [role, Array.from(perms).sort()]));
+}
+
+async function setRolePermissions(role, permissions) {
+  const unknown = permissions.filter(p => !PERMISSIONS[p]);
+  if (unknown.length > 0) {
+    const err = new Error(`Unknown permissions: ${unknown.join(', ')}`);
+    err.code = 'UNKNOWN_PERMISSION';
+    throw err;
+  }
+  const client = await db.getClient();
+  try {
+    await client.query('BEGIN');
+    // Persist the effective grants and mark every key seeded first, so other roles keep
+    // the defaults they inherit and keys this role gives up are not granted again
+    const effective = await readRolePermissions(client);
+    for (const [r, perms] of Object.entries(effective)) {
+      for (const p of perms) {
+        await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING', [r, p]);
+      }
+    }
+    for (const p of ALL_PERMISSIONS) {
+      await client.query('INSERT INTO permission_seeded_keys (permission) VALUES ($1) ON CONFLICT DO NOTHING', [p]);
+    }
+    await client.query('DELETE FROM role_permissions WHERE role = $1', [role]);
+    for (const p of permissions) {
+      await client.query('INSERT INTO role_permissions (role, permission) VALUES ($1, $2) ON CONFLICT DO NOTHING', [role, p]);
+    }
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  clearCache();
+  return getPermissionsForRole(role);
+}
+
+module.exports = {
+  PERMISSIONS,
+  DEFAULT_ROLE_PERMISSIONS,
+  ROLE_ALIASES,
+  effectiveRoles,
+  getPermissionsForRole,
+  hasPermission,
+  hasAllPermissions,
+  canStartConversation,
+  getChatParty,
+  isValidConversationMix,
+  canStartGroupConversation,
+  getRolePermissionMap,
+  setRolePermissions,
+  clearCache,
+};
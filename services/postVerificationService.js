@@ -0,0 +1,371 @@
+const db = require('./db');
+const { scrapeInstagramComplete } = require('./apifyService');
+const { saveInstagramReelData } = require('./postgresInstagram');
+const collaborationService = require('./collaborationService');
+const { notify } = require('./notificationService');
+
+// Published Instagram posts linked to deliverables. A post is checked against the
+// creator's scraped reels (instagram_reels) and, once verified, its metrics are
+// snapshotted for POST_TRACKING_DAYS for the brand's performance report.
+const POST_STATUSES = ['pending', 'not_found', 'failed', 'verified'];
+const TRACKING_DAYS = parseInt(process.env.POST_TRACKING_DAYS || '30', 10);
+// Days after the deliverable's due date a post still counts as on time
+const WINDOW_GRACE_DAYS = parseInt(process.env.POST_WINDOW_GRACE_DAYS || '7', 10);
+const SNAPSHOT_INTERVAL_HOURS = parseInt(process.env.POST_SNAPSHOT_INTERVAL_HOURS || '20', 10);
+const SCRAPE_TIMEOUT_MS = 30000;
+
+function failure(code) {
+  const e = new Error(code);
+  e.code = code;
+  return e;
+}
+
+// Accepts https://www.instagram.com/p/<code>/, /reel/<code>/, /<user>/reel/<code> or the bare shortcode
+function parseShortCode(input) {
+  const value = String(input || '').trim();
+  const fromUrl = value.match(/instagram\.com\/(?:[A-Za-z0-9._]+\/)?(?:p|reel|reels|tv)\/([A-Za-z0-9_-]+)/i);
+  if (fromUrl) return fromUrl[1];
+  return /^[A-Za-z0-9_-]{5,40}$/.test(value) ? value : null;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function toList(value) {
+  if (Array.isArray(value)) return value;
+  if (typeof value === 'string') {
+    try {
+      const parsed = JSON.parse(value);
+      return Array.isArray(parsed) ? parsed : [];
+    } catch (err) {
+      return [];
+    }
+  }
+  return [];
+}
+
+function mapSnapshot(row) {
+  return {
+    viewsCount: row.views_count,
+    likesCount: row.likes_count,
+    commentsCount: row.comments_count,
+    capturedAt: row.captured_at,
+  };
+}
+
+function mapPost(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    collaborationId: row.collaboration_id,
+    deliverableId: row.deliverable_id,
+    creatorId: row.creator_id,
+    shortCode: row.short_code,
+    postUrl: row.post_url,
+    linkedBy: row.linked_by,
+    status: row.status,
+    checks: row.checks || [],
+    postedAt: row.posted_at,
+    lastCheckedAt: row.last_checked_at,
+    verifiedAt: row.verified_at,
+    trackingUntil: row.tracking_until,
+    lastSnapshotAt: row.last_snapshot_at,
+    createdAt: row.created_at,
+  };
+}
+
+// Newest scraped copy of the reel; each refresh may add a fresh row
+async function findReel(creatorId, shortCode) {
+  const res = await db.query(
+    'SELECT * FROM instagram_reels WHERE uid = $1 AND short_code = $2 ORDER BY id DESC LIMIT 1',
+    [creatorId, shortCode]
+  );
+  return res.rows[0] || null;
+}
+
+// Each requirement becomes a check; the post is verified when all of them pass
+function checkReel(reel, requirements) {
+  const caption = String(reel.caption || '').toLowerCase();
+  const mentions = toList(reel.mentions).map(m => String(m).replace(/^@+/, '').toLowerCase());
+  const hashtags = toList(reel.hashtags).map(h => String(h).replace(/^#+/, '').toLowerCase());
+  const checks = [];
+
+  for (const handle of requirements.requiredMentions) {
+    const passed = mentions.includes(handle) || new RegExp(`@${escapeRegExp(handle)}(?![\\w.])`).test(caption);
+    checks.push({ check: 'mention', expected: `@${handle}`, passed });
+  }
+  for (const tag of requirements.requiredHashtags) {
+    const passed = hashtags.includes(tag) || new RegExp(`#${escapeRegExp(tag)}(?!\\w)`).test(caption);
+    checks.push({ check: 'hashtag', expected: `#${tag}`, passed });
+  }
+  if (requirements.requireSponsoredTag) {
+    checks.push({ check: 'sponsored', expected: true, actual: !!reel.is_sponsored, passed: !!reel.is_sponsored });
+  }
+
+  const postedAt = reel.timestamp ? new Date(reel.timestamp) : null;
+  const { windowStart, windowEnd } = requirements;
+  const inWindow = !!postedAt && postedAt >= windowStart && (!windowEnd || postedAt <= windowEnd);
+  checks.push({
+    check: 'timestamp',
+    expected: { from: windowStart.toISOString(), to: windowEnd ? windowEnd.toISOString() : null },
+    actual: postedAt ? postedAt.toISOString() : null,
+    passed: inWindow,
+  });
+  return checks;
+}
+
+// Posting window: from the start of the collaboration to the due date plus grace days
+async function loadRequirements(post) {
+  const res = await db.query(
+    `SELECT d.required_hashtags, d.required_mentions, d.require_sponsored_tag, d.due_date, c.created_at AS collaboration_created_at
+     FROM collaboration_deliverables d JOIN collaborations c ON c.id = d.collaboration_id
+     WHERE d.id = $1`,
+    [post.deliverable_id]
+  );
+  const row = res.rows[0];
+  const windowStart = new Date(row.collaboration_created_at);
+  windowStart.setUTCHours(0, 0, 0, 0);
+  let windowEnd = null;
+  if (row.due_date) {
+    const due = row.due_date instanceof Date ? row.due_date.toISOString().slice(0, 10) : String(row.due_date).slice(0, 10);
+    windowEnd = new Date(`${due}T23:59:59.999Z`);
+    windowEnd.setUTCDate(windowEnd.getUTCDate() + WINDOW_GRACE_DAYS);
+  }
+  return {
+    requiredHashtags: row.required_hashtags || [],
+    requiredMentions: row.required_mentions || [],
+    requireSponsoredTag: !!row.require_sponsored_tag,
+    windowStart,
+    windowEnd,
+  };
+}
+
+async function takeSnapshot(post, reel) {
+  await db.query(
+    `INSERT INTO post_metric_snapshots (post_id, views_count, likes_count, comments_count, captured_at)
+     VALUES ($1, $2, $3, $4, NOW())`,
+    [post.id, reel.views_count || 0, reel.likes_count || 0, reel.comments_count || 0]
+  );
+  await db.query('UPDATE published_posts SET last_snapshot_at = NOW() WHERE id = $1', [post.id]);
+}
+
+// Checks the post against the stored reels. Verified posts stay verified and start
+// their tracking period with a first snapshot. Returns the post and whether its status changed.
+async function verifyPost(postRow) {
+  if (postRow.status === 'verified') return { post: mapPost(postRow), changed: false };
+  const reel = await findReel(postRow.creator_id, postRow.short_code);
+  let status = 'not_found';
+  let checks = [];
+  if (reel) {
+    checks = checkReel(reel, await loadRequirements(postRow));
+    status = checks.every(c => c.passed) ? 'verified' : 'failed';
+  }
+  const res = await db.query(
+    `UPDATE published_posts SET
+       status = $2,
+       checks = $3,
+       posted_at = $4,
+       last_checked_at = NOW(),
+       verified_at = CASE WHEN $2 = 'verified' THEN NOW() ELSE NULL END,
+       tracking_until = CASE WHEN $2 = 'verified' THEN NOW() + ($5 || ' days')::interval ELSE NULL END
+     WHERE id = $1
+     RETURNING *`,
+    [postRow.id, status, JSON.stringify(checks), reel?.timestamp || null, String(TRACKING_DAYS)]
+  );
+  const updated = res.rows[0];
+  if (status === 'verified') await takeSnapshot(updated, reel);
+  return { post: mapPost(updated), changed: status !== postRow.status };
+}
+
+// Links (or re-links) the published post for a deliverable and checks it right away.
+// Re-linking starts over, dropping earlier checks and snapshots.
+async function linkPost(collaboration, deliverable, linkedBy, { postUrl }) {
+  const shortCode = parseShortCode(postUrl);
+  if (!shortCode) throw failure('INVALID_POST_URL');
+  const url = /^https?:\/\//i.test(String(postUrl).trim()) ? String(postUrl).trim() : `https://www.instagram.com/p/${shortCode}/`;
+  const client = await db.getClient();
+  let row;
+  try {
+    await client.query('BEGIN');
+    await client.query('DELETE FROM published_posts WHERE deliverable_id = $1', [deliverable.id]);
+    const res = await client.query(
+      `INSERT INTO published_posts (collaboration_id, deliverable_id, creator_id, short_code, post_url, linked_by, status, checks, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', '[]', NOW())
+       RETURNING *`,
+      [collaboration.id, deliverable.id, collaboration.creatorId, shortCode, url, linkedBy]
+    );
+    row = res.rows[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  return verifyPost(row);
+}
+
+async function getPostRow(deliverableId) {
+  const res = await db.query('SELECT * FROM published_posts WHERE deliverable_id = $1 LIMIT 1', [deliverableId]);
+  return res.rows[0] || null;
+}
+
+async function recheckPost(deliverableId) {
+  const row = await getPostRow(deliverableId);
+  if (!row) throw failure('POST_NOT_LINKED');
+  return verifyPost(row);
+}
+
+// deliverable id -> linked post, for decorating deliverable lists
+async function getPostsForCollaboration(collaborationId) {
+  const res = await db.query('SELECT * FROM published_posts WHERE collaboration_id = $1', [collaborationId]);
+  return Object.fromEntries(res.rows.map(r => [r.deliverable_id, mapPost(r)]));
+}
+
+// Tells the creator and the brand team when a post passes or fails its checks
+async function notifyCheckResults(results) {
+  for (const { post, changed } of results) {
+    if (!changed || !['verified', 'failed'].includes(post.status)) continue;
+    const collaboration = await collaborationService.getCollaboration(post.collaborationId);
+    const deliverable = collaboration && await collaborationService.getDeliverable(collaboration.id, post.deliverableId);
+    if (!deliverable) continue;
+    await notify([collaboration.creatorId, ...(await collaborationService.getBrandRecipients(collaboration))], 'post.checked', {
+      collaborationId: collaboration.id,
+      deliverableId: deliverable.id,
+      label: deliverable.label,
+      status: post.status
+    });
+  }
+}
+
+// Posts still waiting on a match are re-checked for the length of the tracking period
+const AWAITING_MATCH = `status IN ('pending', 'not_found', 'failed') AND created_at > NOW() - ($1 || ' days')::interval`;
+
+// Called after a creator's reels were refreshed
+async function verifyPendingPostsForCreator(creatorId) {
+  const res = await db.query(`SELECT * FROM published_posts WHERE creator_id = $2 AND ${AWAITING_MATCH}`, [String(TRACKING_DAYS), creatorId]);
+  const results = [];
+  for (const row of res.rows) {
+    results.push(await verifyPost(row));
+  }
+  return results;
+}
+
+async function refreshCreatorReels(creatorId) {
+  const profileRes = await db.query('SELECT username FROM instagram_profiles WHERE uid = $1 ORDER BY last_updated DESC NULLS LAST LIMIT 1', [creatorId]);
+  const username = profileRes.rows[0]?.username;
+  if (!username) throw new Error('Instagram username not connected');
+  const timeout = new Promise((_, reject) => {
+    setTimeout(() => reject(new Error('Instagram fetch timeout')), SCRAPE_TIMEOUT_MS);
+  });
+  const data = await Promise.race([scrapeInstagramComplete(username), timeout]);
+  await saveInstagramReelData(creatorId, username, data.reels || []);
+}
+
+// Scheduled job: refresh the reels of creators with posts to verify or snapshot, then
+// verify what is pending and snapshot verified posts still inside their tracking period.
+async function trackPublishedPosts({ limit = 20, dryRun = false } = {}) {
+  const res = await db.query(
+    `SELECT * FROM published_posts
+     WHERE (${AWAITING_MATCH})
+        OR (status = 'verified' AND tracking_until > NOW()
+            AND (last_snapshot_at IS NULL OR last_snapshot_at < NOW() - ($2 || ' hours')::interval))
+     ORDER BY last_checked_at ASC NULLS FIRST`,
+    [String(TRACKING_DAYS), String(SNAPSHOT_INTERVAL_HOURS)]
+  );
+  const byCreator = new Map();
+  for (const row of res.rows) {
+    if (!byCreator.has(row.creator_id)) byCreator.set(row.creator_id, []);
+    byCreator.get(row.creator_id).push(row);
+  }
+  const creators = Array.from(byCreator.keys()).slice(0, limit);
+  const summary = { creators: creators.length, refreshFailed: [], checked: [], snapshots: 0, dryRun };
+  if (dryRun) {
+    summary.posts = creators.reduce((n, c) => n + byCreator.get(c).length, 0);
+    return summary;
+  }
+
+  for (const creatorId of creators) {
+    try {
+      await refreshCreatorReels(creatorId);
+    } catch (err) {
+      console.error('Reel refresh failed during post tracking:', creatorId, err.message);
+      summary.refreshFailed.push(creatorId);
+      continue;
+    }
+    for (const row of byCreator.get(creatorId)) {
+      if (row.status !== 'verified') {
+        summary.checked.push(await verifyPost(row));
+        continue;
+      }
+      const reel = await findReel(row.creator_id, row.short_code);
+      if (reel) {
+        await takeSnapshot(row, reel);
+        summary.snapshots += 1;
+      }
+    }
+  }
+  return summary;
+}
+
+// Per-post metrics over the tracking period with totals across posts
+async function getPerformanceReport(collaborationIds) {
+  if (collaborationIds.length === 0) return { posts: [], totals: { viewsCount: 0, likesCount: 0, commentsCount: 0 } };
+  const [postsRes, snapshotsRes] = await Promise.all([
+    db.query(
+      `SELECT p.*, d.label AS deliverable_label, c.title AS collaboration_title
+       FROM published_posts p
+       JOIN collaboration_deliverables d ON d.id = p.deliverable_id
+       JOIN collaborations c ON c.id = p.collaboration_id
+       WHERE p.collaboration_id = ANY($1)
+       ORDER BY p.created_at ASC`,
+      [collaborationIds]
+    ),
+    db.query(
+      `SELECT s.* FROM post_metric_snapshots s
+       JOIN published_posts p ON p.id = s.post_id
+       WHERE p.collaboration_id = ANY($1)
+       ORDER BY s.captured_at ASC`,
+      [collaborationIds]
+    )
+  ]);
+  const totals = { viewsCount: 0, likesCount: 0, commentsCount: 0 };
+  const posts = postsRes.rows.map((row) => {
+    const snapshots = snapshotsRes.rows.filter(s => s.post_id === row.id).map(mapSnapshot);
+    const first = snapshots[0] || null;
+    const latest = snapshots[snapshots.length - 1] || null;
+    if (latest) {
+      totals.viewsCount += latest.viewsCount;
+      totals.likesCount += latest.likesCount;
+      totals.commentsCount += latest.commentsCount;
+    }
+    return {
+      ...mapPost(row),
+      deliverableLabel: row.deliverable_label,
+      collaborationTitle: row.collaboration_title,
+      latest,
+      growth: first && latest ? {
+        viewsCount: latest.viewsCount - first.viewsCount,
+        likesCount: latest.likesCount - first.likesCount,
+        commentsCount: latest.commentsCount - first.commentsCount,
+      } : null,
+      snapshots,
+    };
+  });
+  return { posts, totals };
+}
+
+module.exports = {
+  POST_STATUSES,
+  TRACKING_DAYS,
+  parseShortCode,
+  checkReel,
+  linkPost,
+  recheckPost,
+  getPostsForCollaboration,
+  verifyPendingPostsForCreator,
+  trackPublishedPosts,
+  getPerformanceReport,
+  notifyCheckResults,
+};
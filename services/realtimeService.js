@@ -0,0 +1,291 @@
+const crypto = require('crypto');
+const db = require('./db');
+
+// Push delivery for chat. Browsers hold a Server-Sent Events stream open on one
+// instance; events are fanned out to every instance through a transport (Postgres
+// LISTEN/NOTIFY by default) and each instance writes them to its local streams.
+
+const CHANNEL = 'chat_events';
+// NOTIFY payloads are capped at 8000 bytes
+const MAX_NOTIFY_BYTES = 7500;
+const HEARTBEAT_MS = parseInt(process.env.REALTIME_HEARTBEAT_MS || '25000', 10);
+// A user counts as online while any instance has refreshed their presence row this recently
+const PRESENCE_STALE_SECONDS = 90;
+
+const instanceId = `inst_${crypto.randomBytes(6).toString('hex')}`;
+
+// uid -> Set of { uid, organizationId, send, ping, trackPresence, revalidate, close }
+const localClients = new Map();
+let transport = null;
+let transportReady = null;
+let heartbeatTimer = null;
+
+function deliverLocally(event) {
+  const recipients = new Set(event.recipients || []);
+  for (const clients of localClients.values()) {
+    for (const client of clients) {
+      const addressed = recipients.has(client.uid)
+        || (event.organizationId && client.organizationId === event.organizationId);
+      if (addressed) {
+        client.send(event.type, event.data);
+      }
+    }
+  }
+}
+
+// Single-process transport for development and tests
+function createMemoryTransport() {
+  let handler = null;
+  return {
+    async subscribe(onEvent) { handler = onEvent; },
+    async publish(event) { if (handler) handler(event); },
+  };
+}
+
+function createPostgresTransport() {
+  let client = null;
+  let handler = null;
+
+  async function connect() {
+    client = db.createClient();
+    client.on('notification', (msg) => {
+      if (msg.channel !== CHANNEL || !handler) return;
+      try {
+        handler(JSON.parse(msg.payload));
+      } catch (err) {
+        console.error('Realtime notification parse error:', err);
+      }
+    });
+    client.on('error', (err) => {
+      console.error('Realtime listener error:', err);
+      client = null;
+      // Reconnect after a short pause; events published meanwhile are lost and
+      // clients resync through the REST endpoints when they reconnect
+      setTimeout(() => connect().catch(e => console.error('Realtime listener reconnect error:', e)), 5000).unref();
+    });
+    await client.connect();
+    await client.query(`LISTEN ${CHANNEL}`);
+  }
+
+  return {
+    async subscribe(onEvent) {
+      handler = onEvent;
+      await connect();
+    },
+    async publish(event) {
+      let payload = JSON.stringify(event);
+      if (Buffer.byteLength(payload) > MAX_NOTIFY_BYTES) {
+        // Too large to notify; tell clients what changed so they refetch it
+        payload = JSON.stringify({ ...event, data: { conversationId: event.data?.conversationId, truncated: true } });
+      }
+      await db.query('SELECT pg_notify($1, $2)', [CHANNEL, payload]);
+    },
+  };
+}
+
+// Swap the fan-out (e.g. for Redis pub/sub). Must be called before the first stream opens.
+function setTransport(customTransport) {
+  transport = customTransport;
+  transportReady = null;
+}
+
+function ensureTransport() {
+  if (!transportReady) {
+    if (!transport) {
+      const kind = process.env.REALTIME_TRANSPORT || (process.env.DATABASE_URL ? 'postgres' : 'memory');
+      transport = kind === 'memory' ? createMemoryTransport() : createPostgresTransport();
+    }
+    transportReady = transport.subscribe(deliverLocally).catch((err) => {
+      transportReady = null;
+      throw err;
+    });
+  }
+  return transportReady;
+}
+
+// Publish an event to every listed user and, when organizationId is set, to every
+// member of that organization. Failures are logged; REST responses never depend on them.
+async function publish(type, { recipients = [], organizationId = null, data }) {
+  const event = { type, recipients, organizationId, data };
+  try {
+    await ensureTransport();
+    await transport.publish(event);
+  } catch (err) {
+    console.error('Realtime publish error:', type, err);
+    // Still reach clients connected to this instance
+    deliverLocally(event);
+  }
+}
+
+// Users who share at least one conversation with uid
+async function getContacts(uid) {
+  const res = await db.query(
+    `SELECT DISTINCT p AS uid
+     FROM conversations c, unnest(c.participants) AS p
+     WHERE $1 = ANY(c.participants) AND p <> $1`,
+    [uid]
+  );
+  return res.rows.map(r => r.uid);
+}
+
+async function getOnlineUsers(uids) {
+  if (uids.length === 0) return [];
+  const res = await db.query(
+    `SELECT DISTINCT user_id FROM chat_presence
+     WHERE user_id = ANY($1) AND last_seen_at > NOW() - ($2 || ' seconds')::interval`,
+    [uids, String(PRESENCE_STALE_SECONDS)]
+  );
+  return res.rows.map(r => r.user_id);
+}
+
+async function markOnline(uid) {
+  await db.query(
+    `INSERT INTO chat_presence (user_id, instance_id, connected_at, last_seen_at)
+     VALUES ($1, $2, NOW(), NOW())
+     ON CONFLICT (user_id, instance_id) DO UPDATE SET last_seen_at = NOW()`,
+    [uid, instanceId]
+  );
+}
+
+async function markOffline(uid) {
+  await db.query('DELETE FROM chat_presence WHERE user_id = $1 AND instance_id = $2', [uid, instanceId]);
+  const stillOnline = await getOnlineUsers([uid]);
+  return stillOnline.length === 0;
+}
+
+async function announcePresence(uid, online) {
+  const contacts = await getContacts(uid);
+  if (contacts.length === 0) return;
+  await publish('presence', {
+    recipients: contacts,
+    data: { userId: uid, online, at: new Date().toISOString() },
+  });
+}
+
+// Ends a stream whose revalidate() names a reason (session revoked, membership changed, ...).
+// Check failures keep the stream open; the next heartbeat tries again.
+async function revalidateClient(client) {
+  try {
+    const reason = await client.revalidate();
+    if (reason) {
+      client.send('reauthenticate', { reason });
+      await client.close();
+    }
+  } catch (err) {
+    console.error('Stream revalidation error:', err);
+  }
+}
+
+function startHeartbeat() {
+  if (heartbeatTimer) return;
+  heartbeatTimer = setInterval(async () => {
+    const presentUids = [];
+    const checks = [];
+    for (const [uid, clients] of localClients) {
+      for (const client of clients) {
+        client.ping();
+        if (client.revalidate) checks.push(revalidateClient(client));
+      }
+      if ([...clients].some(c => c.trackPresence)) presentUids.push(uid);
+    }
+    await Promise.all(checks);
+    if (presentUids.length === 0) return;
+    try {
+      await db.query(
+        'UPDATE chat_presence SET last_seen_at = NOW() WHERE instance_id = $1 AND user_id = ANY($2)',
+        [instanceId, presentUids]
+      );
+    } catch (err) {
+      console.error('Presence heartbeat error:', err);
+    }
+  }, HEARTBEAT_MS);
+  heartbeatTimer.unref();
+}
+
+// Attach an SSE stream for `user` to the response. Returns a function that closes it.
+// `revalidate` runs on every heartbeat and returns a reason to end the stream, or null.
+async function openStream(req, res, user, { organizationId = null, expiresAt = null, revalidate = null } = {}) {
+  await ensureTransport();
+
+  res.status(200);
+  res.setHeader('Content-Type', 'text/event-stream');
+  res.setHeader('Cache-Control', 'no-cache, no-transform');
+  res.setHeader('Connection', 'keep-alive');
+  // Disable proxy buffering (nginx) so events are flushed immediately
+  res.setHeader('X-Accel-Buffering', 'no');
+  res.flushHeaders?.();
+
+  let eventId = 0;
+  const client = {
+    uid: user.uid,
+    organizationId,
+    // Impersonated streams see everything but never show the user as online
+    trackPresence: !user.impersonatedBy,
+    revalidate,
+    send(type, data) {
+      eventId += 1;
+      res.write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+    },
+    ping() {
+      res.write(': ping\n\n');
+    },
+  };
+
+  if (!localClients.has(user.uid)) localClients.set(user.uid, new Set());
+  const clients = localClients.get(user.uid);
+  const firstLocal = ![...clients].some(c => c.trackPresence);
+  clients.add(client);
+  startHeartbeat();
+
+  // The stream ends when the access token expires; the client reconnects with a fresh one
+  let expiryTimer = null;
+  let closed = false;
+  const close = async () => {
+    if (closed) return;
+    closed = true;
+    if (expiryTimer) clearTimeout(expiryTimer);
+    clients.delete(client);
+    if (clients.size === 0) localClients.delete(user.uid);
+    if (client.trackPresence && ![...clients].some(c => c.trackPresence)) {
+      try {
+        if (await markOffline(user.uid)) await announcePresence(user.uid, false);
+      } catch (err) {
+        console.error('Presence offline error:', err);
+      }
+    }
+    res.end();
+  };
+  client.close = close;
+  if (expiresAt) {
+    const ms = expiresAt.getTime() - Date.now();
+    expiryTimer = setTimeout(() => {
+      client.send('reauthenticate', { reason: 'token_expired' });
+      close();
+    }, Math.max(ms, 0));
+  }
+  req.on('close', close);
+
+  client.send('ready', { userId: user.uid, instanceId });
+
+  try {
+    if (client.trackPresence) {
+      await markOnline(user.uid);
+      if (firstLocal) await announcePresence(user.uid, true);
+    }
+    const contacts = await getContacts(user.uid);
+    const online = await getOnlineUsers(contacts);
+    client.send('presence.snapshot', { online });
+  } catch (err) {
+    console.error('Presence setup error:', err);
+  }
+
+  return close;
+}
+
+module.exports = {
+  publish,
+  openStream,
+  setTransport,
+  getOnlineUsers,
+  createMemoryTransport,
+};
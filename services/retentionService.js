@@ -0,0 +1,156 @@
+const db = require('./db');
+const { deleteBlobs } = require('./blob');
+const { previewText } = require('./chatAttachmentService');
+
+// How long chat content is kept, in days. null keeps it forever. Stored as a
+// single row in message_retention_policy; these defaults apply until an admin saves one.
+const DEFAULT_POLICY = {
+  messageDays: null,
+  attachmentDays: null,
+  deletedMessageDays: 30,
+};
+const POLICY_FIELDS = Object.keys(DEFAULT_POLICY);
+
+function mapPolicy(row) {
+  if (!row) return { ...DEFAULT_POLICY, updatedBy: null, updatedAt: null, isDefault: true };
+  return {
+    messageDays: row.message_days,
+    attachmentDays: row.attachment_days,
+    deletedMessageDays: row.deleted_message_days,
+    updatedBy: row.updated_by,
+    updatedAt: row.updated_at,
+    isDefault: false,
+  };
+}
+
+async function getPolicy() {
+  const res = await db.query('SELECT * FROM message_retention_policy LIMIT 1');
+  return mapPolicy(res.rows[0]);
+}
+
+// Fields left out keep their current value; null disables that purge
+async function updatePolicy(updates, updatedBy) {
+  for (const field of POLICY_FIELDS) {
+    const value = updates[field];
+    if (value !== undefined && value !== null && (!Number.isInteger(value) || value < 1 || value > 3650)) {
+      const e = new Error(`${field} must be a whole number of days between 1 and 3650, or null`);
+      e.code = 'INVALID_POLICY';
+      throw e;
+    }
+  }
+  const before = await getPolicy();
+  const next = Object.fromEntries(POLICY_FIELDS.map(f => [f, updates[f] !== undefined ? updates[f] : before[f]]));
+  const res = await db.query(
+    `INSERT INTO message_retention_policy (id, message_days, attachment_days, deleted_message_days, updated_by, updated_at)
+     VALUES (TRUE, $1, $2, $3, $4, NOW())
+     ON CONFLICT (id) DO UPDATE SET
+       message_days = EXCLUDED.message_days,
+       attachment_days = EXCLUDED.attachment_days,
+       deleted_message_days = EXCLUDED.deleted_message_days,
+       updated_by = EXCLUDED.updated_by,
+       updated_at = NOW()
+     RETURNING *`,
+    [next.messageDays, next.attachmentDays, next.deletedMessageDays, updatedBy]
+  );
+  return { before, after: mapPolicy(res.rows[0]) };
+}
+
+// Point the conversation preview at its newest remaining message
+async function refreshLastMessage(client, conversationId) {
+  const latestRes = await client.query(
+    `SELECT id, sender_id, message, timestamp FROM messages
+     WHERE conversation_id = $1 AND deleted_at IS NULL
+     ORDER BY timestamp DESC, id DESC LIMIT 1`,
+    [conversationId]
+  );
+  const latest = latestRes.rows[0];
+  let preview = null;
+  if (latest) {
+    const attRes = await client.query('SELECT file_name FROM message_attachments WHERE message_id = $1 ORDER BY created_at ASC', [latest.id]);
+    preview = previewText(latest.message, attRes.rows);
+  }
+  const res = await client.query(
+    `UPDATE conversations SET last_message = $2, last_message_time = $3, last_message_sender = $4
+     WHERE id = $1
+     RETURNING *`,
+    [conversationId, preview, latest?.timestamp || null, latest?.sender_id || null]
+  );
+  return res.rows[0];
+}
+
+// Messages still under review (pending flags, open reports' conversations) are kept
+const UNDER_REVIEW = `
+  NOT EXISTS (SELECT 1 FROM moderation_flags f WHERE f.message_id = m.id AND f.status = 'pending')
+  AND NOT EXISTS (SELECT 1 FROM user_reports r WHERE r.conversation_id = m.conversation_id AND r.status IN ('open', 'in_review'))`;
+
+// Applies the retention policy. Each step handles at most `limit` rows per run.
+async function purgeExpiredContent({ limit = 1000, dryRun = false } = {}) {
+  const policy = await getPolicy();
+  const steps = [];
+  if (policy.messageDays) {
+    steps.push({ key: 'messages', where: `m.timestamp < NOW() - ($1 || ' days')::interval`, days: policy.messageDays });
+  }
+  if (policy.deletedMessageDays) {
+    steps.push({ key: 'deletedMessages', where: `m.deleted_at < NOW() - ($1 || ' days')::interval`, days: policy.deletedMessageDays });
+  }
+
+  const counts = { messages: 0, deletedMessages: 0, attachments: 0 };
+  const blobUrls = [];
+  const touchedConversations = new Set();
+
+  for (const step of steps) {
+    const idsRes = await db.query(
+      `SELECT m.id, m.conversation_id FROM messages m WHERE ${step.where} AND ${UNDER_REVIEW} ORDER BY m.timestamp ASC LIMIT $2`,
+      [String(step.days), limit]
+    );
+    counts[step.key] = idsRes.rowCount;
+    if (dryRun || idsRes.rowCount === 0) continue;
+    const ids = idsRes.rows.map(r => r.id);
+    const attRes = await db.query('SELECT blob_url FROM message_attachments WHERE message_id = ANY($1)', [ids]);
+    blobUrls.push(...attRes.rows.map(r => r.blob_url));
+    counts.attachments += attRes.rowCount;
+    // Edit history and attachment rows cascade
+    await db.query('DELETE FROM messages WHERE id = ANY($1)', [ids]);
+    idsRes.rows.forEach(r => touchedConversations.add(r.conversation_id));
+  }
+
+  // Attachments can expire before the messages they were sent with
+  if (policy.attachmentDays) {
+    const attRes = await db.query(
+      `SELECT a.id, a.blob_url, a.conversation_id FROM message_attachments a
+       JOIN messages m ON m.id = a.message_id
+       WHERE a.created_at < NOW() - ($1 || ' days')::interval AND ${UNDER_REVIEW}
+       ORDER BY a.created_at ASC LIMIT $2`,
+      [String(policy.attachmentDays), limit]
+    );
+    counts.attachments += attRes.rowCount;
+    if (!dryRun && attRes.rowCount > 0) {
+      blobUrls.push(...attRes.rows.map(r => r.blob_url));
+      await db.query('DELETE FROM message_attachments WHERE id = ANY($1)', [attRes.rows.map(r => r.id)]);
+      attRes.rows.forEach(r => touchedConversations.add(r.conversation_id));
+    }
+  }
+
+  for (const conversationId of touchedConversations) {
+    await refreshLastMessage(db, conversationId);
+  }
+
+  let blobsDeleted = 0;
+  if (blobUrls.length > 0) {
+    try {
+      await deleteBlobs(blobUrls);
+      blobsDeleted = blobUrls.length;
+    } catch (err) {
+      console.error('Blob deletion error during retention purge:', err);
+    }
+  }
+  return { policy, ...counts, blobsDeleted, conversationsUpdated: touchedConversations.size, dryRun };
+}
+
+module.exports = {
+  DEFAULT_POLICY,
+  getPolicy,
+  updatePolicy,
+  refreshLastMessage,
+  purgeExpiredContent,
+};
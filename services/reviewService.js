@@ -0,0 +1,330 @@
+const db = require('./db');
+const { db: firestore } = require('../config/firebase');
+
+// After a collaboration is completed each side reviews the other. Reviews are
+// double-blind: neither side sees the other's review until both have submitted or
+// REVIEW_WINDOW_DAYS have passed since completion. Revealed reviews of creators
+// feed the rating shown on their profile.
+const REVIEW_SIDES = ['brand', 'creator'];
+const SCORE_FIELDS = ['communication', 'quality', 'timeliness'];
+const REVIEW_WINDOW_DAYS = parseInt(process.env.REVIEW_WINDOW_DAYS || '14', 10);
+const MAX_COMMENT_LENGTH = 2000;
+const MAX_REMOVAL_REASON_LENGTH = 500;
+const DEFAULT_CURRENCY = process.env.DEFAULT_OFFER_CURRENCY || 'USD';
+
+function invalid(message) {
+  const e = new Error(message);
+  e.code = 'INVALID_REVIEW';
+  return e;
+}
+
+function failure(code) {
+  const e = new Error(code);
+  e.code = code;
+  return e;
+}
+
+function toNumber(value, digits = 2) {
+  return value === null || value === undefined ? null : Number(parseFloat(value).toFixed(digits));
+}
+
+function mapReview(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    collaborationId: row.collaboration_id,
+    reviewerId: row.reviewer_id,
+    reviewerSide: row.reviewer_side,
+    revieweeId: row.reviewee_id,
+    communication: row.communication,
+    quality: row.quality,
+    timeliness: row.timeliness,
+    rating: toNumber(row.rating),
+    comment: row.comment,
+    createdAt: row.created_at,
+    revealedAt: row.revealed_at,
+  };
+}
+
+// Admin view also carries the takedown state
+function mapReviewForModeration(row) {
+  return {
+    ...mapReview(row),
+    collaborationTitle: row.collaboration_title,
+    removedAt: row.removed_at,
+    removedBy: row.removed_by,
+    removalReason: row.removal_reason,
+  };
+}
+
+function mapStats(row) {
+  return {
+    averageRating: toNumber(row?.average_rating) || 0,
+    reviewCount: row?.review_count || 0,
+    ratingBreakdown: {
+      communication: toNumber(row?.average_communication) || 0,
+      quality: toNumber(row?.average_quality) || 0,
+      timeliness: toNumber(row?.average_timeliness) || 0,
+    },
+    completedProjects: row?.completed_projects || 0,
+    totalEarnings: toNumber(row?.total_earnings) || 0,
+    earningsCurrency: DEFAULT_CURRENCY,
+    earningsByCurrency: row?.earnings_by_currency || {},
+  };
+}
+
+function windowClosesAt(collaboration) {
+  if (collaboration.status !== 'completed' || !collaboration.completedAt) return null;
+  const closes = new Date(collaboration.completedAt);
+  closes.setUTCDate(closes.getUTCDate() + REVIEW_WINDOW_DAYS);
+  return closes;
+}
+
+function normalizeReview(input) {
+  const { comment } = input || {};
+  const scores = {};
+  for (const field of SCORE_FIELDS) {
+    const value = Number(input?.[field]);
+    if (!Number.isInteger(value) || value < 1 || value > 5) {
+      throw invalid(`${field} must be a whole number from 1 to 5`);
+    }
+    scores[field] = value;
+  }
+  if (comment !== undefined && comment !== null && (typeof comment !== 'string' || comment.length > MAX_COMMENT_LENGTH)) {
+    throw invalid(`comment must be text of at most ${MAX_COMMENT_LENGTH} characters`);
+  }
+  const rating = SCORE_FIELDS.reduce((sum, f) => sum + scores[f], 0) / SCORE_FIELDS.length;
+  return { ...scores, rating: Number(rating.toFixed(2)), comment: typeof comment === 'string' && comment.trim() ? comment.trim() : null };
+}
+
+// side is the reviewer's side: the brand team reviews the creator and vice versa.
+// Returns the review and whether this submission revealed both.
+async function submitReview(collaboration, side, reviewerId, input) {
+  if (!REVIEW_SIDES.includes(side)) throw invalid(`side must be one of: ${REVIEW_SIDES.join(', ')}`);
+  if (collaboration.status !== 'completed') throw failure('COLLABORATION_NOT_COMPLETED');
+  const closesAt = windowClosesAt(collaboration);
+  if (closesAt && closesAt <= new Date()) throw failure('REVIEW_WINDOW_CLOSED');
+  const review = normalizeReview(input);
+  const revieweeId = side === 'brand' ? collaboration.creatorId : collaboration.brandId;
+
+  const client = await db.getClient();
+  let row;
+  let revealed = false;
+  try {
+    await client.query('BEGIN');
+    // Serialises the two sides so the second submission always sees the first
+    await client.query('SELECT id FROM collaborations WHERE id = $1 FOR UPDATE', [collaboration.id]);
+    const res = await client.query(
+      `INSERT INTO collaboration_reviews (collaboration_id, reviewer_id, reviewer_side, reviewee_id,
+         communication, quality, timeliness, rating, comment, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+       ON CONFLICT (collaboration_id, reviewer_side) DO NOTHING
+       RETURNING *`,
+      [collaboration.id, reviewerId, side, revieweeId, review.communication, review.quality, review.timeliness, review.rating, review.comment]
+    );
+    if (res.rowCount === 0) throw failure('ALREADY_REVIEWED');
+    const revealRes = await client.query(
+      `UPDATE collaboration_reviews SET revealed_at = NOW()
+       WHERE collaboration_id = $1 AND revealed_at IS NULL
+         AND (SELECT COUNT(*) FROM collaboration_reviews WHERE collaboration_id = $1) = $2
+       RETURNING *`,
+      [collaboration.id, REVIEW_SIDES.length]
+    );
+    revealed = revealRes.rowCount > 0;
+    row = revealRes.rows.find(r => r.id === res.rows[0].id) || res.rows[0];
+    await client.query('COMMIT');
+  } catch (err) {
+    await client.query('ROLLBACK');
+    throw err;
+  } finally {
+    client.release();
+  }
+  if (revealed) await refreshCreatorStats(collaboration.creatorId);
+  return { review: mapReview(row), revealed };
+}
+
+// What one side of the collaboration sees: its own review, and the other side's
+// only once revealed (removed reviews stay hidden)
+async function getReviewsForCollaboration(collaboration, side) {
+  const res = await db.query('SELECT * FROM collaboration_reviews WHERE collaboration_id = $1', [collaboration.id]);
+  const mine = res.rows.find(r => r.reviewer_side === side);
+  const theirs = res.rows.find(r => r.reviewer_side !== side);
+  const closesAt = windowClosesAt(collaboration);
+  return {
+    mine: mine ? mapReview(mine) : null,
+    theirs: theirs && theirs.revealed_at && !theirs.removed_at ? mapReview(theirs) : null,
+    theirsSubmitted: !!theirs,
+    canReview: !mine && collaboration.status === 'completed' && (!closesAt || closesAt > new Date()),
+    windowClosesAt: closesAt,
+  };
+}
+
+// Revealed, visible reviews someone received (?side narrows to reviews from brands or creators)
+async function listReviewsForUser(uid, { side, page = 1, limit = 20 } = {}) {
+  const params = [uid];
+  let where = 'WHERE r.reviewee_id = $1 AND r.revealed_at IS NOT NULL AND r.removed_at IS NULL';
+  if (side) {
+    params.push(side);
+    where += ` AND r.reviewer_side = $${params.length}`;
+  }
+  const countRes = await db.query(`SELECT COUNT(*)::int AS total FROM collaboration_reviews r ${where}`, params);
+  const res = await db.query(
+    `SELECT r.*, c.title AS collaboration_title FROM collaboration_reviews r
+     JOIN collaborations c ON c.id = r.collaboration_id
+     ${where}
+     ORDER BY r.revealed_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return {
+    reviews: res.rows.map(r => ({ ...mapReview(r), collaborationTitle: r.collaboration_title })),
+    total: countRes.rows[0].total,
+  };
+}
+
+async function getCreatorStats(uid) {
+  const res = await db.query('SELECT * FROM creator_stats WHERE uid = $1', [uid]);
+  return mapStats(res.rows[0]);
+}
+
+// Recomputes the rating (revealed, visible brand reviews), completed projects and
+// earnings, and writes them to creator_stats and the Firestore creator profile
+async function refreshCreatorStats(creatorId) {
+  const [ratingRes, projectsRes] = await Promise.all([
+    db.query(
+      `SELECT AVG(rating) AS average_rating, COUNT(*)::int AS review_count,
+              AVG(communication) AS average_communication, AVG(quality) AS average_quality, AVG(timeliness) AS average_timeliness
+       FROM collaboration_reviews
+       WHERE reviewee_id = $1 AND reviewer_side = 'brand' AND revealed_at IS NOT NULL AND removed_at IS NULL`,
+      [creatorId]
+    ),
+    db.query(
+      `SELECT COALESCE(currency, $2) AS currency, COUNT(*)::int AS projects, COALESCE(SUM(price), 0) AS earnings
+       FROM collaborations WHERE creator_id = $1 AND status = 'completed'
+       GROUP BY COALESCE(currency, $2)`,
+      [creatorId, DEFAULT_CURRENCY]
+    )
+  ]);
+  const rating = ratingRes.rows[0];
+  const earningsByCurrency = Object.fromEntries(projectsRes.rows.map(r => [r.currency, toNumber(r.earnings)]));
+  const completedProjects = projectsRes.rows.reduce((n, r) => n + r.projects, 0);
+
+  const res = await db.query(
+    `INSERT INTO creator_stats (uid, average_rating, review_count, average_communication, average_quality, average_timeliness,
+       completed_projects, total_earnings, earnings_by_currency, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())
+     ON CONFLICT (uid) DO UPDATE SET
+       average_rating = EXCLUDED.average_rating,
+       review_count = EXCLUDED.review_count,
+       average_communication = EXCLUDED.average_communication,
+       average_quality = EXCLUDED.average_quality,
+       average_timeliness = EXCLUDED.average_timeliness,
+       completed_projects = EXCLUDED.completed_projects,
+       total_earnings = EXCLUDED.total_earnings,
+       earnings_by_currency = EXCLUDED.earnings_by_currency,
+       updated_at = NOW()
+     RETURNING *`,
+    [creatorId, rating.average_rating, rating.review_count, rating.average_communication, rating.average_quality,
+      rating.average_timeliness, completedProjects, earningsByCurrency[DEFAULT_CURRENCY] || 0, JSON.stringify(earningsByCurrency)]
+  );
+  const stats = mapStats(res.rows[0]);
+
+  // The profile endpoints and UGC browse read these fields from Firestore
+  try {
+    const profileFields = {
+      averageRating: stats.averageRating,
+      reviewCount: stats.reviewCount,
+      ratingBreakdown: stats.ratingBreakdown,
+      completedProjects: stats.completedProjects,
+      totalEarnings: stats.totalEarnings,
+    };
+    for (const collection of ['ugc_creators', 'influencers']) {
+      const ref = firestore.collection(collection).doc(creatorId);
+      if ((await ref.get()).exists) await ref.update(profileFields);
+    }
+  } catch (err) {
+    console.warn('Firestore creator stats update skipped:', err.message);
+  }
+  return stats;
+}
+
+// Scheduled job: reveal reviews whose window has closed without the other side
+// submitting. Returns the collaborations whose reviews were revealed.
+async function revealDueReviews({ limit = 500, dryRun = false } = {}) {
+  const dueRes = await db.query(
+    `SELECT DISTINCT c.id, c.creator_id, c.brand_id, c.organization_id, c.title
+     FROM collaboration_reviews r JOIN collaborations c ON c.id = r.collaboration_id
+     WHERE r.revealed_at IS NULL AND c.status = 'completed'
+       AND c.completed_at < NOW() - ($1 || ' days')::interval
+     LIMIT $2`,
+    [String(REVIEW_WINDOW_DAYS), limit]
+  );
+  const due = dueRes.rows.map(r => ({ id: r.id, creatorId: r.creator_id, brandId: r.brand_id, organizationId: r.organization_id, title: r.title }));
+  if (dryRun || due.length === 0) return due;
+
+  await db.query(
+    'UPDATE collaboration_reviews SET revealed_at = NOW() WHERE collaboration_id = ANY($1) AND revealed_at IS NULL',
+    [due.map(c => c.id)]
+  );
+  for (const creatorId of new Set(due.map(c => c.creatorId))) {
+    await refreshCreatorStats(creatorId);
+  }
+  return due;
+}
+
+async function listReviewsForModeration({ status, revieweeId, page = 1, limit = 50 } = {}) {
+  const params = [];
+  const clauses = [];
+  if (status === 'removed') clauses.push('r.removed_at IS NOT NULL');
+  if (status === 'visible') clauses.push('r.removed_at IS NULL AND r.revealed_at IS NOT NULL');
+  if (status === 'hidden') clauses.push('r.removed_at IS NULL AND r.revealed_at IS NULL');
+  if (revieweeId) {
+    params.push(revieweeId);
+    clauses.push(`r.reviewee_id = $${params.length}`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const countRes = await db.query(`SELECT COUNT(*)::int AS total FROM collaboration_reviews r ${where}`, params);
+  const res = await db.query(
+    `SELECT r.*, c.title AS collaboration_title FROM collaboration_reviews r
+     JOIN collaborations c ON c.id = r.collaboration_id
+     ${where}
+     ORDER BY r.created_at DESC
+     LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+    [...params, limit, (page - 1) * limit]
+  );
+  return { reviews: res.rows.map(mapReviewForModeration), total: countRes.rows[0].total };
+}
+
+// Hides an abusive review everywhere and drops it from the creator's rating
+async function takedownReview(reviewId, removedBy, reason) {
+  if (reason !== undefined && reason !== null && (typeof reason !== 'string' || reason.length > MAX_REMOVAL_REASON_LENGTH)) {
+    throw invalid(`reason must be text of at most ${MAX_REMOVAL_REASON_LENGTH} characters`);
+  }
+  const res = await db.query(
+    `UPDATE collaboration_reviews SET removed_at = NOW(), removed_by = $2, removal_reason = $3
+     WHERE id = $1 AND removed_at IS NULL
+     RETURNING *`,
+    [reviewId, removedBy, typeof reason === 'string' && reason.trim() ? reason.trim() : null]
+  );
+  if (res.rowCount === 0) {
+    const exists = await db.query('SELECT 1 FROM collaboration_reviews WHERE id = $1', [reviewId]);
+    throw failure(exists.rowCount ? 'REVIEW_ALREADY_REMOVED' : 'REVIEW_NOT_FOUND');
+  }
+  const row = res.rows[0];
+  if (row.reviewer_side === 'brand') await refreshCreatorStats(row.reviewee_id);
+  return mapReviewForModeration(row);
+}
+
+module.exports = {
+  REVIEW_SIDES,
+  SCORE_FIELDS,
+  REVIEW_WINDOW_DAYS,
+  submitReview,
+  getReviewsForCollaboration,
+  listReviewsForUser,
+  getCreatorStats,
+  refreshCreatorStats,
+  revealDueReviews,
+  listReviewsForModeration,
+  takedownReview,
+};
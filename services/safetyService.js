@@ -0,0 +1,185 @@
+const db = require('./db');
+
+// User-to-user blocks and abuse reports raised from conversations
+const REPORT_REASONS = ['spam', 'harassment', 'inappropriate_content', 'scam', 'off_platform_contact', 'impersonation', 'other'];
+const REPORT_STATUSES = ['open', 'in_review', 'resolved', 'dismissed'];
+const MAX_REPORTED_MESSAGES = 20;
+
+async function blockUsers(blockerId, blockedIds, conversationId = null) {
+  for (const blockedId of blockedIds) {
+    await db.query(
+      `INSERT INTO user_blocks (blocker_id, blocked_id, conversation_id, created_at)
+       VALUES ($1, $2, $3, NOW())
+       ON CONFLICT (blocker_id, blocked_id) DO NOTHING`,
+      [blockerId, blockedId, conversationId]
+    );
+  }
+}
+
+// Lifts only the blocks blockerId made from this conversation; blocks made elsewhere stay
+async function unblockConversation(blockerId, conversationId) {
+  const res = await db.query('DELETE FROM user_blocks WHERE blocker_id = $1 AND conversation_id = $2', [blockerId, conversationId]);
+  return res.rowCount;
+}
+
+// True when uid has blocked, or been blocked by, any of otherIds
+async function isBlockedBetween(uid, otherIds) {
+  const others = otherIds.filter(id => id && id !== uid);
+  if (others.length === 0) return false;
+  const res = await db.query(
+    `SELECT 1 FROM user_blocks
+     WHERE (blocker_id = $1 AND blocked_id = ANY($2)) OR (blocked_id = $1 AND blocker_id = ANY($2))
+     LIMIT 1`,
+    [uid, others]
+  );
+  return res.rowCount > 0;
+}
+
+// A conversation is closed when any block was made in it, or when uid and another
+// participant have blocked each other
+async function isConversationBlocked(row, uid) {
+  const others = row.participants.filter(p => p !== uid);
+  const res = await db.query(
+    `SELECT 1 FROM user_blocks
+     WHERE conversation_id = $1
+        OR (blocker_id = $2 AND blocked_id = ANY($3))
+        OR (blocked_id = $2 AND blocker_id = ANY($3))
+     LIMIT 1`,
+    [row.id, uid, others]
+  );
+  return res.rowCount > 0;
+}
+
+async function listBlockedUsers(uid) {
+  const res = await db.query(
+    `SELECT b.blocked_id, b.conversation_id, b.created_at, u.display_name, u.email
+     FROM user_blocks b
+     LEFT JOIN users u ON u.uid = b.blocked_id
+     WHERE b.blocker_id = $1
+     ORDER BY b.created_at DESC`,
+    [uid]
+  );
+  return res.rows.map(r => ({
+    userId: r.blocked_id,
+    name: r.display_name || r.email || null,
+    conversationId: r.conversation_id,
+    blockedAt: r.created_at,
+  }));
+}
+
+function mapReport(r) {
+  return {
+    id: r.id,
+    reporterId: r.reporter_id,
+    reportedUserId: r.reported_user_id,
+    conversationId: r.conversation_id,
+    reasonCode: r.reason_code,
+    details: r.details,
+    messages: r.message_excerpts || [],
+    status: r.status,
+    assignedTo: r.assigned_to,
+    resolutionNote: r.resolution_note,
+    resolvedBy: r.resolved_by,
+    resolvedAt: r.resolved_at,
+    createdAt: r.created_at,
+    updatedAt: r.updated_at,
+  };
+}
+
+// Snapshots the reported messages so the ticket survives later edits or deletion
+async function createReport({ reporterId, reportedUserId, conversationId, reasonCode, details, messageIds = [] }) {
+  let excerpts = [];
+  if (messageIds.length > 0) {
+    const msgRes = await db.query(
+      `SELECT id, sender_id, sender_name, message, original_message, timestamp
+       FROM messages
+       WHERE conversation_id = $1 AND id = ANY($2)
+       ORDER BY timestamp ASC`,
+      [conversationId, messageIds]
+    );
+    if (msgRes.rowCount !== new Set(messageIds).size) {
+      throw new Error('MESSAGE_NOT_IN_CONVERSATION');
+    }
+    excerpts = msgRes.rows.map(m => ({
+      id: m.id,
+      senderId: m.sender_id,
+      senderName: m.sender_name,
+      message: m.message,
+      originalMessage: m.original_message || null,
+      timestamp: m.timestamp,
+    }));
+  }
+  const res = await db.query(
+    `INSERT INTO user_reports (reporter_id, reported_user_id, conversation_id, reason_code, details, message_excerpts, status, created_at, updated_at)
+     VALUES ($1, $2, $3, $4, $5, $6, 'open', NOW(), NOW())
+     RETURNING *`,
+    [reporterId, reportedUserId, conversationId, reasonCode, details || null, JSON.stringify(excerpts)]
+  );
+  return mapReport(res.rows[0]);
+}
+
+async function listReports({ status, reportedUserId, page = 1, limit = 50 } = {}) {
+  const clauses = [];
+  const params = [];
+  if (status) {
+    params.push(status);
+    clauses.push(`status = $${params.length}`);
+  }
+  if (reportedUserId) {
+    params.push(reportedUserId);
+    clauses.push(`reported_user_id = $${params.length}`);
+  }
+  const where = clauses.length ? `WHERE ${clauses.join(' AND ')}` : '';
+  const offset = (page - 1) * limit;
+  const [rowsRes, countRes] = await Promise.all([
+    db.query(
+      `SELECT *, (SELECT COUNT(*)::int FROM user_reports r2 WHERE r2.reported_user_id = user_reports.reported_user_id) AS reports_against_user
+       FROM user_reports ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length + 1} OFFSET $${params.length + 2}`,
+      [...params, limit, offset]
+    ),
+    db.query(`SELECT COUNT(*)::int AS total FROM user_reports ${where}`, params)
+  ]);
+  return {
+    reports: rowsRes.rows.map(r => ({ ...mapReport(r), reportsAgainstUser: r.reports_against_user })),
+    total: countRes.rows[0].total,
+  };
+}
+
+async function getReport(reportId) {
+  const res = await db.query('SELECT * FROM user_reports WHERE id = $1 LIMIT 1', [reportId]);
+  return res.rows[0] ? mapReport(res.rows[0]) : null;
+}
+
+async function updateReport(reportId, { status, assignedTo, resolutionNote }, reviewerId) {
+  const closing = status === 'resolved' || status === 'dismissed';
+  const res = await db.query(
+    `UPDATE user_reports SET
+       status = COALESCE($2, status),
+       assigned_to = COALESCE($3, assigned_to),
+       resolution_note = COALESCE($4, resolution_note),
+       resolved_by = CASE WHEN $5 THEN $6 ELSE resolved_by END,
+       resolved_at = CASE WHEN $5 THEN NOW() ELSE resolved_at END,
+       updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [reportId, status || null, assignedTo || null, resolutionNote || null, closing, reviewerId]
+  );
+  return res.rows[0] ? mapReport(res.rows[0]) : null;
+}
+
+module.exports = {
+  REPORT_REASONS,
+  REPORT_STATUSES,
+  MAX_REPORTED_MESSAGES,
+  blockUsers,
+  unblockConversation,
+  isBlockedBetween,
+  isConversationBlocked,
+  listBlockedUsers,
+  createReport,
+  listReports,
+  getReport,
+  updateReport,
+};
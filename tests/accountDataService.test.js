@@ -0,0 +1,96 @@
+/*
+  Unit tests for data export archives (services/accountDataService.js, services/zipService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const zlib = require('zlib');
+const { loadWithDoubles, createFakeDb } = require('./support/doubles');
+const { crc32 } = require('../services/zipService');
+
+// Reads the entries of an archive written by zipService (deflated, no data descriptors)
+function readZip(buffer) {
+  const entries = {};
+  let offset = 0;
+  while (buffer.readUInt32LE(offset) === 0x04034b50) {
+    const size = buffer.readUInt32LE(offset + 18);
+    const nameLength = buffer.readUInt16LE(offset + 26);
+    const name = buffer.toString('utf8', offset + 30, offset + 30 + nameLength);
+    const start = offset + 30 + nameLength;
+    const data = zlib.inflateRawSync(buffer.subarray(start, start + size));
+    assert.strictEqual(crc32(data), buffer.readUInt32LE(offset + 14));
+    entries[name] = data;
+    offset = start + size;
+  }
+  return entries;
+}
+
+const sampleContent = [
+  { type: 'image', url: 'https://store.public.blob.vercel-storage.com/samples/look.jpg' },
+  { type: 'link', url: 'http://169.254.169.254/latest/meta-data/' },
+  { type: 'link', url: 'https://www.instagram.com/p/abc/' },
+];
+
+// The account's user and UGC rows; deleteBlobs records what the purge removes
+function load() {
+  const deleted = [];
+  const db = createFakeDb({
+    'select users': () => [{ uid: 'u1', email: 'u1@example.com' }],
+    'select ugc_creators': () => [{ uid: 'u1', sample_content: sampleContent }],
+  });
+  const service = loadWithDoubles('services/accountDataService', {
+    'services/db': db,
+    'services/blob': { deleteBlobs: async (urls) => { deleted.push(...urls); }, isBlobUrl: require('../services/blob').isBlobUrl },
+  });
+  return { service, deleted };
+}
+
+test('crc32 matches the standard check value', () => {
+  assert.strictEqual(crc32(Buffer.from('123456789')), 0xcbf43926);
+});
+
+test('export archives carry a copy of each upload next to data.json', async (t) => {
+  const blobs = { 'https://store.public.blob.vercel-storage.com/a/photo.png': Buffer.from('png-bytes') };
+  t.mock.method(globalThis, 'fetch', async (url) => (blobs[url]
+    ? new Response(blobs[url], { status: 200 })
+    : new Response('gone', { status: 404 })));
+  const { service } = load();
+  const archive = await service.buildExportArchive({
+    created_at: '2026-03-01T10:00:00Z',
+    payload: {
+      user: { uid: 'u1' },
+      uploads: [
+        { url: 'https://store.public.blob.vercel-storage.com/a/photo.png', source: 'message_attachments', fileName: 'my photo.png' },
+        { url: 'https://store.public.blob.vercel-storage.com/b/gone.mp4', source: 'deliverable_files', fileName: 'gone.mp4' },
+      ],
+    },
+  });
+  const entries = readZip(archive);
+  assert.deepStrictEqual(Object.keys(entries), ['data.json', 'files/1-my_photo.png']);
+  assert.strictEqual(entries['files/1-my_photo.png'].toString(), 'png-bytes');
+  const data = JSON.parse(entries['data.json']);
+  assert.strictEqual(data.uploads[0].archivePath, 'files/1-my_photo.png');
+  assert.strictEqual(data.uploads[1].archivePath, null);
+  assert.strictEqual(data.uploads[1].copyError, 'HTTP 404');
+});
+
+test('typed-in sample links are listed in the export but never fetched or deleted', async (t) => {
+  const fetched = [];
+  t.mock.method(globalThis, 'fetch', async (url) => {
+    fetched.push(url);
+    return new Response('jpg-bytes', { status: 200 });
+  });
+  const { service, deleted } = load();
+  const payload = await service.buildExport('u1');
+  assert.deepStrictEqual(payload.uploads.map(u => u.url), ['https://store.public.blob.vercel-storage.com/samples/look.jpg']);
+  assert.deepStrictEqual(payload.externalLinks.map(l => l.url), ['http://169.254.169.254/latest/meta-data/', 'https://www.instagram.com/p/abc/']);
+
+  // Exports stored before links were split out still list them under uploads
+  const legacy = { ...payload, uploads: [...payload.uploads, { url: 'http://169.254.169.254/latest/meta-data/', source: 'ugc_creators.sample_content' }] };
+  const entries = readZip(await service.buildExportArchive({ created_at: '2026-03-01T10:00:00Z', payload: legacy }));
+  assert.deepStrictEqual(fetched, ['https://store.public.blob.vercel-storage.com/samples/look.jpg']);
+  assert.strictEqual(JSON.parse(entries['data.json']).uploads[1].copyError, 'NOT_AN_UPLOAD');
+
+  await service.purgeAccount('u1');
+  assert.deepStrictEqual(deleted, ['https://store.public.blob.vercel-storage.com/samples/look.jpg']);
+});
@@ -0,0 +1,32 @@
+/*
+  Unit tests for the audit CSV export (services/auditService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb } = require('./support/doubles');
+
+test('CSV export neutralises values a spreadsheet would run as formulas', async () => {
+  const events = [{
+    id: 1,
+    created_at: new Date('2026-01-02T03:04:05Z'),
+    actor_id: '=HYPERLINK("http://evil.example")',
+    action: 'user.update',
+    target_id: '@SUM(A1)',
+    user_agent: '+cmd',
+    request_id: '-1',
+    ip: '10.0.0.1',
+  }];
+  // Export pages by id: the page query's last two parameters are the last id and the batch size
+  const db = createFakeDb({
+    'select audit_events': params => events.filter(e => e.id > params[params.length - 2]),
+  });
+  const { exportAuditEventsCsv } = loadWithDoubles('services/auditService', { 'services/db': db });
+  let csv = '';
+  await exportAuditEventsCsv({}, chunk => { csv += chunk; });
+  const [, row] = csv.trim().split('\n');
+  assert.strictEqual(
+    row,
+    `1,2026-01-02T03:04:05.000Z,"'=HYPERLINK(""http://evil.example"")",,,user.update,,'@SUM(A1),,,10.0.0.1,'+cmd,'-1`
+  );
+});
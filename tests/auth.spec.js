@@ -1,6 +1,6 @@
 /*
   Lightweight auth tests using axios and the existing backend.
-  Verifies register, login, verify token, and migrated user without password.
+  Verifies register, login, verify token, refresh/logout sessions, and migrated user without password.
 */
 require('dotenv').config();
 const axios = require('axios');
@@ -49,6 +49,23 @@ async function verifyToken(token) {
   return res.data;
 }
 
+async function refreshSession(refreshToken) {
+  const res = await axios.post(`${BASE_URL}/auth/refresh`, { refreshToken });
+  if (res.status !== 200) throw new Error(`Refresh failed: ${res.status}`);
+  if (!res.data?.token || !res.data?.refreshToken) throw new Error('Refresh missing token/refreshToken');
+  return res.data;
+}
+
+async function expectStatus(promise, expected, label) {
+  try {
+    await promise;
+  } catch (err) {
+    if (err.response?.status === expected) return;
+    throw new Error(`${label}: expected ${expected}, got ${err.response?.status || err.message}`);
+  }
+  throw new Error(`${label}: expected ${expected}, request succeeded`);
+}
+
 async function createUserWithoutPassword(email) {
   const uid = `test_${Date.now().toString(36)}_${crypto.randomBytes(4).toString('hex')}`;
   await pg.query(
@@ -74,6 +91,30 @@ async function run() {
   const verify = await verifyToken(login.token);
   console.log('  ✓ Token valid for:', verify.user.email);
 
+  console.log('Auth Test: Refresh rotates the refresh token');
+  const refreshed = await refreshSession(login.refreshToken);
+  if (refreshed.refreshToken === login.refreshToken) throw new Error('Refresh token was not rotated');
+  await verifyToken(refreshed.token);
+  console.log('  ✓ Refreshed session:', refreshed.sessionId);
+
+  console.log('Auth Test: Reusing a rotated refresh token revokes the session');
+  await expectStatus(refreshSession(login.refreshToken), 401, 'Reused refresh token');
+  await expectStatus(verifyToken(refreshed.token), 401, 'Access token after reuse');
+  console.log('  ✓ Session revoked on refresh token reuse');
+
+  console.log('Auth Test: Concurrent refreshes with one token do not both succeed');
+  const racing = await loginUser(testEmail, testPassword);
+  const outcomes = await Promise.allSettled([refreshSession(racing.refreshToken), refreshSession(racing.refreshToken)]);
+  if (outcomes.filter(o => o.status === 'fulfilled').length > 1) throw new Error('Both concurrent refreshes succeeded');
+  console.log('  ✓ At most one concurrent refresh rotated the token');
+
+  console.log('Auth Test: Logout revokes the current session');
+  const second = await loginUser(testEmail, testPassword);
+  await axios.post(`${BASE_URL}/auth/logout`, {}, { headers: { Authorization: `Bearer ${second.token}` } });
+  await expectStatus(verifyToken(second.token), 401, 'Access token after logout');
+  await expectStatus(refreshSession(second.refreshToken), 401, 'Refresh after logout');
+  console.log('  ✓ Logged out session rejected');
+
   const migratedEmail = `migrated_${Date.now()}@example.com`;
   console.log('Auth Test: Create migrated user without password and test login');
   await createUserWithoutPassword(migratedEmail);
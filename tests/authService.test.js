@@ -0,0 +1,74 @@
+/*
+  Unit tests for refresh token rotation (services/authService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const crypto = require('crypto');
+const { loadWithDoubles, createFakeDb } = require('./support/doubles');
+
+process.env.JWT_SECRET = process.env.JWT_SECRET || 'test-secret';
+
+const hash = secret => crypto.createHash('sha256').update(secret).digest('hex');
+
+// One stored session for u1. beforeRotate runs between reading the session and
+// rotating it, to let a concurrent request get there first.
+function setup({ beforeRotate } = {}) {
+  const session = {
+    id: 'sess_1',
+    user_id: 'u1',
+    refresh_token_hash: hash('old-secret'),
+    expires_at: new Date(Date.now() + 60000),
+    revoked_at: null,
+    revoked_reason: null,
+    mfa_verified: false,
+  };
+  const db = createFakeDb({
+    'select user_sessions': ([id]) => (id === session.id ? [{ ...session }] : []),
+    'select users': () => [{ uid: 'u1', email: 'u1@example.com', role: 'brand', is_active: true }],
+    'update user_sessions': async (params, sql) => {
+      if (sql.includes('revoked_reason')) {
+        const [id, uid, reason] = params;
+        if (id !== session.id || uid !== session.user_id || session.revoked_at) return { rows: [], rowCount: 0 };
+        Object.assign(session, { revoked_at: new Date(), revoked_reason: reason });
+        return { rows: [], rowCount: 1 };
+      }
+      if (beforeRotate) await beforeRotate(session);
+      const [nextHash, , , id, expectedHash] = params;
+      if (id !== session.id || session.refresh_token_hash !== expectedHash || session.revoked_at) return { rows: [], rowCount: 0 };
+      session.refresh_token_hash = nextHash;
+      return { rows: [], rowCount: 1 };
+    },
+  });
+  const authService = loadWithDoubles('services/authService', { 'services/db': db });
+  return { authService, session };
+}
+
+test('refresh rotates the secret and the old one stops working', async () => {
+  const { authService, session } = setup();
+  const result = await authService.refresh('sess_1.old-secret');
+  const [, nextSecret] = result.refreshToken.split('.');
+  assert.strictEqual(result.sessionId, 'sess_1');
+  assert.strictEqual(session.refresh_token_hash, hash(nextSecret));
+  assert.strictEqual(session.revoked_at, null);
+
+  const again = await authService.refresh(result.refreshToken);
+  assert.notStrictEqual(again.refreshToken, result.refreshToken);
+});
+
+test('a refresh that loses the rotation race revokes the session as reuse', async () => {
+  const { authService, session } = setup({
+    beforeRotate: (stored) => { stored.refresh_token_hash = hash('rotated-by-the-other-request'); },
+  });
+  await assert.rejects(authService.refresh('sess_1.old-secret'), /Invalid refresh token/);
+  assert.ok(session.revoked_at);
+  assert.strictEqual(session.revoked_reason, 'refresh_token_reuse');
+});
+
+test('a stale secret revokes the session without rotating it', async () => {
+  const { authService, session } = setup();
+  await assert.rejects(authService.refresh('sess_1.other-secret'), /Invalid refresh token/);
+  assert.strictEqual(session.refresh_token_hash, hash('old-secret'));
+  assert.strictEqual(session.revoked_reason, 'refresh_token_reuse');
+  await assert.rejects(authService.refresh('sess_1.old-secret'), /Invalid refresh token/);
+});
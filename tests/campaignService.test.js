@@ -0,0 +1,173 @@
+/*
+  Unit tests for campaign eligibility, the applicant pipeline and organization access
+  (services/campaignService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb, whereEquals, applySet } = require('./support/doubles');
+
+const today = () => new Date().toISOString().slice(0, 10);
+
+function campaignRow(overrides = {}) {
+  return {
+    id: 'cmp_1', owner_id: 'brand_1', organization_id: null, title: 'Spring launch', brief: 'Show the new shoes', budget_min: null, budget_max: null,
+    currency: 'USD', target_niches: [], min_followers: null, max_followers: null, platforms: [], deliverables: [],
+    application_deadline: null, due_date: null, status: 'open', created_at: new Date(), updated_at: new Date(),
+    ...overrides,
+  };
+}
+
+// campaigns, campaign_applications and organization_members kept in memory. profiles maps
+// a creator to the niches and follower count the profile query reads; ugcNiches to the
+// niches of their Firestore UGC profile.
+function setup({ campaigns = [], members = [], profiles = {}, ugcNiches = {} } = {}) {
+  const state = { campaigns: campaigns.map(c => campaignRow(c)), applications: [], members };
+  const db = createFakeDb({
+    'select influencers': ([uid]) => {
+      const profile = profiles[uid] || {};
+      return [{ influencer_niche: profile.niche || null, ugc_categories: null, followers: profile.followers ?? null }];
+    },
+    'select campaigns': (params, sql) => {
+      if (sql.includes('AS accepting')) {
+        // The ACCEPTING_APPLICATIONS and MATCHES_PROFILE conditions, with SQL NULL semantics
+        const [niches, followers, id] = params;
+        const c = state.campaigns.find(row => row.id === id);
+        if (!c) return [];
+        const accepting = c.status === 'open' && (c.application_deadline === null || c.application_deadline >= today());
+        const inRange = (bound, ok) => bound === null || (followers !== null && ok(bound));
+        const matches = (c.target_niches.length === 0 || c.target_niches.some(n => niches.includes(n)))
+          && inRange(c.min_followers, min => followers >= min)
+          && inRange(c.max_followers, max => followers <= max);
+        return [{ accepting, matches }];
+      }
+      if (sql.includes('c.owner_id = $1 OR c.organization_id = $2')) {
+        const [uid, organizationId] = params;
+        const managed = state.campaigns.filter(c => c.owner_id === uid || (organizationId !== null && c.organization_id === organizationId));
+        return sql.includes('AS total') ? [{ total: managed.length }] : managed;
+      }
+      return state.campaigns.filter(whereEquals(sql, params));
+    },
+    'insert campaigns': ([id, ownerId, organizationId, title, brief, , , currency, targetNiches]) => {
+      const row = campaignRow({ id, owner_id: ownerId, organization_id: organizationId, title, brief, currency, target_niches: targetNiches, status: 'draft' });
+      state.campaigns.push(row);
+      return [{ ...row }];
+    },
+    'select campaign_applications': (params, sql) => state.applications.filter(whereEquals(sql, params)).map(a => ({ ...a })),
+    'insert campaign_applications': ([campaignId, creatorId, pitch, quote, currency]) => {
+      let row = state.applications.find(a => a.campaign_id === campaignId && a.creator_id === creatorId);
+      if (!row) {
+        row = { id: state.applications.length + 1, campaign_id: campaignId, creator_id: creatorId, created_at: new Date() };
+        state.applications.push(row);
+      }
+      Object.assign(row, { pitch, quote: String(quote), currency, status: 'new', status_changed_by: null, status_changed_at: null, updated_at: new Date() });
+      return [{ ...row }];
+    },
+    'update campaign_applications': (params, sql) => {
+      let matched = state.applications.filter(whereEquals(sql, params));
+      if (sql.includes("status IN ('new', 'shortlisted')")) matched = matched.filter(a => ['new', 'shortlisted'].includes(a.status));
+      return matched.map(a => ({ ...applySet(a, sql, params) }));
+    },
+    'select organization_members': (params, sql) => state.members.filter(whereEquals(sql, params)),
+  });
+  const firestore = {
+    collection: () => ({
+      doc: uid => ({ get: async () => (ugcNiches[uid] ? { exists: true, data: () => ({ niche: ugcNiches[uid] }) } : { exists: false }) }),
+    }),
+  };
+  const service = loadWithDoubles('services/campaignService', {
+    'services/db': db,
+    'config/firebase': { db: firestore },
+    'services/contentFilterService': { filterMessage: async text => ({ text, filtered: false, matches: [] }) },
+    'services/moderationService': { flagMessage: async () => {} },
+  });
+  return { service, state };
+}
+
+const application = { pitch: 'I run a running channel', quote: 400 };
+
+test('creators apply only when their niches and audience size match', async () => {
+  const { service, state } = setup({
+    campaigns: [{ target_niches: ['fitness'], min_followers: 10000, max_followers: 100000 }],
+    profiles: {
+      runner: { niche: ['Fitness '], followers: 50000 },
+      small: { niche: ['fitness'], followers: 5000 },
+      unknown: { niche: ['fitness'] },
+      chef: { niche: ['food'], followers: 50000 },
+      ugc: { followers: 20000 },
+    },
+    ugcNiches: { ugc: ['FITNESS'] },
+  });
+  const campaign = await service.getCampaign('cmp_1');
+  assert.strictEqual((await service.applyToCampaign(campaign, 'runner', application)).status, 'new');
+  assert.strictEqual((await service.applyToCampaign(campaign, 'ugc', application)).status, 'new');
+  for (const creator of ['small', 'unknown', 'chef']) {
+    await assert.rejects(service.applyToCampaign(campaign, creator, application), { code: 'NOT_ELIGIBLE' });
+  }
+  assert.deepStrictEqual(state.applications.map(a => a.creator_id), ['runner', 'ugc']);
+});
+
+test('a campaign without targeting is open to everyone until it closes or its deadline passes', async () => {
+  const { service, state } = setup({
+    campaigns: [{ id: 'cmp_1' }, { id: 'cmp_2', status: 'closed' }, { id: 'cmp_3', application_deadline: '2020-01-01' }],
+  });
+  assert.ok(await service.applyToCampaign(await service.getCampaign('cmp_1'), 'anyone', application));
+  for (const id of ['cmp_2', 'cmp_3']) {
+    await assert.rejects(service.applyToCampaign(await service.getCampaign(id), 'anyone', application), { code: 'CAMPAIGN_NOT_OPEN' });
+  }
+  assert.strictEqual(state.applications.length, 1);
+});
+
+test('one application per campaign, which can be sent again after withdrawing', async () => {
+  const { service, state } = setup({ campaigns: [{}] });
+  const campaign = await service.getCampaign('cmp_1');
+  await service.applyToCampaign(campaign, 'creator_1', application);
+  await assert.rejects(service.applyToCampaign(campaign, 'creator_1', application), { code: 'ALREADY_APPLIED' });
+  assert.strictEqual((await service.withdrawApplication('cmp_1', 'creator_1')).status, 'withdrawn');
+  const again = await service.applyToCampaign(campaign, 'creator_1', { pitch: 'Second try', quote: 350 });
+  assert.deepStrictEqual([again.status, again.pitch, again.quote], ['new', 'Second try', 350]);
+  assert.strictEqual(state.applications.length, 1);
+});
+
+test('the brand moves applications through the pipeline but not withdrawn ones', async () => {
+  const { service, state } = setup({ campaigns: [{}] });
+  const campaign = await service.getCampaign('cmp_1');
+  const { id } = await service.applyToCampaign(campaign, 'creator_1', application);
+
+  const shortlisted = await service.setApplicationStatus('cmp_1', id, 'shortlisted', 'brand_1');
+  assert.deepStrictEqual([shortlisted.before.status, shortlisted.after.status, shortlisted.after.statusChangedBy], ['new', 'shortlisted', 'brand_1']);
+  assert.strictEqual((await service.setApplicationStatus('cmp_1', id, 'hired', 'brand_1')).after.status, 'hired');
+  // Creators can only withdraw while the application is new or shortlisted
+  assert.strictEqual(await service.withdrawApplication('cmp_1', 'creator_1'), null);
+  await assert.rejects(service.setApplicationStatus('cmp_1', id, 'withdrawn', 'brand_1'), { code: 'INVALID_CAMPAIGN' });
+  assert.strictEqual(await service.setApplicationStatus('cmp_1', 999, 'rejected', 'brand_1'), null);
+
+  state.applications[0].status = 'withdrawn';
+  await assert.rejects(service.setApplicationStatus('cmp_1', id, 'shortlisted', 'brand_1'), { code: 'APPLICATION_WITHDRAWN' });
+  assert.strictEqual(state.applications[0].status, 'withdrawn');
+});
+
+test('organization members see the campaigns and only owners and managers manage them', async () => {
+  const members = [
+    { organization_id: 'org_1', user_id: 'brand_1', role: 'owner', name: 'Acme' },
+    { organization_id: 'org_1', user_id: 'manager_1', role: 'manager', name: 'Acme' },
+    { organization_id: 'org_1', user_id: 'viewer_1', role: 'viewer', name: 'Acme' },
+    { organization_id: 'org_2', user_id: 'rival_1', role: 'owner', name: 'Rival' },
+  ];
+  const { service, state } = setup({ campaigns: [{ organization_id: 'org_1' }, { id: 'cmp_2', owner_id: 'rival_1', organization_id: 'org_2' }], members });
+  const campaign = await service.getCampaign('cmp_1');
+  assert.deepStrictEqual(await service.getCampaignAccess(campaign, 'brand_1'), { canRead: true, canManage: true });
+  assert.deepStrictEqual(await service.getCampaignAccess(campaign, 'manager_1'), { canRead: true, canManage: true });
+  assert.deepStrictEqual(await service.getCampaignAccess(campaign, 'viewer_1'), { canRead: true, canManage: false });
+  assert.deepStrictEqual(await service.getCampaignAccess(campaign, 'rival_1'), { canRead: false, canManage: false });
+
+  const input = { title: 'Summer drop', brief: 'Beach content' };
+  await assert.rejects(service.createCampaign({ uid: 'viewer_1' }, input), { code: 'ORGANIZATION_READ_ONLY' });
+  const created = await service.createCampaign({ uid: 'manager_1' }, input);
+  assert.deepStrictEqual([created.ownerId, created.organizationId], ['manager_1', 'org_1']);
+  assert.strictEqual(state.campaigns.length, 3);
+
+  const { campaigns: managed, total } = await service.listManagedCampaigns('viewer_1');
+  assert.deepStrictEqual(managed.map(c => c.id).sort(), [created.id, 'cmp_1'].sort());
+  assert.strictEqual(total, 2);
+});
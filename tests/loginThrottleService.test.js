@@ -0,0 +1,90 @@
+/*
+  Unit tests for login and MFA failure counting (services/loginThrottleService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb, whereEquals, applySet } = require('./support/doubles');
+
+// auth_attempts and account_lockouts kept in memory
+function setup() {
+  const attempts = [];
+  const lockouts = [];
+  const db = createFakeDb({
+    'insert auth_attempts': ([scope, email, ip, success, userId, challengeId]) => {
+      attempts.push({ scope, email, ip, success, user_id: userId, challenge_id: challengeId, cleared: false, created_at: new Date() });
+    },
+    'select auth_attempts': (params, sql) => {
+      const failed = attempts.filter(whereEquals(sql, params));
+      return [{ failures: failed.length, last_failure: failed.length ? failed[failed.length - 1].created_at : null }];
+    },
+    'update auth_attempts': (params, sql) => {
+      const matched = attempts.filter(whereEquals(sql, params));
+      matched.forEach(a => applySet(a, sql, params));
+      return { rows: [], rowCount: matched.length };
+    },
+    'insert account_lockouts': ([email, lockedUntil, failedAttempts]) => {
+      lockouts.push({ email, locked_until: lockedUntil, failed_attempts: failedAttempts });
+    },
+  });
+  const throttle = loadWithDoubles('services/loginThrottleService', {
+    'services/db': db,
+    'services/mailService': { sendMail: async () => ({ sent: false }), frontendUrl: p => `http://localhost${p}` },
+  });
+  return { throttle, attempts, lockouts };
+}
+
+async function failLogins(throttle, count, { email, ip }) {
+  for (let i = 0; i < count; i++) await throttle.recordLoginFailure({ email, ip });
+}
+
+test('a successful login restarts the per-email count', async () => {
+  const { throttle } = setup();
+  await failLogins(throttle, 4, { email: 'victim@example.com', ip: '10.0.0.1' });
+  await throttle.recordLoginSuccess({ email: 'Victim@Example.com', ip: '10.0.0.1' });
+  const result = await throttle.recordLoginFailure({ email: 'victim@example.com', ip: '10.0.0.1' });
+  assert.deepStrictEqual(result, { locked: false, failures: 1 });
+});
+
+test('signing in to another account does not reset the per-IP ceiling', async () => {
+  const { throttle } = setup();
+  // Spread over accounts so no single account locks; the attacker's own sign-ins in
+  // between clear each account's count but not the IP's
+  for (let i = 0; i < 25; i++) {
+    await throttle.recordLoginFailure({ email: `target${i}@example.com`, ip: '10.0.0.9' });
+    await throttle.recordLoginSuccess({ email: `target${i}@example.com`, ip: '10.0.0.9' });
+  }
+  const blocked = await throttle.checkLogin({ email: 'next@example.com', ip: '10.0.0.9' });
+  assert.strictEqual(blocked.allowed, false);
+  assert.strictEqual(blocked.reason, 'TOO_MANY_ATTEMPTS');
+  assert.deepStrictEqual(await throttle.checkLogin({ email: 'next@example.com', ip: '10.0.0.10' }), { allowed: true });
+});
+
+test('repeated failures lock the account and are not counted again afterwards', async () => {
+  const { throttle, lockouts, attempts } = setup();
+  await failLogins(throttle, 4, { email: 'victim@example.com', ip: '10.0.0.1' });
+  const result = await throttle.recordLoginFailure({ email: 'victim@example.com', ip: '10.0.0.1' });
+  assert.strictEqual(result.locked, true);
+  assert.deepStrictEqual(lockouts.map(l => [l.email, l.failed_attempts]), [['victim@example.com', 5]]);
+  assert.ok(attempts.every(a => a.cleared));
+});
+
+test('a challenge is spent after too many wrong codes, even after a success elsewhere', async () => {
+  const { throttle } = setup();
+  for (let i = 0; i < 4; i++) await throttle.recordMfaFailure({ uid: 'u1', ip: '10.0.0.1', challengeId: 'c1' });
+  await throttle.recordMfaSuccess({ uid: 'u1', ip: '10.0.0.1', challengeId: 'c0' });
+  assert.deepStrictEqual(await throttle.checkMfa({ uid: 'u1', ip: '10.0.0.1', challengeId: 'c1' }), { allowed: true });
+  await throttle.recordMfaFailure({ uid: 'u1', ip: '10.0.0.1', challengeId: 'c1' });
+  assert.deepStrictEqual(await throttle.checkMfa({ uid: 'u1', ip: '10.0.0.1', challengeId: 'c1' }), { allowed: false, reason: 'MFA_CHALLENGE_EXHAUSTED' });
+  assert.deepStrictEqual(await throttle.checkMfa({ uid: 'u1', ip: '10.0.0.1', challengeId: 'c2' }), { allowed: true });
+});
+
+test('wrong codes across fresh challenges still hit the per-user limit', async () => {
+  const { throttle } = setup();
+  for (let i = 0; i < 5; i++) await throttle.recordMfaFailure({ uid: 'u1', ip: `10.0.0.${i}`, challengeId: `c${i}` });
+  const result = await throttle.checkMfa({ uid: 'u1', ip: '10.0.0.99', challengeId: 'c9' });
+  assert.strictEqual(result.allowed, false);
+  assert.strictEqual(result.reason, 'TOO_MANY_ATTEMPTS');
+  await throttle.recordMfaSuccess({ uid: 'u1', ip: '10.0.0.99', challengeId: 'c9' });
+  assert.deepStrictEqual(await throttle.checkMfa({ uid: 'u1', ip: '10.0.0.99', challengeId: 'c10' }), { allowed: true });
+});
@@ -0,0 +1,99 @@
+/*
+  Unit tests for offer responses and their state transitions (services/offerService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb, applySet } = require('./support/doubles');
+
+const brand = { uid: 'brand_1', role: 'brand', email: 'brand@example.com' };
+const creator = { uid: 'creator_1', role: 'ugc_creator', email: 'creator@example.com' };
+const dueDate = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString().slice(0, 10);
+
+// An offer proposed by the brand, kept in memory so each response sees the last one.
+// lockedVersion overrides what the FOR UPDATE read returns, to simulate a lost race.
+function setup({ status = 'pending', lockedVersion } = {}) {
+  const offer = { id: 'off_1', conversation_id: 'conv_1', creator_id: 'creator_1', created_by: 'brand_1', status, current_version: 1, accepted_version: null };
+  const versions = [{
+    offer_id: 'off_1', version: 1, proposed_by: 'brand_1', proposed_by_party: 'brand',
+    deliverables: [{ type: 'custom', label: 'Custom', quantity: 1, unitPrice: null, description: 'Unboxing video' }],
+    price: '250.00', currency: 'USD', due_date: dueDate, usage_rights: { scope: 'organic_only', durationDays: null, notes: null },
+  }];
+  const conversation = { id: 'conv_1', pinned_offer_id: null, last_message: null };
+  const messages = [];
+  const db = createFakeDb({
+    'select offers': () => [{ ...offer }],
+    'select offer_versions': () => versions,
+    'lock offers': () => [{ status: offer.status, current_version: lockedVersion ?? offer.current_version }],
+    'insert offer_versions': (params) => {
+      versions.push({ offer_id: params[0], version: params[1], proposed_by: params[2], proposed_by_party: params[3], deliverables: JSON.parse(params[4]), price: params[5], currency: params[6], due_date: params[7], usage_rights: JSON.parse(params[8]) });
+    },
+    'update offers': (params, sql) => { applySet(offer, sql, params); },
+    'insert messages': ([id, conversationId, senderId, , text]) => { messages.push({ id, conversationId, senderId, text }); },
+    'update conversations': (params, sql) => [applySet(conversation, sql, params)],
+  });
+  const firestore = { collection: () => ({ doc: () => ({ get: async () => ({ exists: false }) }) }) };
+  const offers = loadWithDoubles('services/offerService', {
+    'services/db': db,
+    'config/firebase': { db: firestore },
+    'services/contentFilterService': { filterMessage: async text => ({ text, filtered: false, matches: [] }) },
+    'services/moderationService': { flagMessage: async () => {} },
+  });
+  return { offers, db, offer, conversation, messages };
+}
+
+test('the other party accepts and the terms are pinned to the conversation', async () => {
+  const { offers, conversation, messages } = setup();
+  const result = await offers.respondToOffer('off_1', creator, { action: 'accept' });
+  assert.strictEqual(result.offer.status, 'accepted');
+  assert.strictEqual(result.offer.acceptedVersion, 1);
+  assert.strictEqual(result.offer.awaitingParty, null);
+  assert.strictEqual(conversation.pinned_offer_id, 'off_1');
+  assert.match(messages[0].text, /^Offer accepted: 1× Unboxing video for 250\.00 USD/);
+  assert.strictEqual(conversation.last_message, messages[0].text);
+});
+
+test('declining closes the offer without an accepted version', async () => {
+  const { offers, conversation, messages } = setup();
+  const result = await offers.respondToOffer('off_1', creator, { action: 'decline', note: 'Not this month' });
+  assert.strictEqual(result.offer.status, 'declined');
+  assert.strictEqual(result.offer.acceptedVersion, null);
+  assert.strictEqual(result.offer.respondedBy, 'creator_1');
+  assert.strictEqual(conversation.pinned_offer_id, null);
+  assert.strictEqual(messages[0].text, 'Offer declined\nNot this month');
+});
+
+test('a counter adds a version and hands the turn back', async () => {
+  const { offers } = setup();
+  const result = await offers.respondToOffer('off_1', creator, { action: 'counter', price: 300 });
+  assert.strictEqual(result.offer.status, 'pending');
+  assert.strictEqual(result.offer.currentVersion, 2);
+  assert.strictEqual(result.offer.terms.price, 300);
+  assert.strictEqual(result.offer.terms.proposedByParty, 'creator');
+  assert.strictEqual(result.offer.awaitingParty, 'brand');
+  assert.strictEqual(result.offer.terms.dueDate, dueDate);
+  // The brand may now respond, and the creator can only withdraw their counter
+  await assert.rejects(offers.respondToOffer('off_1', creator, { action: 'accept' }), { code: 'NOT_YOUR_TURN' });
+  const accepted = await offers.respondToOffer('off_1', brand, { action: 'accept' });
+  assert.strictEqual(accepted.offer.acceptedVersion, 2);
+});
+
+test('only the proposer withdraws, and only the other party responds', async () => {
+  const { offers } = setup();
+  await assert.rejects(offers.respondToOffer('off_1', brand, { action: 'accept' }), { code: 'NOT_YOUR_TURN' });
+  await assert.rejects(offers.respondToOffer('off_1', creator, { action: 'withdraw' }), { code: 'NOT_YOUR_TURN' });
+  const result = await offers.respondToOffer('off_1', brand, { action: 'withdraw' });
+  assert.strictEqual(result.offer.status, 'withdrawn');
+});
+
+test('closed offers and unknown actions are refused', async () => {
+  await assert.rejects(setup({ status: 'accepted' }).offers.respondToOffer('off_1', creator, { action: 'decline' }), { code: 'OFFER_CLOSED' });
+  await assert.rejects(setup().offers.respondToOffer('off_1', creator, { action: 'approve' }), { code: 'INVALID_ACTION' });
+});
+
+test('a response to a version that changed meanwhile is refused', async () => {
+  const { offers, db, offer } = setup({ lockedVersion: 2 });
+  await assert.rejects(offers.respondToOffer('off_1', creator, { action: 'accept' }), { code: 'OFFER_CLOSED' });
+  assert.strictEqual(offer.status, 'pending');
+  assert.strictEqual(db.transactions.rollback, 1);
+});
@@ -0,0 +1,214 @@
+/*
+  Unit tests for escrow releases and refunds (services/paymentService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb } = require('./support/doubles');
+
+const collaboration = { id: 'col_1', creatorId: 'creator_1', brandId: 'brand_1', title: 'Launch', price: '100.00', currency: 'USD' };
+const cents = amount => Math.round(parseFloat(amount) * 100);
+
+// ledger_transactions, ledger_entries and collaboration_deliverables kept in memory.
+// Rows written inside a database transaction are dropped again on ROLLBACK.
+// failRefundAt makes the provider refuse that refund call, and failRefundWriteAt the
+// database refuse that refund's ledger write (both 1-based).
+function setup({ deliverables = [], feePercent, failRefundAt, failRefundWriteAt } = {}) {
+  const state = { transactions: [], entries: [], deliverables: deliverables.map(d => ({ status: 'approved', ...d })), savepoint: null, refundWrites: 0 };
+  const isReleased = d => state.transactions.some(t => t.type === 'release' && t.deliverable_id === d.id);
+  const balance = account => state.entries
+    .filter(e => e.account === account)
+    .reduce((sum, e) => sum + (e.direction === 'credit' ? 1 : -1) * cents(e.amount), 0);
+
+  const db = createFakeDb({
+    begin: () => { state.savepoint = { transactions: state.transactions.length, entries: state.entries.length }; },
+    commit: () => { state.savepoint = null; },
+    rollback: () => {
+      if (!state.savepoint) return;
+      state.transactions.length = state.savepoint.transactions;
+      state.entries.length = state.savepoint.entries;
+      state.savepoint = null;
+    },
+    'select ledger_entries': ([account]) => [{ balance: (balance(account) / 100).toFixed(2) }],
+    'select ledger_transactions': ([id], sql) => {
+      if (sql.includes('related_transaction_id = t.id')) {
+        return state.transactions
+          .filter(t => t.type === 'deposit' && t.collaboration_id === id)
+          .map(t => ({
+            ...t,
+            refunded: state.transactions.filter(r => r.type === 'refund' && r.related_transaction_id === t.id).reduce((sum, r) => sum + Number(r.amount), 0),
+          }))
+          .reverse();
+      }
+      if (sql.includes('deliverable_id IS NOT NULL')) {
+        return state.transactions.filter(t => t.type === 'release' && t.collaboration_id === id && t.deliverable_id !== null).slice(0, 1);
+      }
+      return state.transactions.filter(t => t.type === 'release' && t.deliverable_id === id);
+    },
+    'select collaboration_deliverables': ([collaborationId], sql) => {
+      const unreleased = state.deliverables.filter(d => d.collaboration_id === collaborationId && !isReleased(d));
+      if (sql.includes('COUNT(*)')) return [{ count: unreleased.length }];
+      return unreleased.filter(d => d.status === 'approved');
+    },
+    'insert ledger_transactions': (params) => {
+      const [type, collaborationId, deliverableId, relatedTransactionId, creatorId, brandId, amount, currency, provider, providerReference, memo, createdBy] = params;
+      if (type === 'refund' && ++state.refundWrites === failRefundWriteAt) throw new Error('connection reset');
+      const row = {
+        id: state.transactions.length + 1, type, collaboration_id: collaborationId, deliverable_id: deliverableId, related_transaction_id: relatedTransactionId,
+        creator_id: creatorId, brand_id: brandId, amount: String(amount), currency, provider, provider_reference: providerReference, memo, created_by: createdBy, created_at: new Date(),
+      };
+      state.transactions.push(row);
+      return [{ ...row }];
+    },
+    'insert ledger_entries': ([transactionId, account, direction, amount, currency, memo]) => {
+      const row = { id: state.entries.length + 1, transaction_id: transactionId, account, direction, amount: String(amount), currency, memo };
+      state.entries.push(row);
+      return [{ ...row }];
+    },
+  });
+
+  const refunds = [];
+  const provider = {
+    name: 'fake',
+    async refundCharge(request) {
+      refunds.push(request);
+      if (refunds.length === failRefundAt) throw new Error('Charge already disputed');
+      return { reference: `re_${refunds.length}` };
+    },
+  };
+  const previousFee = process.env.PLATFORM_FEE_PERCENT;
+  if (feePercent !== undefined) process.env.PLATFORM_FEE_PERCENT = String(feePercent);
+  try {
+    const payments = loadWithDoubles('services/paymentService', {
+      'services/db': db,
+      'services/paymentProviders': { getPaymentProvider: () => provider },
+      'services/pdfService': { renderPdf: () => Buffer.alloc(0) },
+    });
+    return { payments, db, state, refunds, held: () => balance('escrow:col_1') };
+  } finally {
+    if (previousFee === undefined) delete process.env.PLATFORM_FEE_PERCENT;
+    else process.env.PLATFORM_FEE_PERCENT = previousFee;
+  }
+}
+
+// Records a deposit as the deposit flow would have, without going through the provider
+function fund(state, amount, reference) {
+  const transactionId = state.transactions.length + 1;
+  state.transactions.push({ id: transactionId, type: 'deposit', collaboration_id: 'col_1', deliverable_id: null, related_transaction_id: null, amount, currency: 'USD', provider_reference: reference });
+  state.entries.push(
+    { transaction_id: transactionId, account: 'provider_cash', direction: 'debit', amount, currency: 'USD' },
+    { transaction_id: transactionId, account: 'escrow:col_1', direction: 'credit', amount, currency: 'USD' },
+  );
+}
+
+const deliverable = (id, label) => ({ id, label, collaboration_id: 'col_1' });
+const total = (entries, direction) => entries.filter(e => e.direction === direction).reduce((sum, e) => sum + cents(e.amount), 0);
+
+test('each deliverable releases an equal share, the last one the rest, less the platform fee', async () => {
+  const deliverables = [deliverable(7, 'Reel'), deliverable(8, 'Story'), deliverable(9, 'Post')];
+  const { payments, state, held } = setup({ deliverables });
+  fund(state, '100.00', 'ch_1');
+
+  const first = await payments.releaseForDeliverable(collaboration, deliverables[0]);
+  assert.deepStrictEqual(first.entries.map(e => [e.account, e.direction, e.amount]), [
+    ['escrow:col_1', 'debit', 33.33],
+    ['creator_payable:creator_1', 'credit', 30],
+    ['platform_revenue', 'credit', 3.33],
+  ]);
+  await payments.releaseForDeliverable(collaboration, deliverables[1]);
+  const last = await payments.releaseForDeliverable(collaboration, deliverables[2]);
+  assert.strictEqual(last.amount, 33.34);
+  assert.strictEqual(held(), 0);
+  for (const t of state.transactions) {
+    const entries = state.entries.filter(e => e.transaction_id === t.id);
+    assert.strictEqual(total(entries, 'debit'), total(entries, 'credit'));
+  }
+});
+
+test('a deliverable is released once, and only while money is held', async () => {
+  const deliverables = [deliverable(7, 'Reel'), deliverable(8, 'Story')];
+  const { payments, state } = setup({ deliverables });
+  assert.strictEqual(await payments.releaseForDeliverable(collaboration, deliverables[0]), null);
+  fund(state, '50.00', 'ch_1');
+  assert.ok(await payments.releaseForDeliverable(collaboration, deliverables[0]));
+  assert.strictEqual(await payments.releaseForDeliverable(collaboration, deliverables[0]), null);
+  assert.strictEqual(state.transactions.filter(t => t.type === 'release').length, 1);
+});
+
+test('a transaction whose entries do not balance is not written', async () => {
+  // A 100% fee leaves a zero creator entry, which postTransaction refuses
+  const deliverables = [deliverable(7, 'Reel')];
+  const { payments, state, db, held } = setup({ deliverables, feePercent: 100 });
+  fund(state, '10.00', 'ch_1');
+  await assert.rejects(payments.releaseForDeliverable(collaboration, deliverables[0]), /Unbalanced release transaction/);
+  assert.ok(!state.transactions.some(t => t.type === 'release'));
+  assert.strictEqual(held(), 1000);
+  assert.strictEqual(db.transactions.rollback, 1);
+});
+
+test('money deposited after every deliverable was released goes to the creator', async () => {
+  const deliverables = [deliverable(7, 'Reel'), deliverable(8, 'Story')];
+  const { payments, state, held } = setup({ deliverables });
+  fund(state, '50.00', 'ch_1');
+  await payments.releaseApprovedDeliverables(collaboration);
+  assert.strictEqual(held(), 0);
+
+  fund(state, '50.00', 'ch_2');
+  const released = await payments.releaseApprovedDeliverables(collaboration);
+  assert.deepStrictEqual(released.map(t => [t.deliverableId, t.amount]), [[null, 50]]);
+  assert.strictEqual(held(), 0);
+  assert.deepStrictEqual(await payments.releaseApprovedDeliverables(collaboration), []);
+});
+
+test('nothing is released early while a deliverable is still unapproved', async () => {
+  const deliverables = [deliverable(7, 'Reel'), { ...deliverable(8, 'Story'), status: 'draft_submitted' }];
+  const { payments, state, held } = setup({ deliverables });
+  fund(state, '100.00', 'ch_1');
+  const released = await payments.releaseApprovedDeliverables(collaboration);
+  assert.deepStrictEqual(released.map(t => [t.deliverableId, t.amount]), [[7, 50]]);
+  assert.strictEqual(held(), 5000);
+});
+
+test('refunds return the newest deposits first', async () => {
+  const { payments, state, refunds, held } = setup();
+  fund(state, '70.00', 'ch_1');
+  fund(state, '30.00', 'ch_2');
+  const transactions = await payments.refund(collaboration, 'brand_1', { amount: 50 });
+  assert.deepStrictEqual(refunds, [
+    { chargeReference: 'ch_2', amount: 3000, currency: 'USD' },
+    { chargeReference: 'ch_1', amount: 2000, currency: 'USD' },
+  ]);
+  assert.deepStrictEqual(transactions.map(t => [t.relatedTransactionId, t.amount, t.providerReference]), [[2, 30, 're_1'], [1, 20, 're_2']]);
+  assert.strictEqual(held(), 5000);
+});
+
+test('parts refunded before a later part fails stay recorded', async () => {
+  const { payments, state, refunds, held } = setup({ failRefundAt: 2 });
+  fund(state, '70.00', 'ch_1');
+  fund(state, '30.00', 'ch_2');
+  const transactions = await payments.refund(collaboration, 'brand_1');
+  assert.strictEqual(refunds.length, 2);
+  assert.deepStrictEqual(transactions.map(t => [t.relatedTransactionId, t.amount]), [[2, 30]]);
+  assert.deepStrictEqual(state.transactions.filter(t => t.type === 'refund').map(t => t.provider_reference), ['re_1']);
+  assert.strictEqual(held(), 7000);
+});
+
+test('a ledger write failing after the provider refunded keeps the earlier parts', async () => {
+  const { payments, state, refunds, held } = setup({ failRefundWriteAt: 2 });
+  fund(state, '70.00', 'ch_1');
+  fund(state, '30.00', 'ch_2');
+  const transactions = await payments.refund(collaboration, 'brand_1');
+  assert.strictEqual(refunds.length, 2);
+  assert.deepStrictEqual(transactions.map(t => t.providerReference), ['re_1']);
+  assert.deepStrictEqual(state.transactions.filter(t => t.type === 'refund').map(t => t.provider_reference), ['re_1']);
+  assert.strictEqual(held(), 7000);
+});
+
+test('a refund cannot exceed what is held, and needs something held', async () => {
+  const { payments, state, refunds } = setup();
+  await assert.rejects(payments.refund(collaboration, 'brand_1'), { code: 'NOTHING_HELD' });
+  fund(state, '20.00', 'ch_1');
+  await assert.rejects(payments.refund(collaboration, 'brand_1', { amount: 25 }), { code: 'INVALID_PAYMENT' });
+  assert.strictEqual(refunds.length, 0);
+  assert.ok(!state.transactions.some(t => t.type === 'refund'));
+});
@@ -0,0 +1,62 @@
+/*
+  Unit tests for role permission loading and editing (services/permissionService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb, whereEquals } = require('./support/doubles');
+
+// role_permissions and permission_seeded_keys kept in memory
+function load({ grants = [], seeded = [] } = {}) {
+  const state = { grants: grants.map(g => ({ ...g })), seeded: new Set(seeded) };
+  const db = createFakeDb({
+    'select role_permissions': () => state.grants,
+    'select permission_seeded_keys': () => Array.from(state.seeded, permission => ({ permission })),
+    'insert role_permissions': ([role, permission]) => {
+      if (!state.grants.some(g => g.role === role && g.permission === permission)) state.grants.push({ role, permission });
+    },
+    'delete role_permissions': (params, sql) => {
+      state.grants = state.grants.filter(g => !whereEquals(sql, params)(g));
+    },
+    'insert permission_seeded_keys': ([permission]) => { state.seeded.add(permission); },
+  });
+  const permissions = loadWithDoubles('services/permissionService', { 'services/db': db });
+  return { permissions, state };
+}
+
+test('an empty table uses the built-in defaults', async () => {
+  const { permissions } = load();
+  assert.ok(await permissions.hasPermission('brand', 'campaigns.manage'));
+  assert.ok(!(await permissions.hasPermission('brand', 'admin.access')));
+});
+
+test('keys added to the registry after seeding get their default grants', async () => {
+  const { permissions } = load({
+    grants: [{ role: 'admin', permission: 'admin.access' }, { role: 'brand', permission: 'chat.start' }],
+    seeded: ['admin.access', 'chat.start'],
+  });
+  assert.ok(await permissions.hasPermission('support', 'moderation.review'));
+  assert.ok(await permissions.hasPermission('admin', 'payments.manage'));
+  assert.ok(!(await permissions.hasPermission('support', 'admin.access')));
+  assert.ok(!(await permissions.hasPermission('influencer', 'chat.start')));
+});
+
+test('revoking a key from every role that holds it sticks', async () => {
+  const { permissions, state } = load();
+  const without = (role, key) => permissions.DEFAULT_ROLE_PERMISSIONS[role].filter(p => p !== key);
+  await permissions.setRolePermissions('support', without('support', 'users.impersonate'));
+  await permissions.setRolePermissions('admin', without('admin', 'users.impersonate'));
+
+  assert.ok(!state.grants.some(g => g.permission === 'users.impersonate'));
+  assert.ok(!(await permissions.hasPermission('support', 'users.impersonate')));
+  assert.ok(!(await permissions.hasPermission('admin', 'users.impersonate')));
+  // Roles that were not edited keep their defaults
+  assert.ok(await permissions.hasPermission('brand', 'campaigns.manage'));
+  assert.ok(await permissions.hasPermission('support', 'moderation.review'));
+});
+
+test('unknown permission keys are refused', async () => {
+  const { permissions, state } = load();
+  await assert.rejects(permissions.setRolePermissions('brand', ['chat.start', 'root.everything']), { code: 'UNKNOWN_PERMISSION' });
+  assert.strictEqual(state.grants.length, 0);
+});
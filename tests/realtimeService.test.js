@@ -0,0 +1,37 @@
+/*
+  Unit tests for chat stream revalidation (services/realtimeService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { EventEmitter } = require('events');
+const { loadWithDoubles, createFakeDb } = require('./support/doubles');
+
+function fakeResponse() {
+  return {
+    chunks: [],
+    ended: false,
+    status() { return this; },
+    setHeader() {},
+    write(chunk) { this.chunks.push(chunk); },
+    end() { this.ended = true; },
+  };
+}
+
+test('a heartbeat ends streams whose revalidation fails', async () => {
+  process.env.REALTIME_HEARTBEAT_MS = '10';
+  process.env.REALTIME_TRANSPORT = 'memory';
+  const realtime = loadWithDoubles('services/realtimeService', { 'services/db': createFakeDb() });
+  const req = new EventEmitter();
+  const res = fakeResponse();
+  let reason = null;
+  await realtime.openStream(req, res, { uid: 'u1' }, { revalidate: async () => reason });
+
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(res.ended, false);
+
+  reason = 'session_revoked';
+  await new Promise(resolve => setTimeout(resolve, 30));
+  assert.strictEqual(res.ended, true);
+  assert.ok(res.chunks.some(c => c.includes('event: reauthenticate\ndata: {"reason":"session_revoked"}')));
+});
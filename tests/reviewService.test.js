@@ -0,0 +1,92 @@
+/*
+  Unit tests for review validation and the double-blind reveal (services/reviewService.js).
+  Run with `node --test tests/`.
+*/
+const test = require('node:test');
+const assert = require('node:assert');
+const { loadWithDoubles, createFakeDb } = require('./support/doubles');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function completed(daysAgo = 1) {
+  return { id: 'col_1', creatorId: 'creator_1', brandId: 'brand_1', status: 'completed', completedAt: new Date(Date.now() - daysAgo * DAY).toISOString() };
+}
+
+// collaboration_reviews and the creator_stats written for the creator, in memory
+function setup() {
+  const reviews = [];
+  const stats = {};
+  const db = createFakeDb({
+    'insert collaboration_reviews': ([collaborationId, reviewerId, side, revieweeId, communication, quality, timeliness, rating, comment]) => {
+      if (reviews.some(r => r.collaboration_id === collaborationId && r.reviewer_side === side)) return { rows: [], rowCount: 0 };
+      const row = {
+        id: reviews.length + 1, collaboration_id: collaborationId, reviewer_id: reviewerId, reviewer_side: side, reviewee_id: revieweeId,
+        communication, quality, timeliness, rating, comment, created_at: new Date(), revealed_at: null,
+      };
+      reviews.push(row);
+      return [{ ...row }];
+    },
+    // The reveal: every review of the collaboration, once both sides are in
+    'update collaboration_reviews': ([collaborationId, sides]) => {
+      const ofCollaboration = reviews.filter(r => r.collaboration_id === collaborationId);
+      if (ofCollaboration.length !== sides) return { rows: [], rowCount: 0 };
+      const revealed = ofCollaboration.filter(r => !r.revealed_at);
+      revealed.forEach(r => { r.revealed_at = new Date(); });
+      return revealed.map(r => ({ ...r }));
+    },
+    'select collaboration_reviews': ([revieweeId]) => {
+      const visible = reviews.filter(r => r.reviewee_id === revieweeId && r.reviewer_side === 'brand' && r.revealed_at);
+      const average = field => (visible.length ? visible.reduce((sum, r) => sum + Number(r[field]), 0) / visible.length : null);
+      return [{ average_rating: average('rating'), review_count: visible.length, average_communication: average('communication'), average_quality: average('quality'), average_timeliness: average('timeliness') }];
+    },
+    'insert creator_stats': ([uid, averageRating, reviewCount]) => {
+      stats[uid] = { uid, average_rating: averageRating, review_count: reviewCount };
+      return [stats[uid]];
+    },
+  });
+  const firestore = { collection: () => ({ doc: () => ({ get: async () => ({ exists: false }) }) }) };
+  const service = loadWithDoubles('services/reviewService', { 'services/db': db, 'config/firebase': { db: firestore } });
+  return { service, reviews, stats };
+}
+
+const scores = { communication: 5, quality: 4, timeliness: 4 };
+
+test('scores must be whole numbers from 1 to 5 and comments are capped', async () => {
+  const { service, reviews } = setup();
+  for (const bad of [{ ...scores, quality: 0 }, { ...scores, timeliness: 4.5 }, { communication: 5, quality: 4 }, { ...scores, comment: 'x'.repeat(2001) }]) {
+    await assert.rejects(service.submitReview(completed(), 'brand', 'brand_1', bad), { code: 'INVALID_REVIEW' });
+  }
+  assert.strictEqual(reviews.length, 0);
+});
+
+test('the rating is the average score and comments are trimmed', async () => {
+  const { service } = setup();
+  const { review } = await service.submitReview(completed(), 'brand', 'brand_1', { ...scores, comment: '  Great work  ' });
+  assert.strictEqual(review.rating, 4.33);
+  assert.strictEqual(review.comment, 'Great work');
+  assert.strictEqual(review.revieweeId, 'creator_1');
+});
+
+test('reviews stay hidden until both sides submit, then both are revealed', async () => {
+  const { service, reviews, stats } = setup();
+  const first = await service.submitReview(completed(), 'creator', 'creator_1', scores);
+  assert.strictEqual(first.revealed, false);
+  assert.strictEqual(first.review.revealedAt, null);
+  assert.strictEqual(stats.creator_1, undefined);
+
+  const second = await service.submitReview(completed(), 'brand', 'brand_1', { communication: 5, quality: 5, timeliness: 4 });
+  assert.strictEqual(second.revealed, true);
+  assert.ok(second.review.revealedAt instanceof Date);
+  assert.ok(reviews.every(r => r.revealed_at));
+  // Only the brand's review of the creator counts toward the creator's rating
+  assert.deepStrictEqual(stats.creator_1, { uid: 'creator_1', average_rating: 4.67, review_count: 1 });
+});
+
+test('reviews are refused before completion, after the window and twice per side', async () => {
+  const { service, reviews } = setup();
+  await assert.rejects(service.submitReview({ ...completed(), status: 'active' }, 'brand', 'brand_1', scores), { code: 'COLLABORATION_NOT_COMPLETED' });
+  await assert.rejects(service.submitReview(completed(service.REVIEW_WINDOW_DAYS + 1), 'brand', 'brand_1', scores), { code: 'REVIEW_WINDOW_CLOSED' });
+  await service.submitReview(completed(), 'brand', 'brand_1', scores);
+  await assert.rejects(service.submitReview(completed(), 'brand', 'brand_2', scores), { code: 'ALREADY_REVIEWED' });
+  assert.strictEqual(reviews.length, 1);
+});
@@ -0,0 +1,143 @@
+/*
+  Test doubles for unit tests (run with `node --test tests/`).
+  loadWithDoubles requires a repo module with some of its repo dependencies replaced,
+  and createFakeDb stands in for services/db.js without a database.
+*/
+const Module = require('module');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..', '..');
+
+// doubles maps repo-relative paths without extension ('services/db', 'config/firebase')
+// to the object require() should return. Repo modules are loaded fresh on every call.
+function loadWithDoubles(modulePath, doubles = {}) {
+  const targets = new Map(Object.entries(doubles).map(([p, value]) => [path.join(ROOT, p), value]));
+  const originalLoad = Module._load;
+  Module._load = function (request, parent, ...rest) {
+    if (parent && request.startsWith('.')) {
+      const resolved = path.resolve(path.dirname(parent.filename), request).replace(/\.js$/, '');
+      if (targets.has(resolved)) return targets.get(resolved);
+    }
+    return originalLoad.call(this, request, parent, ...rest);
+  };
+  try {
+    for (const key of Object.keys(require.cache)) {
+      if (key.startsWith(ROOT) && !key.includes(`${path.sep}node_modules${path.sep}`) && !key.startsWith(path.join(ROOT, 'tests'))) {
+        delete require.cache[key];
+      }
+    }
+    return require(path.join(ROOT, modulePath));
+  } finally {
+    Module._load = originalLoad;
+  }
+}
+
+// Drops parenthesised parts (subqueries, CTE bodies, function arguments) so only the
+// statement's own clauses are left; string literals in those clauses are kept whole
+function topLevel(sql) {
+  let out = '';
+  let depth = 0;
+  let quoted = false;
+  for (const ch of sql) {
+    if (quoted || ch === "'") {
+      if (ch === "'") quoted = !quoted;
+      if (depth === 0) out += ch;
+    } else if (ch === '(') {
+      depth++;
+    } else if (ch === ')') {
+      depth--;
+      if (depth === 0) out += ' ';
+    } else if (depth === 0) {
+      out += ch;
+    }
+  }
+  return out.replace(/\s+/g, ' ').trim();
+}
+
+// What a statement does, as '<verb> <table>': 'select users', 'lock collaborations'
+// (SELECT ... FOR UPDATE), 'insert ledger_entries', 'update offers', 'delete payouts',
+// or 'begin' / 'commit' / 'rollback'. A WITH statement is named by its final statement; a
+// SELECT without a FROM of its own by its function ('select pg_advisory_xact_lock') or,
+// when it only has subqueries, by the first table they read.
+function intentOf(sql) {
+  const clauses = topLevel(sql);
+  const main = /^WITH\b/i.test(clauses)
+    ? clauses.slice(clauses.search(/\b(SELECT|INSERT|UPDATE|DELETE)\b/i))
+    : clauses;
+  const [, verb = ''] = main.match(/^(\w+)/) || [];
+  const table = (pattern) => (main.match(pattern) || [])[1] || '';
+  switch (verb.toUpperCase()) {
+    case 'SELECT': {
+      const from = table(/\bFROM (\w+)/i) || (sql.match(/^\s*SELECT\s+(\w+)/i) || sql.match(/\bFROM (\w+)/i) || [])[1];
+      return `${/\bFOR UPDATE\b/i.test(main) ? 'lock' : 'select'} ${from}`;
+    }
+    case 'INSERT': return `insert ${table(/^INSERT INTO (\w+)/i)}`;
+    case 'UPDATE': return `update ${table(/^UPDATE (\w+)/i)}`;
+    case 'DELETE': return `delete ${table(/^DELETE FROM (\w+)/i)}`;
+    default: return verb.toLowerCase();
+  }
+}
+
+// Value of a literal or parameter in a statement, or undefined for anything else
+function valueOf(token, params) {
+  const param = token.match(/^\$(\d+)$/);
+  if (param) return params[param[1] - 1];
+  const text = token.match(/^'(.*)'$/);
+  if (text) return text[1];
+  if (/^(TRUE|FALSE)$/i.test(token)) return token.toUpperCase() === 'TRUE';
+  if (/^NULL$/i.test(token)) return null;
+  if (/^NOW$/i.test(token)) return new Date();
+  return undefined;
+}
+
+// Row predicate for the plain `column = value` conditions of a WHERE clause (value being a
+// parameter, string, boolean or NULL; `column IS NULL` too). Other conditions, such as
+// time windows and subqueries, are not checked.
+function whereEquals(sql, params) {
+  const clause = (topLevel(sql).match(/\bWHERE (.*?)(?: ORDER BY| GROUP BY| LIMIT| RETURNING| FOR UPDATE|$)/i) || [])[1] || '';
+  const conditions = clause.split(/ AND /i)
+    .map(c => c.match(/^(?:\w+\.)?(\w+) (?:= (\S+)|IS (NULL))$/i))
+    .filter(Boolean)
+    .map(([, column, token, isNull]) => [column, isNull ? null : valueOf(token, params)])
+    .filter(([, value]) => value !== undefined);
+  return row => conditions.every(([column, value]) => !(column in row) || (row[column] instanceof Date ? row[column].getTime() === value?.getTime?.() : row[column] === value));
+}
+
+// Applies the `column = value` assignments of an UPDATE's SET list to row (values as in
+// whereEquals, plus NOW()); computed assignments are skipped
+function applySet(row, sql, params) {
+  const list = (topLevel(sql).match(/\bSET (.*?)(?: WHERE| FROM| RETURNING|$)/i) || [])[1] || '';
+  for (const assignment of list.split(',')) {
+    const [, column, token] = assignment.trim().match(/^(\w+) = (\S+)$/) || [];
+    const value = column ? valueOf(token, params) : undefined;
+    if (value !== undefined) row[column] = value;
+  }
+  return row;
+}
+
+// handlers maps intents ('select user_sessions', 'update payouts', ...) to
+// (params, sql) => rows or { rows, rowCount }; other statements return no rows.
+// Handlers usually keep their own in-memory state for the test to inspect; `intents`
+// lists what ran, and `transactions` counts begin/commit/rollback.
+function createFakeDb(handlers = {}) {
+  const intents = [];
+  const transactions = { begin: 0, commit: 0, rollback: 0 };
+  const query = async (sql, params = []) => {
+    const intent = intentOf(sql);
+    intents.push(intent);
+    if (intent in transactions) transactions[intent]++;
+    const handler = handlers[intent];
+    const result = (handler && (await handler(params, sql))) || { rows: [] };
+    const rows = Array.isArray(result) ? result : result.rows || [];
+    return { rows, rowCount: Array.isArray(result) || result.rowCount === undefined ? rows.length : result.rowCount };
+  };
+  return {
+    query,
+    getClient: async () => ({ query, release: () => {} }),
+    intents,
+    transactions,
+    ran: intent => intents.includes(intent),
+  };
+}
+
+module.exports = { loadWithDoubles, createFakeDb, whereEquals, applySet };